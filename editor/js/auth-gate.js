@@ -0,0 +1,91 @@
+// editor/js/auth-gate.js
+// Sign-in gate for the editor and the signed-in user bar
+
+import { getBackend } from '../../shared/js/storage.js';
+import { ROLE_LABELS } from '../../shared/js/core.js';
+
+let currentUser = null;
+const listeners = new Set();
+let resolveSignedIn;
+let signedIn = new Promise(resolve => { resolveSignedIn = resolve; });
+
+export function getCurrentUser() {
+  return currentUser;
+}
+
+/**
+ * Call listener on every sign-in or sign-out
+ */
+export function onUserChange(listener) {
+  listeners.add(listener);
+}
+
+/**
+ * Resolves with the user once someone is signed in
+ */
+export function whenSignedIn() {
+  return signedIn;
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const { name, auth } = await getBackend();
+
+  // The local backend signs in as anyone, so roles can be tried offline
+  document.getElementById('local-sign-in').classList.toggle('hidden', name !== 'local');
+  document.getElementById('sign-in-btn').textContent = name === 'local' ? 'Sign in' : 'Sign in with Google';
+
+  auth.onAuthChange(user => {
+    currentUser = user;
+    document.getElementById('auth-gate').classList.toggle('hidden', Boolean(user));
+    renderUserBar();
+
+    if (user) {
+      resolveSignedIn(user);
+    } else {
+      signedIn = new Promise(resolve => { resolveSignedIn = resolve; });
+    }
+
+    listeners.forEach(listener => listener(user));
+  });
+});
+
+window.signIn = async function() {
+  const { auth } = await getBackend();
+
+  try {
+    await auth.signIn({
+      name: document.getElementById('local-user-name').value,
+      role: document.getElementById('local-user-role').value
+    });
+  } catch (error) {
+    console.error('Sign-in error:', error);
+    alert('Failed to sign in: ' + error.message);
+  }
+};
+
+window.signOut = async function() {
+  if (!confirm('Sign out? Unsaved changes stay in this browser\'s draft.')) {
+    return;
+  }
+
+  const { auth } = await getBackend();
+  await auth.signOut();
+};
+
+function renderUserBar() {
+  const bar = document.getElementById('user-bar');
+  bar.classList.toggle('hidden', !currentUser);
+  if (!currentUser) return;
+
+  bar.innerHTML = `
+    <span>👤 <strong>${escapeHtml(currentUser.name)}</strong></span>
+    <span class="badge badge-primary">${ROLE_LABELS[currentUser.role]}</span>
+    <button class="btn btn-sm btn-outline" onclick="signOut()">Sign out</button>
+  `;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
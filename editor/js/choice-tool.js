@@ -0,0 +1,184 @@
+// editor/js/choice-tool.js
+// Custom Editor.js tool for multiple-choice and true/false questions
+
+const OPTION_KEYS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+class ChoiceTool {
+  static get toolbox() {
+    return {
+      title: 'Choice',
+      icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="4" width="6" height="6" rx="1"/><path d="M4.5 7l1 1 2-2"/><rect x="3" y="14" width="6" height="6" rx="1"/><path d="M13 7h8M13 17h8"/></svg>'
+    };
+  }
+
+  static get isReadOnlySupported() {
+    return true;
+  }
+
+  constructor({ data, readOnly }) {
+    this.readOnly = readOnly;
+
+    this.data = {
+      multiple: data.multiple === true,
+      options: data.options && data.options.length > 0
+        ? data.options.map(option => ({ ...option }))
+        : [
+          { key: 'A', text: '', correct: true },
+          { key: 'B', text: '', correct: false }
+        ]
+    };
+
+    this.wrapper = null;
+    this.optionList = null;
+  }
+
+  render() {
+    this.wrapper = document.createElement('div');
+    this.wrapper.classList.add('choice-tool');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'choice-toolbar';
+    toolbar.innerHTML = `
+      <label class="choice-multiple-toggle">
+        <input type="checkbox" class="choice-multiple"> Select all that apply
+      </label>
+      <button type="button" class="btn btn-sm btn-outline choice-true-false">True / False</button>
+    `;
+
+    const multipleInput = toolbar.querySelector('.choice-multiple');
+    multipleInput.checked = this.data.multiple;
+    multipleInput.disabled = this.readOnly;
+    multipleInput.onchange = () => {
+      this.data = this.save();
+      this.data.multiple = multipleInput.checked;
+      this.renderOptions();
+    };
+
+    const trueFalseButton = toolbar.querySelector('.choice-true-false');
+    trueFalseButton.classList.toggle('hidden', this.readOnly);
+    trueFalseButton.onclick = () => this.makeTrueFalse();
+
+    this.optionList = document.createElement('div');
+    this.optionList.className = 'choice-option-list';
+
+    this.wrapper.appendChild(toolbar);
+    this.wrapper.appendChild(this.optionList);
+
+    if (!this.readOnly) {
+      const addButton = document.createElement('button');
+      addButton.type = 'button';
+      addButton.className = 'btn btn-sm btn-outline';
+      addButton.textContent = '➕ Add Option';
+      addButton.onclick = () => this.addOption();
+      this.wrapper.appendChild(addButton);
+    }
+
+    this.renderOptions();
+    return this.wrapper;
+  }
+
+  renderOptions() {
+    this.optionList.innerHTML = '';
+    this.data.options.forEach(option => this.optionList.appendChild(this.renderOption(option)));
+  }
+
+  // Correct options are radios for single choice, checkboxes for multiple
+  renderOption(option) {
+    const row = document.createElement('div');
+    row.className = 'choice-option-row';
+    row.innerHTML = `
+      <input type="${this.data.multiple ? 'checkbox' : 'radio'}" class="choice-correct" title="Correct option">
+      <input type="text" class="choice-option-key" maxlength="10" title="Option key">
+      <div class="choice-fields">
+        <div class="choice-option-text" data-placeholder="Option text, math with $...$"></div>
+        <div class="choice-option-feedback" data-placeholder="Feedback for this option (optional)"></div>
+      </div>
+      <button type="button" class="choice-remove" title="Remove option">✕</button>
+    `;
+
+    const correctInput = row.querySelector('.choice-correct');
+    correctInput.checked = option.correct;
+    correctInput.disabled = this.readOnly;
+    correctInput.onchange = () => {
+      if (!this.data.multiple) {
+        this.optionList.querySelectorAll('.choice-correct').forEach(input => {
+          input.checked = input === correctInput;
+        });
+      }
+    };
+
+    const keyInput = row.querySelector('.choice-option-key');
+    keyInput.value = option.key;
+    keyInput.readOnly = this.readOnly;
+
+    // Rich text like a paragraph: Editor.js's inline toolbar works in these
+    ['text', 'feedback'].forEach(field => {
+      const element = row.querySelector(`.choice-option-${field}`);
+      element.innerHTML = option[field] || '';
+      element.contentEditable = !this.readOnly;
+    });
+
+    const removeButton = row.querySelector('.choice-remove');
+    removeButton.classList.toggle('hidden', this.readOnly);
+    removeButton.onclick = () => {
+      row.remove();
+    };
+
+    return row;
+  }
+
+  addOption() {
+    const used = new Set(Array.from(this.optionList.querySelectorAll('.choice-option-key')).map(input => input.value));
+    const key = OPTION_KEYS.split('').find(letter => !used.has(letter)) || '';
+
+    const row = this.renderOption({ key, text: '', correct: false });
+    this.optionList.appendChild(row);
+    row.querySelector('.choice-option-text').focus();
+  }
+
+  makeTrueFalse() {
+    const hasText = this.save().options.some(option => option.text);
+    if (hasText && !confirm('Replace the options with True and False?')) {
+      return;
+    }
+
+    this.data = {
+      multiple: false,
+      options: [
+        { key: 'T', text: 'True', correct: true },
+        { key: 'F', text: 'False', correct: false }
+      ]
+    };
+    this.wrapper.querySelector('.choice-multiple').checked = false;
+    this.renderOptions();
+  }
+
+  save() {
+    const options = Array.from(this.optionList.querySelectorAll('.choice-option-row')).map(row => {
+      const option = {
+        key: row.querySelector('.choice-option-key').value.trim(),
+        text: row.querySelector('.choice-option-text').innerHTML.trim(),
+        correct: row.querySelector('.choice-correct').checked
+      };
+
+      const feedback = row.querySelector('.choice-option-feedback').innerHTML.trim();
+      if (feedback) {
+        option.feedback = feedback;
+      }
+      return option;
+    });
+
+    return {
+      multiple: this.wrapper.querySelector('.choice-multiple').checked,
+      options
+    };
+  }
+
+  // Keep half-written questions; the validation panel reports what's missing
+  validate(savedData) {
+    return savedData.options.some(option => option.text);
+  }
+}
+
+// Export for Editor.js
+window.ChoiceTool = ChoiceTool;
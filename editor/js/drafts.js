@@ -0,0 +1,280 @@
+// editor/js/drafts.js
+// Per-content autosave, the "My Drafts" drawer and detection of other tabs
+//
+// Each content item autosaves under its own key (see draftKey in core):
+// saved content as 'problem:42', new content as 'local:<random>'. Tabs
+// announce the key they edit on a BroadcastChannel so two tabs on the same
+// draft warn each other instead of silently overwriting.
+
+import { getDraftStore } from '../../shared/js/draft-store.js';
+import { draftKey, createLocalId } from '../../shared/js/core.js';
+
+const AUTOSAVE_DELAY = 2000;
+
+const tabId = createLocalId();
+const channel = 'BroadcastChannel' in window ? new BroadcastChannel('az-math-drafts') : null;
+
+// Draft key each other tab is editing, by tab ID
+const otherTabs = new Map();
+
+let currentKey = null;
+let currentId = null;
+
+// Only user edits are autosaved; loading content into the editors is not
+let dirty = false;
+let loading = false;
+
+let autoSaveTimeout;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('editor-sections').addEventListener('input', markDirty);
+  document.querySelector('.metadata-grid').addEventListener('input', markDirty);
+
+  window.addEventListener('pagehide', () => post({ type: 'leave' }));
+
+  const params = new URLSearchParams(window.location.search);
+
+  // ?type=problem&id=42 is opened by editor-actions.js, which calls startDraft
+  if (params.has('id')) return;
+
+  if (params.has('draft')) {
+    await openDraft(params.get('draft'));
+  } else {
+    startDraft(null, null);
+    await announceDrafts();
+  }
+});
+
+if (channel) {
+  channel.onmessage = ({ data: message }) => {
+    if (message.type === 'leave') {
+      otherTabs.delete(message.tabId);
+      return;
+    }
+
+    otherTabs.set(message.tabId, message.key);
+
+    // Answer a newcomer so it learns what this tab is editing
+    if (message.type === 'claim') {
+      post({ type: 'present' });
+    }
+
+    if (message.key === currentKey) {
+      showConflict(message.type === 'saved'
+        ? 'This draft was just autosaved in another tab. Whichever tab saves last wins.'
+        : 'This draft is also open in another tab. Changes saved there and here overwrite each other.');
+    }
+  };
+}
+
+function post(message) {
+  if (channel) {
+    channel.postMessage({ ...message, tabId, key: currentKey });
+  }
+}
+
+/**
+ * Autosave from now on under the draft of this content; null id starts a new local draft
+ */
+export function startDraft(contentType, id) {
+  currentKey = id ? draftKey(contentType, id) : draftKey(contentType, null, createLocalId());
+  currentId = id || null;
+  dirty = false;
+  hideConflict();
+  post({ type: 'claim' });
+}
+
+export function markDirty() {
+  if (!loading) {
+    dirty = true;
+  }
+}
+
+/**
+ * Run task, which loads content into the editors, without marking the draft as changed
+ */
+export async function whileLoading(task) {
+  loading = true;
+  try {
+    return await task();
+  } finally {
+    loading = false;
+  }
+}
+
+/**
+ * The local draft of saved content, if there is one
+ */
+export async function getLocalDraft(contentType, id) {
+  const store = await getDraftStore();
+  return store.get(draftKey(contentType, id));
+}
+
+/**
+ * Content was saved under an ID: its draft is no longer needed, and later
+ * edits autosave under the saved content's key
+ */
+export async function adoptSavedContent(contentType, id) {
+  clearTimeout(autoSaveTimeout);
+  const store = await getDraftStore();
+  await store.delete(currentKey);
+  startDraft(contentType, id);
+}
+
+/**
+ * Drop the current draft and start a new one (after Clear or Delete)
+ */
+export async function discardCurrentDraft() {
+  clearTimeout(autoSaveTimeout);
+  const store = await getDraftStore();
+  await store.delete(currentKey);
+  startDraft(null, null);
+}
+
+export function autoSaveDraft() {
+  clearTimeout(autoSaveTimeout);
+
+  autoSaveTimeout = setTimeout(async () => {
+    if (!dirty || !currentKey) return;
+
+    try {
+      const data = await window.gatherAllData();
+      const store = await getDraftStore();
+
+      await store.put({
+        key: currentKey,
+        contentType: data.contentType,
+        id: currentId,
+        title: data.title,
+        data,
+        updatedAt: Date.now()
+      });
+
+      post({ type: 'saved' });
+      console.log('✓ Draft auto-saved');
+    } catch (error) {
+      console.warn('Auto-save failed:', error);
+    }
+  }, AUTOSAVE_DELAY);
+}
+
+// Point at unsaved drafts instead of restoring one unasked
+async function announceDrafts() {
+  const store = await getDraftStore();
+  const drafts = await store.list();
+
+  if (drafts.length > 0) {
+    window.showNotification(`You have ${drafts.length} unsaved draft(s) in 📂 My Drafts`, 'info');
+  }
+}
+
+async function openDraft(key) {
+  const store = await getDraftStore();
+  const draft = await store.get(key);
+
+  if (!draft) {
+    alert('That draft no longer exists');
+    startDraft(null, null);
+    return;
+  }
+
+  currentKey = draft.key;
+  currentId = draft.id;
+  dirty = false;
+  post({ type: 'claim' });
+
+  window.restoreDraft({ ...draft.data, contentType: draft.contentType });
+}
+
+// Drawer
+window.openDrafts = async function() {
+  document.getElementById('drafts-drawer').classList.remove('hidden');
+  await renderDrafts();
+};
+
+window.closeDrafts = function() {
+  document.getElementById('drafts-drawer').classList.add('hidden');
+};
+
+async function renderDrafts() {
+  const list = document.getElementById('drafts-list');
+  const store = await getDraftStore();
+  const drafts = await store.list();
+  const elsewhere = new Set(otherTabs.values());
+
+  if (drafts.length === 0) {
+    list.innerHTML = '<p class="text-gray">No unsaved drafts. Drafts are kept in this browser as you type.</p>';
+    return;
+  }
+
+  list.innerHTML = drafts.map(draft => `
+    <div class="draft-item" data-key="${escapeHtml(draft.key)}">
+      <div>
+        <strong>${escapeHtml(draft.title || 'Untitled')}</strong>
+        ${draft.key === currentKey ? '<span class="badge badge-primary">This tab</span>' : ''}
+        ${elsewhere.has(draft.key) ? '<span class="badge badge-warning">Open in another tab</span>' : ''}
+      </div>
+      <div class="text-sm text-gray">
+        ${draft.contentType === 'lesson' ? 'Lesson' : 'Problem'}
+        ${draft.id ? `#${draft.id}` : '· not saved yet'}
+        · ${new Date(draft.updatedAt).toLocaleString()}
+      </div>
+      <div class="flex gap-md">
+        ${draft.key === currentKey ? '' : '<button class="btn btn-sm btn-primary draft-open">Open</button>'}
+        <button class="btn btn-sm btn-secondary draft-discard">Discard</button>
+      </div>
+    </div>
+  `).join('');
+
+  list.querySelectorAll('.draft-item').forEach(item => {
+    const draft = drafts.find(d => d.key === item.dataset.key);
+
+    const openButton = item.querySelector('.draft-open');
+    if (openButton) {
+      openButton.onclick = () => navigateToDraft(draft);
+    }
+
+    item.querySelector('.draft-discard').onclick = async () => {
+      if (!confirm(`Discard the draft "${draft.title || 'Untitled'}"? This cannot be undone.`)) return;
+
+      await store.delete(draft.key);
+      if (draft.key === currentKey) {
+        dirty = false;
+      }
+      await renderDrafts();
+    };
+  });
+}
+
+// Saved content reopens from storage, which then offers its local draft
+function navigateToDraft(draft) {
+  const params = new URLSearchParams(window.location.search);
+  params.delete('id');
+  params.delete('type');
+  params.delete('draft');
+
+  if (draft.id) {
+    params.set('type', draft.contentType);
+    params.set('id', draft.id);
+  } else {
+    params.set('draft', draft.key);
+  }
+
+  window.location.search = params.toString();
+}
+
+function showConflict(message) {
+  const banner = document.getElementById('draft-conflict');
+  banner.textContent = `⚠️ ${message}`;
+  banner.classList.remove('hidden');
+}
+
+function hideConflict() {
+  document.getElementById('draft-conflict').classList.add('hidden');
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
@@ -1,8 +1,104 @@
 // editor/js/editor-actions.js
 // Handle save, publish, preview actions
 
-import { db, storage } from '../../shared/js/firebase-config.js';
-import { doc, setDoc, serverTimestamp, collection, query, orderBy, limit, getDocs } from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js';
+import { getBackend } from '../../shared/js/storage.js';
+import {
+  fromEditorData,
+  validateContent,
+  toISOTimestamp,
+  ContentConflictError,
+  ContentChangedError,
+  WORKFLOW_LABELS,
+  canTransition,
+  getWorkflowState,
+  ROLE_LABELS,
+  PERMISSION_LABELS,
+  hasPermission,
+  permissionForTransition,
+  numberEnvironments,
+  environmentHeading,
+  resolveReferences,
+  normalizeInlineMath,
+  inlineMathToTex
+} from '../../shared/js/core.js';
+import { showValidationErrors, clearValidationErrors } from './validation-panel.js';
+import { getComments, setComments, setReviewing } from './review-comments.js';
+import { getCurrentUser, onUserChange, whenSignedIn } from './auth-gate.js';
+import { startDraft, getLocalDraft, adoptSavedContent, discardCurrentDraft } from './drafts.js';
+import { getLatexOptions } from '../../shared/js/macros.js';
+
+// The document this editor created or opened: { contentType, id, timestamp }.
+// Only it may be overwritten, and only while the stored timestamp still matches.
+let ownedDocument = null;
+
+// Workflow state of the content in the editor
+let currentState = 'draft';
+
+// Theorem, definition, ... numbers of the content being previewed
+let previewNumbering = numberEnvironments([]);
+
+// Who created and last saved the content in the editor; null for new content
+let authorship = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  setWorkflowState('draft');
+  
+  // Buttons depend on the signed-in user's role
+  onUserChange(() => setWorkflowState(currentState));
+  
+  const backend = await getBackend();
+  
+  // Make it obvious when nothing is being written to Firebase
+  if (backend.name === 'local') {
+    window.showNotification('Local backend: content is kept in memory only', 'warning');
+  }
+  
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('id')) {
+    await whenSignedIn();
+    openContent(params.get('type') === 'lesson' ? 'lesson' : 'problem', parseInt(params.get('id')));
+  }
+});
+
+// Load stored content into the editors: editor/index.html?type=problem&id=42
+async function openContent(contentType, id) {
+  const label = contentType === 'lesson' ? 'Lesson' : 'Problem';
+  
+  try {
+    showLoading(`Opening ${label.toLowerCase()} #${id}...`);
+    
+    const { repository } = await getBackend();
+    const data = Number.isInteger(id) ? await repository.get(contentType, id) : null;
+    
+    hideLoading();
+    
+    if (!data) {
+      alert(`${label} #${id} was not found`);
+      return;
+    }
+    
+    ownedDocument = { contentType, id, timestamp: toISOTimestamp(data.timestamp) };
+    setAuthorship(data);
+    setWorkflowState(getWorkflowState(data));
+    setComments(data.comments);
+    startDraft(contentType, id);
+    
+    // Unsaved edits from an earlier session win if the user wants them
+    const draft = await getLocalDraft(contentType, id);
+    if (draft && draft.updatedAt > Date.parse(ownedDocument.timestamp)
+      && confirm(`You have unsaved changes to ${label.toLowerCase()} #${id} from ${new Date(draft.updatedAt).toLocaleString()}. Restore them instead of the saved version?`)) {
+      window.restoreDraft({ ...draft.data, contentType, id }, `✓ Restored your draft of ${label.toLowerCase()} #${id}`);
+      return;
+    }
+    
+    window.restoreDraft({ ...data, contentType }, `✓ Opened ${label.toLowerCase()} #${id}`);
+    
+  } catch (error) {
+    hideLoading();
+    console.error('Open content error:', error);
+    alert('Failed to open content: ' + error.message);
+  }
+}
 
 // Preview content
 window.previewContent = async function() {
@@ -12,6 +108,13 @@ window.previewContent = async function() {
     const modal = document.getElementById('preview-modal');
     const content = document.getElementById('preview-content');
     
+    // Numbered in reading order, as on the published page
+    previewNumbering = numberEnvironments([
+      ...data.statement,
+      ...(data.parts || []).flatMap(part => part.blocks),
+      ...(data.solutions || []).flatMap(sol => sol.blocks)
+    ]);
+    
     // Build preview HTML
     let html = `
       <div style="padding: var(--space-lg); border-bottom: 2px solid var(--gray-200); background: var(--gray-50);">
@@ -27,6 +130,25 @@ window.previewContent = async function() {
         <h2>${data.contentType === 'lesson' ? 'Lesson Content' : 'Problem Statement'}</h2>
         ${renderBlocks(data.statement)}
         
+        ${data.parts && data.parts.length > 0 ? `
+          <ol class="problem-parts">
+            ${data.parts.map(part => `
+              <li class="problem-part">
+                <span class="part-label">(${escapeHtml(part.label)})</span>
+                <div class="part-body">
+                  ${renderBlocks(part.blocks)}
+                  ${(part.hints || []).map((hint, idx) => `
+                    <details class="part-hint"><summary>Hint ${idx + 1}</summary>${escapeHtml(hint)}</details>
+                  `).join('')}
+                  ${part.answer ? `
+                    <details class="part-answer"><summary>Show answer</summary>${renderAnswer(part.answer)}</details>
+                  ` : ''}
+                </div>
+              </li>
+            `).join('')}
+          </ol>
+        ` : ''}
+        
         ${data.solutions && data.solutions.length > 0 ? `
           <h2 style="margin-top: var(--space-2xl);">Solutions</h2>
           ${data.solutions.map((sol, idx) => `
@@ -57,6 +179,11 @@ window.closePreview = function() {
   document.getElementById('preview-modal').classList.add('hidden');
 };
 
+// Rich text with its inline math spans and \ref{label} links ready for the preview
+function richText(html) {
+  return inlineMathToTex(resolveReferences(normalizeInlineMath(html), previewNumbering));
+}
+
 // Render blocks for preview
 function renderBlocks(blocks) {
   if (!blocks || blocks.length === 0) {
@@ -66,17 +193,17 @@ function renderBlocks(blocks) {
   return blocks.map(block => {
     switch (block.type) {
       case 'paragraph':
-        return `<p>${block.data.text}</p>`;
+        return `<p>${richText(block.data.text)}</p>`;
       
       case 'header':
         return `<h${block.data.level}>${block.data.text}</h${block.data.level}>`;
       
       case 'list':
         const tag = block.data.style === 'ordered' ? 'ol' : 'ul';
-        return `<${tag}>${block.data.items.map(item => `<li>${item}</li>`).join('')}</${tag}>`;
+        return `<${tag}>${block.data.items.map(item => `<li>${richText(item.content ?? item)}</li>`).join('')}</${tag}>`;
       
       case 'quote':
-        return `<blockquote style="border-left: 4px solid var(--primary); padding-left: var(--space-md); color: var(--gray-600); font-style: italic;">${block.data.text}</blockquote>`;
+        return `<blockquote style="border-left: 4px solid var(--primary); padding-left: var(--space-md); color: var(--gray-600); font-style: italic;">${richText(block.data.text)}</blockquote>`;
       
       case 'math':
         const wrapped = block.data.display ? `$$${block.data.latex}$$` : `$${block.data.latex}$`;
@@ -99,130 +226,369 @@ function renderBlocks(blocks) {
           </div>
         `;
       
+      case 'choice':
+        return `
+          <div style="margin: var(--space-lg) 0;">
+            ${block.data.multiple ? '<p><em>Select all that apply.</em></p>' : ''}
+            ${block.data.options.map(option => `
+              <div style="margin-bottom: var(--space-sm);${option.correct ? ' color: var(--success);' : ''}">
+                <strong>(${escapeHtml(option.key)})</strong> ${option.text} ${option.correct ? '✓' : ''}
+                ${option.feedback ? `<div style="font-size: 0.875rem; color: var(--gray-600); margin-left: var(--space-lg);">${option.feedback}</div>` : ''}
+              </div>
+            `).join('')}
+          </div>
+        `;
+      
+      case 'environment':
+        return `
+          <section class="environment environment-${block.data.kind}">
+            <p class="environment-heading">
+              <span class="environment-name">${escapeHtml(environmentHeading(block, previewNumbering))}</span>${block.data.title ? ` <span class="environment-title">(${escapeHtml(block.data.title)})</span>` : ''}.
+            </p>
+            <div class="environment-body">
+              ${renderBlocks(block.data.blocks)}
+              ${block.data.kind === 'proof' ? '<span class="environment-qed">∎</span>' : ''}
+            </div>
+          </section>
+        `;
+      
+      case 'table':
+        const alignments = block.data.alignments || [];
+        const cell = (text, column, tag) =>
+          `<${tag} style="border: 1px solid var(--gray-300); padding: var(--space-xs) var(--space-sm); text-align: ${alignments[column] || 'left'};">${text}</${tag}>`;
+        const [firstRow, ...otherRows] = block.data.content;
+        const headRow = block.data.withHeadings ? firstRow : null;
+        const bodyRows = block.data.withHeadings ? otherRows : block.data.content;
+        
+        return `
+          <table style="border-collapse: collapse; margin: var(--space-lg) auto;">
+            ${headRow ? `<thead><tr>${headRow.map((text, column) => cell(text, column, 'th')).join('')}</tr></thead>` : ''}
+            <tbody>${bodyRows.map(row => `<tr>${row.map((text, column) => cell(text, column, 'td')).join('')}</tr>`).join('')}</tbody>
+          </table>
+        `;
+      
       default:
         return '';
     }
   }).join('\n');
 }
 
-// Save draft
-window.saveDraft = async function() {
-  try {
-    const data = await window.gatherAllData();
-    
-    if (!data.title) {
-      alert('Please enter a title');
-      return;
-    }
-    
-    showLoading('Saving draft...');
+// Final answer of a part, as the published page shows it
+function renderAnswer(answer) {
+  let text;
+  switch (answer.type) {
+    case 'numeric':
+      text = `${answer.value}${answer.tolerance ? ` ± ${answer.tolerance}` : ''}${answer.unit ? ` ${answer.unit}` : ''}`;
+      break;
+    case 'expression':
+    case 'interval':
+    case 'set':
+      text = `$${answer.value}$`;
+      break;
+    default:
+      text = `(${answer.value})`;
+  }
+  return `<span class="final-answer">${escapeHtml(text)}</span>`;
+}
+
+// Run the core validator on the editor data; the macro library counts as known LaTeX
+async function validateEditorData(data) {
+  const result = validateContent(fromEditorData(data), { latex: await getLatexOptions() });
+  
+  // IDs are assigned on first save, so an empty ID field isn't an error yet
+  return result.errors.filter(error => !(error.path === 'metadata.id' && !data.id));
+}
+
+// Buttons offered in each workflow state: [label, class, target state]
+const WORKFLOW_ACTIONS = {
+  draft: [
+    ['💾 Save Draft', 'btn-outline', 'draft'],
+    ['📨 Submit for Review', 'btn-primary', 'in_review']
+  ],
+  in_review: [
+    ['💾 Save', 'btn-outline', 'in_review'],
+    ['↩️ Request Changes', 'btn-secondary', 'draft'],
+    ['✅ Approve', 'btn-success', 'approved']
+  ],
+  approved: [
+    ['↩️ Request Changes', 'btn-secondary', 'draft'],
+    ['🚀 Publish', 'btn-success', 'published']
+  ],
+  published: [
+    ['💾 Save as New Draft', 'btn-outline', 'draft'],
+    ['📦 Archive', 'btn-secondary', 'archived']
+  ],
+  archived: [
+    ['♻️ Restore to Draft', 'btn-outline', 'draft']
+  ]
+};
+
+// Moving into these states requires content that passes validation
+const VALIDATED_STATES = ['in_review', 'approved', 'published'];
+
+function setWorkflowState(state) {
+  currentState = state;
+  const user = getCurrentUser();
+  
+  const badge = document.getElementById('workflow-state');
+  badge.textContent = WORKFLOW_LABELS[state];
+  badge.className = `badge workflow-badge workflow-${state}`;
+  
+  const actions = document.getElementById('workflow-actions');
+  actions.innerHTML = '';
+  WORKFLOW_ACTIONS[state].forEach(([label, className, target]) => {
+    const button = document.createElement('button');
+    button.className = `btn ${className}`;
+    button.textContent = label;
+    button.onclick = () => window.transitionTo(target);
     
-    // Get or assign ID
-    let id = data.id;
-    if (!id) {
-      id = await getNextId(data.contentType);
-      document.getElementById('content-id').value = id;
+    const permission = permissionForTransition(state, target);
+    if (!hasPermission(user, permission, authorship)) {
+      button.disabled = true;
+      button.title = deniedMessage(user, permission);
     }
     
-    // Prepare document
-    const collectionName = data.contentType === 'lesson' ? 'lessons' : 'problems';
-    const docData = {
-      id: id,
-      title: data.title,
-      category: data.category,
-      difficulty: data.difficulty,
-      tags: data.tags,
-      statement: data.statement,
-      solutions: data.solutions,
-      draft: true,
-      author: 'admin',
-      timestamp: serverTimestamp()
-    };
-    
-    // Save to Firestore
-    await setDoc(doc(db, collectionName, String(id)), docData);
-    
-    hideLoading();
-    window.showNotification('✓ Draft saved successfully', 'success');
-    
-  } catch (error) {
-    hideLoading();
-    console.error('Save draft error:', error);
-    alert('Failed to save draft: ' + error.message);
+    actions.appendChild(button);
+  });
+  
+  // Only saved content can be deleted
+  document.getElementById('delete-btn').classList.toggle(
+    'hidden',
+    !ownedDocument?.timestamp || !hasPermission(user, 'delete')
+  );
+  
+  setReviewing(state === 'in_review');
+}
+
+function deniedMessage(user, permission) {
+  if (!user) return 'Sign in first';
+  
+  // Allowed for the role, so it's someone else's content
+  return hasPermission(user, permission)
+    ? `Authors can only ${PERMISSION_LABELS[permission]} their own content`
+    : `${ROLE_LABELS[user.role]}s cannot ${PERMISSION_LABELS[permission]} content`;
+}
+
+// Authorship view in the metadata panel
+function setAuthorship(data) {
+  authorship = data ? {
+    author: data.author,
+    authorId: data.authorId,
+    lastEditor: data.lastEditor,
+    lastEditorId: data.lastEditorId,
+    timestamp: toISOTimestamp(data.timestamp)
+  } : null;
+  
+  const container = document.getElementById('authorship');
+  if (!authorship) {
+    container.innerHTML = '';
+    return;
   }
-};
+  
+  const parts = [`✍️ Created by <strong>${escapeHtml(authorship.author || 'unknown')}</strong>`];
+  if (authorship.lastEditor) {
+    parts.push(`last edited by <strong>${escapeHtml(authorship.lastEditor)}</strong>`);
+  }
+  parts.push(new Date(authorship.timestamp).toLocaleString());
+  container.innerHTML = parts.join(' · ');
+}
 
-// Publish content
-window.publishContent = async function() {
+// Save the editor content and move it to a workflow state
+window.transitionTo = async function(state) {
   try {
+    if (!canTransition(currentState, state)) {
+      alert(`Cannot go from ${WORKFLOW_LABELS[currentState]} to ${WORKFLOW_LABELS[state]}`);
+      return;
+    }
+    
+    const permission = permissionForTransition(currentState, state);
+    if (!hasPermission(getCurrentUser(), permission, authorship)) {
+      alert(deniedMessage(getCurrentUser(), permission));
+      return;
+    }
+    
     const data = await window.gatherAllData();
     
-    // Validate
     if (!data.title) {
       alert('Please enter a title');
       return;
     }
     
-    if (!data.statement || data.statement.length === 0) {
-      alert('Please add some content');
-      return;
+    // Drafts may be incomplete: report problems but save anyway
+    const blocking = VALIDATED_STATES.includes(state);
+    const errors = await validateEditorData(data);
+    if (errors.length > 0) {
+      showValidationErrors(errors, { blocking });
+      if (blocking) {
+        window.showNotification(`Cannot move to ${WORKFLOW_LABELS[state]}: ${errors.length} validation error(s)`, 'error');
+        return;
+      }
+    } else {
+      clearValidationErrors();
     }
     
-    if (data.contentType === 'problem' && (!data.solutions || data.solutions.length === 0)) {
-      if (!confirm('No solutions added. Publish anyway?')) {
+    if (state === 'published') {
+      if (data.contentType === 'problem' && (!data.solutions || data.solutions.length === 0)) {
+        if (!confirm('No solutions added. Publish anyway?')) {
+          return;
+        }
+      }
+      
+      if (!confirm('Publish this content? It will be publicly visible.')) {
         return;
       }
     }
     
-    if (!confirm('Publish this content? It will be publicly visible.')) {
+    if (state === 'archived' && !confirm('Archive this content? It will be removed from the public site.')) {
       return;
     }
     
-    showLoading('Publishing...');
-    
-    // Get or assign ID
-    let id = data.id;
-    if (!id) {
-      id = await getNextId(data.contentType);
-      document.getElementById('content-id').value = id;
-    }
+    showLoading(state === 'published' ? 'Publishing...' : 'Saving...');
     
-    // Prepare document
-    const collectionName = data.contentType === 'lesson' ? 'lessons' : 'problems';
-    const docData = {
-      id: id,
-      title: data.title,
-      category: data.category,
-      difficulty: data.difficulty,
-      tags: data.tags,
-      statement: data.statement,
-      solutions: data.solutions,
-      draft: false,
-      author: 'admin',
-      timestamp: serverTimestamp()
-    };
+    const id = await writeContent(data, state);
+    setWorkflowState(state);
     
-    // Save to Firestore
-    await setDoc(doc(db, collectionName, String(id)), docData);
+    hideLoading();
     
-    // Clear draft
-    localStorage.removeItem('az-math-draft');
+    if (state === 'published') {
+      window.showNotification('✓ Published successfully!', 'success');
+      offerToView(data.contentType, id);
+    } else if (errors.length > 0) {
+      window.showNotification(`✓ Saved as ${WORKFLOW_LABELS[state]} with ${errors.length} validation warning(s)`, 'warning');
+    } else {
+      window.showNotification(`✓ Saved as ${WORKFLOW_LABELS[state]}`, 'success');
+    }
     
+  } catch (error) {
     hideLoading();
-    window.showNotification('✓ Published successfully!', 'success');
+    console.error('Save error:', error);
+    alert('Failed to save: ' + error.message);
+  }
+};
+
+// Offer to view; the viewer reads from Firebase only
+async function offerToView(contentType, id) {
+  const { name } = await getBackend();
+  if (name === 'local') return;
+  
+  setTimeout(() => {
+    if (confirm('Content published! View it now?')) {
+      const page = contentType === 'lesson' ? 'lesson' : 'problem';
+      window.open(`../viewer/${page}.html?id=${id}`, '_blank');
+    }
+  }, 500);
+}
+
+// Write the editor data, allocating an ID for new content; returns the ID
+async function writeContent(data, state) {
+  const { repository } = await getBackend();
+  const user = getCurrentUser();
+  
+  let id = data.id;
+  if (!id) {
+    id = await allocateId(repository, data.contentType);
+  }
+  
+  // The backend keeps the original author of an existing document
+  const creator = authorship && ownsDocument(data.contentType, id)
+    ? { author: authorship.author, authorId: authorship.authorId }
+    : { author: user.name, authorId: user.uid };
+  
+  const docData = {
+    id: id,
+    title: data.title,
+    category: data.category,
+    difficulty: data.difficulty,
+    tags: data.tags,
+    statement: data.statement,
+    parts: data.parts,
+    solutions: data.solutions,
+    state: state,
+    draft: state !== 'published',
+    comments: getComments(),
+    ...creator,
+    lastEditor: user.name,
+    lastEditorId: user.uid
+  };
+  
+  const owned = ownsDocument(data.contentType, id);
+  let timestamp;
+  
+  try {
+    timestamp = await repository.save(data.contentType, docData, {
+      overwrite: owned,
+      expectedTimestamp: owned ? ownedDocument.timestamp : undefined
+    });
+  } catch (error) {
+    const label = data.contentType === 'lesson' ? 'lesson' : 'problem';
     
-    // Offer to view
-    setTimeout(() => {
-      if (confirm('Content published! View it now?')) {
-        const page = data.contentType === 'lesson' ? 'lesson' : 'problem';
-        window.open(`../viewer/${page}.html?id=${id}`, '_blank');
+    if (error instanceof ContentChangedError) {
+      // Someone saved this document after it was opened here
+      if (!confirm(`${error.message}. Overwrite those changes with yours?`)) {
+        throw new Error(`${error.message}; nothing was saved`);
+      }
+      timestamp = await repository.save(data.contentType, docData, { overwrite: true });
+      
+    } else if (error instanceof ContentConflictError) {
+      // The ID was typed in or came from an old local draft: never replace that document
+      if (!confirm(`${error.message} and was not opened in this editor. Save as a new ${label} instead?`)) {
+        throw new Error(`${error.message}; nothing was saved`);
       }
-    }, 500);
+      docData.id = id = await allocateId(repository, data.contentType);
+      docData.author = user.name;
+      docData.authorId = user.uid;
+      timestamp = await repository.save(data.contentType, docData);
+      
+    } else {
+      throw error;
+    }
+  }
+  
+  ownedDocument = { contentType: data.contentType, id, timestamp };
+  setAuthorship({ ...docData, timestamp });
+  await adoptSavedContent(data.contentType, id);
+  return id;
+}
+
+async function allocateId(repository, contentType) {
+  const id = await repository.allocateId(contentType);
+  document.getElementById('content-id').value = id;
+  ownedDocument = { contentType, id };
+  return id;
+}
+
+function ownsDocument(contentType, id) {
+  return ownedDocument !== null
+    && ownedDocument.contentType === contentType
+    && ownedDocument.id === id;
+}
+
+// Delete the saved content for good (admins only)
+window.deleteContent = async function() {
+  if (!ownedDocument?.timestamp || !hasPermission(getCurrentUser(), 'delete')) {
+    return;
+  }
+  
+  const { contentType, id } = ownedDocument;
+  const label = contentType === 'lesson' ? 'lesson' : 'problem';
+  
+  if (!confirm(`Delete ${label} #${id}? It is removed from the editor and the public site; its revision history is kept.`)) {
+    return;
+  }
+  
+  try {
+    showLoading('Deleting...');
+    const { repository } = await getBackend();
+    await repository.delete(contentType, id);
+    hideLoading();
+    
+    resetEditor();
+    window.showNotification(`✓ Deleted ${label} #${id}`, 'success');
     
   } catch (error) {
     hideLoading();
-    console.error('Publish error:', error);
-    alert('Failed to publish: ' + error.message);
+    console.error('Delete error:', error);
+    alert('Failed to delete: ' + error.message);
   }
 };
 
@@ -232,51 +598,29 @@ window.clearAll = function() {
     return;
   }
   
+  resetEditor();
+  window.showNotification('✓ Cleared', 'info');
+};
+
+function resetEditor() {
   // Clear inputs
+  ownedDocument = null;
+  setAuthorship(null);
+  setWorkflowState('draft');
+  setComments([]);
   document.getElementById('content-id').value = '';
   document.getElementById('content-title').value = '';
   document.getElementById('content-category').value = 'Algebra';
   document.getElementById('content-difficulty').value = 'Medium';
   document.getElementById('content-tags').value = '';
   
-  // Clear main editor
-  if (window.mainEditor) {
-    window.mainEditor.clear();
-  }
-  
-  // Clear solutions
-  document.getElementById('solutions-list').innerHTML = '';
-  window.solutionEditors = [];
+  // Clear main editor and solutions
+  window.clearEditors();
   
-  // Clear draft
-  localStorage.removeItem('az-math-draft');
+  // Only this content's draft; other drafts stay in My Drafts
+  discardCurrentDraft();
   
-  window.showNotification('✓ Cleared', 'info');
-};
-
-// Get next available ID
-async function getNextId(contentType) {
-  try {
-    const collectionName = contentType === 'lesson' ? 'lessons' : 'problems';
-    const q = query(
-      collection(db, collectionName),
-      orderBy('id', 'desc'),
-      limit(1)
-    );
-    
-    const snapshot = await getDocs(q);
-    
-    if (!snapshot.empty) {
-      const highestId = snapshot.docs[0].data().id;
-      return highestId + 1;
-    }
-    
-    return 1;
-    
-  } catch (error) {
-    console.warn('Error getting next ID:', error);
-    return Date.now() % 10000; // Fallback
-  }
+  clearValidationErrors();
 }
 
 // Loading overlay
@@ -299,3 +643,9 @@ function hideLoading() {
   const overlay = document.getElementById('loading-overlay');
   if (overlay) overlay.remove();
 }
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
@@ -1,6 +1,9 @@
 // editor/js/editor-setup.js
 // Initialize Editor.js instances
 
+import { autoSaveDraft, markDirty, whileLoading } from './drafts.js';
+import { createPart, gatherParts, clearParts } from './parts-editor.js';
+
 let mainEditor = null;
 let solutionEditors = [];
 let solutionCount = 0;
@@ -9,7 +12,7 @@ let solutionCount = 0;
 document.addEventListener('DOMContentLoaded', () => {
   initializeMainEditor();
   setupContentTypeListener();
-  checkForDraft();
+  setupSolutionsDropZone();
 });
 
 function initializeMainEditor() {
@@ -36,10 +39,26 @@ function initializeMainEditor() {
         inlineToolbar: true
       },
       
+      inlineMath: {
+        class: window.InlineMathTool
+      },
+      
       math: {
         class: window.MathTool
       },
       
+      choice: {
+        class: window.ChoiceTool
+      },
+      
+      table: {
+        class: window.TableTool
+      },
+      
+      environment: {
+        class: window.EnvironmentTool
+      },
+      
       image: {
         class: window.ImageWrapperTool
       }
@@ -47,6 +66,7 @@ function initializeMainEditor() {
     
     onChange: (api, event) => {
       console.log('Content changed');
+      markDirty();
       autoSaveDraft();
     }
   });
@@ -63,15 +83,27 @@ function setupContentTypeListener() {
       document.getElementById('main-section-title').textContent = 
         isLesson ? 'Lesson Content' : 'Problem Statement';
       
-      // Show/hide solutions
+      // Show/hide parts and solutions
+      document.getElementById('parts-section').style.display = 
+        isLesson ? 'none' : 'block';
       document.getElementById('solutions-section').style.display = 
         isLesson ? 'none' : 'block';
     });
   });
 }
 
-// Solution management
+// Default titles ("Solution 3") are renumbered to follow the on-screen order
+const DEFAULT_TITLE_REGEX = /^Solution \d+$/;
+
+// Solution management; resolves with the new { id, editor } once it is ready
 window.addSolution = function() {
+  return createSolution();
+};
+
+/**
+ * Add a solution editor at the end, or right after another solution
+ */
+function createSolution({ after = null, title = null } = {}) {
   solutionCount++;
   const solutionId = `solution-${solutionCount}`;
   
@@ -81,14 +113,24 @@ window.addSolution = function() {
   
   solutionItem.innerHTML = `
     <div class="solution-header">
+      <span class="solution-handle" tabindex="0" title="Drag to reorder (or focus and use ↑ ↓)">⠿</span>
       <input type="text" placeholder="Solution Title (e.g., Method 1: Factoring)" 
-             class="solution-title" value="Solution ${solutionCount}">
+             class="solution-title">
+      <button class="solution-action solution-collapse" title="Collapse">▾</button>
+      <button class="solution-action solution-duplicate" title="Duplicate as a new method">⧉</button>
       <button class="solution-remove" onclick="removeSolution('${solutionId}')">✕</button>
     </div>
-    <div id="${solutionId}"></div>
+    <div id="${solutionId}" class="solution-editor"></div>
   `;
   
-  document.getElementById('solutions-list').appendChild(solutionItem);
+  const list = document.getElementById('solutions-list');
+  const anchor = after ? list.querySelector(`[data-solution-id="${after}"]`) : null;
+  list.insertBefore(solutionItem, anchor ? anchor.nextSibling : null);
+  
+  solutionItem.querySelector('.solution-title').value = title ?? `Solution ${list.children.length}`;
+  solutionItem.querySelector('.solution-collapse').onclick = () => toggleSolution(solutionItem);
+  solutionItem.querySelector('.solution-duplicate').onclick = () => duplicateSolution(solutionId);
+  setupSolutionDrag(solutionItem);
   
   // Initialize editor for this solution
   const solutionEditor = new EditorJS({
@@ -109,25 +151,49 @@ window.addSolution = function() {
         inlineToolbar: true
       },
       
+      inlineMath: {
+        class: window.InlineMathTool
+      },
+      
       math: {
         class: window.MathTool
       },
       
+      choice: {
+        class: window.ChoiceTool
+      },
+      
+      table: {
+        class: window.TableTool
+      },
+      
+      environment: {
+        class: window.EnvironmentTool
+      },
+      
       image: {
         class: window.ImageWrapperTool
       }
     },
     
     onChange: () => {
+      markDirty();
       autoSaveDraft();
     }
   });
   
-  solutionEditors.push({
+  const entry = {
     id: solutionId,
     editor: solutionEditor
-  });
-};
+  };
+  solutionEditors.push(entry);
+  
+  if (anchor) {
+    renumberSolutions();
+  }
+  
+  return solutionEditor.isReady.then(() => entry);
+}
 
 window.removeSolution = function(solutionId) {
   if (!confirm('Remove this solution?')) return;
@@ -137,95 +203,195 @@ window.removeSolution = function(solutionId) {
   solutionItem.remove();
   
   // Remove from editors array
+  solutionEditors.find(s => s.id === solutionId)?.editor.destroy();
   solutionEditors = solutionEditors.filter(s => s.id !== solutionId);
   
-  autoSaveDraft();
+  solutionsChanged();
 };
 
-// Auto-save draft to localStorage
-let autoSaveTimeout;
-function autoSaveDraft() {
-  clearTimeout(autoSaveTimeout);
+// Start an alternative method from a copy of an existing one
+async function duplicateSolution(solutionId) {
+  const source = solutionEditors.find(s => s.id === solutionId);
+  const sourceItem = document.querySelector(`[data-solution-id="${solutionId}"]`);
+  const sourceTitle = sourceItem.querySelector('.solution-title').value.trim();
+  const { blocks } = await source.editor.save();
   
-  autoSaveTimeout = setTimeout(async () => {
-    try {
-      const data = await gatherAllData();
-      localStorage.setItem('az-math-draft', JSON.stringify({
-        ...data,
-        timestamp: Date.now()
-      }));
-      
-      console.log('✓ Draft auto-saved');
-    } catch (error) {
-      console.warn('Auto-save failed:', error);
+  const title = DEFAULT_TITLE_REGEX.test(sourceTitle) || !sourceTitle ? null : `${sourceTitle} (copy)`;
+  const { editor } = await createSolution({ after: solutionId, title });
+  
+  if (blocks.length > 0) {
+    await editor.render({ blocks });
+  }
+  
+  solutionsChanged();
+}
+
+function toggleSolution(solutionItem) {
+  const collapsed = solutionItem.classList.toggle('collapsed');
+  const button = solutionItem.querySelector('.solution-collapse');
+  button.textContent = collapsed ? '▸' : '▾';
+  button.title = collapsed ? 'Expand' : 'Collapse';
+}
+
+// Dragging starts from the handle only, so text in the editor stays selectable
+function setupSolutionDrag(solutionItem) {
+  const handle = solutionItem.querySelector('.solution-handle');
+  
+  handle.addEventListener('mousedown', () => { solutionItem.draggable = true; });
+  solutionItem.addEventListener('dragstart', (e) => {
+    e.dataTransfer.effectAllowed = 'move';
+    solutionItem.classList.add('dragging');
+  });
+  solutionItem.addEventListener('dragend', () => {
+    solutionItem.draggable = false;
+    solutionItem.classList.remove('dragging');
+    solutionsChanged();
+  });
+  
+  handle.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowUp' && solutionItem.previousElementSibling) {
+      solutionItem.parentNode.insertBefore(solutionItem, solutionItem.previousElementSibling);
+    } else if (e.key === 'ArrowDown' && solutionItem.nextElementSibling) {
+      solutionItem.parentNode.insertBefore(solutionItem.nextElementSibling, solutionItem);
+    } else {
+      return;
     }
-  }, 2000);
+    e.preventDefault();
+    handle.focus();
+    solutionsChanged();
+  });
+}
+
+function setupSolutionsDropZone() {
+  const list = document.getElementById('solutions-list');
+  
+  list.addEventListener('dragover', (e) => {
+    const dragging = list.querySelector('.solution-item.dragging');
+    if (!dragging) return;
+    e.preventDefault();
+    
+    // Insert before the first solution whose middle is below the pointer
+    const next = Array.from(list.querySelectorAll('.solution-item:not(.dragging)')).find(item => {
+      const box = item.getBoundingClientRect();
+      return e.clientY < box.top + box.height / 2;
+    });
+    list.insertBefore(dragging, next || null);
+  });
+}
+
+// Titles still at their default follow the on-screen position
+function renumberSolutions() {
+  document.querySelectorAll('#solutions-list .solution-item').forEach((item, index) => {
+    const input = item.querySelector('.solution-title');
+    if (DEFAULT_TITLE_REGEX.test(input.value.trim())) {
+      input.value = `Solution ${index + 1}`;
+    }
+  });
 }
 
-// Check for draft on load
-function checkForDraft() {
-  const draft = localStorage.getItem('az-math-draft');
+function solutionsChanged() {
+  renumberSolutions();
+  markDirty();
+  autoSaveDraft();
+}
+
+// Empty the main editor and remove every solution editor
+async function clearEditors() {
+  if (mainEditor) {
+    await mainEditor.isReady;
+    mainEditor.clear();
+  }
+  
+  clearParts();
   
-  if (draft) {
+  solutionEditors.forEach(({ editor }) => editor.destroy());
+  solutionEditors = [];
+  solutionCount = 0;
+  document.getElementById('solutions-list').innerHTML = '';
+}
+
+/**
+ * Load content into the editor: metadata, then the statement, then each
+ * solution in order, awaiting every Editor.js instance before rendering.
+ * Resolves with { ok, sections: [{ section, ok, error? }] }; a failing
+ * section is reported and the rest still load. Loading does not count as
+ * an edit of the draft.
+ */
+function loadContent(data) {
+  return whileLoading(() => loadSections(data));
+}
+
+async function loadSections(data) {
+  const sections = [];
+  
+  const load = async (section, task) => {
     try {
-      const data = JSON.parse(draft);
-      const age = Date.now() - data.timestamp;
-      const minutes = Math.floor(age / 60000);
-      
-      if (confirm(`Found draft from ${minutes} minute(s) ago. Restore it?`)) {
-        restoreDraft(data);
-      } else {
-        localStorage.removeItem('az-math-draft');
-      }
+      await task();
+      sections.push({ section, ok: true });
     } catch (error) {
-      console.warn('Failed to load draft:', error);
+      console.error(`Failed to load ${section}:`, error);
+      sections.push({ section, ok: false, error: error.message });
+    }
+  };
+  
+  await clearEditors();
+  
+  await load('metadata', () => restoreMetadata(data));
+  
+  await load(data.contentType === 'lesson' ? 'lesson content' : 'statement', async () => {
+    await mainEditor.isReady;
+    if (data.statement && data.statement.length > 0) {
+      await mainEditor.render({ blocks: data.statement });
     }
+  });
+  
+  for (const [index, part] of (data.parts || []).entries()) {
+    await load(`part (${part.label || index + 1})`, () => createPart(part));
   }
+  
+  for (const [index, solution] of (data.solutions || []).entries()) {
+    await load(`solution ${index + 1}`, async () => {
+      const { editor } = await createSolution({ title: solution.title || `Solution ${index + 1}` });
+      
+      if (solution.blocks && solution.blocks.length > 0) {
+        await editor.render({ blocks: solution.blocks });
+      }
+    });
+  }
+  
+  return { ok: sections.every(section => section.ok), sections };
 }
 
-async function restoreDraft(data) {
-  // Restore metadata
-  if (data.id) document.getElementById('content-id').value = data.id;
-  if (data.title) document.getElementById('content-title').value = data.title;
+function restoreMetadata(data) {
+  document.getElementById('content-id').value = data.id || '';
+  document.getElementById('content-title').value = data.title || '';
   if (data.category) document.getElementById('content-category').value = data.category;
   if (data.difficulty) document.getElementById('content-difficulty').value = data.difficulty;
-  if (data.tags) document.getElementById('content-tags').value = data.tags.join(', ');
+  document.getElementById('content-tags').value = (data.tags || []).join(', ');
   
   // Restore content type
   if (data.contentType) {
     const radio = document.querySelector(`input[name="content-type"][value="${data.contentType}"]`);
-    if (radio) {
-      radio.checked = true;
-      radio.dispatchEvent(new Event('change'));
+    if (!radio) {
+      throw new Error(`Unknown content type "${data.contentType}"`);
     }
+    radio.checked = true;
+    radio.dispatchEvent(new Event('change'));
   }
+}
+
+// Load content and report how it went
+async function restoreDraft(data, message = '✓ Draft restored') {
+  const report = await loadContent(data);
   
-  // Restore main content
-  if (data.statement && mainEditor) {
-    setTimeout(() => {
-      mainEditor.render({ blocks: data.statement });
-    }, 500);
-  }
-  
-  // Restore solutions
-  if (data.solutions && data.solutions.length > 0) {
-    data.solutions.forEach((solution, index) => {
-      addSolution();
-      
-      setTimeout(() => {
-        const solutionItem = document.querySelectorAll('.solution-item')[index];
-        const titleInput = solutionItem.querySelector('.solution-title');
-        titleInput.value = solution.title || `Solution ${index + 1}`;
-        
-        const solutionEditor = solutionEditors[index];
-        if (solutionEditor) {
-          solutionEditor.editor.render({ blocks: solution.blocks });
-        }
-      }, 700 + (index * 200));
-    });
+  if (report.ok) {
+    showNotification(message, 'success');
+  } else {
+    const failed = report.sections.filter(section => !section.ok).map(section => section.section);
+    showNotification(`⚠️ Could not load: ${failed.join(', ')}`, 'error');
   }
   
-  showNotification('✓ Draft restored', 'success');
+  return report;
 }
 
 // Gather all data from editors
@@ -247,11 +413,12 @@ async function gatherAllData() {
   // Get main content
   const mainData = await mainEditor.save();
   
-  // Get solutions (if problem)
+  // Get parts and solutions (if problem), in on-screen order
+  const parts = contentType === 'problem' ? await gatherParts() : [];
   let solutions = [];
   if (contentType === 'problem') {
-    for (const sol of solutionEditors) {
-      const solutionItem = document.querySelector(`[data-solution-id="${sol.id}"]`);
+    for (const solutionItem of document.querySelectorAll('#solutions-list .solution-item')) {
+      const sol = solutionEditors.find(s => s.id === solutionItem.dataset.solutionId);
       const title = solutionItem.querySelector('.solution-title').value.trim();
       const blocks = await sol.editor.save();
       
@@ -266,12 +433,16 @@ async function gatherAllData() {
     contentType,
     ...metadata,
     statement: mainData.blocks,
+    parts: parts,
     solutions: solutions
   };
 }
 
 // Export functions
 window.gatherAllData = gatherAllData;
+window.restoreDraft = restoreDraft;
+window.loadContent = loadContent;
+window.clearEditors = clearEditors;
 window.mainEditor = mainEditor;
 window.solutionEditors = solutionEditors;
 
@@ -0,0 +1,183 @@
+// editor/js/environment-tool.js
+// Custom Editor.js tool for definition, theorem, lemma, example, remark and proof blocks
+
+const ENVIRONMENT_KINDS = {
+  definition: 'Definition',
+  theorem: 'Theorem',
+  lemma: 'Lemma',
+  example: 'Example',
+  remark: 'Remark',
+  proof: 'Proof'
+};
+
+const NUMBERED_KINDS = ['definition', 'theorem', 'lemma', 'example'];
+
+let environmentCount = 0;
+
+class EnvironmentTool {
+  static get toolbox() {
+    return {
+      title: 'Theorem / Proof',
+      icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><path d="M7 8h6M7 12h10M7 16h7"/><path d="M17 15h2v2h-2z"/></svg>'
+    };
+  }
+
+  static get isReadOnlySupported() {
+    return true;
+  }
+
+  // Enter and Backspace belong to the child editor, not to this block
+  static get enableLineBreaks() {
+    return true;
+  }
+
+  /**
+   * config.nested: this block sits inside another environment, where only a proof may go
+   */
+  constructor({ data, config, readOnly, block }) {
+    this.readOnly = readOnly;
+    this.nested = config?.nested === true;
+    this.block = block;
+
+    this.data = {
+      kind: this.nested ? 'proof' : (data.kind || 'theorem'),
+      title: data.title || '',
+      number: data.number || '',
+      label: data.label || '',
+      blocks: data.blocks || []
+    };
+
+    this.wrapper = null;
+    this.childEditor = null;
+  }
+
+  render() {
+    this.wrapper = document.createElement('div');
+    this.wrapper.classList.add('environment-tool');
+
+    const fields = document.createElement('div');
+    fields.className = 'environment-fields';
+    fields.innerHTML = `
+      <select class="environment-kind" title="Kind"></select>
+      <input type="text" class="environment-title-input" maxlength="100" placeholder="Title (optional)">
+      <input type="text" class="environment-number" maxlength="10" placeholder="No. (auto)" title="Leave empty to number automatically">
+      <input type="text" class="environment-label" placeholder="Label for \\ref{...}" title="Refer to it in text with \\ref{label}">
+    `;
+
+    const kindSelect = fields.querySelector('.environment-kind');
+    const kinds = this.nested ? ['proof'] : Object.keys(ENVIRONMENT_KINDS);
+    kinds.forEach(kind => {
+      const option = document.createElement('option');
+      option.value = kind;
+      option.textContent = ENVIRONMENT_KINDS[kind];
+      kindSelect.appendChild(option);
+    });
+    kindSelect.value = this.data.kind;
+    kindSelect.onchange = () => this.updateKind(kindSelect.value);
+
+    fields.querySelector('.environment-title-input').value = this.data.title;
+    fields.querySelector('.environment-number').value = this.data.number;
+    fields.querySelector('.environment-label').value = this.data.label;
+    fields.querySelectorAll('select, input').forEach(field => {
+      field.disabled = this.readOnly;
+    });
+
+    const holder = document.createElement('div');
+    holder.className = 'environment-editor';
+    holder.id = `environment-editor-${++environmentCount}`;
+
+    // Keys and pastes inside the child editor must not reach the outer one
+    ['keydown', 'paste'].forEach(type => holder.addEventListener(type, event => event.stopPropagation()));
+
+    this.wrapper.appendChild(fields);
+    this.wrapper.appendChild(holder);
+
+    this.updateKind(this.data.kind);
+    this.createChildEditor(holder);
+    return this.wrapper;
+  }
+
+  // Only numbered kinds take a number and a label; a proof can't hold another environment
+  updateKind(kind) {
+    this.data.kind = kind;
+    this.wrapper.dataset.kind = kind;
+
+    const numbered = NUMBERED_KINDS.includes(kind);
+    this.wrapper.querySelector('.environment-number').classList.toggle('hidden', !numbered);
+    this.wrapper.querySelector('.environment-label').classList.toggle('hidden', !numbered);
+  }
+
+  createChildEditor(holder) {
+    const tools = {
+      list: {
+        class: List,
+        inlineToolbar: true
+      },
+
+      inlineMath: {
+        class: window.InlineMathTool
+      },
+
+      math: {
+        class: window.MathTool
+      },
+
+      table: {
+        class: window.TableTool
+      },
+
+      image: {
+        class: window.ImageWrapperTool
+      }
+    };
+
+    if (!this.nested) {
+      tools.environment = {
+        class: EnvironmentTool,
+        config: { nested: true }
+      };
+    }
+
+    // The child editor is created after the block is in the page
+    requestAnimationFrame(() => {
+      this.childEditor = new EditorJS({
+        holder,
+        minHeight: 0,
+        readOnly: this.readOnly,
+        placeholder: 'Write the statement...',
+        data: this.data.blocks.length > 0 ? { blocks: this.data.blocks } : undefined,
+        tools,
+        onChange: () => {
+          this.block?.dispatchChange();
+        }
+      });
+    });
+  }
+
+  async save() {
+    const data = {
+      kind: this.wrapper.querySelector('.environment-kind').value,
+      blocks: this.data.blocks
+    };
+
+    if (this.childEditor) {
+      await this.childEditor.isReady;
+      data.blocks = (await this.childEditor.save()).blocks;
+    }
+
+    // Empty fields are dropped when the content is converted
+    const numbered = NUMBERED_KINDS.includes(data.kind);
+    data.title = this.wrapper.querySelector('.environment-title-input').value.trim();
+    data.number = numbered ? this.wrapper.querySelector('.environment-number').value.trim() : '';
+    data.label = numbered ? this.wrapper.querySelector('.environment-label').value.trim() : '';
+
+    return data;
+  }
+
+  destroy() {
+    this.childEditor?.destroy?.();
+  }
+}
+
+// Export for Editor.js
+window.EnvironmentTool = EnvironmentTool;
@@ -0,0 +1,258 @@
+// editor/js/history-panel.js
+// Revision history: list saved revisions, diff any two, restore one into the editor
+
+import { getBackend } from '../../shared/js/storage.js';
+import {
+  fromEditorData,
+  diffContent,
+  HTMLRenderer,
+  WORKFLOW_LABELS,
+  getWorkflowState
+} from '../../shared/js/core.js';
+
+// Pseudo revision for what is in the editor right now
+const CURRENT = 'current';
+
+const renderer = new HTMLRenderer({ includeMetadata: false });
+
+let revisions = [];
+let currentData = null;
+let contentType = 'problem';
+
+window.openHistory = async function() {
+  const data = await window.gatherAllData();
+
+  if (!data.id) {
+    alert('Save this content first: history starts with the first save');
+    return;
+  }
+
+  contentType = data.contentType;
+  currentData = data;
+
+  const modal = document.getElementById('history-modal');
+  const list = document.getElementById('history-list');
+  const diff = document.getElementById('history-diff');
+  list.innerHTML = '<div class="spinner"></div>';
+  diff.innerHTML = '';
+  modal.classList.remove('hidden');
+
+  try {
+    const { repository } = await getBackend();
+    revisions = (await repository.listRevisions(contentType, data.id)).reverse();
+
+    // The editor has no workflow state or author of its own; don't report those as changes
+    if (revisions.length > 0) {
+      const { draft, state, author } = revisions[0].data;
+      currentData = { ...data, draft, state, author };
+    }
+  } catch (error) {
+    console.error('History error:', error);
+    list.innerHTML = '';
+    alert('Failed to load history: ' + error.message);
+    return;
+  }
+
+  renderRevisionList();
+
+  // Default: what changed since the latest saved revision
+  if (revisions.length > 0) {
+    showDiff(String(revisions[0].revision), CURRENT);
+  } else {
+    diff.innerHTML = '<p class="text-gray">No revisions saved yet.</p>';
+  }
+};
+
+window.closeHistory = function() {
+  document.getElementById('history-modal').classList.add('hidden');
+};
+
+function renderRevisionList() {
+  const list = document.getElementById('history-list');
+
+  const rows = [
+    { key: CURRENT, label: 'Current editor', meta: 'Unsaved', badge: '' },
+    ...revisions.map(revision => ({
+      key: String(revision.revision),
+      label: `Revision ${revision.revision}`,
+      meta: `${new Date(revision.timestamp).toLocaleString()} · ${revision.author}`,
+      badge: renderStateBadge(revision.state ?? getWorkflowState(revision.data))
+    }))
+  ];
+
+  list.innerHTML = `
+    <div class="history-row history-row-header">
+      <span>From</span><span>To</span><span></span>
+    </div>
+    ${rows.map(row => `
+      <div class="history-row" data-key="${row.key}">
+        <input type="radio" name="history-from" value="${row.key}" title="Compare from">
+        <input type="radio" name="history-to" value="${row.key}" title="Compare to">
+        <div class="history-row-info">
+          <strong>${escapeHtml(row.label)}</strong> ${row.badge}
+          <div class="text-sm text-gray">${escapeHtml(row.meta)}</div>
+        </div>
+        ${row.key === CURRENT ? '' : '<button class="btn btn-sm btn-outline history-restore">↩️ Restore</button>'}
+      </div>
+    `).join('')}
+  `;
+
+  list.querySelectorAll('input[type="radio"]').forEach(radio => {
+    radio.onchange = () => {
+      const from = list.querySelector('input[name="history-from"]:checked');
+      const to = list.querySelector('input[name="history-to"]:checked');
+      if (from && to) showDiff(from.value, to.value);
+    };
+  });
+
+  list.querySelectorAll('.history-restore').forEach(button => {
+    button.onclick = () => restoreRevision(button.closest('.history-row').dataset.key);
+  });
+}
+
+function renderStateBadge(state) {
+  const className = state === 'published' ? 'badge-success' : 'badge-warning';
+  return `<span class="badge ${className}">${WORKFLOW_LABELS[state]}</span>`;
+}
+
+function getData(key) {
+  if (key === CURRENT) return currentData;
+  return revisions.find(revision => String(revision.revision) === key).data;
+}
+
+function getLabel(key) {
+  return key === CURRENT ? 'current editor' : `revision ${key}`;
+}
+
+function showDiff(fromKey, toKey) {
+  const list = document.getElementById('history-list');
+  list.querySelector(`input[name="history-from"][value="${fromKey}"]`).checked = true;
+  list.querySelector(`input[name="history-to"][value="${toKey}"]`).checked = true;
+
+  const diff = diffContent(
+    fromEditorData(getData(fromKey), { contentType }),
+    fromEditorData(getData(toKey), { contentType })
+  );
+
+  const container = document.getElementById('history-diff');
+  container.innerHTML = `
+    <h4>Changes from ${getLabel(fromKey)} to ${getLabel(toKey)}</h4>
+    ${diff.changed ? '' : '<p class="text-gray">No differences.</p>'}
+    ${renderMetadataChanges(diff.metadata)}
+    ${diff.statement.some(change => change.type !== 'unchanged') ? `
+      <h5>${contentType === 'lesson' ? 'Lesson Content' : 'Problem Statement'}</h5>
+      ${renderBlockChanges(diff.statement)}
+    ` : ''}
+    ${diff.parts.filter(part => part.type !== 'unchanged').map(part => `
+      <h5>
+        Part (${escapeHtml((part.after || part.before).label)})
+        <span class="diff-badge diff-badge-${part.type}">${part.type}</span>
+      </h5>
+      ${part.before && part.after && part.before.label !== part.after.label
+        ? `<p class="text-sm">Label: <del>${escapeHtml(part.before.label)}</del> → <ins>${escapeHtml(part.after.label)}</ins></p>`
+        : ''}
+      ${renderBlockChanges(part.statement)}
+      ${part.answer ? `<p class="text-sm">Answer:</p><pre class="diff-text">${part.answer.map(renderTextChange).join('')}</pre>` : ''}
+      ${part.hints ? `<p class="text-sm">Hints:</p><pre class="diff-text">${part.hints.map(renderTextChange).join('')}</pre>` : ''}
+    `).join('')}
+    ${diff.solutions.filter(solution => solution.type !== 'unchanged').map(solution => `
+      <h5>
+        ${escapeHtml((solution.after || solution.before).title)}
+        <span class="diff-badge diff-badge-${solution.type}">${solution.type}</span>
+      </h5>
+      ${solution.before && solution.after && solution.before.title !== solution.after.title
+        ? `<p class="text-sm">Title: <del>${escapeHtml(solution.before.title)}</del> → <ins>${escapeHtml(solution.after.title)}</ins></p>`
+        : ''}
+      ${renderBlockChanges(solution.blocks)}
+    `).join('')}
+  `;
+
+  if (window.MathJax && window.MathJax.typesetPromise) {
+    window.MathJax.typesetPromise([container]);
+  }
+}
+
+function renderMetadataChanges(changes) {
+  if (changes.length === 0) return '';
+
+  return `
+    <table class="diff-metadata">
+      ${changes.map(change => `
+        <tr>
+          <th>${escapeHtml(change.field)}</th>
+          <td><del>${escapeHtml(formatValue(change.before))}</del></td>
+          <td><ins>${escapeHtml(formatValue(change.after))}</ins></td>
+        </tr>
+      `).join('')}
+    </table>
+  `;
+}
+
+// Unchanged runs collapse to a one-line marker
+function renderBlockChanges(changes) {
+  const parts = [];
+  let unchanged = 0;
+
+  const flushUnchanged = () => {
+    if (unchanged > 0) {
+      parts.push(`<div class="diff-unchanged">… ${unchanged} unchanged block(s)</div>`);
+      unchanged = 0;
+    }
+  };
+
+  changes.forEach(change => {
+    if (change.type === 'unchanged') {
+      unchanged++;
+      return;
+    }
+
+    flushUnchanged();
+
+    if (change.type === 'changed') {
+      parts.push(`
+        <div class="diff-block diff-changed">
+          <span class="diff-badge diff-badge-changed">${change.after.type} changed</span>
+          <pre class="diff-text">${change.textDiff.map(renderTextChange).join('')}</pre>
+        </div>
+      `);
+    } else {
+      const block = change.after || change.before;
+      parts.push(`
+        <div class="diff-block diff-${change.type}">
+          <span class="diff-badge diff-badge-${change.type}">${block.type} ${change.type}</span>
+          ${renderer.renderBlocks([block])}
+        </div>
+      `);
+    }
+  });
+
+  flushUnchanged();
+  return parts.join('');
+}
+
+function renderTextChange(change) {
+  const text = escapeHtml(change.text);
+  if (change.type === 'insert') return `<ins>${text}</ins>`;
+  if (change.type === 'delete') return `<del>${text}</del>`;
+  return text;
+}
+
+function restoreRevision(key) {
+  if (!confirm(`Replace the editor content with revision ${key}? Unsaved changes will be lost.`)) {
+    return;
+  }
+
+  window.restoreDraft({ ...getData(key), contentType }, `✓ Restored revision ${key}; save to keep it`);
+  window.closeHistory();
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value ?? '');
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
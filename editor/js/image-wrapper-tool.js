@@ -1,7 +1,7 @@
 // editor/js/image-wrapper-tool.js
 // Custom Editor.js image tool with perfect text wrapping
 
-import { storage, ref, uploadBytes, getDownloadURL } from '../../shared/js/firebase-config.js';
+import { getBackend } from '../../shared/js/storage.js';
 
 class ImageWrapperTool {
   static get toolbox() {
@@ -336,10 +336,9 @@ class ImageWrapperTool {
         if (selectedFile) {
           const timestamp = Date.now();
           const filename = `image_${timestamp}.jpg`;
-          const storageRef = ref(storage, `editor_images/${filename}`);
+          const { assets } = await getBackend();
           
-          await uploadBytes(storageRef, selectedFile);
-          tempUrl = await getDownloadURL(storageRef);
+          tempUrl = await assets.upload(`editor_images/${filename}`, selectedFile);
         }
         
         // Update data
@@ -0,0 +1,126 @@
+// editor/js/inline-math-tool.js
+// Editor.js inline tool that turns selected text into inline math
+
+import { INLINE_MATH_CLASS } from '../../shared/js/core.js';
+import { loadMathJax } from '../../shared/js/macros.js';
+import { openMathModal } from './math-tool.js';
+
+// Spans already typeset in the editor
+const rendered = new WeakSet();
+
+/**
+ * The span keeps its LaTeX in data-latex and the typeset formula inside;
+ * fromEditorData turns it back into <span class="inline-math">LaTeX</span>
+ */
+class InlineMathTool {
+  static get isInline() {
+    return true;
+  }
+
+  static get title() {
+    return 'Inline Math';
+  }
+
+  static get shortcut() {
+    return 'CMD+M';
+  }
+
+  // Keep the span and its LaTeX when Editor.js cleans the block's HTML
+  static get sanitize() {
+    return {
+      span: {
+        class: INLINE_MATH_CLASS,
+        'data-latex': true
+      }
+    };
+  }
+
+  constructor({ api }) {
+    this.api = api;
+    this.button = null;
+  }
+
+  render() {
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.classList.add(this.api.styles.inlineToolButton);
+    this.button.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 4H6l6 8-6 8h12"/></svg>';
+    return this.button;
+  }
+
+  // Wrap the selection as math, or turn the math it sits in back into text
+  surround(range) {
+    const current = findInlineMath(range.commonAncestorContainer);
+    if (current) {
+      current.replaceWith(document.createTextNode(current.dataset.latex || current.textContent));
+      return;
+    }
+
+    // Selected "$x^2$" becomes x^2
+    const latex = range.toString().trim().replace(/^\$+|\$+$/g, '');
+    const span = document.createElement('span');
+    span.className = INLINE_MATH_CLASS;
+    span.textContent = latex;
+
+    range.deleteContents();
+    range.insertNode(span);
+    renderInlineMath(span);
+
+    if (!latex) {
+      editInlineMath(span);
+    }
+  }
+
+  checkState() {
+    const active = Boolean(findInlineMath(window.getSelection().anchorNode));
+    this.button.classList.toggle(this.api.styles.inlineToolButtonActive, active);
+    return active;
+  }
+}
+
+function findInlineMath(node) {
+  const element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+  return element?.closest?.(`.${INLINE_MATH_CLASS}`) ?? null;
+}
+
+/**
+ * Typeset one span in place; it can't be typed into, only edited through the dialog
+ */
+function renderInlineMath(span) {
+  const latex = span.dataset.latex ?? span.textContent;
+
+  rendered.add(span);
+  span.dataset.latex = latex;
+  span.contentEditable = 'false';
+  span.title = 'Click to edit';
+  span.textContent = `$${latex}$`;
+
+  loadMathJax()
+    .then(() => window.MathJax.typesetPromise([span]))
+    .catch(err => console.error('MathJax error:', err));
+}
+
+function editInlineMath(span) {
+  openMathModal({ latex: span.dataset.latex, display: false }, ({ latex }) => {
+    span.dataset.latex = latex;
+    renderInlineMath(span);
+  }, { inlineOnly: true });
+}
+
+// Spans arrive with saved content, drafts and pasted text; typeset each once
+new MutationObserver(() => {
+  document.querySelectorAll(`.codex-editor .${INLINE_MATH_CLASS}`).forEach(span => {
+    if (!rendered.has(span)) renderInlineMath(span);
+  });
+}).observe(document.body, { childList: true, subtree: true });
+
+document.addEventListener('click', event => {
+  const span = event.target.closest?.(`.codex-editor .${INLINE_MATH_CLASS}`);
+  if (span && span.parentElement.isContentEditable) {
+    event.preventDefault();
+    editInlineMath(span);
+  }
+});
+
+// Export for Editor.js
+window.InlineMathTool = InlineMathTool;
@@ -0,0 +1,240 @@
+// editor/js/latex-input.js
+// LaTeX textarea helpers for the math dialog: snippets with placeholders,
+// \command autocompletion and bracket pairing
+
+import { LATEX_MACROS, LATEX_ENVIRONMENTS } from '../../shared/js/core.js';
+import { getMacros } from '../../shared/js/macros.js';
+import { PALETTE, PLACEHOLDER } from './math-palette.js';
+
+const COMPLETION_LIMIT = 8;
+
+const BRACKETS = { '{': '}', '(': ')', '[': ']' };
+
+// Braced arguments a completed command gets placeholders for
+const COMMAND_ARGUMENTS = {
+  frac: 2, dfrac: 2, tfrac: 2, cfrac: 2, binom: 2, dbinom: 2, tbinom: 2,
+  overset: 2, underset: 2, stackrel: 2, textcolor: 2,
+  sqrt: 1, text: 1, textrm: 1, textbf: 1, textit: 1, mbox: 1, operatorname: 1,
+  mathbb: 1, mathcal: 1, mathrm: 1, mathbf: 1, mathit: 1, mathsf: 1, mathtt: 1, mathfrak: 1, mathscr: 1,
+  boldsymbol: 1, hat: 1, widehat: 1, tilde: 1, widetilde: 1, bar: 1, overline: 1, underline: 1,
+  vec: 1, dot: 1, ddot: 1, overbrace: 1, underbrace: 1, boxed: 1, cancel: 1,
+  xrightarrow: 1, xleftarrow: 1, phantom: 1, hspace: 1, color: 1
+};
+
+// Palette glyphs shown next to completions, by command
+const GLYPHS = new Map();
+PALETTE.forEach(category => category.snippets.forEach(({ label, latex }) => {
+  const command = latex.match(/^\\([A-Za-z]+)$/);
+  if (command) GLYPHS.set(command[1], label);
+}));
+
+/**
+ * Insert a snippet at the cursor. Selected text fills the first placeholder
+ * (select x, insert \sqrt{□} for \sqrt{x}); the next one is then selected.
+ */
+export function insertSnippet(input, latex) {
+  const { selectionStart: start, selectionEnd: end } = input;
+  const selected = input.value.slice(start, end);
+  const text = selected && latex.includes(PLACEHOLDER) ? latex.replace(PLACEHOLDER, selected) : latex;
+
+  input.focus();
+  input.setRangeText(text, start, end, 'end');
+
+  const placeholder = input.value.indexOf(PLACEHOLDER, start);
+  if (placeholder !== -1 && placeholder < start + text.length) {
+    input.setSelectionRange(placeholder, placeholder + 1);
+  }
+  input.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Select the next (or previous) placeholder, wrapping around; false when there is none
+ */
+export function selectPlaceholder(input, backwards = false) {
+  const { value, selectionStart, selectionEnd } = input;
+  let index = backwards
+    ? value.lastIndexOf(PLACEHOLDER, selectionStart - 1)
+    : value.indexOf(PLACEHOLDER, selectionEnd);
+
+  if (index === -1) {
+    index = backwards ? value.lastIndexOf(PLACEHOLDER) : value.indexOf(PLACEHOLDER);
+  }
+  if (index === -1) return false;
+
+  input.setSelectionRange(index, index + 1);
+  return true;
+}
+
+/**
+ * Autocompletion for the command before the cursor, shown in list; onComplete
+ * gets each accepted { label, latex } snippet. Returns a keydown handler that
+ * claims the keys it used while the list is open.
+ */
+export function attachCompletion(input, list, onComplete) {
+  let matches = [];
+  let active = 0;
+
+  const close = () => {
+    matches = [];
+    list.innerHTML = '';
+    list.classList.add('hidden');
+  };
+
+  const accept = (index) => {
+    const match = matches[index];
+    const prefix = commandBeforeCursor(input);
+    close();
+    if (!match || prefix === null) return;
+
+    const end = input.selectionStart;
+    input.setRangeText('', end - prefix.length - 1, end, 'start');
+    insertSnippet(input, match.latex);
+    onComplete({ label: match.glyph ?? match.text, latex: match.latex });
+  };
+
+  const render = () => {
+    list.innerHTML = '';
+    list.classList.toggle('hidden', matches.length === 0);
+
+    matches.forEach((match, index) => {
+      const item = document.createElement('li');
+      item.className = 'math-completion';
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(index === active));
+      item.innerHTML = '<code></code><span></span>';
+      item.querySelector('code').textContent = match.text;
+      item.querySelector('span').textContent = match.glyph ?? match.description ?? '';
+      // mousedown, so the textarea keeps focus and its cursor
+      item.onmousedown = (event) => {
+        event.preventDefault();
+        accept(index);
+      };
+      list.appendChild(item);
+    });
+  };
+
+  const update = async (force = false) => {
+    const prefix = commandBeforeCursor(input);
+    if (prefix === null || (!prefix && !force)) {
+      close();
+      return;
+    }
+
+    const candidates = await completions();
+    matches = candidates
+      .filter(candidate => candidate.name.startsWith(prefix) && candidate.name !== prefix)
+      .sort((a, b) => a.name.length - b.name.length || a.name.localeCompare(b.name))
+      .slice(0, COMPLETION_LIMIT);
+    active = 0;
+    render();
+  };
+
+  // Only typing opens the list, not snippets inserted from code
+  input.addEventListener('input', (event) => {
+    if (event.isTrusted) update();
+  });
+  input.addEventListener('blur', close);
+
+  return (event) => {
+    if (event.key === ' ' && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      update(true);
+      return true;
+    }
+
+    // Ctrl+Enter still saves with the list open
+    if (matches.length === 0 || event.ctrlKey || event.metaKey) return false;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      active = (active + step + matches.length) % matches.length;
+      render();
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+      accept(active);
+    } else if (event.key === 'Escape') {
+      close();
+    } else {
+      return false;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    return true;
+  };
+}
+
+/**
+ * Close brackets as they are typed, type over a closing bracket that is
+ * already there and delete an empty pair together; closing \begin{...}
+ * adds its \end. Returns whether the key was handled.
+ */
+export function pairBrackets(input, event) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return false;
+
+  const { value, selectionStart: start, selectionEnd: end } = input;
+  const before = value[start - 1];
+  const after = value[end];
+
+  if (BRACKETS[event.key]) {
+    // \{ closes with \}
+    const close = event.key === '{' && before === '\\' ? '\\}' : BRACKETS[event.key];
+    input.setRangeText(event.key + value.slice(start, end) + close, start, end, 'end');
+    input.setSelectionRange(start + 1, end + 1);
+  } else if (Object.values(BRACKETS).includes(event.key) && start === end && after === event.key) {
+    input.setSelectionRange(start + 1, start + 1);
+    if (event.key === '}') closeEnvironment(input);
+  } else if (event.key === 'Backspace' && start === end && before && BRACKETS[before] === after) {
+    input.setRangeText('', start - 1, start + 1, 'end');
+  } else {
+    return false;
+  }
+
+  event.preventDefault();
+  input.dispatchEvent(new Event('input'));
+  return true;
+}
+
+// Right after \begin{cases} is closed, add its \end{cases} below with an empty line between
+function closeEnvironment(input) {
+  const start = input.selectionStart;
+  const environment = input.value.slice(0, start).match(/\\begin\{([^{}]+)\}$/)?.[1];
+  if (!environment || input.value.includes(`\\end{${environment}}`, start)) return;
+
+  input.setRangeText(`\n\n\\end{${environment}}`, start, start, 'start');
+  input.setSelectionRange(start + 1, start + 1);
+}
+
+// Letters of the \command being typed, '' right after a backslash, null outside one
+function commandBeforeCursor(input) {
+  if (input.selectionStart !== input.selectionEnd) return null;
+
+  const match = input.value.slice(0, input.selectionStart).match(/(^|[^\\])\\([A-Za-z]*)$/);
+  return match ? match[2] : null;
+}
+
+// Built-in commands, the macro library and \begin{...} with its \end
+async function completions() {
+  const commands = LATEX_MACROS
+    .filter(name => name !== 'begin' && name !== 'end')
+    .map(name => ({
+      name,
+      text: `\\${name}`,
+      glyph: GLYPHS.get(name),
+      latex: `\\${name}${`{${PLACEHOLDER}}`.repeat(COMMAND_ARGUMENTS[name] ?? 0)}`
+    }));
+
+  const macros = (await getMacros()).map(({ name, args, description }) => ({
+    name,
+    text: `\\${name}`,
+    description,
+    latex: `\\${name}${`{${PLACEHOLDER}}`.repeat(args ?? 0)}`
+  }));
+
+  const environments = LATEX_ENVIRONMENTS.map(environment => ({
+    name: `begin{${environment}}`,
+    text: `\\begin{${environment}}`,
+    latex: `\\begin{${environment}}\n${PLACEHOLDER}\n\\end{${environment}}`
+  }));
+
+  return [...commands, ...macros, ...environments];
+}
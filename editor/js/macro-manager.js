@@ -0,0 +1,179 @@
+// editor/js/macro-manager.js
+// Admin page for the collection's LaTeX macro library
+
+import { getBackend } from '../../shared/js/storage.js';
+import { validateMacros, hasPermission, DEFAULT_MACROS } from '../../shared/js/core.js';
+import { getMacros } from '../../shared/js/macros.js';
+import { getCurrentUser, onUserChange } from './auth-gate.js';
+
+// Filled in for #1, #2, ... in previews
+const PREVIEW_ARGUMENTS = ['x', 'y', 'z', 'a', 'b', 'c', 'm', 'n', 'k'];
+
+let previewTimeout;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  onUserChange(updatePermissions);
+
+  document.getElementById('add-macro-btn').onclick = () => {
+    addRow({ name: '', body: '' }).querySelector('.macro-name').focus();
+  };
+  document.getElementById('default-macros-btn').onclick = addMissingDefaults;
+  document.getElementById('save-macros-btn').onclick = saveMacros;
+
+  (await getMacros()).forEach(addRow);
+  updatePermissions();
+  showErrors();
+  updatePreviews();
+});
+
+function addRow(macro) {
+  const row = document.createElement('tr');
+  row.className = 'macro-row';
+  row.innerHTML = `
+    <td><span class="macro-backslash">\\</span><input type="text" class="macro-name" placeholder="R" title="Letters only"></td>
+    <td><input type="number" class="macro-args" min="0" max="9" placeholder="0"></td>
+    <td><input type="text" class="macro-body" placeholder="\\mathbb{R}"></td>
+    <td><input type="text" class="macro-description" placeholder="Real numbers"></td>
+    <td class="macro-preview"></td>
+    <td><button class="btn btn-sm btn-secondary macro-edit" title="Remove macro">✕</button></td>
+  `;
+
+  row.querySelector('.macro-name').value = macro.name;
+  row.querySelector('.macro-args').value = macro.args ?? '';
+  row.querySelector('.macro-body').value = macro.body;
+  row.querySelector('.macro-description').value = macro.description ?? '';
+
+  row.querySelectorAll('input').forEach(input => input.addEventListener('input', onEdit));
+  row.querySelector('button').onclick = () => {
+    row.remove();
+    onEdit();
+  };
+
+  document.getElementById('macro-rows').appendChild(row);
+  updatePermissions();
+  return row;
+}
+
+function onEdit() {
+  document.getElementById('macros-status').textContent = 'Unsaved changes';
+  showErrors();
+
+  clearTimeout(previewTimeout);
+  previewTimeout = setTimeout(updatePreviews, 500);
+}
+
+/**
+ * The rows as macro definitions; empty optional fields are left out
+ */
+function readMacros() {
+  return Array.from(document.querySelectorAll('#macro-rows .macro-row')).map(row => {
+    const macro = {
+      name: row.querySelector('.macro-name').value.trim(),
+      body: row.querySelector('.macro-body').value.trim()
+    };
+
+    const args = row.querySelector('.macro-args').value;
+    const description = row.querySelector('.macro-description').value.trim();
+    if (args !== '' && Number(args) !== 0) macro.args = Number(args);
+    if (description) macro.description = description;
+    return macro;
+  });
+}
+
+// Errors are listed under the table and their rows marked
+function showErrors() {
+  const errors = validateMacros(readMacros());
+  const rows = document.querySelectorAll('#macro-rows .macro-row');
+  const list = document.getElementById('macro-errors');
+
+  rows.forEach(row => row.classList.remove('macro-row-error'));
+  list.innerHTML = '';
+  list.classList.toggle('hidden', errors.length === 0);
+
+  errors.forEach(error => {
+    const index = parseInt(error.path.match(/^macros\[(\d+)\]/)?.[1]);
+    const row = rows[index];
+    row?.classList.add('macro-row-error');
+
+    const item = document.createElement('li');
+    const name = row?.querySelector('.macro-name').value.trim();
+    item.textContent = `${name ? `\\${name}` : `Row ${index + 1}`}: ${error.message}`;
+    list.appendChild(item);
+  });
+
+  return errors;
+}
+
+// Each preview defines the valid rows with \def, so unsaved edits show up
+async function updatePreviews() {
+  const rows = Array.from(document.querySelectorAll('#macro-rows .macro-row'));
+  const macros = readMacros();
+  const valid = macros.filter((macro, index) => !rows[index].classList.contains('macro-row-error'));
+  const definitions = valid
+    .map(({ name, body, args }) => `\\def\\${name}${Array.from({ length: args ?? 0 }, (_, i) => `#${i + 1}`).join('')}{${body}}`)
+    .join('');
+
+  rows.forEach((row, index) => {
+    const preview = row.querySelector('.macro-preview');
+    const { name, args } = macros[index];
+
+    if (!valid.includes(macros[index]) || !name) {
+      preview.textContent = '';
+      return;
+    }
+
+    const example = `\\${name}${PREVIEW_ARGUMENTS.slice(0, args ?? 0).map(arg => `{${arg}}`).join('')}`;
+    preview.textContent = `$${definitions}${example}$`;
+    preview.title = example;
+  });
+
+  if (window.MathJax?.typesetPromise) {
+    window.MathJax.typesetPromise([document.getElementById('macro-rows')]).catch(err => {
+      console.error('MathJax error:', err);
+    });
+  }
+}
+
+function addMissingDefaults() {
+  const names = readMacros().map(macro => macro.name);
+  const missing = DEFAULT_MACROS.filter(macro => !names.includes(macro.name));
+
+  missing.forEach(addRow);
+  if (missing.length > 0) onEdit();
+}
+
+async function saveMacros() {
+  const status = document.getElementById('macros-status');
+
+  if (!hasPermission(getCurrentUser(), 'macros')) {
+    alert('Only admins can edit the macro library');
+    return;
+  }
+
+  if (showErrors().length > 0) {
+    status.textContent = 'Fix the errors before saving';
+    return;
+  }
+
+  try {
+    const { repository } = await getBackend();
+    await repository.saveMacros(readMacros());
+    status.textContent = '✓ Saved';
+  } catch (error) {
+    console.error('Failed to save macros:', error);
+    alert('Failed to save the macro library: ' + error.message);
+  }
+}
+
+// Everyone signed in may look; only admins may change anything
+function updatePermissions() {
+  const canEdit = hasPermission(getCurrentUser(), 'macros');
+
+  document.getElementById('macros-readonly').classList.toggle('hidden', canEdit || !getCurrentUser());
+  document.querySelectorAll('#macro-rows input').forEach(input => {
+    input.disabled = !canEdit;
+  });
+  document.querySelectorAll('.macro-edit').forEach(button => {
+    button.classList.toggle('hidden', !canEdit);
+  });
+}
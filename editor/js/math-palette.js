@@ -0,0 +1,194 @@
+// editor/js/math-palette.js
+// Symbol palette for the math dialog, and each author's recently used snippets
+
+import { getCurrentUser } from './auth-gate.js';
+
+/** Marks a spot to fill in; Tab moves between them */
+export const PLACEHOLDER = '□';
+
+const RECENT_KEY = 'az-math-recent-snippets';
+const RECENT_LIMIT = 12;
+
+const P = PLACEHOLDER;
+
+/**
+ * Snippets by category; `label` is what the button shows, `latex` what it inserts
+ */
+export const PALETTE = [
+  {
+    name: 'Structures',
+    snippets: [
+      { label: 'a⁄b', latex: `\\frac{${P}}{${P}}` },
+      { label: '√x', latex: `\\sqrt{${P}}` },
+      { label: 'ⁿ√x', latex: `\\sqrt[${P}]{${P}}` },
+      { label: 'xⁿ', latex: `^{${P}}` },
+      { label: 'xₙ', latex: `_{${P}}` },
+      { label: 'Σ', latex: `\\sum_{${P}}^{${P}}` },
+      { label: 'Π', latex: `\\prod_{${P}}^{${P}}` },
+      { label: '∫', latex: `\\int_{${P}}^{${P}}` },
+      { label: 'lim', latex: `\\lim_{${P} \\to ${P}}` },
+      { label: '(ⁿₖ)', latex: `\\binom{${P}}{${P}}` },
+      { label: '|x|', latex: `\\left| ${P} \\right|` },
+      { label: '(x)', latex: `\\left( ${P} \\right)` },
+      { label: 'x̄', latex: `\\overline{${P}}` },
+      { label: 'v⃗', latex: `\\vec{${P}}` },
+      { label: 'x̂', latex: `\\hat{${P}}` },
+      { label: 'text', latex: `\\text{${P}}` }
+    ]
+  },
+  {
+    name: 'Greek',
+    snippets: [
+      ['α', 'alpha'], ['β', 'beta'], ['γ', 'gamma'], ['δ', 'delta'], ['ε', 'varepsilon'],
+      ['ζ', 'zeta'], ['η', 'eta'], ['θ', 'theta'], ['κ', 'kappa'], ['λ', 'lambda'],
+      ['μ', 'mu'], ['ν', 'nu'], ['ξ', 'xi'], ['π', 'pi'], ['ρ', 'rho'], ['σ', 'sigma'],
+      ['τ', 'tau'], ['φ', 'varphi'], ['χ', 'chi'], ['ψ', 'psi'], ['ω', 'omega'],
+      ['Γ', 'Gamma'], ['Δ', 'Delta'], ['Θ', 'Theta'], ['Λ', 'Lambda'], ['Π', 'Pi'],
+      ['Σ', 'Sigma'], ['Φ', 'Phi'], ['Ψ', 'Psi'], ['Ω', 'Omega']
+    ].map(([label, name]) => ({ label, latex: `\\${name}` }))
+  },
+  {
+    name: 'Relations',
+    snippets: [
+      ['≠', 'neq'], ['≤', 'leq'], ['≥', 'geq'], ['≈', 'approx'], ['≡', 'equiv'],
+      ['∼', 'sim'], ['≃', 'simeq'], ['≅', 'cong'], ['∝', 'propto'], ['≪', 'll'],
+      ['≫', 'gg'], ['∣', 'mid'], ['∤', 'nmid'], ['⊥', 'perp'], ['∥', 'parallel']
+    ].map(([label, name]) => ({ label, latex: `\\${name}` }))
+  },
+  {
+    name: 'Operators',
+    snippets: [
+      ['±', 'pm'], ['∓', 'mp'], ['×', 'times'], ['÷', 'div'], ['·', 'cdot'],
+      ['∘', 'circ'], ['∗', 'ast'], ['⊕', 'oplus'], ['⊗', 'otimes'], ['∞', 'infty'],
+      ['∂', 'partial'], ['∇', 'nabla'], ['…', 'ldots'], ['⋯', 'cdots']
+    ].map(([label, name]) => ({ label, latex: `\\${name}` }))
+  },
+  {
+    name: 'Arrows',
+    snippets: [
+      ['→', 'to'], ['←', 'leftarrow'], ['↔', 'leftrightarrow'], ['⇒', 'Rightarrow'],
+      ['⇐', 'Leftarrow'], ['⇔', 'Leftrightarrow'], ['⟹', 'implies'], ['⟺', 'iff'],
+      ['↦', 'mapsto'], ['↑', 'uparrow'], ['↓', 'downarrow'], ['⟶', 'longrightarrow']
+    ].map(([label, name]) => ({ label, latex: `\\${name}` })).concat([
+      { label: '→ᶠ', latex: `\\xrightarrow{${P}}` }
+    ])
+  },
+  {
+    name: 'Sets & Logic',
+    snippets: [
+      ['∈', 'in'], ['∉', 'notin'], ['⊂', 'subset'], ['⊆', 'subseteq'], ['⊊', 'subsetneq'],
+      ['⊃', 'supset'], ['⊇', 'supseteq'], ['∪', 'cup'], ['∩', 'cap'], ['∖', 'setminus'],
+      ['∅', 'varnothing'], ['∀', 'forall'], ['∃', 'exists'], ['∄', 'nexists'], ['¬', 'neg'],
+      ['∧', 'land'], ['∨', 'lor']
+    ].map(([label, name]) => ({ label, latex: `\\${name}` })).concat(
+      [['ℕ', 'N'], ['ℤ', 'Z'], ['ℚ', 'Q'], ['ℝ', 'R'], ['ℂ', 'C']].map(([label, letter]) => ({
+        label,
+        latex: `\\mathbb{${letter}}`
+      })),
+      [{ label: '{x | …}', latex: `\\{ ${P} \\mid ${P} \\}` }]
+    )
+  },
+  {
+    name: 'Matrices',
+    snippets: [
+      { label: '(2×2)', latex: `\\begin{pmatrix}\n${P} & ${P} \\\\\n${P} & ${P}\n\\end{pmatrix}` },
+      { label: '[2×2]', latex: `\\begin{bmatrix}\n${P} & ${P} \\\\\n${P} & ${P}\n\\end{bmatrix}` },
+      { label: '|2×2|', latex: `\\begin{vmatrix}\n${P} & ${P} \\\\\n${P} & ${P}\n\\end{vmatrix}` },
+      { label: '(3×3)', latex: `\\begin{pmatrix}\n${P} & ${P} & ${P} \\\\\n${P} & ${P} & ${P} \\\\\n${P} & ${P} & ${P}\n\\end{pmatrix}` },
+      { label: '(x y)ᵀ', latex: `\\begin{pmatrix}\n${P} \\\\\n${P}\n\\end{pmatrix}` }
+    ]
+  },
+  {
+    name: 'Cases',
+    snippets: [
+      { label: '{ 2 cases', latex: `\\begin{cases}\n${P} & \\text{if } ${P} \\\\\n${P} & \\text{if } ${P}\n\\end{cases}` },
+      { label: '{ 3 cases', latex: `\\begin{cases}\n${P} & \\text{if } ${P} \\\\\n${P} & \\text{if } ${P} \\\\\n${P} & \\text{if } ${P}\n\\end{cases}` },
+      { label: '{ otherwise', latex: `\\begin{cases}\n${P} & \\text{if } ${P} \\\\\n${P} & \\text{otherwise}\n\\end{cases}` }
+    ]
+  },
+  {
+    name: 'Aligned',
+    snippets: [
+      { label: '= 2 lines', latex: `\\begin{aligned}\n${P} &= ${P} \\\\\n&= ${P}\n\\end{aligned}` },
+      { label: '= 3 lines', latex: `\\begin{aligned}\n${P} &= ${P} \\\\\n&= ${P} \\\\\n&= ${P}\n\\end{aligned}` },
+      { label: 'gathered', latex: `\\begin{gathered}\n${P} \\\\\n${P}\n\\end{gathered}` }
+    ]
+  }
+];
+
+// Category shown when the dialog opens again
+let lastCategory = null;
+
+/**
+ * Fill container with category tabs and their snippet buttons; onPick gets
+ * the chosen snippet. "Recent" comes first once the author has used any.
+ */
+export function renderPalette(container, onPick) {
+  const recent = getRecentSnippets();
+  const categories = recent.length > 0 ? [{ name: 'Recent', snippets: recent }, ...PALETTE] : PALETTE;
+  const initial = categories.find(category => category.name === lastCategory) ?? categories[0];
+
+  container.innerHTML = `
+    <div class="math-palette-tabs" role="tablist"></div>
+    <div class="math-palette-symbols" role="tabpanel"></div>
+  `;
+  const tabs = container.querySelector('.math-palette-tabs');
+  const symbols = container.querySelector('.math-palette-symbols');
+
+  const show = (category) => {
+    lastCategory = category.name;
+    tabs.querySelectorAll('.math-palette-tab').forEach(tab => {
+      tab.setAttribute('aria-selected', String(tab.textContent === category.name));
+    });
+
+    symbols.innerHTML = '';
+    category.snippets.forEach(snippet => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'math-palette-symbol';
+      button.textContent = snippet.label;
+      button.title = snippet.latex;
+      button.onclick = () => onPick(snippet);
+      symbols.appendChild(button);
+    });
+  };
+
+  categories.forEach(category => {
+    const tab = document.createElement('button');
+    tab.type = 'button';
+    tab.className = 'math-palette-tab';
+    tab.setAttribute('role', 'tab');
+    tab.textContent = category.name;
+    tab.onclick = () => show(category);
+    tabs.appendChild(tab);
+  });
+
+  show(initial);
+}
+
+/**
+ * Snippets the signed-in author inserted last, newest first
+ */
+export function getRecentSnippets() {
+  try {
+    return JSON.parse(localStorage.getItem(recentKey())) ?? [];
+  } catch (error) {
+    return [];
+  }
+}
+
+export function rememberSnippet({ label, latex }) {
+  const recent = getRecentSnippets().filter(snippet => snippet.latex !== latex);
+  recent.unshift({ label, latex });
+
+  try {
+    localStorage.setItem(recentKey(), JSON.stringify(recent.slice(0, RECENT_LIMIT)));
+  } catch (error) {
+    console.error('Failed to remember snippet:', error);
+  }
+}
+
+// Kept per author, so people sharing a browser keep their own
+function recentKey() {
+  return `${RECENT_KEY}:${getCurrentUser()?.uid ?? 'anonymous'}`;
+}
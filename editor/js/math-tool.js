@@ -1,6 +1,14 @@
 // editor/js/math-tool.js
 // Custom Editor.js tool for LaTeX math input
 
+import { lintLatex } from '../../shared/js/core.js';
+import { getLatexOptions } from '../../shared/js/macros.js';
+import { renderPalette, rememberSnippet, PLACEHOLDER } from './math-palette.js';
+import { insertSnippet, selectPlaceholder, attachCompletion, pairBrackets } from './latex-input.js';
+
+// Characters of source shown on each side of a lint issue
+const LINT_CONTEXT = 12;
+
 class MathTool {
   static get toolbox() {
     return {
@@ -71,148 +79,12 @@ class MathTool {
   }
 
   openMathModal() {
-    const modal = document.createElement('div');
-    modal.className = 'math-modal-overlay';
-    
-    modal.innerHTML = `
-      <div class="math-modal">
-        <div class="math-modal-header">
-          <h3>📐 Edit Math</h3>
-          <button class="math-modal-close">&times;</button>
-        </div>
-        
-        <div class="math-modal-body">
-          <div class="math-mode-toggle">
-            <label>
-              <input type="radio" name="math-mode" value="inline" ${!this.data.display ? 'checked' : ''}>
-              <span>Inline: <code>$...$</code></span>
-            </label>
-            <label>
-              <input type="radio" name="math-mode" value="display" ${this.data.display ? 'checked' : ''}>
-              <span>Display: <code>$$...$$</code></span>
-            </label>
-          </div>
-          
-          <label class="math-input-label">LaTeX Code</label>
-          <textarea class="math-input" placeholder="e.g., x^2 + y^2 = r^2&#10;or \\frac{a}{b}">${this.data.latex}</textarea>
-          
-          <div class="math-examples">
-            <strong>Quick examples:</strong>
-            <button class="math-example-btn" data-latex="x^2">x²</button>
-            <button class="math-example-btn" data-latex="\\frac{a}{b}">a/b</button>
-            <button class="math-example-btn" data-latex="\\sqrt{x}">√x</button>
-            <button class="math-example-btn" data-latex="\\sum_{i=1}^{n}">Σ</button>
-            <button class="math-example-btn" data-latex="\\int_{a}^{b}">∫</button>
-            <button class="math-example-btn" data-latex="\\alpha">α</button>
-            <button class="math-example-btn" data-latex="\\beta">β</button>
-            <button class="math-example-btn" data-latex="\\infty">∞</button>
-            <button class="math-example-btn" data-latex="\\theta">θ</button>
-            <button class="math-example-btn" data-latex="\\pi">π</button>
-          </div>
-          
-          <label class="math-preview-label">Preview</label>
-          <div class="math-preview">
-            <small style="color: var(--gray-500);">Type LaTeX above to see preview</small>
-          </div>
-        </div>
-        
-        <div class="math-modal-footer">
-          <button class="btn btn-secondary math-cancel-btn">Cancel</button>
-          <button class="btn btn-primary math-save-btn">Save Math</button>
-        </div>
-      </div>
-    `;
-    
-    document.body.appendChild(modal);
-    
-    const latexInput = modal.querySelector('.math-input');
-    const previewArea = modal.querySelector('.math-preview');
-    const closeBtn = modal.querySelector('.math-modal-close');
-    const cancelBtn = modal.querySelector('.math-cancel-btn');
-    const saveBtn = modal.querySelector('.math-save-btn');
-    const modeRadios = modal.querySelectorAll('input[name="math-mode"]');
-    const exampleBtns = modal.querySelectorAll('.math-example-btn');
-    
-    latexInput.focus();
-    latexInput.setSelectionRange(latexInput.value.length, latexInput.value.length);
-    
-    // Example buttons
-    exampleBtns.forEach(btn => {
-      btn.addEventListener('click', () => {
-        latexInput.value += btn.dataset.latex;
-        latexInput.dispatchEvent(new Event('input'));
-        latexInput.focus();
-      });
-    });
-    
-    // Live preview
-    let previewTimeout;
-    const updatePreview = () => {
-      clearTimeout(previewTimeout);
-      previewTimeout = setTimeout(() => {
-        const latex = latexInput.value.trim();
-        if (latex) {
-          const mode = modal.querySelector('input[name="math-mode"]:checked').value;
-          const wrapped = mode === 'inline' ? `$${latex}$` : `$$${latex}$$`;
-          previewArea.innerHTML = wrapped;
-          
-          if (window.MathJax && window.MathJax.typesetPromise) {
-            window.MathJax.typesetPromise([previewArea]).catch(err => {
-              previewArea.innerHTML = '<small style="color: var(--error);">Invalid LaTeX syntax</small>';
-            });
-          }
-        } else {
-          previewArea.innerHTML = '<small style="color: var(--gray-500);">Type LaTeX above to see preview</small>';
-        }
-      }, 500);
-    };
-    
-    latexInput.addEventListener('input', updatePreview);
-    modeRadios.forEach(radio => radio.addEventListener('change', updatePreview));
-    
-    // Initial preview
-    if (this.data.latex) {
-      updatePreview();
-    }
-    
-    const closeModal = () => modal.remove();
-    
-    closeBtn.addEventListener('click', closeModal);
-    cancelBtn.addEventListener('click', closeModal);
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal) closeModal();
-    });
-    
-    // Enter to save
-    latexInput.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' && e.ctrlKey) {
-        e.preventDefault();
-        saveBtn.click();
-      }
-    });
-    
-    // Escape to cancel
-    modal.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') closeModal();
-    });
-    
-    // Save
-    saveBtn.addEventListener('click', () => {
-      const latex = latexInput.value.trim();
-      if (!latex) {
-        alert('Please enter LaTeX code');
-        return;
-      }
-      
-      const mode = modal.querySelector('input[name="math-mode"]:checked').value;
-      
+    openMathModal(this.data, ({ latex, display }) => {
       this.data.latex = latex;
-      this.data.display = (mode === 'display');
-      
+      this.data.display = display;
+
       this.mathContainer.className = this.data.display ? 'math-display' : 'math-inline';
       this.renderMath();
-      
-      closeModal();
     });
   }
 
@@ -227,3 +99,205 @@ class MathTool {
 
 // Export for Editor.js
 window.MathTool = MathTool;
+
+/**
+ * The LaTeX editor dialog; onSave gets { latex, display }. With inlineOnly
+ * the display toggle is hidden, for math inside text.
+ */
+export function openMathModal({ latex = '', display = false } = {}, onSave, { inlineOnly = false } = {}) {
+  const modal = document.createElement('div');
+  modal.className = 'math-modal-overlay';
+  
+  modal.innerHTML = `
+    <div class="math-modal">
+      <div class="math-modal-header">
+        <h3>📐 Edit Math</h3>
+        <button class="math-modal-close">&times;</button>
+      </div>
+      
+      <div class="math-modal-body">
+        <div class="math-mode-toggle${inlineOnly ? ' hidden' : ''}">
+          <label>
+            <input type="radio" name="math-mode" value="inline" ${!display ? 'checked' : ''}>
+            <span>Inline: <code>$...$</code></span>
+          </label>
+          <label>
+            <input type="radio" name="math-mode" value="display" ${display ? 'checked' : ''}>
+            <span>Display: <code>$$...$$</code></span>
+          </label>
+        </div>
+        
+        <div class="math-palette"></div>
+        
+        <label class="math-input-label">LaTeX Code</label>
+        <div class="math-input-wrap">
+          <textarea class="math-input" placeholder="e.g., x^2 + y^2 = r^2&#10;or \\frac{a}{b}"></textarea>
+          <ul class="math-autocomplete hidden" role="listbox"></ul>
+        </div>
+        <p class="math-shortcuts">
+          <kbd>Tab</kbd> next □ · <kbd>Ctrl</kbd>+<kbd>Space</kbd> complete · <kbd>Ctrl</kbd>+<kbd>/</kbd> fraction${inlineOnly ? '' : ' · <kbd>Ctrl</kbd>+<kbd>Shift</kbd>+<kbd>D</kbd> display'} · <kbd>Ctrl</kbd>+<kbd>Enter</kbd> save
+        </p>
+        <ul class="math-lint hidden"></ul>
+        
+        <label class="math-preview-label">Preview</label>
+        <div class="math-preview">
+          <small style="color: var(--gray-500);">Type LaTeX above to see preview</small>
+        </div>
+      </div>
+      
+      <div class="math-modal-footer">
+        <button class="btn btn-secondary math-cancel-btn">Cancel</button>
+        <button class="btn btn-primary math-save-btn">Save Math</button>
+      </div>
+    </div>
+  `;
+  
+  document.body.appendChild(modal);
+  
+  const latexInput = modal.querySelector('.math-input');
+  const previewArea = modal.querySelector('.math-preview');
+  const lintList = modal.querySelector('.math-lint');
+  const closeBtn = modal.querySelector('.math-modal-close');
+  const cancelBtn = modal.querySelector('.math-cancel-btn');
+  const saveBtn = modal.querySelector('.math-save-btn');
+  const modeRadios = modal.querySelectorAll('input[name="math-mode"]');
+  const paletteEl = modal.querySelector('.math-palette');
+  const completionList = modal.querySelector('.math-autocomplete');
+  
+  latexInput.value = latex;
+  latexInput.focus();
+  latexInput.setSelectionRange(latexInput.value.length, latexInput.value.length);
+  
+  // Palette snippets go in at the cursor
+  renderPalette(paletteEl, (snippet) => {
+    insertSnippet(latexInput, snippet.latex);
+    rememberSnippet(snippet);
+  });
+  
+  const complete = attachCompletion(latexInput, completionList, rememberSnippet);
+  
+  // Live preview
+  let previewTimeout;
+  const updatePreview = () => {
+    clearTimeout(previewTimeout);
+    previewTimeout = setTimeout(() => {
+      showLint(lintList, latexInput);
+
+      const source = latexInput.value.trim();
+      if (source) {
+        const mode = modal.querySelector('input[name="math-mode"]:checked').value;
+        const wrapped = mode === 'inline' ? `$${source}$` : `$$${source}$$`;
+        previewArea.innerHTML = wrapped;
+        
+        if (window.MathJax && window.MathJax.typesetPromise) {
+          window.MathJax.typesetPromise([previewArea]).catch(err => {
+            previewArea.innerHTML = '<small style="color: var(--error);">Invalid LaTeX syntax</small>';
+          });
+        }
+      } else {
+        previewArea.innerHTML = '<small style="color: var(--gray-500);">Type LaTeX above to see preview</small>';
+      }
+    }, 500);
+  };
+  
+  latexInput.addEventListener('input', updatePreview);
+  modeRadios.forEach(radio => radio.addEventListener('change', updatePreview));
+  
+  // Initial preview
+  if (latex) {
+    updatePreview();
+  }
+  
+  const closeModal = () => modal.remove();
+  
+  closeBtn.addEventListener('click', closeModal);
+  cancelBtn.addEventListener('click', closeModal);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  
+  // Keyboard: completion first, then shortcuts, then bracket pairing
+  latexInput.addEventListener('keydown', (e) => {
+    if (complete(e)) return;
+    
+    const ctrl = e.ctrlKey || e.metaKey;
+    if (e.key === 'Enter' && ctrl) {
+      e.preventDefault();
+      saveBtn.click();
+    } else if (e.key === 'Tab' && !ctrl) {
+      if (selectPlaceholder(latexInput, e.shiftKey)) e.preventDefault();
+    } else if (e.key === '/' && ctrl) {
+      e.preventDefault();
+      insertSnippet(latexInput, `\\frac{${PLACEHOLDER}}{${PLACEHOLDER}}`);
+    } else if (e.key.toLowerCase() === 'd' && ctrl && e.shiftKey && !inlineOnly) {
+      e.preventDefault();
+      const other = [...modeRadios].find(radio => !radio.checked);
+      other.checked = true;
+      updatePreview();
+    } else {
+      pairBrackets(latexInput, e);
+    }
+  });
+  
+  // Escape to cancel
+  modal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeModal();
+  });
+  
+  // Save
+  saveBtn.addEventListener('click', () => {
+    const newLatex = latexInput.value.trim();
+    if (!newLatex) {
+      alert('Please enter LaTeX code');
+      return;
+    }
+    if (newLatex.includes(PLACEHOLDER)) {
+      alert(`Fill in the ${PLACEHOLDER} placeholders first`);
+      latexInput.setSelectionRange(0, 0);
+      selectPlaceholder(latexInput);
+      latexInput.focus();
+      return;
+    }
+    
+    const mode = modal.querySelector('input[name="math-mode"]:checked').value;
+    
+    onSave({ latex: newLatex, display: mode === 'display' });
+    closeModal();
+  });
+}
+
+// List lint issues under the input, with the macro library known; clicking one selects its source
+async function showLint(list, input) {
+  const issues = lintLatex(input.value, await getLatexOptions());
+  list.innerHTML = '';
+  list.classList.toggle('hidden', issues.length === 0);
+
+  issues.forEach(({ message, start, end }) => {
+    const source = input.value;
+    const before = source.slice(Math.max(0, start - LINT_CONTEXT), start);
+    const after = source.slice(end, end + LINT_CONTEXT);
+
+    const item = document.createElement('li');
+    item.className = 'math-lint-issue';
+
+    const snippet = document.createElement('button');
+    snippet.type = 'button';
+    snippet.className = 'math-lint-source';
+    snippet.title = `Select (characters ${start + 1}–${end})`;
+    snippet.append(
+      (start > LINT_CONTEXT ? '…' : '') + before,
+      Object.assign(document.createElement('mark'), { textContent: source.slice(start, end) }),
+      after + (end + LINT_CONTEXT < source.length ? '…' : '')
+    );
+    snippet.onclick = () => {
+      input.focus();
+      input.setSelectionRange(start, end);
+    };
+
+    const text = document.createElement('span');
+    text.textContent = message;
+
+    item.append(snippet, text);
+    list.appendChild(item);
+  });
+}
@@ -0,0 +1,52 @@
+// editor/js/migrate.js
+// Admin page that gives content published before live copies existed its
+// copy in published_problems / published_lessons, so the viewer shows it again
+
+import { getBackend } from '../../shared/js/storage.js';
+import { hasPermission } from '../../shared/js/core.js';
+import { getCurrentUser, onUserChange } from './auth-gate.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+  onUserChange(updatePermissions);
+  document.getElementById('migrate-btn').onclick = copyPublished;
+  updatePermissions();
+});
+
+async function copyPublished() {
+  const button = document.getElementById('migrate-btn');
+  const status = document.getElementById('migrate-status');
+
+  if (!hasPermission(getCurrentUser(), 'publish')) {
+    alert('Only admins can publish content');
+    return;
+  }
+
+  // The in-memory backend starts empty, so it has nothing from before
+  const { repository } = await getBackend();
+  if (!repository.copyLegacyPublished) {
+    status.textContent = 'Nothing to copy with this backend';
+    return;
+  }
+
+  button.disabled = true;
+  status.textContent = 'Copying…';
+
+  try {
+    const problems = await repository.copyLegacyPublished('problem');
+    const lessons = await repository.copyLegacyPublished('lesson');
+    status.textContent = `✓ Copied ${problems} problem(s) and ${lessons} lesson(s)`;
+  } catch (error) {
+    console.error('Failed to copy published content:', error);
+    status.textContent = '';
+    alert('Failed to copy published content: ' + error.message);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function updatePermissions() {
+  const canPublish = hasPermission(getCurrentUser(), 'publish');
+
+  document.getElementById('migrate-readonly').classList.toggle('hidden', canPublish || !getCurrentUser());
+  document.getElementById('migrate-btn').classList.toggle('hidden', !canPublish);
+}
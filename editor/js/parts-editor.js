@@ -0,0 +1,241 @@
+// editor/js/parts-editor.js
+// Problem parts (a), (b), ...: statement editor, final answer and hints
+
+import { autoSaveDraft, markDirty } from './drafts.js';
+import { evaluateConstant } from '../../shared/js/core.js';
+
+const LABELS = 'abcdefghijklmnopqrstuvwxyz';
+
+const ANSWER_PLACEHOLDERS = {
+  numeric: 'e.g. 2.5 or \\frac{1}{3}',
+  expression: 'LaTeX, e.g. \\frac{x^2}{2}',
+  choice: 'Option key, e.g. B',
+  interval: 'e.g. (-\\infty, 1] \\cup (2, 3)',
+  set: 'e.g. \\{-2, \\frac{1}{2}\\}'
+};
+
+let partEditors = [];
+let partCount = 0;
+
+window.addPart = function() {
+  return createPart();
+};
+
+/**
+ * Add a part editor, filled from a saved part if given; resolves once it is ready
+ */
+export function createPart(part = {}) {
+  partCount++;
+  const partId = `part-${partCount}`;
+  const list = document.getElementById('parts-list');
+
+  const partItem = document.createElement('div');
+  partItem.className = 'part-item';
+  partItem.dataset.partId = partId;
+
+  partItem.innerHTML = `
+    <div class="part-header">
+      <label class="part-label-field">
+        (<input type="text" class="part-label" maxlength="10" title="Part label">)
+      </label>
+      <button class="solution-remove" title="Remove part">✕</button>
+    </div>
+    <div id="${partId}" class="part-editor"></div>
+    <div class="part-answer">
+      <label class="input-label">Final answer</label>
+      <div class="part-answer-fields">
+        <select class="part-answer-type">
+          <option value="">None</option>
+          <option value="numeric">Number</option>
+          <option value="expression">Expression</option>
+          <option value="choice">Choice key</option>
+          <option value="interval">Interval</option>
+          <option value="set">Set of numbers</option>
+        </select>
+        <input type="text" class="part-answer-value">
+        <input type="number" class="part-answer-tolerance" min="0" step="any" placeholder="± tolerance">
+        <input type="text" class="part-answer-unit" placeholder="unit">
+      </div>
+    </div>
+    <div class="part-hints">
+      <label class="input-label">Hints (revealed one at a time)</label>
+      <div class="part-hint-list"></div>
+      <button class="btn btn-sm btn-outline part-add-hint">➕ Add Hint</button>
+    </div>
+  `;
+
+  list.appendChild(partItem);
+
+  partItem.querySelector('.part-label').value = part.label ?? LABELS[list.children.length - 1] ?? '';
+  partItem.querySelector('.solution-remove').onclick = () => removePart(partId);
+  partItem.querySelector('.part-add-hint').onclick = () => {
+    addHint(partItem, '').focus();
+  };
+
+  const answer = part.answer;
+  const typeSelect = partItem.querySelector('.part-answer-type');
+  typeSelect.value = answer?.type ?? '';
+  typeSelect.onchange = () => updateAnswerFields(partItem);
+  if (answer) {
+    partItem.querySelector('.part-answer-value').value = answer.value ?? '';
+    partItem.querySelector('.part-answer-tolerance').value = answer.tolerance ?? '';
+    partItem.querySelector('.part-answer-unit').value = answer.unit ?? '';
+  }
+  updateAnswerFields(partItem);
+
+  (part.hints ?? []).forEach(hint => addHint(partItem, hint));
+
+  const partEditor = new EditorJS({
+    holder: partId,
+    placeholder: 'Write this part...',
+    data: part.blocks && part.blocks.length > 0 ? { blocks: part.blocks } : undefined,
+
+    tools: {
+      list: {
+        class: List,
+        inlineToolbar: true
+      },
+
+      inlineMath: {
+        class: window.InlineMathTool
+      },
+
+      math: {
+        class: window.MathTool
+      },
+
+      choice: {
+        class: window.ChoiceTool
+      },
+
+      table: {
+        class: window.TableTool
+      },
+
+      environment: {
+        class: window.EnvironmentTool
+      },
+
+      image: {
+        class: window.ImageWrapperTool
+      }
+    },
+
+    onChange: () => {
+      markDirty();
+      autoSaveDraft();
+    }
+  });
+
+  const entry = { id: partId, editor: partEditor };
+  partEditors.push(entry);
+
+  return partEditor.isReady.then(() => entry);
+}
+
+function removePart(partId) {
+  if (!confirm('Remove this part?')) return;
+
+  document.querySelector(`[data-part-id="${partId}"]`).remove();
+  partEditors.find(p => p.id === partId)?.editor.destroy();
+  partEditors = partEditors.filter(p => p.id !== partId);
+
+  markDirty();
+  autoSaveDraft();
+}
+
+function addHint(partItem, text) {
+  const row = document.createElement('div');
+  row.className = 'part-hint-row';
+  row.innerHTML = `
+    <input type="text" class="part-hint" placeholder="Hint text, math with $...$">
+    <button class="btn btn-sm btn-secondary" title="Remove hint">✕</button>
+  `;
+
+  const input = row.querySelector('.part-hint');
+  input.value = text;
+  row.querySelector('button').onclick = () => {
+    row.remove();
+    markDirty();
+    autoSaveDraft();
+  };
+
+  partItem.querySelector('.part-hint-list').appendChild(row);
+  return input;
+}
+
+// Tolerance and unit only apply to numbers
+function updateAnswerFields(partItem) {
+  const type = partItem.querySelector('.part-answer-type').value;
+  const valueInput = partItem.querySelector('.part-answer-value');
+
+  valueInput.classList.toggle('hidden', !type);
+  valueInput.placeholder = ANSWER_PLACEHOLDERS[type] ?? '';
+  partItem.querySelector('.part-answer-tolerance').classList.toggle('hidden', type !== 'numeric');
+  partItem.querySelector('.part-answer-unit').classList.toggle('hidden', type !== 'numeric');
+}
+
+/**
+ * Parts in on-screen order, in the editor's flat shape ({ label, blocks, answer, hints })
+ */
+export async function gatherParts() {
+  const parts = [];
+
+  for (const partItem of document.querySelectorAll('#parts-list .part-item')) {
+    const { editor } = partEditors.find(p => p.id === partItem.dataset.partId);
+    const { blocks } = await editor.save();
+
+    const part = {
+      label: partItem.querySelector('.part-label').value.trim(),
+      blocks,
+      hints: Array.from(partItem.querySelectorAll('.part-hint'))
+        .map(input => input.value.trim())
+        .filter(Boolean)
+    };
+
+    const answer = readAnswer(partItem);
+    if (answer) {
+      part.answer = answer;
+    }
+
+    parts.push(part);
+  }
+
+  return parts;
+}
+
+function readAnswer(partItem) {
+  const type = partItem.querySelector('.part-answer-type').value;
+  if (!type) return null;
+
+  const value = partItem.querySelector('.part-answer-value').value.trim();
+  if (type !== 'numeric') {
+    return { type, value };
+  }
+
+  // Read like student input, so 1/3 is stored exact; left for the
+  // validator to report when not a number
+  const answer = { type, value: readNumber(value) };
+  const tolerance = partItem.querySelector('.part-answer-tolerance').value;
+  const unit = partItem.querySelector('.part-answer-unit').value.trim();
+  if (tolerance !== '') answer.tolerance = Number(tolerance);
+  if (unit) answer.unit = unit;
+  return answer;
+}
+
+function readNumber(text) {
+  if (text === '') return null;
+
+  try {
+    return evaluateConstant(text);
+  } catch {
+    return null;
+  }
+}
+
+export function clearParts() {
+  partEditors.forEach(({ editor }) => editor.destroy());
+  partEditors = [];
+  partCount = 0;
+  document.getElementById('parts-list').innerHTML = '';
+}
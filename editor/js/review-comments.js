@@ -0,0 +1,126 @@
+// editor/js/review-comments.js
+// Reviewer comments attached to Editor.js blocks by block id
+
+import { getCurrentUser } from './auth-gate.js';
+
+let comments = [];
+let selectedBlockId = null;
+let reviewing = false;
+
+export function getComments() {
+  return comments.map(comment => ({ ...comment }));
+}
+
+export function setComments(list) {
+  comments = (list || []).map(comment => ({ ...comment }));
+  renderComments();
+}
+
+// Show the panel while content is under review, or whenever comments exist
+export function setReviewing(value) {
+  reviewing = value;
+  renderComments();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  // Remember the last block clicked in any editor
+  document.getElementById('editor-sections').addEventListener('click', (e) => {
+    const block = e.target.closest('.ce-block[data-id]');
+    if (!block) return;
+
+    selectedBlockId = block.dataset.id;
+    document.querySelectorAll('.review-selected').forEach(el => el.classList.remove('review-selected'));
+    block.classList.add('review-selected');
+  });
+
+  // Blocks render asynchronously after a restore; keep their markers current
+  new MutationObserver(markCommentedBlocks)
+    .observe(document.getElementById('editor-sections'), { childList: true, subtree: true });
+});
+
+window.addReviewComment = function() {
+  if (!selectedBlockId || !findBlock(selectedBlockId)) {
+    alert('Click the block you want to comment on first');
+    return;
+  }
+
+  const text = prompt('Comment on the selected block:');
+  if (!text || !text.trim()) return;
+
+  comments.push({
+    id: `c${Date.now().toString(36)}`,
+    blockId: selectedBlockId,
+    author: getCurrentUser()?.name ?? 'admin',
+    text: text.trim(),
+    timestamp: new Date().toISOString(),
+    resolved: false
+  });
+
+  renderComments();
+  window.showNotification('✓ Comment added; save to share it', 'info');
+};
+
+function findBlock(blockId) {
+  return document.querySelector(`#editor-sections .ce-block[data-id="${CSS.escape(blockId)}"]`);
+}
+
+function markCommentedBlocks() {
+  const open = new Set(comments.filter(comment => !comment.resolved).map(comment => comment.blockId));
+
+  document.querySelectorAll('#editor-sections .ce-block[data-id]').forEach(block => {
+    block.classList.toggle('has-review-comment', open.has(block.dataset.id));
+  });
+}
+
+function renderComments() {
+  const panel = document.getElementById('review-panel');
+  const open = comments.filter(comment => !comment.resolved);
+  const resolvedCount = comments.length - open.length;
+
+  panel.classList.toggle('hidden', !reviewing && comments.length === 0);
+  panel.innerHTML = `
+    <div class="review-panel-header">
+      <strong>💬 Review Comments (${open.length} open${resolvedCount ? `, ${resolvedCount} resolved` : ''})</strong>
+      <button class="btn btn-sm btn-outline" onclick="addReviewComment()">➕ Comment on Selected Block</button>
+    </div>
+    ${open.length === 0 ? '<p class="text-sm text-gray">No open comments. Click a block, then add a comment.</p>' : ''}
+    <ul class="review-list">
+      ${open.map(comment => `
+        <li class="review-item" data-comment-id="${escapeHtml(comment.id)}">
+          <div>
+            <strong>${escapeHtml(comment.author)}</strong>
+            <span class="text-sm text-gray">${new Date(comment.timestamp).toLocaleString()}</span>
+            ${findBlock(comment.blockId) ? '' : '<span class="badge badge-warning">block removed</span>'}
+          </div>
+          <p>${escapeHtml(comment.text)}</p>
+          <div class="flex gap-md">
+            <button class="btn btn-sm btn-secondary review-goto">Go to block</button>
+            <button class="btn btn-sm btn-secondary review-resolve">✓ Resolve</button>
+          </div>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+
+  panel.querySelectorAll('.review-item').forEach(item => {
+    const comment = comments.find(c => c.id === item.dataset.commentId);
+
+    item.querySelector('.review-goto').onclick = () => {
+      const block = findBlock(comment.blockId);
+      if (block) block.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    };
+
+    item.querySelector('.review-resolve').onclick = () => {
+      comment.resolved = true;
+      renderComments();
+    };
+  });
+
+  markCommentedBlocks();
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
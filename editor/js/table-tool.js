@@ -0,0 +1,177 @@
+// editor/js/table-tool.js
+// Custom Editor.js tool for tables with math-capable cells and column alignment
+
+const ALIGNMENT_ICONS = { left: '⇤', center: '↔', right: '⇥' };
+const NEXT_ALIGNMENT = { left: 'center', center: 'right', right: 'left' };
+
+class TableTool {
+  static get toolbox() {
+    return {
+      title: 'Table',
+      icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="4" width="18" height="16" rx="1"/><path d="M3 10h18M3 15h18M9 4v16M15 4v16"/></svg>'
+    };
+  }
+
+  static get isReadOnlySupported() {
+    return true;
+  }
+
+  constructor({ data, readOnly }) {
+    this.readOnly = readOnly;
+
+    const content = data.content && data.content.length > 0
+      ? data.content.map(row => [...row])
+      : [['', ''], ['', '']];
+    const columns = content[0].length;
+
+    this.data = {
+      withHeadings: data.withHeadings !== undefined ? data.withHeadings : true,
+      content,
+      alignments: Array.from({ length: columns }, (_, index) => data.alignments?.[index] || 'left')
+    };
+
+    this.wrapper = null;
+    this.table = null;
+  }
+
+  render() {
+    this.wrapper = document.createElement('div');
+    this.wrapper.classList.add('table-tool');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'table-toolbar';
+    toolbar.innerHTML = `
+      <label class="table-headings-toggle">
+        <input type="checkbox" class="table-headings"> Header row
+      </label>
+      <div class="flex gap-md">
+        <button type="button" class="btn btn-sm btn-outline table-add-row">➕ Row</button>
+        <button type="button" class="btn btn-sm btn-outline table-add-column">➕ Column</button>
+      </div>
+    `;
+
+    const headingsInput = toolbar.querySelector('.table-headings');
+    headingsInput.checked = this.data.withHeadings;
+    headingsInput.disabled = this.readOnly;
+    headingsInput.onchange = () => {
+      this.data = this.save();
+      this.renderTable();
+    };
+
+    toolbar.querySelector('.flex').classList.toggle('hidden', this.readOnly);
+    toolbar.querySelector('.table-add-row').onclick = () => this.addRow();
+    toolbar.querySelector('.table-add-column').onclick = () => this.addColumn();
+
+    this.table = document.createElement('table');
+    this.table.className = 'table-tool-grid';
+
+    this.wrapper.appendChild(toolbar);
+    this.wrapper.appendChild(this.table);
+
+    this.renderTable();
+    return this.wrapper;
+  }
+
+  // A control row above the grid holds each column's alignment and remove buttons
+  renderTable() {
+    const { withHeadings, content, alignments } = this.data;
+    this.table.innerHTML = '';
+
+    if (!this.readOnly) {
+      const controls = this.table.insertRow();
+      controls.className = 'table-tool-controls';
+
+      alignments.forEach((alignment, column) => {
+        const cell = controls.insertCell();
+        cell.innerHTML = `
+          <button type="button" class="table-align" title="Alignment: ${alignment}">${ALIGNMENT_ICONS[alignment]}</button>
+          <button type="button" class="table-remove" title="Remove column">✕</button>
+        `;
+        cell.querySelector('.table-align').onclick = () => this.cycleAlignment(column);
+        cell.querySelector('.table-remove').onclick = () => this.removeColumn(column);
+      });
+      controls.insertCell();
+    }
+
+    content.forEach((row, rowIndex) => {
+      const tableRow = this.table.insertRow();
+      tableRow.className = 'table-tool-row';
+      if (withHeadings && rowIndex === 0) {
+        tableRow.classList.add('table-tool-heading');
+      }
+
+      row.forEach((text, column) => {
+        const cell = tableRow.insertCell();
+        cell.className = `table-tool-cell align-${alignments[column]}`;
+        cell.contentEditable = !this.readOnly;
+        cell.innerHTML = text;
+      });
+
+      if (!this.readOnly) {
+        const removeCell = tableRow.insertCell();
+        removeCell.innerHTML = '<button type="button" class="table-remove" title="Remove row">✕</button>';
+        removeCell.querySelector('.table-remove').onclick = () => this.removeRow(rowIndex);
+      }
+    });
+  }
+
+  addRow() {
+    this.data = this.save();
+    this.data.content.push(this.data.alignments.map(() => ''));
+    this.renderTable();
+  }
+
+  addColumn() {
+    this.data = this.save();
+    this.data.content.forEach(row => row.push(''));
+    this.data.alignments.push('left');
+    this.renderTable();
+  }
+
+  removeRow(rowIndex) {
+    this.data = this.save();
+    if (this.data.content.length <= 1) return;
+
+    this.data.content.splice(rowIndex, 1);
+    this.renderTable();
+  }
+
+  removeColumn(column) {
+    this.data = this.save();
+    if (this.data.alignments.length <= 1) return;
+
+    this.data.content.forEach(row => row.splice(column, 1));
+    this.data.alignments.splice(column, 1);
+    this.renderTable();
+  }
+
+  cycleAlignment(column) {
+    this.data = this.save();
+    this.data.alignments[column] = NEXT_ALIGNMENT[this.data.alignments[column]];
+    this.renderTable();
+  }
+
+  // Alignments are only saved when some column isn't left-aligned
+  save() {
+    const content = Array.from(this.table.querySelectorAll('.table-tool-row')).map(row =>
+      Array.from(row.querySelectorAll('.table-tool-cell')).map(cell => cell.innerHTML.trim())
+    );
+
+    const data = {
+      withHeadings: this.wrapper.querySelector('.table-headings').checked,
+      content
+    };
+
+    if (this.data.alignments.some(alignment => alignment !== 'left')) {
+      data.alignments = [...this.data.alignments];
+    }
+    return data;
+  }
+
+  validate(savedData) {
+    return savedData.content.some(row => row.some(cell => cell));
+  }
+}
+
+// Export for Editor.js
+window.TableTool = TableTool;
@@ -0,0 +1,149 @@
+// editor/js/validation-panel.js
+// Show ContentValidator errors next to the fields and blocks they refer to
+
+const METADATA_FIELDS = {
+  id: 'content-id',
+  title: 'content-title',
+  contentType: 'content-type-selector',
+  category: 'content-category',
+  difficulty: 'content-difficulty',
+  tags: 'content-tags'
+};
+
+// Find the block element at a given index inside an Editor.js holder
+function getBlockElement(holderId, index) {
+  const holder = document.getElementById(holderId);
+  if (!holder) return null;
+  return holder.querySelectorAll('.ce-block')[index] || holder;
+}
+
+// Map a validation path like "solutions[1].blocks[3].data.latex" or "parts[0].answer.value" to an element
+export function findErrorTarget(path) {
+  let match = path.match(/^metadata\.(\w+)/);
+  if (match) {
+    return document.getElementById(METADATA_FIELDS[match[1]]);
+  }
+
+  match = path.match(/^statement(?:\[(\d+)\])?/);
+  if (match) {
+    return match[1] !== undefined
+      ? getBlockElement('editorjs-main', parseInt(match[1]))
+      : document.getElementById('editorjs-main');
+  }
+
+  match = path.match(/^parts\[(\d+)\](?:\.(label|statement|answer|hints)(?:\[(\d+)\])?)?/);
+  if (match) {
+    const partItem = document.querySelectorAll('#parts-list .part-item')[parseInt(match[1])];
+    if (!partItem) return document.getElementById('parts-section');
+
+    if (match[2] === 'label') return partItem.querySelector('.part-label');
+    if (match[2] === 'answer') return partItem.querySelector('.part-answer-fields');
+    if (match[2] === 'hints' && match[3] !== undefined) {
+      return partItem.querySelectorAll('.part-hint')[parseInt(match[3])] || partItem;
+    }
+    if (match[2] === 'statement') {
+      return match[3] !== undefined
+        ? getBlockElement(partItem.dataset.partId, parseInt(match[3]))
+        : document.getElementById(partItem.dataset.partId);
+    }
+
+    return partItem;
+  }
+
+  if (path.startsWith('parts')) {
+    return document.getElementById('parts-section');
+  }
+
+  match = path.match(/^solutions\[(\d+)\](?:\.(title|blocks)(?:\[(\d+)\])?)?/);
+  if (match) {
+    const solutionItem = document.querySelectorAll('#solutions-list .solution-item')[parseInt(match[1])];
+    if (!solutionItem) return document.getElementById('solutions-section');
+
+    if (match[2] === 'title') {
+      return solutionItem.querySelector('.solution-title');
+    }
+
+    if (match[2] === 'blocks' && match[3] !== undefined) {
+      return getBlockElement(solutionItem.dataset.solutionId, parseInt(match[3]));
+    }
+
+    return solutionItem;
+  }
+
+  if (path.startsWith('solutions')) {
+    return document.getElementById('solutions-section');
+  }
+
+  return null;
+}
+
+// Remove all highlights and hide the panel
+export function clearValidationErrors() {
+  document.querySelectorAll('.has-validation-error').forEach(el => {
+    el.classList.remove('has-validation-error', 'validation-warning');
+    el.removeAttribute('title');
+  });
+
+  const panel = document.getElementById('validation-panel');
+  if (panel) {
+    panel.innerHTML = '';
+    panel.classList.add('hidden');
+  }
+}
+
+// Highlight every error target and list the errors in the panel.
+// blocking = true for publish (errors), false for save (warnings)
+export function showValidationErrors(errors, { blocking = true } = {}) {
+  clearValidationErrors();
+
+  const panel = document.getElementById('validation-panel');
+  const targets = errors.map(error => findErrorTarget(error.path));
+
+  targets.forEach((target, index) => {
+    if (!target) return;
+    const error = errors[index];
+    target.classList.add('has-validation-error');
+    if (!blocking) target.classList.add('validation-warning');
+    target.title = target.title
+      ? `${target.title}\n${error.message}`
+      : error.message;
+  });
+
+  if (!panel) return;
+
+  panel.classList.remove('hidden');
+  panel.classList.toggle('validation-panel-warning', !blocking);
+  panel.innerHTML = `
+    <div class="validation-panel-header">
+      <strong>${blocking ? '❌' : '⚠️'} ${errors.length} ${errors.length === 1 ? 'problem' : 'problems'}
+        ${blocking ? 'must be fixed before publishing' : 'found (draft saved anyway)'}</strong>
+      <button class="btn btn-sm btn-secondary validation-panel-close">Dismiss</button>
+    </div>
+    <ul class="validation-list">
+      ${errors.map((error, index) => `
+        <li class="validation-item" data-index="${index}">
+          <code>${escapeHtml(error.path)}</code>
+          <span>${escapeHtml(error.message)}</span>
+          <span class="badge ${blocking ? 'badge-error' : 'badge-warning'}">${escapeHtml(error.code)}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+
+  panel.querySelector('.validation-panel-close').onclick = clearValidationErrors;
+
+  panel.querySelectorAll('.validation-item').forEach(item => {
+    const target = targets[parseInt(item.dataset.index)];
+    if (!target) return;
+    item.onclick = () => {
+      target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      if (typeof target.focus === 'function') target.focus();
+    };
+  });
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
@@ -1,4 +1,4 @@
-// packages/core/jest.config.js
+// packages/core/jest.config.cjs
 // Jest configuration for testing
 
 module.exports = {
@@ -23,7 +23,9 @@ module.exports = {
     }]
   },
   moduleNameMapper: {
-    '^@/(.*)$': '<rootDir>/src/$1'
+    '^@/(.*)$': '<rootDir>/src/$1',
+    // Sources import each other with the .js extension the browser build needs
+    '^(\\.{1,2}/.*)\\.js$': '$1'
   },
   verbose: true
 };
@@ -0,0 +1,352 @@
+// packages/core/src/adapters/editor.ts
+// Converts between the editor's flat gatherAllData() shape and canonical content
+
+import {
+  CanonicalContent,
+  ContentBlock,
+  ContentType,
+  Category,
+  Difficulty,
+  Metadata,
+  Solution,
+  ProblemPart,
+  FinalAnswer,
+  WorkflowState
+} from '../schema/types.js';
+import { ReviewComment } from '../schema/workflow.js';
+import { normalizeInlineMath } from '../math/inline.js';
+
+/**
+ * Block as saved by Editor.js (may carry an id and tunes)
+ */
+export interface EditorBlock {
+  id?: string;
+  type: string;
+  data: Record<string, any>;
+  tunes?: Record<string, any>;
+}
+
+export interface EditorSolution {
+  title: string;
+  blocks: EditorBlock[];
+}
+
+export interface EditorPart {
+  label: string;
+  blocks: EditorBlock[];
+  answer?: FinalAnswer;
+  hints?: string[];
+}
+
+/**
+ * Anything Firestore may hand back for a timestamp field:
+ * a Timestamp instance, its plain JSON form, or a pending serverTimestamp()
+ */
+export type TimestampLike =
+  | { toDate(): Date }
+  | { seconds: number; nanoseconds?: number }
+  | { _seconds: number; _nanoseconds?: number }
+  | Date
+  | string
+  | number
+  | null
+  | undefined;
+
+/**
+ * Flat shape returned by gatherAllData() and stored in Firestore
+ */
+export interface EditorData {
+  contentType?: ContentType;
+  id: number | string | null;
+  title: string;
+  category?: string;
+  difficulty?: string;
+  tags?: string[];
+  statement: EditorBlock[];
+  parts?: EditorPart[];
+  solutions?: EditorSolution[];
+  draft?: boolean;
+  state?: WorkflowState;
+  /** Reviewer comments on the working copy; not part of canonical content */
+  comments?: ReviewComment[];
+  author?: string;
+  /** Authorship as recorded by the storage backend; not part of canonical content */
+  authorId?: string;
+  lastEditor?: string;
+  lastEditorId?: string;
+  timestamp?: TimestampLike | object;
+}
+
+export interface FromEditorOptions {
+  /** Overrides data.contentType (Firestore documents don't store it) */
+  contentType?: ContentType;
+  /** Used when the data carries no author */
+  author?: string;
+  /** Used when the data carries no draft flag */
+  draft?: boolean;
+  /** Used when the timestamp is missing or still a pending serverTimestamp() */
+  now?: Date;
+}
+
+/**
+ * Convert a Firestore timestamp (or anything resembling one) to ISO 8601
+ */
+export function toISOTimestamp(value: TimestampLike | object, fallback: Date = new Date()): string {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? fallback.toISOString() : value.toISOString();
+  }
+
+  if (typeof value === 'string') {
+    // Already-serialized ISO strings are kept as-is so round trips are lossless
+    return isNaN(new Date(value).getTime()) ? fallback.toISOString() : value;
+  }
+
+  if (typeof value === 'number') {
+    return new Date(value).toISOString();
+  }
+
+  if (value && typeof value === 'object') {
+    const ts = value as any;
+
+    if (typeof ts.toDate === 'function') {
+      return toISOTimestamp(ts.toDate(), fallback);
+    }
+
+    const seconds = ts.seconds ?? ts._seconds;
+    const nanoseconds = ts.nanoseconds ?? ts._nanoseconds ?? 0;
+    if (typeof seconds === 'number') {
+      return new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6)).toISOString();
+    }
+  }
+
+  // Missing, or a serverTimestamp() sentinel that hasn't been resolved yet
+  return fallback.toISOString();
+}
+
+/**
+ * Convert editor/Firestore data to canonical content
+ */
+export function fromEditorData(data: EditorData, options: FromEditorOptions = {}): CanonicalContent {
+  const contentType: ContentType = options.contentType ?? data.contentType ?? 'problem';
+
+  const metadata: Metadata = {
+    id: normalizeId(data.id),
+    title: (data.title ?? '').trim(),
+    contentType,
+    category: (data.category || 'General') as Category,
+    difficulty: (data.difficulty || 'Medium') as Difficulty,
+    tags: Array.isArray(data.tags) ? [...data.tags] : [],
+    author: data.author ?? options.author ?? 'admin',
+    draft: data.draft ?? options.draft ?? false,
+    timestamp: toISOTimestamp(data.timestamp, options.now)
+  };
+
+  if (data.state) {
+    metadata.state = data.state;
+    metadata.draft = data.state !== 'published';
+  }
+
+  const content: CanonicalContent = {
+    metadata,
+    statement: fromEditorBlocks(data.statement ?? [])
+  };
+
+  if (contentType === 'problem' && Array.isArray(data.parts) && data.parts.length > 0) {
+    content.parts = data.parts.map(fromEditorPart);
+  }
+
+  if (contentType === 'problem' && Array.isArray(data.solutions)) {
+    content.solutions = data.solutions.map(solution => ({
+      title: (solution.title ?? '').trim(),
+      blocks: fromEditorBlocks(solution.blocks ?? [])
+    }));
+  }
+
+  return content;
+}
+
+/**
+ * Convert canonical content to the flat shape the editor restores from
+ */
+export function toEditorData(content: CanonicalContent): EditorData {
+  const { metadata } = content;
+
+  const data: EditorData = {
+    contentType: metadata.contentType,
+    id: metadata.id,
+    title: metadata.title,
+    category: metadata.category,
+    difficulty: metadata.difficulty,
+    tags: [...(metadata.tags ?? [])],
+    statement: toEditorBlocks(content.statement),
+    parts: (content.parts ?? []).map((part: ProblemPart) => ({
+      label: part.label,
+      blocks: toEditorBlocks(part.statement),
+      ...(part.answer ? { answer: { ...part.answer } } : {}),
+      ...(part.hints ? { hints: [...part.hints] } : {})
+    })),
+    solutions: (content.solutions ?? []).map((solution: Solution) => ({
+      title: solution.title,
+      blocks: toEditorBlocks(solution.blocks)
+    })),
+    draft: metadata.draft,
+    author: metadata.author,
+    timestamp: metadata.timestamp
+  };
+
+  if (metadata.state) {
+    data.state = metadata.state;
+  }
+
+  return data;
+}
+
+/**
+ * Editor parts keep their statement in `blocks`, like solutions; empty hints are dropped
+ */
+function fromEditorPart(part: EditorPart): ProblemPart {
+  const result: ProblemPart = {
+    label: (part.label ?? '').trim(),
+    statement: fromEditorBlocks(part.blocks ?? [])
+  };
+
+  if (part.answer) {
+    result.answer = { ...part.answer };
+  }
+
+  const hints = (part.hints ?? []).map(hint => hint.trim()).filter(Boolean);
+  if (hints.length > 0) {
+    result.hints = hints;
+  }
+
+  return result;
+}
+
+/**
+ * Convert Editor.js blocks to canonical blocks
+ */
+export function fromEditorBlocks(blocks: EditorBlock[]): ContentBlock[] {
+  return blocks.map(block => fromEditorBlock(block));
+}
+
+/**
+ * Convert canonical blocks to Editor.js blocks
+ */
+export function toEditorBlocks(blocks: ContentBlock[]): EditorBlock[] {
+  return blocks.map(block => ({
+    type: block.type,
+    data: block.type === 'environment'
+      ? { ...block.data, blocks: toEditorBlocks(block.data.blocks) }
+      : { ...block.data }
+  }));
+}
+
+/**
+ * Convert a single Editor.js block, dropping editor-only fields
+ */
+function fromEditorBlock(block: EditorBlock): ContentBlock {
+  const data = block.data ?? {};
+
+  switch (block.type) {
+    // The inline math tool's spans carry the typeset formula in the editor
+    case 'paragraph':
+      return {
+        type: 'paragraph',
+        data: typeof data.text === 'string' ? { ...data, text: normalizeInlineMath(data.text) } : { ...data }
+      } as ContentBlock;
+
+    case 'list':
+      return {
+        type: 'list',
+        data: {
+          style: data.style === 'ordered' ? 'ordered' : 'unordered',
+          items: flattenListItems(data.items ?? []).map(normalizeInlineMath)
+        }
+      };
+
+    case 'quote':
+      return {
+        type: 'quote',
+        data: withOptionalCaption({ text: normalizeInlineMath(data.text ?? '') }, data.caption)
+      } as ContentBlock;
+
+    case 'image':
+      return {
+        type: 'image',
+        data: withOptionalCaption({
+          url: data.url ?? '',
+          alt: data.alt ?? '',
+          alignment: data.alignment ?? 'center',
+          size: data.size ?? 'medium'
+        }, data.caption)
+      } as ContentBlock;
+
+    case 'choice':
+      return {
+        type: 'choice',
+        data: {
+          multiple: data.multiple === true,
+          options: (data.options ?? []).map((option: any) => {
+            const result: Record<string, any> = {
+              key: String(option.key ?? '').trim(),
+              text: option.text ?? '',
+              correct: option.correct === true
+            };
+            if (option.feedback) {
+              result.feedback = option.feedback;
+            }
+            return result;
+          })
+        }
+      } as ContentBlock;
+
+    case 'environment': {
+      // The tool saves empty fields as ''; its child editor saves Editor.js blocks
+      const result: Record<string, any> = { kind: data.kind };
+      ['title', 'number', 'label'].forEach(field => {
+        const value = typeof data[field] === 'string' ? data[field].trim() : '';
+        if (value) result[field] = value;
+      });
+      result.blocks = fromEditorBlocks(data.blocks ?? []);
+      return { type: 'environment', data: result } as ContentBlock;
+    }
+
+    default:
+      // Unknown types pass through untouched so the validator can report them
+      return { type: block.type, data: { ...data } } as ContentBlock;
+  }
+}
+
+/**
+ * @editorjs/list 2.x saves nested { content, items } objects; canonical lists are flat strings
+ */
+function flattenListItems(items: any[]): string[] {
+  const result: string[] = [];
+
+  items.forEach(item => {
+    if (typeof item === 'string') {
+      result.push(item);
+    } else if (item && typeof item === 'object') {
+      result.push(item.content ?? '');
+      if (Array.isArray(item.items)) {
+        result.push(...flattenListItems(item.items));
+      }
+    }
+  });
+
+  return result;
+}
+
+function normalizeId(id: EditorData['id']): number {
+  const parsed = typeof id === 'number' ? id : parseInt(String(id ?? ''), 10);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+/**
+ * Editor tools save an empty caption as ''; canonical content omits it
+ */
+function withOptionalCaption(data: Record<string, any>, caption: any): Record<string, any> {
+  return typeof caption === 'string' && caption.trim() !== ''
+    ? { ...data, caption }
+    : data;
+}
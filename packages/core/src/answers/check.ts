@@ -0,0 +1,331 @@
+// packages/core/src/answers/check.ts
+// Compare a student's submission against a part's final answer
+
+import {
+  ChoiceAnswer,
+  ExpressionAnswer,
+  FinalAnswer,
+  IntervalAnswer,
+  NumericAnswer,
+  SetAnswer
+} from '../schema/types.js';
+import {
+  ExpressionSyntaxError,
+  evaluateConstant,
+  evaluateExpression,
+  expressionVariables,
+  formatExpression,
+  formatNumber,
+  parseExpression
+} from './expression.js';
+
+export type AnswerVerdict = 'correct' | 'incorrect' | 'invalid';
+
+export interface AnswerCheckResult {
+  verdict: AnswerVerdict;
+  /** How the submission was read, e.g. "2*(x + 1)" or "[0, 1)"; absent when it could not be read */
+  normalized?: string;
+  /** Why the submission could not be read */
+  message?: string;
+}
+
+export interface CheckOptions {
+  /** Relative slack for float rounding, on top of a numeric answer's own tolerance */
+  relativeTolerance?: number;
+  /** Random points at which two expressions must agree */
+  trials?: number;
+  /** Seed for the random points, so a check always gives the same verdict */
+  seed?: number;
+}
+
+export interface Interval {
+  lower: number;
+  upper: number;
+  lowerClosed: boolean;
+  upperClosed: boolean;
+}
+
+const DEFAULT_OPTIONS: Required<CheckOptions> = {
+  relativeTolerance: 1e-9,
+  trials: 10,
+  seed: 1
+};
+
+// Expressions are compared at points drawn from this range
+const SAMPLE_RANGE = 3;
+
+// Expression values are computed by different routes, so allow more slack
+const EXPRESSION_TOLERANCE = 1e-6;
+
+/**
+ * Check a submission, typed as LaTeX or ASCII, against a final answer
+ */
+export function checkAnswer(
+  answer: FinalAnswer,
+  submission: string,
+  options: CheckOptions = {}
+): AnswerCheckResult {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  if (!submission || !submission.trim()) {
+    return { verdict: 'invalid', message: 'Enter an answer first' };
+  }
+
+  try {
+    switch (answer.type) {
+      case 'numeric':
+        return checkNumeric(answer, submission, settings);
+      case 'expression':
+        return checkExpression(answer, submission, settings);
+      case 'choice':
+        return checkChoice(answer, submission);
+      case 'interval':
+        return checkInterval(answer, submission, settings);
+      case 'set':
+        return checkSet(answer, submission, settings);
+    }
+  } catch (error) {
+    if (error instanceof ExpressionSyntaxError) {
+      return { verdict: 'invalid', message: error.message };
+    }
+    throw error;
+  }
+}
+
+function checkNumeric(answer: NumericAnswer, submission: string, settings: Required<CheckOptions>): AnswerCheckResult {
+  let text = submission.trim();
+
+  // "2.5 cm" is fine when the answer's unit is cm
+  if (answer.unit && text.endsWith(answer.unit)) {
+    text = text.slice(0, -answer.unit.length).replace(/\\[,;: ]$/, '');
+  }
+
+  const value = evaluateConstant(text);
+  if (!Number.isFinite(value)) {
+    return { verdict: 'invalid', message: 'Answer is not a finite number' };
+  }
+
+  const normalized = `${formatNumber(value)}${answer.unit ? ` ${answer.unit}` : ''}`;
+  const correct = closeEnough(value, answer.value, answer.tolerance ?? 0, settings.relativeTolerance);
+
+  return { verdict: correct ? 'correct' : 'incorrect', normalized };
+}
+
+/**
+ * Equivalent when both sides agree at random points; points where either
+ * side is undefined (division by zero, log of a negative) are skipped
+ */
+function checkExpression(answer: ExpressionAnswer, submission: string, settings: Required<CheckOptions>): AnswerCheckResult {
+  const expected = parseExpression(answer.value);
+  const actual = parseExpression(submission);
+  const normalized = formatExpression(actual);
+
+  const variables = [...new Set([...expressionVariables(expected), ...expressionVariables(actual)])];
+  const random = createRandom(settings.seed);
+
+  let compared = 0;
+  let oneSided = 0;
+
+  for (let attempt = 0; attempt < settings.trials * 3 && compared < settings.trials; attempt++) {
+    const scope: Record<string, number> = {};
+    variables.forEach(name => {
+      scope[name] = (random() * 2 - 1) * SAMPLE_RANGE;
+    });
+
+    const left = evaluateExpression(expected, scope);
+    const right = evaluateExpression(actual, scope);
+
+    if (Number.isFinite(left) && Number.isFinite(right)) {
+      if (!closeEnough(right, left, 0, EXPRESSION_TOLERANCE)) {
+        return { verdict: 'incorrect', normalized };
+      }
+      compared++;
+    } else if (Number.isFinite(left) || Number.isFinite(right)) {
+      oneSided++;
+    }
+
+    // Without variables one evaluation settles it
+    if (variables.length === 0) break;
+  }
+
+  if (compared === 0) {
+    return oneSided > 0
+      ? { verdict: 'incorrect', normalized }
+      : { verdict: 'invalid', normalized, message: 'Answer could not be evaluated' };
+  }
+
+  return { verdict: 'correct', normalized };
+}
+
+function checkChoice(answer: ChoiceAnswer, submission: string): AnswerCheckResult {
+  const key = (text: string) => text.trim().replace(/^\((.*)\)$/, '$1').trim().toUpperCase();
+  const normalized = key(submission);
+
+  return { verdict: normalized === key(answer.value) ? 'correct' : 'incorrect', normalized };
+}
+
+function checkInterval(answer: IntervalAnswer, submission: string, settings: Required<CheckOptions>): AnswerCheckResult {
+  const expected = parseIntervals(answer.value);
+  const actual = parseIntervals(submission);
+
+  const correct = expected.length === actual.length && expected.every((interval, index) => {
+    const other = actual[index];
+    return interval.lowerClosed === other.lowerClosed
+      && interval.upperClosed === other.upperClosed
+      && closeEnough(other.lower, interval.lower, 0, settings.relativeTolerance)
+      && closeEnough(other.upper, interval.upper, 0, settings.relativeTolerance);
+  });
+
+  return { verdict: correct ? 'correct' : 'incorrect', normalized: formatIntervals(actual) };
+}
+
+function checkSet(answer: SetAnswer, submission: string, settings: Required<CheckOptions>): AnswerCheckResult {
+  const expected = parseNumberSet(answer.value, settings.relativeTolerance);
+  const actual = parseNumberSet(submission, settings.relativeTolerance);
+
+  const correct = expected.length === actual.length
+    && expected.every((value, index) => closeEnough(actual[index], value, 0, settings.relativeTolerance));
+
+  return { verdict: correct ? 'correct' : 'incorrect', normalized: `{${actual.map(formatNumber).join(', ')}}` };
+}
+
+/**
+ * Parse the author's side of an answer; throws ExpressionSyntaxError when the
+ * checker could not read it
+ */
+export function readAnswerValue(answer: FinalAnswer): void {
+  switch (answer.type) {
+    case 'expression':
+      parseExpression(answer.value);
+      break;
+    case 'interval':
+      parseIntervals(answer.value);
+      break;
+    case 'set':
+      parseNumberSet(answer.value);
+      break;
+  }
+}
+
+/**
+ * Read "[0, 1) \cup (2, \infty)" as intervals sorted by lower end; "\emptyset" is none
+ */
+export function parseIntervals(input: string): Interval[] {
+  const text = stripSizing(input);
+  if (/^(\\emptyset|\\varnothing|∅|\{\s*\})$/.test(text)) {
+    return [];
+  }
+
+  return text.split(/\\cup|∪|\bU\b/)
+    .map(part => parseInterval(part.trim()))
+    .sort((a, b) => a.lower - b.lower || Number(b.lowerClosed) - Number(a.lowerClosed));
+}
+
+function parseInterval(text: string): Interval {
+  const match = text.match(/^([[(])([\s\S]*)([\])])$/);
+  if (!match) {
+    throw new ExpressionSyntaxError(`"${text}" is not an interval like [a, b)`);
+  }
+
+  const ends = splitTopLevel(match[2]);
+  if (ends.length !== 2) {
+    throw new ExpressionSyntaxError(`Interval "${text}" needs two ends separated by a comma`);
+  }
+
+  const lower = evaluateConstant(ends[0]);
+  const upper = evaluateConstant(ends[1]);
+  if (Number.isNaN(lower) || Number.isNaN(upper)) {
+    throw new ExpressionSyntaxError(`Interval "${text}" has an end that is not a number`);
+  }
+  if (lower > upper) {
+    throw new ExpressionSyntaxError(`Interval "${text}" has its ends the wrong way round`);
+  }
+
+  return {
+    lower,
+    upper,
+    lowerClosed: match[1] === '[' && Number.isFinite(lower),
+    upperClosed: match[3] === ']' && Number.isFinite(upper)
+  };
+}
+
+function formatIntervals(intervals: Interval[]): string {
+  if (intervals.length === 0) return '{}';
+
+  return intervals.map(interval =>
+    `${interval.lowerClosed ? '[' : '('}${formatNumber(interval.lower)}, ${formatNumber(interval.upper)}${interval.upperClosed ? ']' : ')'}`
+  ).join(' U ');
+}
+
+/**
+ * Read "\{1, -2\}" or "1, -2" as its distinct numbers, sorted
+ */
+export function parseNumberSet(input: string, relativeTolerance = DEFAULT_OPTIONS.relativeTolerance): number[] {
+  const text = stripSizing(input)
+    .replace(/^\\\{([\s\S]*)\\\}$/, '$1')
+    .replace(/^\{([\s\S]*)\}$/, '$1')
+    .trim();
+
+  if (text === '' || /^(\\emptyset|\\varnothing|∅)$/.test(text)) {
+    return [];
+  }
+
+  const values = splitTopLevel(text).map(element => {
+    const value = evaluateConstant(element);
+    if (!Number.isFinite(value)) {
+      throw new ExpressionSyntaxError(`"${element.trim()}" is not a finite number`);
+    }
+    return value;
+  }).sort((a, b) => a - b);
+
+  return values.filter((value, index) =>
+    index === 0 || !closeEnough(value, values[index - 1], 0, relativeTolerance)
+  );
+}
+
+// \left( ... \right] carries no meaning beyond its bracket
+function stripSizing(input: string): string {
+  return input.trim()
+    .replace(/^\$\$?([\s\S]*?)\$?\$$/, '$1')
+    .replace(/\\(left|right|bigl|bigr|Bigl|Bigr)(?![a-zA-Z])/g, '')
+    .trim();
+}
+
+// Split on commas outside brackets and braces
+function splitTopLevel(text: string): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if ('([{'.includes(char)) depth++;
+    if (')]}'.includes(char)) depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+
+  return parts;
+}
+
+function closeEnough(actual: number, expected: number, tolerance: number, relativeTolerance: number): boolean {
+  if (actual === expected) return true;
+  if (!Number.isFinite(actual) || !Number.isFinite(expected)) return false;
+  const slack = tolerance + relativeTolerance * Math.max(1, Math.abs(expected), Math.abs(actual));
+  return Math.abs(actual - expected) <= slack;
+}
+
+// Small seeded generator (mulberry32); Math.random would make verdicts flaky
+function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,553 @@
+// packages/core/src/answers/expression.ts
+// Parser and evaluator for the algebraic expressions students type as answers
+//
+// Accepts LaTeX (\frac{x}{2}, \sqrt{x}, \sin^2 x, 2\cdot x) and ASCII
+// (x/2, sqrt(x), 2*x, x**2). LaTeX is first rewritten to ASCII, which is
+// then parsed into a small expression tree with implicit multiplication.
+
+export type ExpressionNode =
+  | { type: 'number'; value: number }
+  | { type: 'constant'; name: string }
+  | { type: 'variable'; name: string }
+  | { type: 'negate'; argument: ExpressionNode }
+  | { type: 'binary'; operator: '+' | '-' | '*' | '/' | '^'; left: ExpressionNode; right: ExpressionNode }
+  | { type: 'call'; name: string; argument: ExpressionNode };
+
+/**
+ * Thrown when an answer cannot be read as an expression
+ */
+export class ExpressionSyntaxError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ExpressionSyntaxError';
+    Object.setPrototypeOf(this, ExpressionSyntaxError.prototype);
+  }
+}
+
+const FUNCTIONS: Record<string, (x: number) => number> = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  sec: x => 1 / Math.cos(x),
+  csc: x => 1 / Math.sin(x),
+  cot: x => 1 / Math.tan(x),
+  arcsin: Math.asin,
+  arccos: Math.acos,
+  arctan: Math.atan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  sinh: Math.sinh,
+  cosh: Math.cosh,
+  tanh: Math.tanh,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp,
+  sqrt: Math.sqrt,
+  abs: Math.abs
+};
+
+const CONSTANTS: Record<string, number> = {
+  pi: Math.PI,
+  e: Math.E,
+  inf: Infinity
+};
+
+const GREEK_LETTERS = [
+  'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'varepsilon', 'zeta', 'eta', 'theta',
+  'vartheta', 'iota', 'kappa', 'lambda', 'mu', 'nu', 'xi', 'rho', 'sigma', 'tau',
+  'upsilon', 'phi', 'varphi', 'chi', 'psi', 'omega'
+];
+
+// Longest first, so "arcsin" wins over "sin" and "theta" over "eta"
+const NAMES = [...Object.keys(FUNCTIONS), ...Object.keys(CONSTANTS), ...GREEK_LETTERS]
+  .sort((a, b) => b.length - a.length);
+
+// LaTeX commands that read as an ASCII operator or name
+const LATEX_REPLACEMENTS: Record<string, string> = {
+  cdot: '*',
+  times: '*',
+  ast: '*',
+  div: '/',
+  infty: 'inf',
+  vert: '|',
+  lvert: '|',
+  rvert: '|',
+  mid: '|'
+};
+
+// Spacing commands and sizing prefixes that carry no meaning
+const IGNORED_COMMANDS = new Set(['left', 'right', 'big', 'Big', 'bigl', 'bigr', 'Bigl', 'Bigr', 'quad', 'qquad', 'displaystyle']);
+
+const UNICODE_REPLACEMENTS: Record<string, string> = {
+  '−': '-',
+  '·': '*',
+  '×': '*',
+  '÷': '/',
+  'π': 'pi',
+  '√': 'sqrt',
+  '∞': 'inf'
+};
+
+/**
+ * Parse LaTeX or ASCII input into an expression tree
+ */
+export function parseExpression(input: string): ExpressionNode {
+  const ascii = latexToAscii(stripMathDelimiters(input));
+  if (!ascii.trim()) {
+    throw new ExpressionSyntaxError('Answer is empty');
+  }
+  return new Parser(tokenize(ascii)).parse();
+}
+
+/**
+ * Evaluate a tree; unknown variables are an error, domain errors give NaN
+ */
+export function evaluateExpression(node: ExpressionNode, scope: Record<string, number> = {}): number {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'constant':
+      return CONSTANTS[node.name];
+    case 'variable':
+      if (!(node.name in scope)) {
+        throw new ExpressionSyntaxError(`Unknown variable "${node.name}"`);
+      }
+      return scope[node.name];
+    case 'negate':
+      return -evaluateExpression(node.argument, scope);
+    case 'call':
+      return FUNCTIONS[node.name](evaluateExpression(node.argument, scope));
+    case 'binary': {
+      const left = evaluateExpression(node.left, scope);
+      const right = evaluateExpression(node.right, scope);
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '^': return Math.pow(left, right);
+      }
+    }
+  }
+}
+
+/**
+ * Names of the variables in a tree, sorted
+ */
+export function expressionVariables(node: ExpressionNode): string[] {
+  const names = new Set<string>();
+
+  const visit = (current: ExpressionNode): void => {
+    switch (current.type) {
+      case 'variable':
+        names.add(current.name);
+        break;
+      case 'negate':
+      case 'call':
+        visit(current.argument);
+        break;
+      case 'binary':
+        visit(current.left);
+        visit(current.right);
+        break;
+    }
+  };
+
+  visit(node);
+  return [...names].sort();
+}
+
+/**
+ * Value of an input that must not contain variables, e.g. "\frac{3}{4}" or "2\pi"
+ */
+export function evaluateConstant(input: string): number {
+  const node = parseExpression(input);
+  const variables = expressionVariables(node);
+
+  if (variables.length > 0) {
+    throw new ExpressionSyntaxError(`Expected a number, found variable "${variables[0]}"`);
+  }
+  return evaluateExpression(node);
+}
+
+/**
+ * ASCII form of a tree with only the parentheses it needs, e.g. "2*(x + 1)"
+ */
+export function formatExpression(node: ExpressionNode): string {
+  switch (node.type) {
+    case 'number':
+      return formatNumber(node.value);
+    case 'constant':
+    case 'variable':
+      return node.name;
+    case 'negate':
+      return `-${wrap(node.argument, precedence(node))}`;
+    case 'call':
+      return `${node.name}(${formatExpression(node.argument)})`;
+    case 'binary': {
+      const own = precedence(node);
+      // Left-associative except ^, which is right-associative
+      const left = wrap(node.left, node.operator === '^' ? own + 1 : own);
+      const right = wrap(node.right, node.operator === '^' ? own : own + 1);
+      return node.operator === '+' || node.operator === '-'
+        ? `${left} ${node.operator} ${right}`
+        : `${left}${node.operator}${right}`;
+    }
+  }
+}
+
+/**
+ * Up to 12 significant digits, without float noise like 0.30000000000000004
+ */
+export function formatNumber(value: number): string {
+  if (value === Infinity) return 'inf';
+  if (value === -Infinity) return '-inf';
+  return String(Number(value.toPrecision(12)));
+}
+
+function precedence(node: ExpressionNode): number {
+  switch (node.type) {
+    case 'binary':
+      return node.operator === '+' || node.operator === '-' ? 1
+        : node.operator === '^' ? 4
+        : 2;
+    case 'negate':
+      return 3;
+    case 'number':
+      return node.value < 0 ? 3 : 5;
+    default:
+      return 5;
+  }
+}
+
+function wrap(node: ExpressionNode, minimum: number): string {
+  const text = formatExpression(node);
+  return precedence(node) < minimum ? `(${text})` : text;
+}
+
+function stripMathDelimiters(input: string): string {
+  return input.trim()
+    .replace(/^\$\$?([\s\S]*?)\$?\$$/, '$1')
+    .replace(/^\\\(([\s\S]*)\\\)$/, '$1')
+    .replace(/^\\\[([\s\S]*)\\\]$/, '$1');
+}
+
+/**
+ * Rewrite LaTeX markup as ASCII the tokenizer understands
+ */
+function latexToAscii(input: string): string {
+  let output = '';
+  let index = 0;
+
+  // A command argument: a braced group, a command or a single character
+  const readArgument = (): string => {
+    while (input[index] === ' ') index++;
+
+    if (input[index] === '{') {
+      const end = findClosingBrace(input, index);
+      const group = input.slice(index + 1, end);
+      index = end + 1;
+      return latexToAscii(group);
+    }
+    if (input[index] === '\\') {
+      const match = input.slice(index).match(/^\\[a-zA-Z]+/);
+      if (match) {
+        index += match[0].length;
+        return latexToAscii(match[0]);
+      }
+    }
+    if (index >= input.length) {
+      throw new ExpressionSyntaxError('Missing argument');
+    }
+    return input[index++];
+  };
+
+  // The root index of \sqrt[3]{x}
+  const readOptionalArgument = (): string => {
+    const end = input.indexOf(']', index);
+    if (end === -1) {
+      throw new ExpressionSyntaxError('Missing "]"');
+    }
+    const group = input.slice(index + 1, end);
+    index = end + 1;
+    return group;
+  };
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (char in UNICODE_REPLACEMENTS) {
+      output += UNICODE_REPLACEMENTS[char];
+      index++;
+      continue;
+    }
+
+    if (char === '{' || char === '}') {
+      output += char === '{' ? '(' : ')';
+      index++;
+      continue;
+    }
+
+    if (char !== '\\') {
+      output += char;
+      index++;
+      continue;
+    }
+
+    // Escaped symbol: \, \; \! \  are spacing; \{ \} are literal braces
+    const symbol = input[index + 1];
+    if (symbol === undefined || !/[a-zA-Z]/.test(symbol)) {
+      if (symbol === '{' || symbol === '}') {
+        output += symbol;
+      } else if (symbol === '|') {
+        output += '|';
+      } else if (!/[,;:! ]/.test(symbol ?? '')) {
+        throw new ExpressionSyntaxError(`Unexpected "\\${symbol ?? ''}"`);
+      }
+      index += 2;
+      continue;
+    }
+
+    const name = input.slice(index + 1).match(/^[a-zA-Z]+/)![0];
+    index += name.length + 1;
+
+    if (IGNORED_COMMANDS.has(name)) {
+      continue;
+    }
+    if (name in LATEX_REPLACEMENTS) {
+      output += ` ${LATEX_REPLACEMENTS[name]} `;
+    } else if (name === 'frac' || name === 'dfrac' || name === 'tfrac' || name === 'cfrac') {
+      const numerator = readArgument();
+      const denominator = readArgument();
+      output += `((${numerator})/(${denominator}))`;
+    } else if (name === 'sqrt') {
+      const rootIndex = input[index] === '[' ? readOptionalArgument() : null;
+      const radicand = readArgument();
+      output += rootIndex === null
+        ? ` sqrt(${radicand})`
+        : `((${radicand})^(1/(${latexToAscii(rootIndex)})))`;
+    } else if (name === 'operatorname' || name === 'mathrm' || name === 'text') {
+      output += ` ${readArgument()} `;
+    } else if (name in FUNCTIONS || name in CONSTANTS || GREEK_LETTERS.includes(name)) {
+      output += ` ${name} `;
+    } else {
+      throw new ExpressionSyntaxError(`Unknown command "\\${name}"`);
+    }
+  }
+
+  return output;
+}
+
+function findClosingBrace(text: string, open: number): number {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  throw new ExpressionSyntaxError('Missing "}"');
+}
+
+type Token =
+  | { type: 'number'; value: number }
+  | { type: 'name'; value: string }
+  | { type: 'symbol'; value: string };
+
+const NUMBER_REGEX = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+
+function tokenize(input: string): Token[] {
+  const tokens: Token[] = [];
+  let index = 0;
+
+  while (index < input.length) {
+    const rest = input.slice(index);
+    const char = input[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    const number = rest.match(NUMBER_REGEX);
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]) });
+      index += number[0].length;
+      continue;
+    }
+
+    if (/[a-zA-Z]/.test(char)) {
+      // Known names are read whole; any other letter is a one-letter variable
+      const name = NAMES.find(candidate => rest.startsWith(candidate)) ?? char;
+      tokens.push({ type: 'name', value: name });
+      index += name.length;
+      continue;
+    }
+
+    if (rest.startsWith('**')) {
+      tokens.push({ type: 'symbol', value: '^' });
+      index += 2;
+      continue;
+    }
+
+    if ('+-*/^()|'.includes(char)) {
+      tokens.push({ type: 'symbol', value: char });
+      index++;
+      continue;
+    }
+
+    throw new ExpressionSyntaxError(`Unexpected "${char}"`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser; unary minus binds looser than ^, so -x^2 is -(x^2)
+ */
+class Parser {
+  private position = 0;
+  private openBars = 0;
+
+  constructor(private tokens: Token[]) {}
+
+  parse(): ExpressionNode {
+    const node = this.parseSum();
+    const next = this.peek();
+    if (next) {
+      throw new ExpressionSyntaxError(`Unexpected "${next.value}"`);
+    }
+    return node;
+  }
+
+  private parseSum(): ExpressionNode {
+    let node = this.parseProduct();
+
+    while (this.isSymbol('+') || this.isSymbol('-')) {
+      const operator = this.next().value as '+' | '-';
+      node = { type: 'binary', operator, left: node, right: this.parseProduct() };
+    }
+
+    return node;
+  }
+
+  private parseProduct(): ExpressionNode {
+    let node = this.parseUnary();
+
+    for (;;) {
+      if (this.isSymbol('*') || this.isSymbol('/')) {
+        const operator = this.next().value as '*' | '/';
+        node = { type: 'binary', operator, left: node, right: this.parseUnary() };
+      } else if (this.startsOperand()) {
+        node = { type: 'binary', operator: '*', left: node, right: this.parsePower() };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  private parseUnary(): ExpressionNode {
+    if (this.isSymbol('-')) {
+      this.next();
+      return { type: 'negate', argument: this.parseUnary() };
+    }
+    if (this.isSymbol('+')) {
+      this.next();
+      return this.parseUnary();
+    }
+    return this.parsePower();
+  }
+
+  private parsePower(): ExpressionNode {
+    const base = this.parsePrimary();
+
+    if (this.isSymbol('^')) {
+      this.next();
+      return { type: 'binary', operator: '^', left: base, right: this.parseUnary() };
+    }
+    return base;
+  }
+
+  private parsePrimary(): ExpressionNode {
+    const token = this.next();
+
+    if (!token) {
+      throw new ExpressionSyntaxError('Answer ends unexpectedly');
+    }
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      if (token.value in FUNCTIONS) {
+        return this.parseCall(token.value);
+      }
+      return token.value in CONSTANTS
+        ? { type: 'constant', name: token.value }
+        : { type: 'variable', name: token.value };
+    }
+
+    if (token.value === '(') {
+      const node = this.parseSum();
+      this.expect(')');
+      return node;
+    }
+
+    if (token.value === '|') {
+      this.openBars++;
+      const node = this.parseSum();
+      this.expect('|');
+      this.openBars--;
+      return { type: 'call', name: 'abs', argument: node };
+    }
+
+    throw new ExpressionSyntaxError(`Unexpected "${token.value}"`);
+  }
+
+  // sin(x), sin x and sin^2 x, which means (sin x)^2
+  private parseCall(name: string): ExpressionNode {
+    let exponent: ExpressionNode | null = null;
+    if (this.isSymbol('^')) {
+      this.next();
+      exponent = this.parsePrimary();
+    }
+
+    const argument = this.isSymbol('(') ? this.parsePrimary() : this.parsePower();
+    const call: ExpressionNode = { type: 'call', name, argument };
+
+    return exponent ? { type: 'binary', operator: '^', left: call, right: exponent } : call;
+  }
+
+  // Implicit multiplication: 2x, 2(x + 1), x sin x; a bar closes an open |...|
+  private startsOperand(): boolean {
+    const token = this.peek();
+    if (!token) return false;
+    if (token.type !== 'symbol') return true;
+    return token.value === '(' || (token.value === '|' && this.openBars === 0);
+  }
+
+  private isSymbol(value: string): boolean {
+    const token = this.peek();
+    return token !== undefined && token.type === 'symbol' && token.value === value;
+  }
+
+  private expect(value: string): void {
+    if (!this.isSymbol(value)) {
+      throw new ExpressionSyntaxError(`Missing "${value}"`);
+    }
+    this.next();
+  }
+
+  private peek(): Token | undefined {
+    return this.tokens[this.position];
+  }
+
+  private next(): Token {
+    return this.tokens[this.position++];
+  }
+}
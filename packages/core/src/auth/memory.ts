@@ -0,0 +1,53 @@
+// packages/core/src/auth/memory.ts
+// In-memory sign-in for the local backend, tests and CI
+
+import { AuthProvider, SignInOptions, User } from './types.js';
+import { isRole } from './roles.js';
+
+export class MemoryAuthProvider implements AuthProvider {
+  private user: User | null;
+  private listeners = new Set<(user: User | null) => void>();
+
+  constructor(user: User | null = null) {
+    this.user = user ? { ...user } : null;
+  }
+
+  getCurrentUser(): User | null {
+    return this.user ? { ...this.user } : null;
+  }
+
+  onAuthChange(listener: (user: User | null) => void): () => void {
+    this.listeners.add(listener);
+    listener(this.getCurrentUser());
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Sign in as anyone with any role; the same name always gets the same uid
+   */
+  async signIn(options: SignInOptions = {}): Promise<User> {
+    const name = options.name?.trim() || 'Local User';
+    const role = isRole(options.role) ? options.role : 'author';
+
+    this.user = {
+      uid: `local-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+      name,
+      role,
+      ...(options.email ? { email: options.email } : {})
+    };
+
+    this.notify();
+    return this.getCurrentUser()!;
+  }
+
+  async signOut(): Promise<void> {
+    this.user = null;
+    this.notify();
+  }
+
+  private notify(): void {
+    this.listeners.forEach(listener => listener(this.getCurrentUser()));
+  }
+}
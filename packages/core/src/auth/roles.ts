@@ -0,0 +1,65 @@
+// packages/core/src/auth/roles.ts
+// Which roles may save, review, publish or delete content, or edit the macro library
+
+import { WorkflowState } from '../schema/types.js';
+import { Role, Permission, User } from './types.js';
+
+export const ROLES: Role[] = ['author', 'reviewer', 'admin'];
+
+export const ROLE_LABELS: Record<Role, string> = {
+  author: 'Author',
+  reviewer: 'Reviewer',
+  admin: 'Admin'
+};
+
+export const ROLE_PERMISSIONS: Record<Role, Permission[]> = {
+  author: ['save'],
+  reviewer: ['save', 'review'],
+  admin: ['save', 'review', 'publish', 'delete', 'macros']
+};
+
+export const PERMISSION_LABELS: Record<Permission, string> = {
+  save: 'save',
+  review: 'review',
+  publish: 'publish or archive',
+  delete: 'delete',
+  macros: 'edit the macro library'
+};
+
+/**
+ * Whether a user may do something to a document. Authors may only save
+ * new content and content they created; the other roles may save anything.
+ */
+export function hasPermission(
+  user: User | null,
+  permission: Permission,
+  content?: { authorId?: string }
+): boolean {
+  if (!user || !ROLE_PERMISSIONS[user.role].includes(permission)) {
+    return false;
+  }
+
+  if (user.role === 'author' && content?.authorId) {
+    return content.authorId === user.uid;
+  }
+
+  return true;
+}
+
+/**
+ * Permission needed to move content between workflow states:
+ * leaving review is a review decision, going live or off-line is publishing
+ */
+export function permissionForTransition(from: WorkflowState, to: WorkflowState): Permission {
+  if (to === 'published' || to === 'archived') {
+    return 'publish';
+  }
+  if (from !== to && (from === 'in_review' || from === 'approved')) {
+    return 'review';
+  }
+  return 'save';
+}
+
+export function isRole(value: any): value is Role {
+  return ROLES.includes(value);
+}
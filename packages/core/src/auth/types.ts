@@ -0,0 +1,45 @@
+// packages/core/src/auth/types.ts
+// Backend-neutral interfaces for signed-in users and their roles
+
+export type Role = 'author' | 'reviewer' | 'admin';
+
+/**
+ * What a role may do; see ROLE_PERMISSIONS
+ */
+export type Permission = 'save' | 'review' | 'publish' | 'delete' | 'macros';
+
+export interface User {
+  /** Stable ID from the auth backend; recorded as authorId / lastEditorId */
+  uid: string;
+  /** Display name recorded as author / lastEditor */
+  name: string;
+  email?: string;
+  role: Role;
+}
+
+/**
+ * Only the local backend honours these; Firebase signs in through its own popup
+ */
+export interface SignInOptions {
+  name?: string;
+  email?: string;
+  role?: Role;
+}
+
+/**
+ * Who is using the editor
+ */
+export interface AuthProvider {
+  /** The signed-in user, or null */
+  getCurrentUser(): User | null;
+
+  /**
+   * Call listener now and on every sign-in or sign-out;
+   * returns a function that removes the listener
+   */
+  onAuthChange(listener: (user: User | null) => void): () => void;
+
+  signIn(options?: SignInOptions): Promise<User>;
+
+  signOut(): Promise<void>;
+}
@@ -0,0 +1,360 @@
+// packages/core/src/diff/content.ts
+// Block-level diff between two versions of canonical content
+
+import {
+  CanonicalContent,
+  ContentBlock,
+  FinalAnswer,
+  Metadata,
+  ProblemPart,
+  Solution
+} from '../schema/types.js';
+
+export type ChangeType = 'added' | 'removed' | 'changed' | 'unchanged';
+
+export interface TextChange {
+  type: 'equal' | 'insert' | 'delete';
+  text: string;
+}
+
+export interface BlockChange {
+  type: ChangeType;
+  before?: ContentBlock;
+  after?: ContentBlock;
+  /** Token-level diff of the block's text or LaTeX, for changed blocks */
+  textDiff?: TextChange[];
+}
+
+export interface FieldChange {
+  field: keyof Metadata;
+  before: unknown;
+  after: unknown;
+}
+
+export interface SolutionDiff {
+  type: ChangeType;
+  before?: Solution;
+  after?: Solution;
+  blocks: BlockChange[];
+}
+
+export interface PartDiff {
+  type: ChangeType;
+  before?: ProblemPart;
+  after?: ProblemPart;
+  statement: BlockChange[];
+  /** Token-level diff of the final answer, when it changed */
+  answer?: TextChange[];
+  /** Token-level diff of the hints, one per line, when they changed */
+  hints?: TextChange[];
+}
+
+export interface ContentDiff {
+  metadata: FieldChange[];
+  statement: BlockChange[];
+  parts: PartDiff[];
+  solutions: SolutionDiff[];
+  /** False when the two versions are identical (ignoring id and timestamp) */
+  changed: boolean;
+}
+
+// Metadata fields worth reporting; id and timestamp change on every save
+const COMPARED_FIELDS: Array<keyof Metadata> = [
+  'title',
+  'contentType',
+  'category',
+  'difficulty',
+  'tags',
+  'author',
+  'draft',
+  'state'
+];
+
+// LaTeX commands, words, whitespace runs, then any single character
+const TOKEN_REGEX = /\\[a-zA-Z]+|\s+|[a-zA-Z0-9]+|[\s\S]/g;
+
+// Larger inputs fall back to delete-all / insert-all to bound the LCS table
+const MAX_LCS_CELLS = 1000000;
+
+/**
+ * Compare two versions of a content item
+ */
+export function diffContent(before: CanonicalContent, after: CanonicalContent): ContentDiff {
+  const metadata = COMPARED_FIELDS
+    .filter(field => !sameValue(before.metadata[field], after.metadata[field]))
+    .map(field => ({ field, before: before.metadata[field], after: after.metadata[field] }));
+
+  const statement = diffBlocks(before.statement, after.statement);
+  const parts = diffParts(before.parts ?? [], after.parts ?? []);
+  const solutions = diffSolutions(before.solutions ?? [], after.solutions ?? []);
+
+  const changed = metadata.length > 0
+    || statement.some(change => change.type !== 'unchanged')
+    || parts.some(part => part.type !== 'unchanged')
+    || solutions.some(solution => solution.type !== 'unchanged');
+
+  return { metadata, statement, parts, solutions, changed };
+}
+
+/**
+ * Align two block lists; removed/added blocks of the same type between
+ * two unchanged blocks are paired up as changed
+ */
+export function diffBlocks(before: ContentBlock[], after: ContentBlock[]): BlockChange[] {
+  const operations = lcsDiff(before.map(blockKey), after.map(blockKey));
+  const changes: BlockChange[] = [];
+  let removed: ContentBlock[] = [];
+  let added: ContentBlock[] = [];
+
+  const flush = () => {
+    changes.push(...pairChanges(removed, added));
+    removed = [];
+    added = [];
+  };
+
+  operations.forEach(operation => {
+    if (operation.type === 'equal') {
+      flush();
+      changes.push({ type: 'unchanged', before: before[operation.from], after: after[operation.to] });
+    } else if (operation.type === 'delete') {
+      removed.push(before[operation.from]);
+    } else {
+      added.push(after[operation.to]);
+    }
+  });
+  flush();
+
+  return changes;
+}
+
+/**
+ * Token-level diff of two strings; LaTeX commands count as one token
+ */
+export function diffText(before: string, after: string): TextChange[] {
+  const a = before.match(TOKEN_REGEX) ?? [];
+  const b = after.match(TOKEN_REGEX) ?? [];
+  const changes: TextChange[] = [];
+
+  lcsDiff(a, b).forEach(operation => {
+    const type = operation.type;
+    const text = operation.type === 'insert' ? b[operation.to] : a[operation.from];
+    const last = changes[changes.length - 1];
+
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      changes.push({ type, text });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Solutions are matched by position
+ */
+function diffSolutions(before: Solution[], after: Solution[]): SolutionDiff[] {
+  const count = Math.max(before.length, after.length);
+  const diffs: SolutionDiff[] = [];
+
+  for (let i = 0; i < count; i++) {
+    const oldSolution = before[i];
+    const newSolution = after[i];
+
+    if (!oldSolution) {
+      diffs.push({ type: 'added', after: newSolution, blocks: diffBlocks([], newSolution.blocks) });
+    } else if (!newSolution) {
+      diffs.push({ type: 'removed', before: oldSolution, blocks: diffBlocks(oldSolution.blocks, []) });
+    } else {
+      const blocks = diffBlocks(oldSolution.blocks, newSolution.blocks);
+      const changed = oldSolution.title !== newSolution.title
+        || blocks.some(change => change.type !== 'unchanged');
+
+      diffs.push({ type: changed ? 'changed' : 'unchanged', before: oldSolution, after: newSolution, blocks });
+    }
+  }
+
+  return diffs;
+}
+
+/**
+ * Parts are matched by position, like solutions
+ */
+function diffParts(before: ProblemPart[], after: ProblemPart[]): PartDiff[] {
+  const count = Math.max(before.length, after.length);
+  const diffs: PartDiff[] = [];
+
+  for (let i = 0; i < count; i++) {
+    const oldPart = before[i];
+    const newPart = after[i];
+
+    if (!oldPart) {
+      diffs.push({ type: 'added', after: newPart, statement: diffBlocks([], newPart.statement) });
+    } else if (!newPart) {
+      diffs.push({ type: 'removed', before: oldPart, statement: diffBlocks(oldPart.statement, []) });
+    } else {
+      const statement = diffBlocks(oldPart.statement, newPart.statement);
+      const diff: PartDiff = { type: 'unchanged', before: oldPart, after: newPart, statement };
+
+      const oldAnswer = answerText(oldPart.answer);
+      const newAnswer = answerText(newPart.answer);
+      if (oldAnswer !== newAnswer) diff.answer = diffText(oldAnswer, newAnswer);
+
+      const oldHints = (oldPart.hints ?? []).join('\n');
+      const newHints = (newPart.hints ?? []).join('\n');
+      if (oldHints !== newHints) diff.hints = diffText(oldHints, newHints);
+
+      if (oldPart.label !== newPart.label || diff.answer || diff.hints
+        || statement.some(change => change.type !== 'unchanged')) {
+        diff.type = 'changed';
+      }
+      diffs.push(diff);
+    }
+  }
+
+  return diffs;
+}
+
+// e.g. "numeric: 9.81 ± 0.01 m/s^2"
+function answerText(answer?: FinalAnswer): string {
+  if (!answer) return '';
+
+  const text = `${answer.type}: ${answer.value}`;
+  if (answer.type !== 'numeric') return text;
+
+  return [text, answer.tolerance !== undefined && `± ${answer.tolerance}`, answer.unit].filter(Boolean).join(' ');
+}
+
+function pairChanges(removed: ContentBlock[], added: ContentBlock[]): BlockChange[] {
+  const changes: BlockChange[] = [];
+  const unpaired = [...added];
+
+  removed.forEach(block => {
+    const index = unpaired.findIndex(candidate => candidate.type === block.type);
+
+    if (index === -1) {
+      changes.push({ type: 'removed', before: block });
+      return;
+    }
+
+    const [match] = unpaired.splice(index, 1);
+    changes.push({
+      type: 'changed',
+      before: block,
+      after: match,
+      textDiff: diffText(blockText(block), blockText(match))
+    });
+  });
+
+  unpaired.forEach(block => changes.push({ type: 'added', after: block }));
+
+  return changes;
+}
+
+/**
+ * The text a reader would compare: source text, LaTeX, list items, table rows, image URL,
+ * an environment's heading and children
+ */
+function blockText(block: ContentBlock): string {
+  const data = block.data as Record<string, any>;
+
+  switch (block.type) {
+    case 'paragraph':
+    case 'header':
+      return data.text;
+    case 'quote':
+      return data.caption ? `${data.text}\n— ${data.caption}` : data.text;
+    case 'math':
+      return data.latex;
+    case 'list':
+      return data.items.join('\n');
+    case 'image':
+      return [data.url, data.caption, data.alignment, data.size].filter(Boolean).join('\n');
+    case 'table':
+      return data.content.map((row: string[]) => row.join(' | ')).join('\n');
+    case 'choice':
+      return data.options
+        .map((option: any) => `[${option.correct ? 'x' : ' '}] (${option.key}) ${option.text}${option.feedback ? `\n> ${option.feedback}` : ''}`)
+        .join('\n');
+    case 'environment': {
+      const heading = [data.kind, data.number, data.title && `(${data.title})`, data.label && `#${data.label}`].filter(Boolean).join(' ');
+      return [heading, ...data.blocks.map(blockText)].join('\n');
+    }
+    default:
+      return JSON.stringify(data);
+  }
+}
+
+function blockKey(block: ContentBlock): string {
+  return JSON.stringify(block);
+}
+
+function sameValue(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+type Operation =
+  | { type: 'equal'; from: number; to: number }
+  | { type: 'delete'; from: number; to?: undefined }
+  | { type: 'insert'; to: number; from?: undefined };
+
+/**
+ * Longest-common-subsequence edit script between two sequences
+ */
+function lcsDiff(a: string[], b: string[]): Operation[] {
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const operations: Operation[] = [];
+  for (let i = 0; i < start; i++) {
+    operations.push({ type: 'equal', from: i, to: i });
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+
+  if (n * m > MAX_LCS_CELLS) {
+    for (let i = start; i < endA; i++) operations.push({ type: 'delete', from: i });
+    for (let j = start; j < endB; j++) operations.push({ type: 'insert', to: j });
+  } else {
+    // lengths[i][j] = LCS length of a[start + i..endA) and b[start + j..endB)
+    const lengths: number[][] = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i][j] = a[start + i] === b[start + j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        operations.push({ type: 'equal', from: start + i, to: start + j });
+        i++;
+        j++;
+      } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        operations.push({ type: 'delete', from: start + i });
+        i++;
+      } else {
+        operations.push({ type: 'insert', to: start + j });
+        j++;
+      }
+    }
+  }
+
+  for (let i = endA; i < a.length; i++) {
+    operations.push({ type: 'equal', from: i, to: endB + (i - endA) });
+  }
+
+  return operations;
+}
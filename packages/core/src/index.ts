@@ -2,19 +2,219 @@
 // Main entry point for @azmath/core
 
 // Export types
-export * from './schema/types';
+export * from './schema/types.js';
 
 // Export validator
 export {
   ContentValidator,
   validateContent,
   isValidContent
-} from './schema/validator';
+} from './schema/validator.js';
+
+export type { ValidatorOptions } from './schema/validator.js';
+
+// Export LaTeX lint
+export {
+  lintLatex,
+  LATEX_MACROS,
+  LATEX_ENVIRONMENTS,
+  DISALLOWED_MACROS
+} from './math/lint.js';
+
+export type { LatexLintIssue, LatexLintCode, LatexLintOptions } from './math/lint.js';
+
+// Export the macro library
+export {
+  DEFAULT_MACROS,
+  MACRO_NAME_REGEX,
+  macroNames,
+  validateMacros,
+  toMathJaxMacros,
+  toKatexMacros,
+  toNewcommands
+} from './math/macros.js';
+
+export type { MacroDefinition } from './math/macros.js';
+
+// Export inline math markup
+export {
+  INLINE_MATH_CLASS,
+  inlineMathHtml,
+  normalizeInlineMath,
+  inlineMathToTex
+} from './math/inline.js';
+
+// Export review workflow
+export {
+  WORKFLOW_STATES,
+  WORKFLOW_TRANSITIONS,
+  WORKFLOW_LABELS,
+  canTransition,
+  getWorkflowState,
+  isWorkflowState
+} from './schema/workflow.js';
+
+export type { ReviewComment } from './schema/workflow.js';
+
+// Export environment numbering and cross-references
+export {
+  ENVIRONMENT_KINDS,
+  ENVIRONMENT_LABELS,
+  NUMBERED_ENVIRONMENTS,
+  numberEnvironments,
+  environmentHeading,
+  findReferences,
+  resolveReferences,
+  isEnvironmentKind
+} from './schema/environments.js';
+
+export type { EnvironmentNumbering, EnvironmentTarget } from './schema/environments.js';
+
+// Export roles and sign-in
+export {
+  ROLES,
+  ROLE_LABELS,
+  ROLE_PERMISSIONS,
+  PERMISSION_LABELS,
+  hasPermission,
+  permissionForTransition,
+  isRole
+} from './auth/roles.js';
+
+export { MemoryAuthProvider } from './auth/memory.js';
+
+export type { Role, Permission, User, AuthProvider, SignInOptions } from './auth/types.js';
+
+// Export answer checking
+export {
+  checkAnswer,
+  parseIntervals,
+  parseNumberSet
+} from './answers/check.js';
+
+export type { AnswerCheckResult, AnswerVerdict, CheckOptions, Interval } from './answers/check.js';
+
+export {
+  parseExpression,
+  evaluateExpression,
+  evaluateConstant,
+  formatExpression,
+  ExpressionSyntaxError
+} from './answers/expression.js';
+
+export type { ExpressionNode } from './answers/expression.js';
 
 // Export renderer
 export {
   HTMLRenderer,
   renderToHTML
-} from './renderer/html';
+} from './renderer/html.js';
+
+export type { RenderOptions } from './renderer/html.js';
+
+export {
+  createKatexEngine,
+  createMathJaxEngine
+} from './renderer/math-engines.js';
+
+export type {
+  MathEngine,
+  KatexLike,
+  MathJaxLike,
+  KatexEngineOptions,
+  MathJaxEngineOptions
+} from './renderer/math-engines.js';
+
+// Export LaTeX exporter
+export {
+  LatexRenderer,
+  renderToLatex
+} from './renderer/latex.js';
+
+export type { LatexRenderOptions, SolutionPlacement } from './renderer/latex.js';
+
+// Export Markdown serializer and parser
+export {
+  MarkdownRenderer,
+  renderToMarkdown
+} from './renderer/markdown.js';
+
+export type { MarkdownRenderOptions } from './renderer/markdown.js';
+
+export {
+  parseMarkdown,
+  parseMarkdownBlocks
+} from './parser/markdown.js';
+
+export type { MarkdownParseOptions } from './parser/markdown.js';
+
+// Export LaTeX importer
+export {
+  parseLatex,
+  parseLatexProblems
+} from './parser/latex.js';
+
+export type { LatexParseOptions } from './parser/latex.js';
+
+// Export editor adapter
+export {
+  fromEditorData,
+  toEditorData,
+  fromEditorBlocks,
+  toEditorBlocks,
+  toISOTimestamp
+} from './adapters/editor.js';
+
+export type {
+  EditorData,
+  EditorBlock,
+  EditorSolution,
+  EditorPart,
+  FromEditorOptions,
+  TimestampLike
+} from './adapters/editor.js';
+
+// Export storage interfaces and in-memory backend
+export {
+  MemoryContentRepository,
+  MemoryAssetStore
+} from './storage/memory.js';
+
+export { ContentConflictError, ContentChangedError } from './storage/errors.js';
+
+export type {
+  ContentRepository,
+  AssetStore,
+  StoredContent,
+  SaveOptions,
+  ListOptions,
+  Revision
+} from './storage/types.js';
+
+export type { MemoryAssetStoreOptions } from './storage/memory.js';
+
+export {
+  MemoryDraftStore,
+  draftKey,
+  createLocalId,
+  sortDrafts
+} from './storage/drafts.js';
+
+export type { LocalDraft, DraftStore } from './storage/drafts.js';
+
+// Export content diff
+export {
+  diffContent,
+  diffBlocks,
+  diffText
+} from './diff/content.js';
 
-export type { RenderOptions } from './renderer/html';
+export type {
+  ContentDiff,
+  BlockChange,
+  PartDiff,
+  SolutionDiff,
+  FieldChange,
+  TextChange,
+  ChangeType
+} from './diff/content.js';
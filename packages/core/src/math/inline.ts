@@ -0,0 +1,134 @@
+// packages/core/src/math/inline.ts
+// Math inside rich text: <span class="inline-math">LaTeX</span>, $...$ and $$...$$
+
+/**
+ * Class of the inline math span. In canonical rich text the span holds the
+ * HTML-escaped LaTeX and nothing else: <span class="inline-math">a &lt; b</span>
+ */
+export const INLINE_MATH_CLASS = 'inline-math';
+
+const INLINE_MATH_OPEN = `<span class="${INLINE_MATH_CLASS}">`;
+const INLINE_MATH_CLOSE = '</span>';
+
+// Canonical spans only; anything else carrying the class is malformed
+const INLINE_MATH_REGEX = /<span class="inline-math">([^<]*)<\/span>/g;
+
+/** Inline math spans, $$...$$ and $...$ in rich text; split() puts them at odd indices */
+export const MATH_SPLIT_REGEX = /(<span class="inline-math">[^<]*<\/span>|\$\$[\s\S]+?\$\$|\$(?:\\.|[^$\\])+?\$)/;
+
+export interface MathSegment {
+  /** The LaTeX as written in the HTML, so still entity-escaped */
+  latex: string;
+  display: boolean;
+  /** Written as an inline math span rather than between dollars */
+  span: boolean;
+  /** Where the LaTeX starts in the segment */
+  offset: number;
+}
+
+/**
+ * Read a segment MATH_SPLIT_REGEX captured
+ */
+export function parseMathSegment(segment: string): MathSegment {
+  if (segment.startsWith(INLINE_MATH_OPEN)) {
+    return {
+      latex: segment.slice(INLINE_MATH_OPEN.length, -INLINE_MATH_CLOSE.length),
+      display: false,
+      span: true,
+      offset: INLINE_MATH_OPEN.length
+    };
+  }
+
+  const display = segment.startsWith('$$');
+  const delimiter = display ? 2 : 1;
+  return { latex: segment.slice(delimiter, -delimiter), display, span: false, offset: delimiter };
+}
+
+/**
+ * Canonical inline math span for one formula
+ */
+export function inlineMathHtml(latex: string): string {
+  return `${INLINE_MATH_OPEN}${escapeText(latex)}${INLINE_MATH_CLOSE}`;
+}
+
+/**
+ * Whether rich text carries the inline math class outside canonical spans,
+ * e.g. with extra attributes or markup inside
+ */
+export function hasMalformedInlineMath(html: string): boolean {
+  return html.replace(INLINE_MATH_REGEX, '').includes(`class="${INLINE_MATH_CLASS}"`);
+}
+
+/**
+ * Turn the editor's inline math spans back into canonical ones. The editor
+ * keeps the LaTeX in data-latex and the typeset formula inside the span;
+ * spans without data-latex keep their text.
+ */
+export function normalizeInlineMath(html: string): string {
+  if (!html.includes(INLINE_MATH_CLASS)) return html;
+
+  const openTag = /<span\b[^>]*\bclass="inline-math"[^>]*>/g;
+  let result = '';
+  let index = 0;
+  let match: RegExpExecArray | null;
+
+  while ((match = openTag.exec(html))) {
+    const end = closingSpanEnd(html, openTag.lastIndex);
+    if (end === -1) break;
+
+    const attribute = match[0].match(/\bdata-latex="([^"]*)"/);
+    const latex = attribute
+      ? attribute[1]
+      : html.slice(openTag.lastIndex, end - INLINE_MATH_CLOSE.length).replace(/<[^>]*>/g, '');
+
+    result += html.slice(index, match.index) + inlineMathHtml(decodeEntities(latex));
+    index = end;
+    openTag.lastIndex = end;
+  }
+
+  return result + html.slice(index);
+}
+
+/**
+ * Put the LaTeX of each inline math span between $...$, for MathJax or
+ * KaTeX's auto-render to typeset in the browser
+ */
+export function inlineMathToTex(html: string): string {
+  return html.replace(INLINE_MATH_REGEX, (span, latex: string) => `${INLINE_MATH_OPEN}$${latex}$${INLINE_MATH_CLOSE}`);
+}
+
+// End of the </span> closing the span whose content starts at `from`, or -1
+function closingSpanEnd(html: string, from: number): number {
+  const tag = /<(\/?)span\b[^>]*>/g;
+  tag.lastIndex = from;
+  let depth = 1;
+  let match: RegExpExecArray | null;
+
+  while ((match = tag.exec(html))) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return tag.lastIndex;
+  }
+
+  return -1;
+}
+
+function escapeText(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Decode the entities rich text HTML uses, so LaTeX taken out of it reads as
+ * written: Editor.js stores <, > and & escaped
+ */
+export function decodeEntities(text: string): string {
+  const map: Record<string, string> = {
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#039;': "'",
+    '&#39;': "'",
+    '&nbsp;': ' ',
+    '&amp;': '&'
+  };
+  return text.replace(/&(?:lt|gt|quot|#0?39|nbsp|amp);/g, m => map[m]);
+}
@@ -0,0 +1,250 @@
+// packages/core/src/math/lint.ts
+// Checks LaTeX math for mistakes MathJax and KaTeX would reject, without a browser
+
+export type LatexLintCode =
+  | 'LATEX_UNBALANCED'
+  | 'LATEX_UNKNOWN_COMMAND'
+  | 'LATEX_DOLLAR'
+  | 'LATEX_DISALLOWED';
+
+export interface LatexLintIssue {
+  message: string;
+  code: LatexLintCode;
+  /** Character range of the offending token in the linted string */
+  start: number;
+  end: number;
+}
+
+export interface LatexLintOptions {
+  /** Macros allowed in math, without the backslash; defaults to LATEX_MACROS */
+  knownMacros?: string[];
+  /** Macros known on top of knownMacros, such as the collection's macro library */
+  extraMacros?: string[];
+  /** Environments allowed in \begin{...}; defaults to LATEX_ENVIRONMENTS */
+  knownEnvironments?: string[];
+}
+
+/** Macros MathJax renders; KaTeX renders all but \label and \eqref */
+export const LATEX_MACROS: string[] = `
+  alpha beta gamma delta epsilon varepsilon zeta eta theta vartheta iota kappa varkappa
+  lambda mu nu xi omicron pi varpi rho varrho sigma varsigma tau upsilon phi varphi chi psi omega
+  Gamma Delta Theta Lambda Xi Pi Sigma Upsilon Phi Psi Omega
+  aleph beth hbar ell imath jmath wp Re Im partial nabla infty emptyset varnothing
+  forall exists nexists neg lnot top bot angle measuredangle triangle square Box
+  blacksquare Diamond prime backslash checkmark dagger ddagger surd
+  frac dfrac tfrac cfrac binom dbinom tbinom sqrt over choose atop
+  sum prod coprod int iint iiint oint bigcup bigcap bigoplus bigotimes bigvee bigwedge
+  lim limsup liminf sup inf max min arg det dim exp gcd hom ker lg ln log Pr deg
+  sin cos tan cot sec csc arcsin arccos arctan sinh cosh tanh coth
+  mod bmod pmod pod
+  lt gt leq le geq ge neq ne leqq geqq leqslant geqslant lesssim gtrsim nless ngtr nleq ngeq
+  approx equiv sim simeq cong propto doteq triangleq asymp ll gg prec succ preceq succeq
+  in notin ni subset subseteq supset supseteq subsetneq supsetneq nsubseteq nsupseteq
+  cup cap sqcup sqcap uplus setminus complement
+  perp parallel mid nmid vdash dashv models therefore because
+  pm mp times div cdot cdotp ast star circ bullet oplus ominus otimes oslash odot
+  wedge vee land lor colon
+  to mapsto gets rightarrow leftarrow Rightarrow Leftarrow leftrightarrow Leftrightarrow
+  longrightarrow longleftarrow Longrightarrow Longleftarrow longleftrightarrow Longleftrightarrow
+  iff implies impliedby uparrow downarrow Uparrow Downarrow updownarrow
+  hookrightarrow hookleftarrow nearrow searrow swarrow nwarrow rightleftharpoons
+  xrightarrow xleftarrow xleftrightarrow xRightarrow xLeftarrow xLeftrightarrow xmapsto
+  langle rangle lfloor rfloor lceil rceil lvert rvert lVert rVert vert Vert
+  lbrace rbrace lbrack rbrack
+  left right middle big Big bigg Bigg bigl bigr Bigl Bigr biggl biggr Biggl Biggr
+  ldots cdots vdots ddots dots dotsc dotsb dotsm dotsi
+  hat widehat tilde widetilde bar overline underline vec overrightarrow overleftarrow
+  overleftrightarrow underrightarrow underleftarrow
+  dot ddot dddot check breve acute grave mathring
+  overbrace underbrace overset underset stackrel substack not cancel boxed
+  mathbb mathcal mathrm mathbf mathit mathsf mathtt mathfrak mathscr boldsymbol pmb
+  rm bf it cal sf tt
+  operatorname mathop mathbin mathrel limits nolimits
+  displaystyle textstyle scriptstyle scriptscriptstyle
+  text textrm textbf textit textsf texttt textnormal mbox
+  quad qquad enspace thinspace medspace thickspace negthinspace hspace kern mkern
+  phantom hphantom vphantom smash mathstrut
+  color textcolor
+  begin end hline tag notag nonumber label eqref
+`.trim().split(/\s+/);
+
+/** Environments both MathJax and KaTeX render */
+export const LATEX_ENVIRONMENTS: string[] = [
+  'matrix', 'pmatrix', 'bmatrix', 'Bmatrix', 'vmatrix', 'Vmatrix', 'smallmatrix',
+  'cases', 'rcases', 'array', 'subarray',
+  'aligned', 'alignedat', 'gathered', 'split',
+  'align', 'align*', 'gather', 'gather*', 'equation', 'equation*'
+];
+
+/** Commands that load code, define macros or link out; never allowed in content */
+export const DISALLOWED_MACROS: string[] = [
+  'href', 'url', 'require', 'input', 'include', 'includegraphics',
+  'def', 'gdef', 'edef', 'xdef', 'let', 'newcommand', 'renewcommand', 'providecommand',
+  'newenvironment', 'DeclareMathOperator',
+  'class', 'cssId', 'style', 'htmlClass', 'htmlId', 'htmlStyle', 'htmlData'
+];
+
+// Text-mode commands; $ inside their argument switches back to math
+const TEXT_MACROS = ['text', 'textrm', 'textbf', 'textit', 'textsf', 'texttt', 'textnormal', 'mbox'];
+
+interface OpenGroup {
+  kind: 'brace' | 'left' | 'begin';
+  name: string;
+  start: number;
+  end: number;
+  text: boolean;
+}
+
+/**
+ * Lint one formula: braces, \left/\right and \begin/\end must pair up,
+ * macros and environments must be known, and there must be no $ or
+ * disallowed command. Issues come in source order.
+ */
+export function lintLatex(latex: string, options: LatexLintOptions = {}): LatexLintIssue[] {
+  const macros = new Set([...(options.knownMacros ?? LATEX_MACROS), ...(options.extraMacros ?? [])]);
+  const environments = new Set(options.knownEnvironments ?? LATEX_ENVIRONMENTS);
+  const issues: LatexLintIssue[] = [];
+  const stack: OpenGroup[] = [];
+  let textArgument = false;
+
+  const report = (code: LatexLintCode, message: string, start: number, end: number) => {
+    issues.push({ code, message, start, end });
+  };
+
+  const unclosed = (group: OpenGroup) => {
+    const messages = {
+      brace: 'Unclosed {',
+      left: `\\left${group.name} without a matching \\right`,
+      begin: `\\begin{${group.name}} without a matching \\end{${group.name}}`
+    };
+    report('LATEX_UNBALANCED', messages[group.kind], group.start, group.end);
+  };
+
+  // Close the innermost group of this kind; groups left open inside it are reported
+  const close = (kind: OpenGroup['kind']): OpenGroup | null => {
+    let index = stack.length - 1;
+    while (index >= 0 && stack[index].kind !== kind) index--;
+    if (index < 0) return null;
+
+    stack.splice(index + 1).forEach(unclosed);
+    return stack.pop()!;
+  };
+
+  const inText = () => stack.some(group => group.text);
+
+  let i = 0;
+  while (i < latex.length) {
+    const char = latex[i];
+
+    if (char === '%') {
+      // Comment to end of line
+      const newline = latex.indexOf('\n', i);
+      i = newline === -1 ? latex.length : newline + 1;
+      continue;
+    }
+
+    if (char === '{') {
+      stack.push({ kind: 'brace', name: '{', start: i, end: i + 1, text: textArgument });
+      textArgument = false;
+      i++;
+      continue;
+    }
+    if (!/\s/.test(char)) {
+      textArgument = false;
+    }
+
+    if (char === '}') {
+      if (!close('brace')) {
+        report('LATEX_UNBALANCED', 'Unmatched }', i, i + 1);
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '$') {
+      if (!inText()) {
+        report('LATEX_DOLLAR', '$ inside math; the formula is already math', i, i + 1);
+      }
+      i++;
+      continue;
+    }
+
+    if (char !== '\\') {
+      i++;
+      continue;
+    }
+
+    // Control symbol: \{, \,, \\, \$ ...
+    const name = (latex.slice(i + 1).match(/^[A-Za-z]+/) ?? [''])[0];
+    if (!name) {
+      i += 2;
+      continue;
+    }
+
+    const start = i;
+    i += 1 + name.length;
+
+    if (DISALLOWED_MACROS.includes(name)) {
+      report('LATEX_DISALLOWED', `\\${name} is not allowed in math`, start, i);
+      continue;
+    }
+
+    if (inText()) {
+      // Text-mode content isn't checked for macros
+      continue;
+    }
+
+    if (!macros.has(name)) {
+      report('LATEX_UNKNOWN_COMMAND', `Unknown command \\${name}`, start, i);
+      continue;
+    }
+
+    if (TEXT_MACROS.includes(name)) {
+      textArgument = true;
+      continue;
+    }
+
+    if (name === 'left' || name === 'right') {
+      // The delimiter: a character, a control symbol or a macro like \langle
+      const delimiter = (latex.slice(i).match(/^\s*(\\[A-Za-z]+|\\.|[^\s\\{}])/) ?? ['', ''])[1];
+      if (name === 'left') {
+        stack.push({ kind: 'left', name: delimiter, start, end: i, text: false });
+      } else if (!close('left')) {
+        report('LATEX_UNBALANCED', '\\right without a matching \\left', start, i);
+      }
+      if (delimiter && !delimiter.match(/^\\[A-Za-z]/)) {
+        i = latex.indexOf(delimiter, i) + delimiter.length;
+      }
+      continue;
+    }
+
+    if (name === 'begin' || name === 'end') {
+      const argument = latex.slice(i).match(/^\s*\{([^{}]*)\}/);
+      if (!argument) {
+        report('LATEX_UNBALANCED', `\\${name} needs an environment name in braces`, start, i);
+        continue;
+      }
+
+      const environment = argument[1].trim();
+      i += argument[0].length;
+
+      if (name === 'begin') {
+        if (!environments.has(environment)) {
+          report('LATEX_UNKNOWN_COMMAND', `Unknown environment ${environment}`, start, i);
+        }
+        stack.push({ kind: 'begin', name: environment, start, end: i, text: false });
+        continue;
+      }
+
+      const open = close('begin');
+      if (!open) {
+        report('LATEX_UNBALANCED', `\\end{${environment}} without a matching \\begin`, start, i);
+      } else if (open.name !== environment) {
+        report('LATEX_UNBALANCED', `\\end{${environment}} closes \\begin{${open.name}}`, start, i);
+      }
+    }
+  }
+
+  stack.forEach(unclosed);
+  return issues.sort((a, b) => a.start - b.start);
+}
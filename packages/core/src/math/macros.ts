@@ -0,0 +1,179 @@
+// packages/core/src/math/macros.ts
+// The collection's shared LaTeX macro library (\R, \abs{x}, ...)
+
+import { ValidationError } from '../schema/types.js';
+import { DISALLOWED_MACROS, LATEX_MACROS, lintLatex } from './lint.js';
+
+export interface MacroDefinition {
+  /** Name without the backslash, e.g. "R" */
+  name: string;
+  /** Replacement LaTeX; #1 to #9 stand for the arguments */
+  body: string;
+  /** Number of arguments, 0 when omitted */
+  args?: number;
+  /** Shown to authors in the macro manager */
+  description?: string;
+}
+
+export const MACRO_NAME_REGEX = /^[A-Za-z]+$/;
+
+/** Library a collection starts with until an admin saves its own */
+export const DEFAULT_MACROS: MacroDefinition[] = [
+  { name: 'R', body: '\\mathbb{R}', description: 'Real numbers' },
+  { name: 'N', body: '\\mathbb{N}', description: 'Natural numbers' },
+  { name: 'Z', body: '\\mathbb{Z}', description: 'Integers' },
+  { name: 'Q', body: '\\mathbb{Q}', description: 'Rational numbers' },
+  { name: 'C', body: '\\mathbb{C}', description: 'Complex numbers' },
+  { name: 'abs', body: '\\left|#1\\right|', args: 1, description: 'Absolute value' },
+  { name: 'norm', body: '\\left\\|#1\\right\\|', args: 1, description: 'Norm' },
+  { name: 'floor', body: '\\left\\lfloor #1\\right\\rfloor', args: 1, description: 'Floor' },
+  { name: 'ceil', body: '\\left\\lceil #1\\right\\rceil', args: 1, description: 'Ceiling' },
+  { name: 'lcm', body: '\\operatorname{lcm}', description: 'Least common multiple' }
+];
+
+// Text-mode LaTeX commands a \newcommand would clash with in the exported .tex
+const LATEX_TEXT_COMMANDS = [
+  'AA', 'AE', 'H', 'L', 'O', 'OE', 'P', 'S', 'aa', 'ae', 'b', 'c', 'd', 'dag', 'ddag',
+  'i', 'j', 'k', 'l', 'o', 'oe', 'r', 'ss', 't', 'u', 'v'
+];
+
+export function macroNames(macros: MacroDefinition[]): string[] {
+  return macros.map(macro => macro.name);
+}
+
+/**
+ * Check names, argument counts and bodies; bodies are linted with the other
+ * macros known, and may not use themselves, directly or through another macro
+ */
+export function validateMacros(macros: any): ValidationError[] {
+  const errors: ValidationError[] = [];
+  const addError = (path: string, message: string, code: string) => errors.push({ path, message, code });
+
+  if (!Array.isArray(macros)) {
+    addError('macros', 'Macros must be an array', 'INVALID_TYPE');
+    return errors;
+  }
+
+  const names = new Set<string>();
+  const uses = new Map<string, string[]>();
+
+  macros.forEach((macro: any, index: number) => {
+    const path = `macros[${index}]`;
+
+    if (!macro || typeof macro !== 'object') {
+      addError(path, 'Macro must be an object', 'INVALID_TYPE');
+      return;
+    }
+
+    const { name, body, args } = macro;
+    if (typeof name !== 'string' || !MACRO_NAME_REGEX.test(name)) {
+      addError(`${path}.name`, 'Macro name must be letters only, without the backslash', 'INVALID_VALUE');
+    } else if (DISALLOWED_MACROS.includes(name)) {
+      addError(`${path}.name`, `\\${name} is not allowed in math`, 'INVALID_VALUE');
+    } else if (LATEX_MACROS.includes(name) || LATEX_TEXT_COMMANDS.includes(name)) {
+      addError(`${path}.name`, `\\${name} is already a LaTeX command`, 'INVALID_VALUE');
+    } else if (names.has(name)) {
+      addError(`${path}.name`, `Duplicate macro \\${name}`, 'DUPLICATE_VALUE');
+    } else {
+      names.add(name);
+    }
+
+    if (args !== undefined && (!Number.isInteger(args) || args < 0 || args > 9)) {
+      addError(`${path}.args`, 'Macro arguments must be a whole number from 0 to 9', 'INVALID_VALUE');
+    }
+
+    if (macro.description !== undefined && typeof macro.description !== 'string') {
+      addError(`${path}.description`, 'Macro description must be a string', 'INVALID_TYPE');
+    }
+
+    if (!body || typeof body !== 'string') {
+      addError(`${path}.body`, 'Macro body must be a non-empty string', 'INVALID_VALUE');
+      return;
+    }
+
+    const highest = Math.max(0, ...(body.match(/#\d/g) ?? []).map((parameter: string) => Number(parameter[1])));
+    if (highest > (Number.isInteger(args) ? args : 0)) {
+      addError(`${path}.body`, `Macro body uses #${highest} but takes ${args ?? 0} argument(s)`, 'INVALID_VALUE');
+    }
+
+    if (typeof name === 'string') {
+      uses.set(name, commandsIn(body));
+    }
+  });
+
+  const known = Array.from(names);
+  macros.forEach((macro: any, index: number) => {
+    if (typeof macro?.body !== 'string' || !macro.body) return;
+
+    lintLatex(macro.body, { extraMacros: known }).forEach(issue => {
+      errors.push({
+        path: `macros[${index}].body`,
+        message: issue.message,
+        code: issue.code,
+        range: { start: issue.start, end: issue.end }
+      });
+    });
+
+    if (typeof macro.name === 'string' && names.has(macro.name) && usesItself(macro.name, uses)) {
+      addError(`macros[${index}].body`, `\\${macro.name} uses itself`, 'INVALID_VALUE');
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Macros as MathJax's tex.macros configuration
+ */
+export function toMathJaxMacros(macros: MacroDefinition[]): Record<string, string | [string, number]> {
+  const config: Record<string, string | [string, number]> = {};
+  macros.forEach(({ name, body, args }) => {
+    config[name] = args ? [body, args] : body;
+  });
+  return config;
+}
+
+/**
+ * Macros as KaTeX's macros option; KaTeX counts the arguments itself
+ */
+export function toKatexMacros(macros: MacroDefinition[]): Record<string, string> {
+  const config: Record<string, string> = {};
+  macros.forEach(({ name, body }) => {
+    config[`\\${name}`] = body;
+  });
+  return config;
+}
+
+/**
+ * Macros as \newcommand lines for a LaTeX preamble
+ */
+export function toNewcommands(macros: MacroDefinition[]): string[] {
+  return macros.map(({ name, body, args }) =>
+    `\\newcommand{\\${name}}${args ? `[${args}]` : ''}{${body}}`
+  );
+}
+
+function commandsIn(latex: string): string[] {
+  const commands: string[] = [];
+  latex.replace(/\\([A-Za-z]+)/g, (command, name: string) => {
+    commands.push(name);
+    return command;
+  });
+  return commands;
+}
+
+// Whether expanding the macro would eventually expand it again
+function usesItself(name: string, uses: Map<string, string[]>): boolean {
+  const seen = new Set<string>();
+  const pending = [...(uses.get(name) ?? [])];
+
+  while (pending.length > 0) {
+    const next = pending.pop()!;
+    if (next === name) return true;
+    if (seen.has(next)) continue;
+    seen.add(next);
+    pending.push(...(uses.get(next) ?? []));
+  }
+
+  return false;
+}
@@ -0,0 +1,911 @@
+// packages/core/src/parser/latex.ts
+// Imports LaTeX documents into canonical content
+
+import {
+  CanonicalContent,
+  ContentBlock,
+  EnvironmentKind,
+  Metadata,
+  Solution,
+  ImageAlignment,
+  ImageSize
+} from '../schema/types.js';
+import { ENVIRONMENT_LABEL_REGEX, NUMBERED_ENVIRONMENTS } from '../schema/environments.js';
+
+export interface LatexParseOptions {
+  /** Defaults for metadata fields the source doesn't provide */
+  metadata?: Partial<Metadata>;
+  /** Environment holding one problem (default "problem") */
+  problemEnvironment?: string;
+  /** Environment holding one solution (default "solution") */
+  solutionEnvironment?: string;
+}
+
+interface ParsedBody {
+  blocks: ContentBlock[];
+  solutions: Solution[];
+}
+
+interface Group {
+  content: string;
+  end: number;
+}
+
+const SECTION_LEVELS: Record<string, 2 | 3 | 4> = {
+  section: 2,
+  subsection: 3,
+  subsubsection: 4
+};
+
+// Display math environments and the environment they become inside $$...$$
+const DISPLAY_MATH_ENVIRONMENTS: Record<string, string | null> = {
+  'equation': null,
+  'equation*': null,
+  'displaymath': null,
+  'multline': null,
+  'multline*': null,
+  'align': 'aligned',
+  'align*': 'aligned',
+  'flalign': 'aligned',
+  'flalign*': 'aligned',
+  'eqnarray': 'aligned',
+  'eqnarray*': 'aligned',
+  'gather': 'gathered',
+  'gather*': 'gathered'
+};
+
+const LIST_ENVIRONMENTS = ['itemize', 'enumerate', 'description'];
+const QUOTE_ENVIRONMENTS = ['quote', 'quotation', 'verse'];
+const FIGURE_ENVIRONMENTS = ['figure', 'figure*', 'wrapfigure', 'center'];
+
+// amsthm environment names in common use, starred or not
+const THEOREM_ENVIRONMENTS: Record<string, EnvironmentKind> = {
+  definition: 'definition',
+  defn: 'definition',
+  theorem: 'theorem',
+  thm: 'theorem',
+  lemma: 'lemma',
+  lem: 'lemma',
+  example: 'example',
+  remark: 'remark',
+  proof: 'proof'
+};
+
+// Commands dropped together with their arguments
+const IGNORED_COMMANDS: Record<string, number> = {
+  maketitle: 0,
+  centering: 0,
+  noindent: 0,
+  newpage: 0,
+  clearpage: 0,
+  medskip: 0,
+  bigskip: 0,
+  smallskip: 0,
+  hfill: 0,
+  vfill: 0,
+  tableofcontents: 0,
+  label: 1,
+  vspace: 1,
+  'vspace*': 1,
+  hspace: 1,
+  'hspace*': 1,
+  setlength: 2,
+  title: 1,
+  author: 1,
+  date: 1
+};
+
+const SIZE_FRACTIONS: Array<[ImageSize, number]> = [
+  ['small', 0.3],
+  ['medium', 0.5],
+  ['large', 0.7],
+  ['full', 1]
+];
+
+/**
+ * Parse a .tex source into a single piece of content
+ */
+export function parseLatex(source: string, options: LatexParseOptions = {}): CanonicalContent {
+  const { preamble, body } = splitDocument(stripComments(source));
+  const parser = new LatexBodyParser(options);
+  const parsed = parser.parse(body);
+
+  const title = readCommandArgument(preamble, 'title') ?? readCommandArgument(body, 'title');
+  return buildContent(parsed, {
+    ...(title ? { title: toPlainText(convertInline(title)) } : {}),
+    ...options.metadata
+  });
+}
+
+/**
+ * Parse a .tex source holding many problem environments into one content per problem.
+ * Solutions may be nested in the problem or follow it directly.
+ */
+export function parseLatexProblems(source: string, options: LatexParseOptions = {}): CanonicalContent[] {
+  const { body } = splitDocument(stripComments(source));
+  const problemEnv = options.problemEnvironment ?? 'problem';
+  const solutionEnv = options.solutionEnvironment ?? 'solution';
+  const parser = new LatexBodyParser(options);
+  const baseId = options.metadata?.id;
+
+  const problems: Array<{ title?: string; statement: string; solutions: string[] }> = [];
+  let i = 0;
+
+  while (i < body.length) {
+    const begin = findEnvironment(body, i);
+    if (!begin) break;
+
+    if (begin.name === problemEnv) {
+      problems.push({ title: begin.optional, statement: begin.content, solutions: [] });
+    } else if (begin.name === solutionEnv && problems.length > 0) {
+      problems[problems.length - 1].solutions.push(body.slice(begin.start, begin.end));
+    }
+
+    i = begin.end;
+  }
+
+  return problems.map((problem, index) => {
+    const parsed = parser.parse(problem.statement + '\n\n' + problem.solutions.join('\n\n'));
+    const title = problem.title ? toPlainText(convertInline(problem.title)) : `Problem ${index + 1}`;
+
+    return buildContent(parsed, {
+      title,
+      ...options.metadata,
+      ...(typeof baseId === 'number' ? { id: baseId + index } : {})
+    });
+  });
+}
+
+function buildContent(parsed: ParsedBody, metadata: Partial<Metadata>): CanonicalContent {
+  const content: CanonicalContent = {
+    metadata: {
+      id: 0,
+      title: '',
+      contentType: 'problem',
+      category: 'General',
+      difficulty: 'Medium',
+      tags: [],
+      author: 'admin',
+      draft: true,
+      timestamp: new Date().toISOString(),
+      ...metadata
+    },
+    statement: parsed.blocks
+  };
+
+  if (parsed.solutions.length > 0) {
+    content.solutions = parsed.solutions;
+  }
+
+  return content;
+}
+
+/**
+ * Walks a LaTeX body and emits blocks
+ */
+class LatexBodyParser {
+  private solutionEnv: string;
+
+  constructor(options: LatexParseOptions) {
+    this.solutionEnv = options.solutionEnvironment ?? 'solution';
+  }
+
+  parse(source: string): ParsedBody {
+    const result: ParsedBody = { blocks: [], solutions: [] };
+    this.parseInto(source, result.blocks, result);
+    return result;
+  }
+
+  /**
+   * Parse source, appending blocks to target. Solutions always go to result.solutions.
+   */
+  private parseInto(source: string, target: ContentBlock[], result: ParsedBody): void {
+    let paragraph = '';
+    let i = 0;
+
+    const flush = () => {
+      const text = convertInline(paragraph);
+      if (text) {
+        target.push({ type: 'paragraph', data: { text } });
+      }
+      paragraph = '';
+    };
+
+    while (i < source.length) {
+      // Blank line ends a paragraph
+      const blank = matchAt(/\n[ \t]*\n/y, source, i);
+      if (blank) {
+        flush();
+        i += blank[0].length;
+        continue;
+      }
+
+      // \[ ... \]
+      if (source.startsWith('\\[', i)) {
+        const end = source.indexOf('\\]', i + 2);
+        if (end !== -1) {
+          flush();
+          pushDisplayMath(target, source.slice(i + 2, end));
+          i = end + 2;
+          continue;
+        }
+      }
+
+      // $$ ... $$
+      if (source.startsWith('$$', i)) {
+        const end = source.indexOf('$$', i + 2);
+        if (end !== -1) {
+          flush();
+          pushDisplayMath(target, source.slice(i + 2, end));
+          i = end + 2;
+          continue;
+        }
+      }
+
+      // Inline $...$ is copied verbatim so its contents aren't read as commands
+      if (source[i] === '$') {
+        const end = findClosingDollar(source, i + 1);
+        if (end !== -1) {
+          paragraph += source.slice(i, end + 1);
+          i = end + 1;
+          continue;
+        }
+      }
+
+      const command = matchAt(/\\([A-Za-z]+\*?)/y, source, i);
+      if (!command) {
+        paragraph += source[i];
+        i++;
+        continue;
+      }
+
+      const name = command[1];
+      const afterName = i + command[0].length;
+
+      if (name.replace('*', '') in SECTION_LEVELS) {
+        const optional = readOptional(source, afterName);
+        const group = readGroup(source, optional ? optional.end : afterName);
+        if (group) {
+          flush();
+          target.push({
+            type: 'header',
+            data: { text: toPlainText(convertInline(group.content)), level: SECTION_LEVELS[name.replace('*', '')] }
+          });
+          i = group.end;
+          continue;
+        }
+      }
+
+      if (name === 'begin') {
+        const env = findEnvironment(source, i);
+        if (env && env.start === i) {
+          flush();
+          this.parseEnvironment(env, target, result);
+          i = env.end;
+          continue;
+        }
+      }
+
+      if (name === 'includegraphics') {
+        const image = readIncludeGraphics(source, i);
+        if (image) {
+          flush();
+          target.push(buildImage(image.options, image.path, 'center', null));
+          i = image.end;
+          continue;
+        }
+      }
+
+      if (name in IGNORED_COMMANDS) {
+        i = skipArguments(source, afterName, IGNORED_COMMANDS[name]);
+        continue;
+      }
+
+      paragraph += command[0];
+      i = afterName;
+    }
+
+    flush();
+  }
+
+  private parseEnvironment(env: EnvironmentMatch, target: ContentBlock[], result: ParsedBody): void {
+    const { name, content } = env;
+
+    if (name in DISPLAY_MATH_ENVIRONMENTS) {
+      const wrapper = DISPLAY_MATH_ENVIRONMENTS[name];
+      const latex = cleanMath(content);
+      pushDisplayMath(target, wrapper ? `\\begin{${wrapper}}\n${latex}\n\\end{${wrapper}}` : latex);
+      return;
+    }
+
+    if (LIST_ENVIRONMENTS.includes(name)) {
+      const items = parseListItems(content);
+      if (items.length > 0) {
+        target.push({
+          type: 'list',
+          data: { style: name === 'enumerate' ? 'ordered' : 'unordered', items }
+        });
+      }
+      return;
+    }
+
+    if (QUOTE_ENVIRONMENTS.includes(name)) {
+      const text = convertInline(content);
+      if (text) {
+        target.push({ type: 'quote', data: { text } });
+      }
+      return;
+    }
+
+    if (FIGURE_ENVIRONMENTS.includes(name)) {
+      this.parseFigure(env, target, result);
+      return;
+    }
+
+    if (name === this.solutionEnv) {
+      const blocks: ContentBlock[] = [];
+      this.parseInto(content, blocks, result);
+      result.solutions.push({
+        title: env.optional ? toPlainText(convertInline(env.optional)) : `Solution ${result.solutions.length + 1}`,
+        blocks
+      });
+      return;
+    }
+
+    const kind = THEOREM_ENVIRONMENTS[name.replace('*', '')];
+    if (kind) {
+      target.push(this.parseTheorem(env, kind, result));
+      return;
+    }
+
+    // problem, document and anything unknown: keep the contents in the flow
+    this.parseInto(content, target, result);
+  }
+
+  /**
+   * theorem, proof, ...: an environment block; the first \label names it
+   */
+  private parseTheorem(env: EnvironmentMatch, kind: EnvironmentKind, result: ParsedBody): ContentBlock {
+    const data: Record<string, any> = { kind };
+
+    if (env.optional) {
+      data.title = toPlainText(convertInline(env.optional));
+    }
+
+    const label = readCommandArgument(env.content, 'label')?.trim();
+    if (label && NUMBERED_ENVIRONMENTS.includes(kind) && ENVIRONMENT_LABEL_REGEX.test(label)) {
+      data.label = label;
+    }
+
+    data.blocks = [];
+    this.parseInto(env.content, data.blocks, result);
+
+    return { type: 'environment', data } as ContentBlock;
+  }
+
+  /**
+   * figure / wrapfigure / center: one image block per \includegraphics
+   */
+  private parseFigure(env: EnvironmentMatch, target: ContentBlock[], result: ParsedBody): void {
+    let alignment: ImageAlignment = 'center';
+    let width: string | null = null;
+
+    if (env.name === 'wrapfigure') {
+      // \begin{wrapfigure}[lines]{placement}{width}
+      const placement = readGroup(env.arguments, 0);
+      const widthGroup = placement ? readGroup(env.arguments, placement.end) : null;
+      alignment = placement && /^[lLiI]/.test(placement.content.trim()) ? 'float-left' : 'float-right';
+      width = widthGroup ? widthGroup.content : null;
+    }
+
+    const caption = readCommandArgument(env.content, 'caption');
+    const images: ContentBlock[] = [];
+    let i = 0;
+
+    while ((i = env.content.indexOf('\\includegraphics', i)) !== -1) {
+      const image = readIncludeGraphics(env.content, i);
+      if (!image) break;
+      images.push(buildImage(image.options, image.path, alignment, width, caption));
+      i = image.end;
+    }
+
+    if (images.length === 0) {
+      // A center environment without graphics is just text
+      this.parseInto(env.content, target, result);
+      return;
+    }
+
+    target.push(...images);
+  }
+}
+
+interface EnvironmentMatch {
+  name: string;
+  optional?: string;
+  /** Raw text between \begin{name} and the body (mandatory arguments) */
+  arguments: string;
+  content: string;
+  start: number;
+  end: number;
+}
+
+/**
+ * Find the next \begin{...} at or after `from` and its matching \end{...}
+ */
+function findEnvironment(source: string, from: number): EnvironmentMatch | null {
+  const beginRegex = /\\begin\s*\{([^}]+)\}/g;
+  beginRegex.lastIndex = from;
+  const begin = beginRegex.exec(source);
+  if (!begin) return null;
+
+  const name = begin[1].trim();
+  let position = begin.index + begin[0].length;
+
+  // Optional argument directly after \begin{name}
+  let optional: string | undefined;
+  const optionalGroup = readOptional(source, position);
+  if (optionalGroup) {
+    optional = optionalGroup.content;
+    position = optionalGroup.end;
+  }
+
+  // wrapfigure takes two mandatory arguments
+  let argumentsStart = position;
+  if (name === 'wrapfigure') {
+    const placement = readGroup(source, position);
+    const width = placement ? readGroup(source, placement.end) : null;
+    position = width ? width.end : placement ? placement.end : position;
+  }
+  const args = source.slice(argumentsStart, position);
+
+  // Find the matching \end, counting nested environments of the same name
+  const escaped = name.replace(/[*]/g, '\\*');
+  const tokenRegex = new RegExp(`\\\\(begin|end)\\s*\\{${escaped}\\}`, 'g');
+  tokenRegex.lastIndex = position;
+  let depth = 1;
+  let token: RegExpExecArray | null;
+
+  while ((token = tokenRegex.exec(source)) !== null) {
+    depth += token[1] === 'begin' ? 1 : -1;
+    if (depth === 0) {
+      return {
+        name,
+        optional,
+        arguments: args,
+        content: source.slice(position, token.index),
+        start: begin.index,
+        end: token.index + token[0].length
+      };
+    }
+  }
+
+  // Unterminated: treat everything after as the body
+  return {
+    name,
+    optional,
+    arguments: args,
+    content: source.slice(position),
+    start: begin.index,
+    end: source.length
+  };
+}
+
+/**
+ * Read a {...} group starting at `from` (leading whitespace allowed)
+ */
+function readGroup(source: string, from: number): Group | null {
+  return readDelimited(source, from, '{', '}');
+}
+
+/**
+ * Read a [...] group starting at `from` (leading whitespace allowed)
+ */
+function readOptional(source: string, from: number): Group | null {
+  return readDelimited(source, from, '[', ']');
+}
+
+function readDelimited(source: string, from: number, open: string, close: string): Group | null {
+  let i = from;
+  while (i < source.length && /[ \t\n]/.test(source[i])) i++;
+  if (source[i] !== open) return null;
+
+  let depth = 0;
+  for (let j = i; j < source.length; j++) {
+    const char = source[j];
+    if (char === '\\') {
+      j++;
+      continue;
+    }
+    if (char === open) depth++;
+    if (char === close) {
+      depth--;
+      if (depth === 0) {
+        return { content: source.slice(i + 1, j), end: j + 1 };
+      }
+    }
+  }
+
+  return null;
+}
+
+function skipArguments(source: string, from: number, count: number): number {
+  let position = from;
+  const optional = readOptional(source, position);
+  if (optional) position = optional.end;
+
+  for (let n = 0; n < count; n++) {
+    const group = readGroup(source, position);
+    if (!group) break;
+    position = group.end;
+  }
+
+  return position;
+}
+
+function readCommandArgument(source: string, name: string): string | null {
+  const index = source.search(new RegExp(`\\\\${name}(?![A-Za-z])`));
+  if (index === -1) return null;
+
+  let position = index + name.length + 1;
+  const optional = readOptional(source, position);
+  if (optional) position = optional.end;
+
+  const group = readGroup(source, position);
+  return group ? group.content : null;
+}
+
+function readIncludeGraphics(source: string, from: number): { options: string; path: string; end: number } | null {
+  let position = from + '\\includegraphics'.length;
+  const optional = readOptional(source, position);
+  if (optional) position = optional.end;
+
+  const group = readGroup(source, position);
+  if (!group) return null;
+
+  return { options: optional ? optional.content : '', path: group.content.trim(), end: group.end };
+}
+
+/**
+ * Match a sticky regex at a position without slicing the source
+ */
+function matchAt(regex: RegExp, source: string, index: number): RegExpExecArray | null {
+  regex.lastIndex = index;
+  return regex.exec(source);
+}
+
+function findClosingDollar(source: string, from: number): number {
+  for (let i = from; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (source[i] === '$') return i;
+  }
+  return -1;
+}
+
+function stripComments(source: string): string {
+  return source
+    .split(/\r?\n/)
+    .map(line => line.replace(/(^|[^\\])%.*$/, '$1'))
+    .join('\n');
+}
+
+function splitDocument(source: string): { preamble: string; body: string } {
+  const begin = source.indexOf('\\begin{document}');
+  if (begin === -1) {
+    return { preamble: '', body: source };
+  }
+
+  const bodyStart = begin + '\\begin{document}'.length;
+  const end = source.indexOf('\\end{document}', bodyStart);
+
+  return {
+    preamble: source.slice(0, begin),
+    body: source.slice(bodyStart, end === -1 ? undefined : end)
+  };
+}
+
+function pushDisplayMath(target: ContentBlock[], latex: string): void {
+  const cleaned = cleanMath(latex);
+  if (cleaned) {
+    target.push({ type: 'math', data: { latex: cleaned, display: true } });
+  }
+}
+
+/**
+ * Drop numbering and labels that mean nothing outside the source document
+ */
+function cleanMath(latex: string): string {
+  return latex
+    .replace(/\\label\s*\{[^}]*\}/g, '')
+    .replace(/\\(nonumber|notag)\b/g, '')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+/**
+ * Split an itemize/enumerate body at top-level \item; nested lists are flattened
+ */
+function parseListItems(content: string): string[] {
+  const items: string[] = [];
+  let depth = 0;
+  let current: string | null = null;
+  let i = 0;
+
+  while (i < content.length) {
+    if (content.startsWith('\\begin', i)) depth++;
+    if (content.startsWith('\\end', i)) depth--;
+
+    const item = depth === 0 && matchAt(/\\item(?![A-Za-z])/y, content, i);
+    if (item) {
+      if (current !== null) items.push(current);
+      current = '';
+      i += item[0].length;
+
+      const label = readOptional(content, i);
+      if (label) {
+        current = `${label.content} `;
+        i = label.end;
+      }
+      continue;
+    }
+
+    if (current !== null) current += content[i];
+    i++;
+  }
+
+  if (current !== null) items.push(current);
+
+  const result: string[] = [];
+  items.forEach(item => {
+    const nested: string[] = [];
+    const text = item.replace(/\\begin\{(itemize|enumerate|description)\}([\s\S]*)\\end\{\1\}/g, (_, __, inner) => {
+      nested.push(...parseListItems(inner));
+      return '';
+    });
+
+    const converted = convertInline(text);
+    if (converted) result.push(converted);
+    result.push(...nested);
+  });
+
+  return result;
+}
+
+function buildImage(
+  options: string,
+  path: string,
+  alignment: ImageAlignment,
+  width: string | null,
+  caption?: string | null
+): ContentBlock {
+  const widthOption = options.match(/(?:^|,)\s*width\s*=\s*([^,]+)/);
+  const size = widthToSize(widthOption ? widthOption[1] : width);
+  const captionText = caption ? toPlainText(convertInline(caption)) : '';
+
+  const data: Record<string, any> = {
+    url: path,
+    alt: captionText || path.split('/').pop() || 'Image',
+    alignment,
+    size
+  };
+  if (captionText) {
+    data.caption = captionText;
+  }
+
+  return { type: 'image', data } as ContentBlock;
+}
+
+/**
+ * Map "0.4\textwidth" or "6cm" to the nearest IMAGE_SIZE_MAP size
+ */
+function widthToSize(width: string | null): ImageSize {
+  if (!width) return 'medium';
+
+  let fraction: number | null = null;
+  const relative = width.match(/([\d.]*)\s*\\(textwidth|linewidth|columnwidth|hsize)/);
+  const absolute = width.match(/([\d.]+)\s*(cm|mm|in|pt)/);
+
+  if (relative) {
+    fraction = relative[1] ? parseFloat(relative[1]) : 1;
+  } else if (absolute) {
+    // Relative to a 16cm text block
+    const toCm: Record<string, number> = { cm: 1, mm: 0.1, in: 2.54, pt: 0.0351 };
+    fraction = (parseFloat(absolute[1]) * toCm[absolute[2]]) / 16;
+  }
+
+  if (fraction === null || isNaN(fraction)) return 'medium';
+
+  return SIZE_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate[1] - fraction!) < Math.abs(best[1] - fraction!) ? candidate : best
+  )[0];
+}
+
+const INLINE_WRAPPERS: Record<string, [string, string]> = {
+  textbf: ['<b>', '</b>'],
+  textit: ['<i>', '</i>'],
+  emph: ['<i>', '</i>'],
+  textsl: ['<i>', '</i>'],
+  underline: ['<u>', '</u>'],
+  texttt: ['<code class="inline-code">', '</code>']
+};
+
+const TEXT_SYMBOLS: Record<string, string> = {
+  ldots: '…',
+  dots: '…',
+  LaTeX: 'LaTeX',
+  TeX: 'TeX',
+  textendash: '–',
+  textemdash: '—',
+  S: '§'
+};
+
+/**
+ * Convert LaTeX text mode markup to the inline HTML paragraphs use.
+ * Math is kept as $...$.
+ */
+export function convertInline(source: string): string {
+  let html = '';
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    // Inline math: $...$ or \(...\)
+    if (char === '$') {
+      const end = findClosingDollar(source, i + 1);
+      if (end !== -1) {
+        html += source.slice(i, end + 1);
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (source.startsWith('\\(', i)) {
+      const end = source.indexOf('\\)', i + 2);
+      if (end !== -1) {
+        html += `$${source.slice(i + 2, end)}$`;
+        i = end + 2;
+        continue;
+      }
+    }
+
+    if (char === '\\') {
+      const next = source[i + 1];
+
+      if (next === '\\') {
+        html += '<br>';
+        i += 2;
+        continue;
+      }
+
+      if (next && '%&_#${}'.includes(next)) {
+        html += escapeHtml(next);
+        i += 2;
+        continue;
+      }
+
+      const command = matchAt(/\\([A-Za-z]+\*?)\s*/y, source, i);
+      if (command) {
+        const name = command[1];
+        const afterName = i + command[0].length;
+
+        if (name in INLINE_WRAPPERS) {
+          const group = readGroup(source, afterName);
+          if (group) {
+            const [open, close] = INLINE_WRAPPERS[name];
+            html += `${open}${convertInline(group.content)}${close}`;
+            i = group.end;
+            continue;
+          }
+        }
+
+        if (name === 'href') {
+          const url = readGroup(source, afterName);
+          const text = url ? readGroup(source, url.end) : null;
+          if (url && text) {
+            html += `<a href="${escapeHtml(url.content)}">${convertInline(text.content)}</a>`;
+            i = text.end;
+            continue;
+          }
+        }
+
+        if (name === 'url') {
+          const url = readGroup(source, afterName);
+          if (url) {
+            html += `<a href="${escapeHtml(url.content)}">${escapeHtml(url.content)}</a>`;
+            i = url.end;
+            continue;
+          }
+        }
+
+        // Cross-references stay as written; renderers link them
+        if (name === 'ref') {
+          const group = readGroup(source, afterName);
+          if (group) {
+            html += `\\ref{${escapeHtml(group.content.trim())}}`;
+            i = group.end;
+            continue;
+          }
+        }
+
+        if (name in TEXT_SYMBOLS) {
+          html += TEXT_SYMBOLS[name];
+          i = afterName;
+          continue;
+        }
+
+        if (name in IGNORED_COMMANDS) {
+          i = skipArguments(source, i + 1 + name.length, IGNORED_COMMANDS[name]);
+          continue;
+        }
+
+        // Unknown command: keep its argument's text, drop the command
+        const group = readGroup(source, afterName);
+        if (group && !/\s/.test(source[i + 1 + name.length] ?? '')) {
+          html += convertInline(group.content);
+          i = group.end;
+        } else {
+          i = i + 1 + name.length;
+        }
+        continue;
+      }
+    }
+
+    if (source.startsWith('---', i)) {
+      html += '—';
+      i += 3;
+      continue;
+    }
+
+    if (source.startsWith('--', i)) {
+      html += '–';
+      i += 2;
+      continue;
+    }
+
+    if (source.startsWith('``', i)) {
+      html += '“';
+      i += 2;
+      continue;
+    }
+
+    if (source.startsWith("''", i)) {
+      html += '”';
+      i += 2;
+      continue;
+    }
+
+    if (char === '~') {
+      html += ' ';
+    } else if (char === '{' || char === '}') {
+      // Bare grouping braces
+    } else {
+      html += escapeHtml(char);
+    }
+    i++;
+  }
+
+  return html.replace(/\s+/g, ' ').trim();
+}
+
+function escapeHtml(text: string): string {
+  const map: Record<string, string> = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;'
+  };
+  return text.replace(/[&<>]/g, m => map[m]);
+}
+
+/**
+ * Headers, captions and titles are plain text (the renderers escape them)
+ */
+function toPlainText(html: string): string {
+  return html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
@@ -0,0 +1,495 @@
+// packages/core/src/parser/markdown.ts
+// Parses Markdown with $...$ / $$...$$ math into canonical content
+
+import {
+  CanonicalContent,
+  ContentBlock,
+  Metadata,
+  Solution,
+  ImageAlignment,
+  ImageSize
+} from '../schema/types.js';
+import { parseFrontMatter } from '../utils/front-matter.js';
+import { ENVIRONMENT_KINDS } from '../schema/environments.js';
+import { inlineMathHtml } from '../math/inline.js';
+
+export interface MarkdownParseOptions {
+  /** Defaults for metadata fields missing from the front matter */
+  metadata?: Partial<Metadata>;
+}
+
+const MATH_SPLIT_REGEX = /(\$\$[\s\S]+?\$\$|\$(?:\\.|[^$\\])+?\$)/;
+const ATTRIBUTES_REGEX = /\s*\{([^{}]*)\}\s*$/;
+const IMAGE_REGEX = /^!\[((?:\\.|[^\]\\])*)\]\(\s*(\S+?)(?:\s+"((?:\\.|[^"\\])*)")?\s*\)(?:\{([^}]*)\})?\s*$/;
+const CHOICE_ITEM_REGEX = /^[-*+]\s+\[([ xX])\]\s+\(([^()\s]+)\)\s+(.*)$/;
+const CHOICE_ATTRIBUTES_REGEX = /^\{\s*\.choice\b([^{}]*)\}$/;
+const FENCED_DIV_REGEX = /^(:{3,})\s*\{(.*)\}\s*$/;
+const TABLE_DELIMITER_REGEX = /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/;
+const ALIGNMENTS: ImageAlignment[] = ['center', 'float-left', 'float-right'];
+const SIZES: ImageSize[] = ['small', 'medium', 'large', 'full'];
+
+/**
+ * Parse a Markdown document into canonical content
+ */
+export function parseMarkdown(text: string, options: MarkdownParseOptions = {}): CanonicalContent {
+  const { data, body } = parseFrontMatter(text);
+  const { statement, solutions } = parseSections(body);
+
+  const metadata: Metadata = {
+    id: 0,
+    title: '',
+    contentType: 'problem',
+    category: 'General',
+    difficulty: 'Medium',
+    tags: [],
+    author: 'admin',
+    draft: false,
+    timestamp: new Date().toISOString(),
+    ...options.metadata,
+    ...data
+  } as Metadata;
+
+  if (metadata.tags && !Array.isArray(metadata.tags)) {
+    metadata.tags = [String(metadata.tags)];
+  }
+
+  const content: CanonicalContent = { metadata, statement };
+  if (solutions.length > 0) {
+    content.solutions = solutions;
+  }
+
+  return content;
+}
+
+/**
+ * Parse a Markdown fragment (no front matter, no solutions) into blocks
+ */
+export function parseMarkdownBlocks(text: string): ContentBlock[] {
+  return parseBlocks(text.split(/\r?\n/));
+}
+
+/**
+ * Split the body at {.solution} headings
+ */
+function parseSections(body: string): { statement: ContentBlock[]; solutions: Solution[] } {
+  const lines = body.split(/\r?\n/);
+  const statementLines: string[] = [];
+  const solutions: Array<{ title: string; lines: string[] }> = [];
+  let inFence = false;
+
+  lines.forEach(line => {
+    if (/^\s*\$\$\s*$/.test(line)) {
+      inFence = !inFence;
+    }
+
+    const heading = !inFence && line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      const attrs = heading[1].match(ATTRIBUTES_REGEX);
+      if (attrs && parseAttributes(attrs[1]).classes.includes('solution')) {
+        solutions.push({ title: heading[1].replace(ATTRIBUTES_REGEX, '').trim(), lines: [] });
+        return;
+      }
+    }
+
+    const target = solutions.length > 0 ? solutions[solutions.length - 1].lines : statementLines;
+    target.push(line);
+  });
+
+  return {
+    statement: parseBlocks(statementLines),
+    solutions: solutions.map(solution => ({
+      title: solution.title,
+      blocks: parseBlocks(solution.lines)
+    }))
+  };
+}
+
+/**
+ * Parse lines into blocks
+ */
+function parseBlocks(lines: string[]): ContentBlock[] {
+  const blocks: ContentBlock[] = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      i++;
+      continue;
+    }
+
+    // Display math: $$ fence, or $$...$$ on a single line
+    if (trimmed.startsWith('$$')) {
+      const single = trimmed.match(/^\$\$([\s\S]+)\$\$$/);
+      if (single) {
+        blocks.push({ type: 'math', data: { latex: single[1].trim(), display: true } });
+        i++;
+        continue;
+      }
+
+      const latexLines: string[] = [trimmed.slice(2)];
+      i++;
+      while (i < lines.length && !lines[i].trim().endsWith('$$')) {
+        latexLines.push(lines[i]);
+        i++;
+      }
+      if (i < lines.length) {
+        latexLines.push(lines[i].trim().slice(0, -2));
+        i++;
+      }
+      blocks.push({
+        type: 'math',
+        data: { latex: latexLines.join('\n').trim(), display: true }
+      });
+      continue;
+    }
+
+    // Inline math block: $...$ {.math}
+    const inlineMath = trimmed.match(/^\$((?:\\.|[^$\\])+)\$\s*\{\s*\.math\s*\}$/);
+    if (inlineMath) {
+      blocks.push({ type: 'math', data: { latex: inlineMath[1], display: false } });
+      i++;
+      continue;
+    }
+
+    // Header
+    const header = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    if (header) {
+      blocks.push({
+        type: 'header',
+        data: { text: header[2], level: header[1].length as 1 | 2 | 3 | 4 | 5 | 6 }
+      });
+      i++;
+      continue;
+    }
+
+    // Image
+    const image = trimmed.match(IMAGE_REGEX);
+    if (image) {
+      blocks.push(parseImage(image));
+      i++;
+      continue;
+    }
+
+    // Quote
+    if (trimmed.startsWith('>')) {
+      const quoteLines: string[] = [];
+      while (i < lines.length && lines[i].trim().startsWith('>')) {
+        quoteLines.push(lines[i].trim().replace(/^>\s?/, ''));
+        i++;
+      }
+      blocks.push(parseQuote(quoteLines));
+      continue;
+    }
+
+    // Environment: ::: {.theorem #label title="..."} fenced div
+    const fencedDiv = trimmed.match(FENCED_DIV_REGEX);
+    if (fencedDiv) {
+      const environment = parseEnvironment(lines, i, fencedDiv[2]);
+      if (environment) {
+        blocks.push(environment.block);
+        i = environment.next;
+        continue;
+      }
+    }
+
+    // Table: a row of cells followed by a delimiter row
+    if (trimmed.startsWith('|') && TABLE_DELIMITER_REGEX.test(lines[i + 1]?.trim() ?? '')) {
+      const table = parseTable(lines, i);
+      blocks.push(table.block);
+      i = table.next;
+      continue;
+    }
+
+    // Choice: a task list whose items start with an option key
+    if (CHOICE_ITEM_REGEX.test(trimmed)) {
+      const choice = parseChoice(lines, i);
+      blocks.push(choice.block);
+      i = choice.next;
+      continue;
+    }
+
+    // List
+    const listMarker = matchListItem(trimmed);
+    if (listMarker) {
+      const style = listMarker.ordered ? 'ordered' : 'unordered';
+      const items: string[] = [];
+
+      while (i < lines.length) {
+        const current = lines[i].trim();
+        const item = matchListItem(current);
+
+        if (item && item.ordered === listMarker.ordered) {
+          items.push(item.text);
+        } else if (current && !item && items.length > 0 && /^\s+/.test(lines[i])) {
+          // Indented continuation line
+          items[items.length - 1] += ' ' + current;
+        } else {
+          break;
+        }
+        i++;
+      }
+
+      blocks.push({
+        type: 'list',
+        data: { style, items: items.map(markdownToHtmlInline) }
+      });
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or the start of another block
+    const paragraphLines: string[] = [];
+    while (i < lines.length && lines[i].trim() && (paragraphLines.length === 0 || !startsBlock(lines[i].trim()))) {
+      paragraphLines.push(lines[i].trim());
+      i++;
+    }
+    const text = paragraphLines.join(' ').replace(/^\\(#|>|[-+]|!\[|\d|\$\$|\||:::)/, '$1');
+    blocks.push({ type: 'paragraph', data: { text: markdownToHtmlInline(text) } });
+  }
+
+  return blocks;
+}
+
+function startsBlock(line: string): boolean {
+  return /^(#{1,6}\s|>|\$\$|!\[|\||:::)/.test(line) || matchListItem(line) !== null;
+}
+
+function matchListItem(line: string): { ordered: boolean; text: string } | null {
+  const ordered = line.match(/^\d+[.)]\s+(.*)$/);
+  if (ordered) {
+    return { ordered: true, text: ordered[1] };
+  }
+
+  const unordered = line.match(/^[-*+]\s+(.*)$/);
+  if (unordered) {
+    return { ordered: false, text: unordered[1] };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a pipe table; an all-empty header row means a table without headings,
+ * and plain --- delimiters everywhere mean no column alignment
+ */
+function parseTable(lines: string[], start: number): { block: ContentBlock; next: number } {
+  const header = splitTableRow(lines[start]);
+  const delimiters = splitTableRow(lines[start + 1]);
+  const rows: string[][] = [];
+  let i = start + 2;
+
+  while (i < lines.length && lines[i].trim().startsWith('|')) {
+    rows.push(splitTableRow(lines[i]));
+    i++;
+  }
+
+  const withHeadings = header.some(cell => cell !== '');
+  const content = (withHeadings ? [header, ...rows] : rows)
+    .map(row => header.map((_, index) => markdownToHtmlInline(row[index] ?? '')));
+
+  const data: Record<string, any> = { withHeadings, content };
+  if (delimiters.some(delimiter => delimiter.includes(':'))) {
+    data.alignments = delimiters.map(delimiter =>
+      delimiter.endsWith(':') ? (delimiter.startsWith(':') ? 'center' : 'right') : 'left'
+    );
+  }
+
+  return { block: { type: 'table', data } as ContentBlock, next: i };
+}
+
+// Split "| a | b \| c |" into cells, keeping escaped pipes
+function splitTableRow(line: string): string[] {
+  return line.trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Parse a fenced div whose first class is an environment kind, up to its
+ * closing fence; fences in between open and close nested divs
+ */
+function parseEnvironment(lines: string[], start: number, attributeSource: string): { block: ContentBlock; next: number } | null {
+  const { classes, values, id } = parseAttributes(attributeSource);
+  const kind = ENVIRONMENT_KINDS.find(value => classes.includes(value));
+  if (!kind) return null;
+
+  const inner: string[] = [];
+  let depth = 1;
+  let i = start + 1;
+
+  while (i < lines.length) {
+    const current = lines[i].trim();
+    if (FENCED_DIV_REGEX.test(current)) {
+      depth++;
+    } else if (/^:{3,}$/.test(current) && --depth === 0) {
+      i++;
+      break;
+    }
+    inner.push(lines[i]);
+    i++;
+  }
+
+  const data: Record<string, any> = { kind };
+  if (values.title) data.title = values.title;
+  if (values.number) data.number = values.number;
+  if (id) data.label = id;
+  data.blocks = parseBlocks(inner);
+
+  return { block: { type: 'environment', data } as ContentBlock, next: i };
+}
+
+/**
+ * Parse "- [x] (A) text" items, "  > feedback" lines and an optional
+ * {.choice .multiple} line; without it, several checked options mean multiple
+ */
+function parseChoice(lines: string[], start: number): { block: ContentBlock; next: number } {
+  const options: Array<Record<string, any>> = [];
+  let multiple: boolean | null = null;
+  let i = start;
+
+  while (i < lines.length) {
+    const current = lines[i].trim();
+    const item = current.match(CHOICE_ITEM_REGEX);
+
+    if (item) {
+      options.push({ key: item[2], text: item[3], correct: item[1] !== ' ' });
+    } else if (current && /^\s+/.test(lines[i]) && options.length > 0) {
+      const last = options[options.length - 1];
+      if (current.startsWith('>')) {
+        const feedback = current.replace(/^>\s?/, '');
+        last.feedback = last.feedback ? `${last.feedback} ${feedback}` : feedback;
+      } else {
+        last.text += ' ' + current;
+      }
+    } else {
+      const attributes = current.match(CHOICE_ATTRIBUTES_REGEX);
+      if (attributes) {
+        multiple = parseAttributes(attributes[1]).classes.includes('multiple');
+        i++;
+      }
+      break;
+    }
+    i++;
+  }
+
+  options.forEach(option => {
+    option.text = markdownToHtmlInline(option.text);
+    if (option.feedback) {
+      option.feedback = markdownToHtmlInline(option.feedback);
+    }
+  });
+
+  return {
+    block: {
+      type: 'choice',
+      data: {
+        multiple: multiple ?? options.filter(option => option.correct).length > 1,
+        options
+      }
+    } as ContentBlock,
+    next: i
+  };
+}
+
+function parseQuote(lines: string[]): ContentBlock {
+  let caption: string | undefined;
+
+  const last = lines[lines.length - 1];
+  const captionMatch = last !== undefined && last.match(/^(?:—|--)\s*(.+)$/);
+  if (captionMatch) {
+    caption = captionMatch[1].trim();
+    lines = lines.slice(0, -1);
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines = lines.slice(0, -1);
+    }
+  }
+
+  const data: { text: string; caption?: string } = {
+    text: markdownToHtmlInline(lines.join('\n'))
+  };
+  if (caption) {
+    data.caption = caption;
+  }
+
+  return { type: 'quote', data };
+}
+
+function parseImage(match: RegExpMatchArray): ContentBlock {
+  const [, alt, url, caption, attributes] = match;
+  const { classes, values } = parseAttributes(attributes ?? '');
+
+  const alignment = (values.alignment as ImageAlignment)
+    ?? ALIGNMENTS.find(value => classes.includes(value))
+    ?? 'center';
+  const size = (values.size as ImageSize)
+    ?? SIZES.find(value => classes.includes(value))
+    ?? 'medium';
+
+  const data: Record<string, any> = {
+    url,
+    alt: alt.replace(/\\([\[\]])/g, '$1'),
+    alignment,
+    size
+  };
+  if (caption) {
+    data.caption = caption.replace(/\\"/g, '"');
+  }
+
+  return { type: 'image', data } as ContentBlock;
+}
+
+/**
+ * Parse a pandoc-style attribute list: {.class #id key=value key="quoted \"value\""}
+ */
+function parseAttributes(source: string): { classes: string[]; values: Record<string, string>; id?: string } {
+  const classes: string[] = [];
+  const values: Record<string, string> = {};
+  let id: string | undefined;
+  const tokenRegex = /\.([\w-]+)|#([\w:-]+)|([\w-]+)=(?:"((?:\\.|[^"\\])*)"|(\S+))/g;
+  let token: RegExpExecArray | null;
+
+  while ((token = tokenRegex.exec(source)) !== null) {
+    if (token[1]) {
+      classes.push(token[1]);
+    } else if (token[2]) {
+      id = token[2];
+    } else {
+      values[token[3]] = token[4] !== undefined ? token[4].replace(/\\(["\\])/g, '$1') : token[5];
+    }
+  }
+
+  return { classes, values, id };
+}
+
+/**
+ * Convert inline Markdown to the inline HTML Editor.js produces; $...$ becomes
+ * an inline math span, $$...$$ is left untouched
+ */
+export function markdownToHtmlInline(markdown: string): string {
+  return markdown
+    .split(MATH_SPLIT_REGEX)
+    .map((segment, index) => {
+      if (index % 2 === 1) {
+        return segment.startsWith('$$') ? segment : inlineMathHtml(segment.slice(1, -1));
+      }
+
+      // Hide escaped characters so they are not read as markup
+      const escaped: string[] = [];
+      const hidden = segment.replace(/\\([*`\\\[\]])/g, (_, char) => {
+        escaped.push(char);
+        return `\u0000${escaped.length - 1}\u0000`;
+      });
+
+      return hidden
+        .replace(/`([^`]+)`/g, '<code class="inline-code">$1</code>')
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<b>$1</b>')
+        .replace(/\*(?=\S)([^*]*?\S)\*/g, '<i>$1</i>')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+        .replace(/\u0000(\d+)\u0000/g, (_, index) => escaped[parseInt(index)]);
+    })
+    .join('');
+}
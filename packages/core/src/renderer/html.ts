@@ -10,14 +10,35 @@ import {
   QuoteBlock,
   MathBlock,
   ImageBlock,
+  ChoiceBlock,
+  TableBlock,
+  EnvironmentBlock,
   Solution,
+  ProblemPart,
+  FinalAnswer,
   IMAGE_SIZE_MAP
-} from '../schema/types';
+} from '../schema/types.js';
+import {
+  EnvironmentNumbering,
+  environmentHeading,
+  numberEnvironments,
+  resolveReferences
+} from '../schema/environments.js';
+import { MathEngine } from './math-engines.js';
+import { INLINE_MATH_CLASS, MATH_SPLIT_REGEX, decodeEntities, inlineMathToTex, parseMathSegment } from '../math/inline.js';
 
 export interface RenderOptions {
   includeMetadata?: boolean;
+  /** Client-side typesetter renderToElement hands the $...$ math to */
   mathDelimiters?: 'mathjax' | 'katex';
+  /**
+   * Pre-render math to static markup at render time (see createKatexEngine and
+   * createMathJaxEngine), so the page needs no math script
+   */
+  mathEngine?: MathEngine | null;
   imageBaseUrl?: string;
+  /** Include each part's final answer and each choice block's key behind a "Show answer" toggle */
+  revealAnswers?: boolean;
   cssClasses?: {
     wrapper?: string;
     statement?: string;
@@ -27,12 +48,16 @@ export interface RenderOptions {
 
 export class HTMLRenderer {
   private options: Required<RenderOptions>;
+  /** Environment numbers of the content being rendered */
+  private numbering: EnvironmentNumbering | null = null;
 
   constructor(options: RenderOptions = {}) {
     this.options = {
       includeMetadata: options.includeMetadata ?? true,
       mathDelimiters: options.mathDelimiters ?? 'mathjax',
+      mathEngine: options.mathEngine ?? null,
       imageBaseUrl: options.imageBaseUrl ?? '',
+      revealAnswers: options.revealAnswers ?? true,
       cssClasses: {
         wrapper: options.cssClasses?.wrapper ?? 'content-wrapper',
         statement: options.cssClasses?.statement ?? 'statement-block',
@@ -45,6 +70,15 @@ export class HTMLRenderer {
    * Render complete content to HTML
    */
   render(content: CanonicalContent): string {
+    this.numbering = numberEnvironments(content);
+    try {
+      return this.renderContent(content);
+    } finally {
+      this.numbering = null;
+    }
+  }
+
+  private renderContent(content: CanonicalContent): string {
     const parts: string[] = [];
 
     // Metadata header
@@ -57,6 +91,11 @@ export class HTMLRenderer {
     parts.push(this.renderBlocks(content.statement));
     parts.push('</div>');
 
+    // Parts
+    if (content.parts && content.parts.length > 0) {
+      parts.push(this.renderParts(content.parts));
+    }
+
     // Solutions
     if (content.solutions && content.solutions.length > 0) {
       parts.push(this.renderSolutions(content.solutions));
@@ -89,7 +128,17 @@ export class HTMLRenderer {
    * Render array of blocks
    */
   renderBlocks(blocks: ContentBlock[]): string {
-    return blocks.map(block => this.renderBlock(block)).join('\n');
+    if (this.numbering) {
+      return blocks.map(block => this.renderBlock(block)).join('\n');
+    }
+
+    // Rendered on their own, the blocks are numbered among themselves
+    this.numbering = numberEnvironments(blocks);
+    try {
+      return this.renderBlocks(blocks);
+    } finally {
+      this.numbering = null;
+    }
   }
 
   /**
@@ -109,6 +158,12 @@ export class HTMLRenderer {
         return this.renderMath(block as MathBlock);
       case 'image':
         return this.renderImage(block as ImageBlock);
+      case 'choice':
+        return this.renderChoice(block as ChoiceBlock);
+      case 'table':
+        return this.renderTable(block as TableBlock);
+      case 'environment':
+        return this.renderEnvironment(block as EnvironmentBlock);
       default:
         console.warn('Unknown block type:', (block as any).type);
         return '';
@@ -119,7 +174,7 @@ export class HTMLRenderer {
    * Render paragraph block
    */
   private renderParagraph(block: ParagraphBlock): string {
-    return `<div class="content-block"><p>${block.data.text}</p></div>`;
+    return `<div class="content-block"><p>${this.richText(block.data.text)}</p></div>`;
   }
 
   /**
@@ -136,7 +191,7 @@ export class HTMLRenderer {
   private renderList(block: ListBlock): string {
     const tag = block.data.style === 'ordered' ? 'ol' : 'ul';
     const items = block.data.items
-      .map(item => `<li>${item}</li>`)
+      .map(item => `<li>${this.richText(item)}</li>`)
       .join('');
     
     return `<div class="content-block"><${tag} class="content-list">${items}</${tag}></div>`;
@@ -153,7 +208,7 @@ export class HTMLRenderer {
     return `
       <div class="content-block">
         <blockquote class="content-quote">
-          <p>${block.data.text}</p>
+          <p>${this.richText(block.data.text)}</p>
           ${caption}
         </blockquote>
       </div>
@@ -164,6 +219,11 @@ export class HTMLRenderer {
    * Render math block
    */
   private renderMath(block: MathBlock): string {
+    if (this.options.mathEngine) {
+      const className = block.data.display ? 'math-display' : 'math-inline';
+      return `<div class="content-block ${className}">${this.prerenderMath(block.data.latex, block.data.display)}</div>`;
+    }
+
     const delim = block.data.display ? '$$' : '$';
     const wrapped = `${delim}${block.data.latex}${delim}`;
     const className = block.data.display ? 'math-display' : 'math-inline';
@@ -213,6 +273,196 @@ export class HTMLRenderer {
     `;
   }
 
+  /**
+   * Render table block; cells are rich text like paragraphs
+   */
+  private renderTable(block: TableBlock): string {
+    const { withHeadings, content, alignments } = block.data;
+
+    const renderRow = (row: string[], tag: 'th' | 'td') => {
+      const cells = row.map((cell, index) => {
+        const alignment = alignments?.[index];
+        const attributes = tag === 'th' ? ' scope="col"' : '';
+        const className = alignment && alignment !== 'left' ? ` class="align-${alignment}"` : '';
+        return `<${tag}${attributes}${className}>${this.richText(cell)}</${tag}>`;
+      }).join('');
+      return `<tr>${cells}</tr>`;
+    };
+
+    const head = withHeadings && content.length > 0
+      ? `<thead>${renderRow(content[0], 'th')}</thead>`
+      : '';
+    const body = (withHeadings ? content.slice(1) : content)
+      .map(row => renderRow(row, 'td'))
+      .join('');
+
+    return `<div class="content-block table-block"><table class="content-table">${head}<tbody>${body}</tbody></table></div>`;
+  }
+
+  /**
+   * Render definition, theorem, proof, ... with its number and title; the
+   * label becomes the id that \ref{label} links point to
+   */
+  private renderEnvironment(block: EnvironmentBlock): string {
+    const { kind, title, label, blocks } = block.data;
+    const heading = environmentHeading(block, this.numbering!);
+    const id = label ? ` id="${this.escapeHtml(label)}"` : '';
+    const titleHtml = title ? ` <span class="environment-title">(${this.escapeHtml(title)})</span>` : '';
+    const qed = kind === 'proof' ? '<span class="environment-qed" aria-label="End of proof">∎</span>' : '';
+
+    return `
+      <section class="content-block environment environment-${kind} clearfix"${id}>
+        <p class="environment-heading"><span class="environment-name">${this.escapeHtml(heading)}</span>${titleHtml}.</p>
+        <div class="environment-body">
+          ${this.renderBlocks(blocks)}
+          ${qed}
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Rich text with \ref{label} turned into links, and its math pre-rendered
+   * when there is a math engine; otherwise inline math spans get $...$ for
+   * the typesetter
+   */
+  private richText(html: string): string {
+    const text = this.numbering ? resolveReferences(html, this.numbering) : html;
+    if (!this.options.mathEngine) return inlineMathToTex(text);
+
+    return text
+      .split(MATH_SPLIT_REGEX)
+      .map((segment, index) => {
+        // Odd indices are the captured math; the LaTeX in it is HTML-escaped
+        if (index % 2 === 0) return segment;
+
+        const { latex, display, span } = parseMathSegment(segment);
+        const markup = this.prerenderMath(decodeEntities(latex), display);
+        return span ? `<span class="${INLINE_MATH_CLASS}">${markup}</span>` : markup;
+      })
+      .join('');
+  }
+
+  /**
+   * One formula as static markup; invalid LaTeX is shown as written,
+   * with the error as its tooltip
+   */
+  private prerenderMath(latex: string, display: boolean): string {
+    try {
+      return this.options.mathEngine!.render(latex, display);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      return `<code class="math-error" title="${this.escapeHtml(message)}">${this.escapeHtml(latex)}</code>`;
+    }
+  }
+
+  /**
+   * Render choice block; correct options and feedback only appear in the
+   * answer toggle, and not at all when answers are hidden
+   */
+  private renderChoice(block: ChoiceBlock): string {
+    const { multiple, options } = block.data;
+
+    const items = options.map(option => `
+      <li class="choice-option" data-key="${this.escapeHtml(option.key)}">
+        <span class="choice-key">(${this.escapeHtml(option.key)})</span>
+        <span class="choice-text">${this.richText(option.text)}</span>
+      </li>
+    `).join('');
+
+    const instruction = multiple ? '<p class="choice-instruction">Select all that apply.</p>' : '';
+
+    let answer = '';
+    if (this.options.revealAnswers) {
+      const keys = options
+        .filter(option => option.correct)
+        .map(option => `(${this.escapeHtml(option.key)})`)
+        .join(', ');
+      const feedback = options
+        .filter(option => option.feedback)
+        .map(option => `<dt>(${this.escapeHtml(option.key)})</dt><dd>${this.richText(option.feedback!)}</dd>`)
+        .join('');
+
+      answer = `
+        <details class="choice-answer">
+          <summary>Show answer</summary>
+          <span class="final-answer">${keys}</span>
+          ${feedback ? `<dl class="choice-feedback">${feedback}</dl>` : ''}
+        </details>
+      `;
+    }
+
+    return `
+      <div class="content-block choice-block ${multiple ? 'choice-multiple' : 'choice-single'}">
+        ${instruction}
+        <ol class="choice-options">${items}</ol>
+        ${answer}
+      </div>
+    `;
+  }
+
+  /**
+   * Render parts (a), (b), ... with progressive hints and the final answer.
+   * Each hint is nested in the previous one, so hint 2 only shows once
+   * hint 1 is open, without any script. Hints are plain text with $...$
+   * math, so their markup characters are escaped first.
+   */
+  private renderParts(parts: ProblemPart[]): string {
+    const partsHtml = parts.map(part => {
+      const hints = (part.hints ?? []).reduceRight((inner, hint, index) => `
+        <details class="part-hint">
+          <summary>Hint ${index + 1}</summary>
+          <p>${this.richText(this.escapeText(hint))}</p>
+          ${inner}
+        </details>
+      `, '');
+
+      const answer = part.answer && this.options.revealAnswers
+        ? `
+          <details class="part-answer">
+            <summary>Show answer</summary>
+            <span class="final-answer">${this.renderAnswer(part.answer)}</span>
+          </details>
+        `
+        : '';
+
+      return `
+        <li class="problem-part" data-part="${this.escapeHtml(part.label)}">
+          <span class="part-label">(${this.escapeHtml(part.label)})</span>
+          <div class="part-body">
+            ${this.renderBlocks(part.statement)}
+            ${hints}
+            ${answer}
+          </div>
+        </li>
+      `;
+    }).join('\n');
+
+    return `<ol class="problem-parts">${partsHtml}</ol>`;
+  }
+
+  /**
+   * Final answer as readers see it; pages that leave answers out with
+   * revealAnswers: false use this to show one on request
+   */
+  renderAnswer(answer: FinalAnswer): string {
+    switch (answer.type) {
+      case 'numeric': {
+        const tolerance = answer.tolerance ? ` ± ${answer.tolerance}` : '';
+        const unit = answer.unit ? ` ${this.escapeHtml(answer.unit)}` : '';
+        return `${answer.value}${tolerance}${unit}`;
+      }
+      case 'expression':
+      case 'interval':
+      case 'set':
+        return this.options.mathEngine
+          ? this.prerenderMath(answer.value, false)
+          : `$${this.escapeHtml(answer.value)}$`;
+      case 'choice':
+        return `(${this.escapeHtml(answer.value)})`;
+    }
+  }
+
   /**
    * Render solutions
    */
@@ -234,6 +484,14 @@ export class HTMLRenderer {
     `;
   }
 
+  /**
+   * Escape plain text for element content; quotes stay, so $...$ math reads
+   * the same once its entities are decoded
+   */
+  private escapeText(text: string): string {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
   /**
    * Escape HTML special characters
    */
@@ -249,14 +507,25 @@ export class HTMLRenderer {
   }
 
   /**
-   * Render to DOM element (browser only)
+   * Render to DOM element (browser only); math that isn't pre-rendered is
+   * typeset with MathJax, or KaTeX's auto-render for mathDelimiters: 'katex'
    */
   renderToElement(content: CanonicalContent, container: HTMLElement): void {
     container.innerHTML = this.render(content);
-    
-    // Trigger MathJax typesetting if available
-    if (typeof window !== 'undefined' && (window as any).MathJax) {
-      (window as any).MathJax.typesetPromise([container]).catch((err: any) => {
+
+    if (this.options.mathEngine || typeof window === 'undefined') return;
+
+    const win = window as any;
+    if (this.options.mathDelimiters === 'katex') {
+      win.renderMathInElement?.(container, {
+        delimiters: [
+          { left: '$$', right: '$$', display: true },
+          { left: '$', right: '$', display: false }
+        ],
+        throwOnError: false
+      });
+    } else if (win.MathJax?.typesetPromise) {
+      win.MathJax.typesetPromise([container]).catch((err: any) => {
         console.error('MathJax rendering error:', err);
       });
     }
@@ -0,0 +1,473 @@
+// packages/core/src/renderer/latex.ts
+// Renders canonical content and problem sets to compilable LaTeX
+
+import {
+  CanonicalContent,
+  ContentBlock,
+  ParagraphBlock,
+  HeaderBlock,
+  ListBlock,
+  QuoteBlock,
+  MathBlock,
+  ImageBlock,
+  ChoiceBlock,
+  TableBlock,
+  EnvironmentBlock,
+  Solution,
+  ProblemPart,
+  IMAGE_SIZE_MAP
+} from '../schema/types.js';
+import {
+  EnvironmentNumbering,
+  environmentHeading,
+  numberEnvironments,
+  resolveReferences
+} from '../schema/environments.js';
+import { MacroDefinition, toNewcommands } from '../math/macros.js';
+import { MATH_SPLIT_REGEX, decodeEntities, parseMathSegment } from '../math/inline.js';
+
+export type SolutionPlacement = 'inline' | 'end' | 'none';
+
+export interface LatexRenderOptions {
+  documentClass?: string;
+  classOptions?: string[];
+  /** Document title; omitted when empty */
+  title?: string;
+  /** inline = after each problem, end = answer key, none = omit */
+  solutions?: SolutionPlacement;
+  /** false renders only the body, without preamble and document environment */
+  standalone?: boolean;
+  imageBaseUrl?: string;
+  /** The collection's macro library, defined with \newcommand in the preamble */
+  macros?: MacroDefinition[];
+}
+
+const PACKAGES = [
+  '\\usepackage[utf8]{inputenc}',
+  '\\usepackage[T1]{fontenc}',
+  '\\usepackage{amsmath}',
+  '\\usepackage{amssymb}',
+  '\\usepackage{amsthm}',
+  '\\usepackage{graphicx}',
+  '\\usepackage{wrapfig}',
+  '\\usepackage{hyperref}'
+];
+
+// Inline HTML tags and the LaTeX they open / close
+const INLINE_TAGS: Record<string, [string, string]> = {
+  b: ['\\textbf{', '}'],
+  strong: ['\\textbf{', '}'],
+  i: ['\\emph{', '}'],
+  em: ['\\emph{', '}'],
+  u: ['\\underline{', '}'],
+  code: ['\\texttt{', '}'],
+  sup: ['\\textsuperscript{', '}'],
+  sub: ['\\textsubscript{', '}']
+};
+
+
+export class LatexRenderer {
+  private options: Required<LatexRenderOptions>;
+  /** Environment numbers of the content being rendered */
+  private numbering: EnvironmentNumbering | null = null;
+
+  constructor(options: LatexRenderOptions = {}) {
+    this.options = {
+      documentClass: options.documentClass ?? 'article',
+      classOptions: options.classOptions ?? ['11pt', 'a4paper'],
+      title: options.title ?? '',
+      solutions: options.solutions ?? 'inline',
+      standalone: options.standalone ?? true,
+      imageBaseUrl: options.imageBaseUrl ?? '',
+      macros: options.macros ?? []
+    };
+  }
+
+  /**
+   * Render one content item or a whole problem set
+   */
+  render(input: CanonicalContent | CanonicalContent[]): string {
+    const contents = Array.isArray(input) ? input : [input];
+    const numbered = contents.length > 1;
+    const parts: string[] = [];
+
+    contents.forEach((content, index) => {
+      parts.push(this.renderContent(content, numbered ? index + 1 : null));
+    });
+
+    if (this.options.solutions === 'end') {
+      const answerKey = this.renderAnswerKey(contents, numbered);
+      if (answerKey) {
+        parts.push(answerKey);
+      }
+    }
+
+    const body = parts.join('\n\n');
+    return this.options.standalone ? this.wrapDocument(body) : body + '\n';
+  }
+
+  /**
+   * Render array of blocks
+   */
+  renderBlocks(blocks: ContentBlock[]): string {
+    if (this.numbering) {
+      return blocks.map(block => this.renderBlock(block)).filter(Boolean).join('\n\n');
+    }
+
+    // Rendered on their own, the blocks are numbered among themselves
+    this.numbering = numberEnvironments(blocks);
+    try {
+      return this.renderBlocks(blocks);
+    } finally {
+      this.numbering = null;
+    }
+  }
+
+  private wrapDocument(body: string): string {
+    const classOptions = this.options.classOptions.length > 0
+      ? `[${this.options.classOptions.join(',')}]`
+      : '';
+    const title = this.options.title
+      ? [`\\title{${escapeLatex(this.options.title)}}`, '\\date{}']
+      : [];
+
+    return [
+      `\\documentclass${classOptions}{${this.options.documentClass}}`,
+      ...PACKAGES,
+      ...toNewcommands(this.options.macros),
+      ...title,
+      '',
+      '\\begin{document}',
+      ...(this.options.title ? ['\\maketitle', ''] : []),
+      body,
+      '',
+      '\\end{document}',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Render a single content item with its heading
+   */
+  private renderContent(content: CanonicalContent, number: number | null): string {
+    return this.withNumbering(content, () => this.renderContentBody(content, number));
+  }
+
+  private renderContentBody(content: CanonicalContent, number: number | null): string {
+    const parts: string[] = [`\\section*{${this.heading(content, number)}}`];
+
+    parts.push(this.renderBlocks(content.statement));
+
+    if (content.parts && content.parts.length > 0) {
+      parts.push(this.renderParts(content.parts));
+    }
+
+    if (this.options.solutions === 'inline' && content.solutions) {
+      parts.push(...content.solutions.map(solution => this.renderSolution(solution, 'subsection*')));
+    }
+
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Render all solutions after the problems, grouped per problem
+   */
+  private renderAnswerKey(contents: CanonicalContent[], numbered: boolean): string {
+    const sections: string[] = [];
+
+    contents.forEach((content, index) => {
+      if (!content.solutions || content.solutions.length === 0) return;
+
+      sections.push(`\\subsection*{${this.heading(content, numbered ? index + 1 : null)}}`);
+      sections.push(...this.withNumbering(content, () =>
+        content.solutions!.map(solution => this.renderSolution(solution, 'subsubsection*'))
+      ));
+    });
+
+    if (sections.length === 0) return '';
+
+    return ['\\newpage', '\\section*{Answer Key}', ...sections].join('\n\n');
+  }
+
+  /**
+   * Parts as a labelled list; hints and answers stay online
+   */
+  private renderParts(parts: ProblemPart[]): string {
+    const items = parts.map(part =>
+      `  \\item[(${escapeLatex(part.label)})] ${this.renderBlocks(part.statement).replace(/\n/g, '\n  ')}`
+    );
+    return ['\\begin{itemize}', ...items, '\\end{itemize}'].join('\n');
+  }
+
+  private renderSolution(solution: Solution, command: string): string {
+    return `\\${command}{${escapeLatex(solution.title)}}\n\n${this.renderBlocks(solution.blocks)}`;
+  }
+
+  /**
+   * Run a render with the content's environment numbers, so each content
+   * numbers from 1 and the answer key matches its problem
+   */
+  private withNumbering<T>(content: CanonicalContent, render: () => T): T {
+    this.numbering = numberEnvironments(content);
+    try {
+      return render();
+    } finally {
+      this.numbering = null;
+    }
+  }
+
+  private heading(content: CanonicalContent, number: number | null): string {
+    const title = escapeLatex(content.metadata.title);
+    return number !== null ? `${number}. ${title}` : title;
+  }
+
+  /**
+   * Render single block based on type
+   */
+  private renderBlock(block: ContentBlock): string {
+    switch (block.type) {
+      case 'paragraph':
+        return this.renderParagraph(block as ParagraphBlock);
+      case 'header':
+        return this.renderHeader(block as HeaderBlock);
+      case 'list':
+        return this.renderList(block as ListBlock);
+      case 'quote':
+        return this.renderQuote(block as QuoteBlock);
+      case 'math':
+        return this.renderMath(block as MathBlock);
+      case 'image':
+        return this.renderImage(block as ImageBlock);
+      case 'choice':
+        return this.renderChoice(block as ChoiceBlock);
+      case 'table':
+        return this.renderTable(block as TableBlock);
+      case 'environment':
+        return this.renderEnvironment(block as EnvironmentBlock);
+      default:
+        console.warn('Unknown block type:', (block as any).type);
+        return '';
+    }
+  }
+
+  /**
+   * Render paragraph block
+   */
+  private renderParagraph(block: ParagraphBlock): string {
+    return htmlToLatex(this.richText(block.data.text));
+  }
+
+  /**
+   * Render header block; headers sit below the content's \section*
+   */
+  private renderHeader(block: HeaderBlock): string {
+    const command = block.data.level <= 2
+      ? 'subsection*'
+      : block.data.level === 3 ? 'subsubsection*' : 'paragraph*';
+    return `\\${command}{${htmlToLatex(this.richText(block.data.text))}}`;
+  }
+
+  /**
+   * Render list block
+   */
+  private renderList(block: ListBlock): string {
+    const env = block.data.style === 'ordered' ? 'enumerate' : 'itemize';
+    const items = block.data.items.map(item => `  \\item ${htmlToLatex(this.richText(item))}`);
+    return [`\\begin{${env}}`, ...items, `\\end{${env}}`].join('\n');
+  }
+
+  /**
+   * Render table block as a centered tabular, with a rule under the header row
+   */
+  private renderTable(block: TableBlock): string {
+    const { withHeadings, content, alignments } = block.data;
+    const columns = content[0]?.length ?? 0;
+    const spec = Array.from({ length: columns }, (_, index) => (alignments?.[index] ?? 'left')[0]).join('');
+
+    const rows = content.map((row, index) => {
+      const line = `  ${row.map(cell => htmlToLatex(this.richText(cell))).join(' & ')} \\\\`;
+      return withHeadings && index === 0 ? `${line}\n  \\hline` : line;
+    });
+
+    return [
+      '\\begin{center}',
+      `\\begin{tabular}{${spec}}`,
+      ...rows,
+      '\\end{tabular}',
+      '\\end{center}'
+    ].join('\n');
+  }
+
+  /**
+   * Render choice block as labelled items; the key stays out of worksheets
+   */
+  private renderChoice(block: ChoiceBlock): string {
+    const items = block.data.options.map(option =>
+      `  \\item[(${escapeLatex(option.key)})] ${htmlToLatex(this.richText(option.text))}`
+    );
+    const lines = ['\\begin{itemize}', ...items, '\\end{itemize}'];
+
+    if (block.data.multiple) {
+      lines.unshift('\\emph{Select all that apply.}');
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Render environment block: proofs use amsthm's proof (which ends with ∎),
+   * the rest a run-in heading with our own number so it matches the web page.
+   * \ref{label} links reach the \hypertarget.
+   */
+  private renderEnvironment(block: EnvironmentBlock): string {
+    const { kind, title, label, blocks } = block.data;
+    const body = this.renderBlocks(blocks);
+    const titleText = title ? ` (${escapeLatex(title)})` : '';
+
+    if (kind === 'proof') {
+      const heading = title ? `[Proof${titleText}]` : '';
+      return `\\begin{proof}${heading}\n${body}\n\\end{proof}`;
+    }
+
+    const target = label ? `\\hypertarget{${label}}{}` : '';
+    return `${target}\\paragraph*{${escapeLatex(environmentHeading(block, this.numbering!))}${titleText}.}\n${body}`;
+  }
+
+  /**
+   * Rich text with \ref{label} turned into links
+   */
+  private richText(html: string): string {
+    return this.numbering ? resolveReferences(html, this.numbering) : html;
+  }
+
+  /**
+   * Render quote block
+   */
+  private renderQuote(block: QuoteBlock): string {
+    const caption = block.data.caption
+      ? ` \\\\\n  \\hfill--- ${escapeLatex(block.data.caption)}`
+      : '';
+    return `\\begin{quote}\n  ${htmlToLatex(this.richText(block.data.text))}${caption}\n\\end{quote}`;
+  }
+
+  /**
+   * Render math block
+   */
+  private renderMath(block: MathBlock): string {
+    return block.data.display
+      ? `\\[\n${block.data.latex}\n\\]`
+      : `$${block.data.latex}$`;
+  }
+
+  /**
+   * Render image block; floats become wrapfigure with the IMAGE_SIZE_MAP width
+   */
+  private renderImage(block: ImageBlock): string {
+    const { url, caption, alignment, size } = block.data;
+    const width = sizeToWidth(size);
+    const path = this.options.imageBaseUrl + url;
+    const captionLine = caption ? [`  \\caption{${escapeLatex(caption)}}`] : [];
+
+    if (alignment === 'float-left' || alignment === 'float-right') {
+      const placement = alignment === 'float-left' ? 'l' : 'r';
+      return [
+        `\\begin{wrapfigure}{${placement}}{${width}\\textwidth}`,
+        '  \\centering',
+        `  \\includegraphics[width=\\linewidth]{${path}}`,
+        ...captionLine,
+        '\\end{wrapfigure}'
+      ].join('\n');
+    }
+
+    return [
+      '\\begin{figure}[h]',
+      '  \\centering',
+      `  \\includegraphics[width=${width}\\textwidth]{${path}}`,
+      ...captionLine,
+      '\\end{figure}'
+    ].join('\n');
+  }
+}
+
+/**
+ * "30%" -> "0.3"
+ */
+function sizeToWidth(size: ImageBlock['data']['size']): string {
+  const percent = parseFloat(IMAGE_SIZE_MAP[size] ?? IMAGE_SIZE_MAP.medium);
+  return String(percent / 100);
+}
+
+/**
+ * Escape LaTeX special characters in plain text
+ */
+export function escapeLatex(text: string): string {
+  const map: Record<string, string> = {
+    '\\': '\\textbackslash{}',
+    '{': '\\{',
+    '}': '\\}',
+    '#': '\\#',
+    '%': '\\%',
+    '&': '\\&',
+    '_': '\\_',
+    '^': '\\^{}',
+    '~': '\\~{}',
+    '$': '\\$'
+  };
+  return text.replace(/[\\{}#%&_^~$]/g, m => map[m]);
+}
+
+/**
+ * Convert paragraph inline HTML to LaTeX, leaving math untouched
+ */
+export function htmlToLatex(html: string): string {
+  return html
+    .split(MATH_SPLIT_REGEX)
+    .map((segment, index) => {
+      if (index % 2 === 1) {
+        // Inline math spans become $...$
+        const { latex, span } = parseMathSegment(segment);
+        return decodeEntities(span ? `$${latex}$` : segment);
+      }
+
+      return segment
+        .split(/(<[^>]+>)/)
+        .map(part => (part.startsWith('<') && part.endsWith('>') ? tagToLatex(part) : escapeLatex(decodeEntities(part))))
+        .join('');
+    })
+    .join('')
+    .trim();
+}
+
+/**
+ * Map one HTML tag to LaTeX; links carry their URL on the opening tag
+ */
+function tagToLatex(tag: string): string {
+  const match = tag.match(/^<\s*(\/?)\s*([a-zA-Z0-9]+)([^>]*)>$/);
+  if (!match) return '';
+
+  const [, closing, rawName, attributes] = match;
+  const name = rawName.toLowerCase();
+
+  if (name === 'br') return ' \\\\\n';
+
+  if (name === 'a') {
+    if (closing) return '}';
+    const href = attributes.match(/href\s*=\s*"([^"]*)"/);
+    return href ? `\\href{${href[1].replace(/([#%])/g, '\\$1')}}{` : '{';
+  }
+
+  const wrapper = INLINE_TAGS[name];
+  if (!wrapper) return '';
+
+  return closing ? wrapper[1] : wrapper[0];
+}
+
+/**
+ * Quick render function
+ */
+export function renderToLatex(
+  content: CanonicalContent | CanonicalContent[],
+  options?: LatexRenderOptions
+): string {
+  const renderer = new LatexRenderer(options);
+  return renderer.render(content);
+}
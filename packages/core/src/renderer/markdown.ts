@@ -0,0 +1,261 @@
+// packages/core/src/renderer/markdown.ts
+// Serializes canonical content to Markdown with $...$ / $$...$$ math
+
+import {
+  CanonicalContent,
+  ContentBlock,
+  ParagraphBlock,
+  HeaderBlock,
+  ListBlock,
+  QuoteBlock,
+  MathBlock,
+  ImageBlock,
+  ChoiceBlock,
+  TableBlock,
+  EnvironmentBlock,
+  Solution
+} from '../schema/types.js';
+import { stringifyFrontMatter } from '../utils/front-matter.js';
+import { MATH_SPLIT_REGEX, decodeEntities, parseMathSegment } from '../math/inline.js';
+
+export interface MarkdownRenderOptions {
+  includeFrontMatter?: boolean;
+  includeSolutions?: boolean;
+}
+
+
+export class MarkdownRenderer {
+  private options: Required<MarkdownRenderOptions>;
+
+  constructor(options: MarkdownRenderOptions = {}) {
+    this.options = {
+      includeFrontMatter: options.includeFrontMatter ?? true,
+      includeSolutions: options.includeSolutions ?? true
+    };
+  }
+
+  /**
+   * Render complete content to Markdown
+   */
+  render(content: CanonicalContent): string {
+    const parts: string[] = [];
+
+    if (this.options.includeFrontMatter) {
+      parts.push(stringifyFrontMatter({ ...content.metadata }));
+    }
+
+    parts.push(this.renderBlocks(content.statement));
+
+    if (this.options.includeSolutions && content.solutions && content.solutions.length > 0) {
+      parts.push(this.renderSolutions(content.solutions));
+    }
+
+    return parts.join('\n').trimEnd() + '\n';
+  }
+
+  /**
+   * Render array of blocks, separated by blank lines
+   */
+  renderBlocks(blocks: ContentBlock[]): string {
+    return blocks.map(block => this.renderBlock(block)).filter(Boolean).join('\n\n') + '\n';
+  }
+
+  /**
+   * Render single block based on type
+   */
+  private renderBlock(block: ContentBlock): string {
+    switch (block.type) {
+      case 'paragraph':
+        return this.renderParagraph(block as ParagraphBlock);
+      case 'header':
+        return this.renderHeader(block as HeaderBlock);
+      case 'list':
+        return this.renderList(block as ListBlock);
+      case 'quote':
+        return this.renderQuote(block as QuoteBlock);
+      case 'math':
+        return this.renderMath(block as MathBlock);
+      case 'image':
+        return this.renderImage(block as ImageBlock);
+      case 'choice':
+        return this.renderChoice(block as ChoiceBlock);
+      case 'table':
+        return this.renderTable(block as TableBlock);
+      case 'environment':
+        return this.renderEnvironment(block as EnvironmentBlock);
+      default:
+        console.warn('Unknown block type:', (block as any).type);
+        return '';
+    }
+  }
+
+  /**
+   * Render paragraph block; leading block markers are escaped
+   */
+  private renderParagraph(block: ParagraphBlock): string {
+    const text = htmlToMarkdownInline(block.data.text);
+    return text.replace(/^(#{1,6}\s|>|[-+]\s|!\[|\d+[.)]\s|\$\$|\||:::)/, '\\$1');
+  }
+
+  /**
+   * Render header block
+   */
+  private renderHeader(block: HeaderBlock): string {
+    return `${'#'.repeat(block.data.level)} ${block.data.text}`;
+  }
+
+  /**
+   * Render list block
+   */
+  private renderList(block: ListBlock): string {
+    return block.data.items
+      .map((item, index) => {
+        const marker = block.data.style === 'ordered' ? `${index + 1}.` : '-';
+        return `${marker} ${htmlToMarkdownInline(item)}`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Render quote block; the caption becomes a trailing "— caption" line
+   */
+  private renderQuote(block: QuoteBlock): string {
+    const lines = htmlToMarkdownInline(block.data.text).split('\n').map(line => `> ${line}`);
+
+    if (block.data.caption) {
+      lines.push('>', `> — ${block.data.caption}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render math block: $$ fences for display, {.math} marker for inline blocks
+   */
+  private renderMath(block: MathBlock): string {
+    if (block.data.display) {
+      return `$$\n${block.data.latex}\n$$`;
+    }
+    return `$${block.data.latex}$ {.math}`;
+  }
+
+  /**
+   * Render image block; alignment and size go in the attribute list
+   */
+  private renderImage(block: ImageBlock): string {
+    const { url, alt, caption, alignment, size } = block.data;
+    const title = caption ? ` "${caption.replace(/"/g, '\\"')}"` : '';
+    const attributes = [alignment ?? 'center', size ?? 'medium'].map(value => `.${value}`).join(' ');
+
+    return `![${escapeBrackets(alt ?? '')}](${url}${title}){${attributes}}`;
+  }
+
+  /**
+   * Render table block as a pipe table; without headings the header row is empty
+   */
+  private renderTable(block: TableBlock): string {
+    const { withHeadings, content, alignments } = block.data;
+    const columns = content[0]?.length ?? 0;
+
+    const row = (cells: string[]) =>
+      `| ${cells.map(cell => htmlToMarkdownInline(cell).replace(/\|/g, '\\|')).join(' | ')} |`;
+    const delimiters = Array.from({ length: columns }, (_, index) => {
+      switch (alignments?.[index]) {
+        case 'left': return ':---';
+        case 'center': return ':---:';
+        case 'right': return '---:';
+        default: return '---';
+      }
+    });
+
+    const header = withHeadings ? content[0] : Array(columns).fill('');
+    const body = withHeadings ? content.slice(1) : content;
+
+    return [row(header), `| ${delimiters.join(' | ')} |`, ...body.map(row)].join('\n');
+  }
+
+  /**
+   * Render environment block as a fenced div, {.theorem #label title="..." number="..."};
+   * an environment holding a proof gets a longer fence than the proof's
+   */
+  private renderEnvironment(block: EnvironmentBlock): string {
+    const { kind, title, number, label, blocks } = block.data;
+    const nested = blocks.some(child => child.type === 'environment');
+    const fence = nested ? '::::' : ':::';
+
+    const attributes = [`.${kind}`];
+    if (label) attributes.push(`#${label}`);
+    if (title) attributes.push(`title="${title.replace(/(["\\])/g, '\\$1')}"`);
+    if (number) attributes.push(`number="${number.replace(/(["\\])/g, '\\$1')}"`);
+
+    return `${fence} {${attributes.join(' ')}}\n${this.renderBlocks(blocks)}${fence}`;
+  }
+
+  /**
+   * Render choice block as a task list checking the correct options, with
+   * feedback as an indented quote and a closing {.choice} attribute line
+   */
+  private renderChoice(block: ChoiceBlock): string {
+    const lines: string[] = [];
+
+    block.data.options.forEach(option => {
+      lines.push(`- [${option.correct ? 'x' : ' '}] (${option.key}) ${htmlToMarkdownInline(option.text)}`);
+      if (option.feedback) {
+        lines.push(`  > ${htmlToMarkdownInline(option.feedback)}`);
+      }
+    });
+
+    lines.push(block.data.multiple ? '{.choice .multiple}' : '{.choice}');
+    return lines.join('\n');
+  }
+
+  /**
+   * Render solutions as headings marked with {.solution}
+   */
+  private renderSolutions(solutions: Solution[]): string {
+    return solutions
+      .map(solution => `## ${solution.title} {.solution}\n\n${this.renderBlocks(solution.blocks)}`)
+      .join('\n');
+  }
+}
+
+/**
+ * Convert the inline HTML Editor.js produces to Markdown, leaving math untouched
+ */
+export function htmlToMarkdownInline(html: string): string {
+  return html
+    .split(MATH_SPLIT_REGEX)
+    .map((segment, index) => {
+      // Odd indices are the captured math; inline math spans become $...$ and
+      // the LaTeX loses its HTML escaping
+      if (index % 2 === 1) {
+        const { latex, span } = parseMathSegment(segment);
+        return decodeEntities(span ? `$${latex}$` : segment);
+      }
+
+      return segment
+        // \ref{label} stays readable; the parser leaves it alone
+        .replace(/([*`]|\\(?!ref\{))/g, '\\$1')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/<\/?(b|strong)>/gi, '**')
+        .replace(/<\/?(i|em)>/gi, '*')
+        .replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, '`$1`')
+        .replace(/<a\s+[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)');
+    })
+    .join('');
+}
+
+function escapeBrackets(text: string): string {
+  return text.replace(/([\[\]])/g, '\\$1');
+}
+
+/**
+ * Quick render function
+ */
+export function renderToMarkdown(
+  content: CanonicalContent,
+  options?: MarkdownRenderOptions
+): string {
+  const renderer = new MarkdownRenderer(options);
+  return renderer.render(content);
+}
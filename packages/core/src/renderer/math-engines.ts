@@ -0,0 +1,102 @@
+// packages/core/src/renderer/math-engines.ts
+// KaTeX and MathJax backends for pre-rendering math to static markup
+
+import { MacroDefinition, toKatexMacros } from '../math/macros.js';
+
+/**
+ * Turns one formula into static markup. Throws when the LaTeX is invalid.
+ */
+export interface MathEngine {
+  render(latex: string, display: boolean): string;
+}
+
+/** The part of the katex package the engine uses */
+export interface KatexLike {
+  renderToString(latex: string, options: Record<string, any>): string;
+}
+
+/**
+ * The part of a MathJax 3 instance the engine uses: the object `mathjax.init()`
+ * resolves to in Node, or window.MathJax in a browser. Its macros come from
+ * its own configuration (tex.macros, see toMathJaxMacros).
+ */
+export interface MathJaxLike {
+  tex2svg?(latex: string, options: { display: boolean }): any;
+  tex2mml(latex: string, options: { display: boolean }): string;
+  startup: { adaptor: { outerHTML(node: any): string } };
+}
+
+export interface KatexEngineOptions {
+  /** 'mathml' needs no stylesheet; 'htmlAndMathml' needs katex.css and its fonts */
+  output?: 'mathml' | 'htmlAndMathml';
+  /** The collection's macro library */
+  macros?: MacroDefinition[];
+}
+
+export interface MathJaxEngineOptions {
+  /** 'svg' needs the tex2svg output (load 'output/svg') */
+  output?: 'svg' | 'mathml';
+}
+
+/**
+ * KaTeX backend. The MathML is what screen readers read; with 'htmlAndMathml'
+ * it sits next to the visual HTML, hidden by katex.css.
+ */
+export function createKatexEngine(katex: KatexLike, options: KatexEngineOptions = {}): MathEngine {
+  const output = options.output ?? 'mathml';
+  const macros = toKatexMacros(options.macros ?? []);
+
+  return {
+    render(latex: string, display: boolean): string {
+      return katex.renderToString(latex, {
+        displayMode: display,
+        output,
+        throwOnError: true,
+        // KaTeX writes into the object it is given
+        macros: { ...macros }
+      });
+    }
+  };
+}
+
+/**
+ * MathJax backend. SVG output is hidden from screen readers, which read the
+ * MathML copy in <mjx-assistive-mml> instead; it is added here when the
+ * 'a11y/assistive-mml' component isn't loaded.
+ */
+export function createMathJaxEngine(mathjax: MathJaxLike, options: MathJaxEngineOptions = {}): MathEngine {
+  const output = options.output ?? 'svg';
+
+  if (output === 'svg' && typeof mathjax.tex2svg !== 'function') {
+    throw new Error('MathJax was loaded without SVG output; load "output/svg" or use output: "mathml"');
+  }
+
+  return {
+    render(latex: string, display: boolean): string {
+      if (output === 'mathml') {
+        return throwOnMathJaxError(mathjax.tex2mml(latex, { display }).trim());
+      }
+
+      let markup = throwOnMathJaxError(mathjax.startup.adaptor.outerHTML(mathjax.tex2svg!(latex, { display })));
+      if (!markup.includes('<mjx-assistive-mml')) {
+        const mathml = mathjax.tex2mml(latex, { display }).trim();
+        markup = markup
+          .replace('<svg ', '<svg aria-hidden="true" ')
+          .replace(
+            /<\/mjx-container>$/,
+            `<mjx-assistive-mml unselectable="on" display="${display ? 'block' : 'inline'}">${mathml}</mjx-assistive-mml></mjx-container>`
+          );
+      }
+      return markup;
+    }
+  };
+}
+
+// MathJax renders TeX errors in place instead of throwing
+function throwOnMathJaxError(markup: string): string {
+  const error = markup.match(/data-mjx-error="([^"]*)"/);
+  if (error) {
+    throw new Error(error[1]);
+  }
+  return markup;
+}
@@ -0,0 +1,136 @@
+// packages/core/src/schema/environments.ts
+// Numbering and cross-references for definition, theorem, proof, ... blocks
+
+import { CanonicalContent, ContentBlock, EnvironmentBlock, EnvironmentKind } from './types.js';
+import { MATH_SPLIT_REGEX } from '../math/inline.js';
+
+export const ENVIRONMENT_KINDS: EnvironmentKind[] = ['definition', 'theorem', 'lemma', 'example', 'remark', 'proof'];
+
+export const ENVIRONMENT_LABELS: Record<EnvironmentKind, string> = {
+  definition: 'Definition',
+  theorem: 'Theorem',
+  lemma: 'Lemma',
+  example: 'Example',
+  remark: 'Remark',
+  proof: 'Proof'
+};
+
+/** Kinds that share one counter and can be referenced */
+export const NUMBERED_ENVIRONMENTS: EnvironmentKind[] = ['definition', 'theorem', 'lemma', 'example'];
+
+export const ENVIRONMENT_LABEL_REGEX = /^[A-Za-z][A-Za-z0-9:_-]*$/;
+
+// \ref{label} in rich text, outside math
+const REFERENCE_REGEX = /\\ref\{([^{}]*)\}/g;
+
+export interface EnvironmentTarget {
+  kind: EnvironmentKind;
+  number: string;
+}
+
+export interface EnvironmentNumbering {
+  /** Number of each numbered environment block */
+  numbers: Map<EnvironmentBlock, string>;
+  /** What each label points to */
+  labels: Map<string, EnvironmentTarget>;
+}
+
+export function isEnvironmentKind(value: any): value is EnvironmentKind {
+  return ENVIRONMENT_KINDS.includes(value);
+}
+
+/**
+ * Number definitions, theorems, lemmas and examples in reading order:
+ * statement, parts, then solutions. An explicit number is used as given
+ * and doesn't advance the counter.
+ */
+export function numberEnvironments(content: CanonicalContent | ContentBlock[]): EnvironmentNumbering {
+  const numbering: EnvironmentNumbering = { numbers: new Map(), labels: new Map() };
+  let counter = 0;
+
+  const visit = (blocks: ContentBlock[] | undefined) => {
+    (blocks ?? []).forEach(block => {
+      if (block.type !== 'environment') return;
+
+      const { kind, number, label } = block.data;
+      if (NUMBERED_ENVIRONMENTS.includes(kind)) {
+        const assigned = number || String(++counter);
+        numbering.numbers.set(block, assigned);
+        if (label) {
+          numbering.labels.set(label, { kind, number: assigned });
+        }
+      }
+      visit(block.data.blocks);
+    });
+  };
+
+  if (Array.isArray(content)) {
+    visit(content);
+  } else {
+    visit(content.statement);
+    content.parts?.forEach(part => visit(part.statement));
+    content.solutions?.forEach(solution => visit(solution.blocks));
+  }
+
+  return numbering;
+}
+
+/**
+ * "Theorem 2", or just "Proof" for unnumbered kinds
+ */
+export function environmentHeading(block: EnvironmentBlock, numbering: EnvironmentNumbering): string {
+  const number = numbering.numbers.get(block);
+  const name = ENVIRONMENT_LABELS[block.data.kind];
+  return number ? `${name} ${number}` : name;
+}
+
+/**
+ * Labels referenced with \ref{label} in a piece of rich text
+ */
+export function findReferences(text: string): string[] {
+  const labels: string[] = [];
+
+  text.split(MATH_SPLIT_REGEX).forEach((segment, index) => {
+    if (index % 2 === 1) return;
+    segment.replace(REFERENCE_REGEX, (reference, label: string) => {
+      labels.push(label);
+      return reference;
+    });
+  });
+
+  return labels;
+}
+
+/**
+ * Turn \ref{label} into a link reading the number, as in LaTeX ("Theorem \ref{pyth}"
+ * reads "Theorem 2"); unknown labels are left as written
+ */
+export function resolveReferences(html: string, numbering: EnvironmentNumbering): string {
+  if (!html.includes('\\ref{')) return html;
+
+  return html
+    .split(MATH_SPLIT_REGEX)
+    .map((segment, index) => {
+      if (index % 2 === 1) return segment;
+
+      return segment.replace(REFERENCE_REGEX, (reference, label: string) => {
+        const target = numbering.labels.get(label);
+        if (!target) return reference;
+
+        const title = `${ENVIRONMENT_LABELS[target.kind]} ${target.number}`;
+        return `<a class="environment-ref" href="#${escapeHtml(label)}" title="${escapeHtml(title)}">${escapeHtml(target.number)}</a>`;
+      });
+    })
+    .join('');
+}
+
+function escapeHtml(text: string): string {
+  const map: Record<string, string> = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return text.replace(/[&<>"']/g, m => map[m]);
+}
@@ -13,6 +13,8 @@ export type Category =
 
 export type Difficulty = 'Easy' | 'Medium' | 'Hard';
 
+export type WorkflowState = 'draft' | 'in_review' | 'approved' | 'published' | 'archived';
+
 export interface Metadata {
   id: number;
   title: string;
@@ -21,7 +23,8 @@ export interface Metadata {
   difficulty: Difficulty;
   tags: string[];
   author: string;
-  draft: boolean;
+  draft: boolean; // true unless state is 'published'
+  state?: WorkflowState; // Falls back to draft ? 'draft' : 'published'
   timestamp: string; // ISO 8601 format
 }
 
@@ -32,7 +35,10 @@ export type BlockType =
   | 'list' 
   | 'quote' 
   | 'math' 
-  | 'image';
+  | 'image'
+  | 'choice'
+  | 'table'
+  | 'environment';
 
 export interface BaseBlock {
   type: BlockType;
@@ -92,22 +98,107 @@ export interface ImageBlock extends BaseBlock {
   };
 }
 
+export interface ChoiceOption {
+  key: string; // "A", "B", ...; rendered as (A)
+  text: string; // Rich text with inline math
+  correct: boolean;
+  feedback?: string; // Shown once the key is revealed
+}
+
+export interface ChoiceBlock extends BaseBlock {
+  type: 'choice';
+  data: {
+    multiple: boolean; // true = select all that apply
+    options: ChoiceOption[];
+  };
+}
+
+export type TableAlignment = 'left' | 'center' | 'right';
+
+export interface TableBlock extends BaseBlock {
+  type: 'table';
+  data: {
+    withHeadings: boolean; // true = first row is the header row
+    content: string[][]; // Rows of rich-text cells with inline math
+    alignments?: TableAlignment[]; // One per column; left when omitted
+  };
+}
+
+export type EnvironmentKind = 'definition' | 'theorem' | 'lemma' | 'example' | 'remark' | 'proof';
+
+export interface EnvironmentBlock extends BaseBlock {
+  type: 'environment';
+  data: {
+    kind: EnvironmentKind;
+    title?: string; // "Pythagoras" renders as Theorem 2 (Pythagoras)
+    number?: string; // Overrides the automatic number
+    label?: string; // Target of \ref{label} in rich text
+    blocks: ContentBlock[];
+  };
+}
+
 export type ContentBlock = 
   | ParagraphBlock 
   | HeaderBlock 
   | ListBlock 
   | QuoteBlock 
   | MathBlock 
-  | ImageBlock;
+  | ImageBlock
+  | ChoiceBlock
+  | TableBlock
+  | EnvironmentBlock;
 
 export interface Solution {
   title: string;
   blocks: ContentBlock[];
 }
 
+// Final answers, machine-readable so they can be checked
+export type AnswerType = 'numeric' | 'expression' | 'choice' | 'interval' | 'set';
+
+export interface NumericAnswer {
+  type: 'numeric';
+  value: number;
+  tolerance?: number; // Absolute; 0 when omitted
+  unit?: string;
+}
+
+export interface ExpressionAnswer {
+  type: 'expression';
+  value: string; // LaTeX without delimiters, e.g. \frac{x^2}{2}
+}
+
+export interface ChoiceAnswer {
+  type: 'choice';
+  value: string; // Key of the correct option, e.g. "B"
+}
+
+export interface IntervalAnswer {
+  type: 'interval';
+  value: string; // Interval or union, e.g. (-\infty, 1] \cup (2, 3)
+}
+
+export interface SetAnswer {
+  type: 'set';
+  value: string; // Finite set of numbers, e.g. \{-2, \frac{1}{2}\}
+}
+
+export type FinalAnswer = NumericAnswer | ExpressionAnswer | ChoiceAnswer | IntervalAnswer | SetAnswer;
+
+/**
+ * Sub-question (a), (b), ... of a problem
+ */
+export interface ProblemPart {
+  label: string; // "a" renders as (a)
+  statement: ContentBlock[];
+  answer?: FinalAnswer;
+  hints?: string[]; // Rich text with inline math, revealed one at a time
+}
+
 export interface CanonicalContent {
   metadata: Metadata;
   statement: ContentBlock[];
+  parts?: ProblemPart[]; // Problems only
   solutions?: Solution[];
 }
 
@@ -121,6 +212,8 @@ export interface ValidationError {
   path: string;
   message: string;
   code: string;
+  /** Character range in the string at path, for errors found inside it (e.g. LaTeX lint) */
+  range?: { start: number; end: number };
 }
 
 // Helper type guards
@@ -142,6 +235,15 @@ export const isMathBlock = (block: ContentBlock): block is MathBlock =>
 export const isImageBlock = (block: ContentBlock): block is ImageBlock => 
   block.type === 'image';
 
+export const isChoiceBlock = (block: ContentBlock): block is ChoiceBlock => 
+  block.type === 'choice';
+
+export const isTableBlock = (block: ContentBlock): block is TableBlock => 
+  block.type === 'table';
+
+export const isEnvironmentBlock = (block: ContentBlock): block is EnvironmentBlock => 
+  block.type === 'environment';
+
 // Size mappings for rendering
 export const IMAGE_SIZE_MAP: Record<ImageSize, string> = {
   small: '30%',
@@ -14,16 +14,50 @@ import {
   Difficulty,
   ImageAlignment,
   ImageSize
-} from './types';
+} from './types.js';
+import { isWorkflowState } from './workflow.js';
+import {
+  ENVIRONMENT_LABEL_REGEX,
+  NUMBERED_ENVIRONMENTS,
+  findReferences,
+  isEnvironmentKind
+} from './environments.js';
+import { readAnswerValue } from '../answers/check.js';
+import { ExpressionSyntaxError } from '../answers/expression.js';
+import { LatexLintOptions, lintLatex } from '../math/lint.js';
+import { MATH_SPLIT_REGEX, hasMalformedInlineMath, parseMathSegment } from '../math/inline.js';
+
+export interface ValidatorOptions {
+  /** Known macros and environments for the LaTeX lint of math blocks and inline math */
+  latex?: LatexLintOptions;
+}
+
+const ANSWER_VALUE_LABELS: Record<string, string> = {
+  expression: 'Expression',
+  choice: 'Choice key',
+  interval: 'Interval',
+  set: 'Set'
+};
 
 export class ContentValidator {
+  private options: Required<ValidatorOptions>;
   private errors: ValidationError[] = [];
+  private labels = new Set<string>();
+  private references: Array<{ label: string; path: string }> = [];
+
+  constructor(options: ValidatorOptions = {}) {
+    this.options = {
+      latex: options.latex ?? {}
+    };
+  }
 
   /**
    * Validate complete content
    */
   validate(content: any): ValidationResult {
     this.errors = [];
+    this.labels = new Set();
+    this.references = [];
 
     if (!content || typeof content !== 'object') {
       this.addError('root', 'Content must be an object', 'INVALID_TYPE');
@@ -43,11 +77,23 @@ export class ContentValidator {
       this.validateBlocks(content.statement, 'statement');
     }
 
+    // Validate optional parts
+    if (content.parts !== undefined) {
+      this.validateParts(content.parts, content.metadata?.contentType);
+    }
+
     // Validate optional solutions
     if (content.solutions !== undefined) {
       this.validateSolutions(content.solutions);
     }
 
+    // Labels may be referenced before the environment that defines them
+    this.references.forEach(({ label, path }) => {
+      if (!this.labels.has(label)) {
+        this.addError(path, `Reference to unknown label "${label}"`, 'INVALID_VALUE');
+      }
+    });
+
     return this.getResult();
   }
 
@@ -82,6 +128,14 @@ export class ContentValidator {
       this.addError(`${path}.difficulty`, 'Invalid difficulty. Must be "Easy", "Medium", or "Hard"', 'INVALID_VALUE');
     }
 
+    if (metadata.state !== undefined) {
+      if (!isWorkflowState(metadata.state)) {
+        this.addError(`${path}.state`, 'Invalid state. Must be "draft", "in_review", "approved", "published", or "archived"', 'INVALID_VALUE');
+      } else if (typeof metadata.draft === 'boolean' && metadata.draft !== (metadata.state !== 'published')) {
+        this.addError(`${path}.draft`, `draft must be ${metadata.state !== 'published'} when state is "${metadata.state}"`, 'INVALID_VALUE');
+      }
+    }
+
     if (metadata.tags !== undefined) {
       if (!Array.isArray(metadata.tags)) {
         this.addError(`${path}.tags`, 'Tags must be an array', 'INVALID_TYPE');
@@ -163,6 +217,15 @@ export class ContentValidator {
       case 'image':
         this.validateImageBlock(block.data, path);
         break;
+      case 'choice':
+        this.validateChoiceBlock(block.data, path);
+        break;
+      case 'table':
+        this.validateTableBlock(block.data, path);
+        break;
+      case 'environment':
+        this.validateEnvironmentBlock(block.data, path);
+        break;
     }
   }
 
@@ -172,6 +235,8 @@ export class ContentValidator {
   private validateParagraphBlock(data: any, path: string): void {
     if (!data.text || typeof data.text !== 'string') {
       this.addError(`${path}.data.text`, 'Paragraph text must be a non-empty string', 'INVALID_VALUE');
+    } else {
+      this.checkRichText(data.text, `${path}.data.text`);
     }
   }
 
@@ -206,6 +271,8 @@ export class ContentValidator {
       data.items.forEach((item: any, index: number) => {
         if (typeof item !== 'string') {
           this.addError(`${path}.data.items[${index}]`, 'List item must be a string', 'INVALID_TYPE');
+        } else {
+          this.checkRichText(item, `${path}.data.items[${index}]`);
         }
       });
     }
@@ -217,6 +284,8 @@ export class ContentValidator {
   private validateQuoteBlock(data: any, path: string): void {
     if (!data.text || typeof data.text !== 'string') {
       this.addError(`${path}.data.text`, 'Quote text must be a non-empty string', 'INVALID_VALUE');
+    } else {
+      this.checkRichText(data.text, `${path}.data.text`);
     }
 
     if (data.caption !== undefined && typeof data.caption !== 'string') {
@@ -230,6 +299,8 @@ export class ContentValidator {
   private validateMathBlock(data: any, path: string): void {
     if (!data.latex || typeof data.latex !== 'string') {
       this.addError(`${path}.data.latex`, 'Math LaTeX must be a non-empty string', 'INVALID_VALUE');
+    } else {
+      this.lintMath(data.latex, `${path}.data.latex`, 0);
     }
 
     if (data.display === undefined || typeof data.display !== 'boolean') {
@@ -272,6 +343,301 @@ export class ContentValidator {
     }
   }
 
+  /**
+   * Validate choice block
+   */
+  private validateChoiceBlock(data: any, path: string): void {
+    if (typeof data.multiple !== 'boolean') {
+      this.addError(`${path}.data.multiple`, 'Choice multiple must be a boolean', 'INVALID_TYPE');
+    }
+
+    if (!Array.isArray(data.options)) {
+      this.addError(`${path}.data.options`, 'Choice options must be an array', 'INVALID_TYPE');
+      return;
+    }
+
+    if (data.options.length < 2) {
+      this.addError(`${path}.data.options`, 'Choice must have at least two options', 'ARRAY_EMPTY');
+      return;
+    }
+
+    const keys = new Set<string>();
+
+    data.options.forEach((option: any, index: number) => {
+      const optionPath = `${path}.data.options[${index}]`;
+
+      if (!option || typeof option !== 'object') {
+        this.addError(optionPath, 'Option must be an object', 'INVALID_TYPE');
+        return;
+      }
+
+      if (!option.key || typeof option.key !== 'string') {
+        this.addError(`${optionPath}.key`, 'Option key must be a non-empty string', 'INVALID_VALUE');
+      } else if (option.key.length > 10) {
+        this.addError(`${optionPath}.key`, 'Option key must be 10 characters or less', 'VALUE_TOO_LONG');
+      } else if (keys.has(option.key)) {
+        this.addError(`${optionPath}.key`, `Duplicate option key "${option.key}"`, 'DUPLICATE_VALUE');
+      } else {
+        keys.add(option.key);
+      }
+
+      if (!option.text || typeof option.text !== 'string') {
+        this.addError(`${optionPath}.text`, 'Option text must be a non-empty string', 'INVALID_VALUE');
+      } else {
+        this.checkRichText(option.text, `${optionPath}.text`);
+      }
+
+      if (typeof option.correct !== 'boolean') {
+        this.addError(`${optionPath}.correct`, 'Option correct must be a boolean', 'INVALID_TYPE');
+      }
+
+      if (option.feedback !== undefined && typeof option.feedback !== 'string') {
+        this.addError(`${optionPath}.feedback`, 'Option feedback must be a string', 'INVALID_TYPE');
+      } else if (option.feedback) {
+        this.checkRichText(option.feedback, `${optionPath}.feedback`);
+      }
+    });
+
+    const correct = data.options.filter((option: any) => option && option.correct === true).length;
+    if (correct === 0) {
+      this.addError(`${path}.data.options`, 'Choice must have a correct option', 'INVALID_VALUE');
+    } else if (correct > 1 && data.multiple === false) {
+      this.addError(`${path}.data.options`, 'Single-select choice must have exactly one correct option', 'INVALID_VALUE');
+    }
+  }
+
+  /**
+   * Validate table block
+   */
+  private validateTableBlock(data: any, path: string): void {
+    if (typeof data.withHeadings !== 'boolean') {
+      this.addError(`${path}.data.withHeadings`, 'Table withHeadings must be a boolean', 'INVALID_TYPE');
+    }
+
+    if (!Array.isArray(data.content)) {
+      this.addError(`${path}.data.content`, 'Table content must be an array of rows', 'INVALID_TYPE');
+      return;
+    }
+
+    if (data.content.length === 0) {
+      this.addError(`${path}.data.content`, 'Table must have at least one row', 'ARRAY_EMPTY');
+      return;
+    }
+
+    const columns = Array.isArray(data.content[0]) ? data.content[0].length : 0;
+
+    data.content.forEach((row: any, rowIndex: number) => {
+      const rowPath = `${path}.data.content[${rowIndex}]`;
+
+      if (!Array.isArray(row)) {
+        this.addError(rowPath, 'Table row must be an array of cells', 'INVALID_TYPE');
+        return;
+      }
+
+      if (row.length === 0) {
+        this.addError(rowPath, 'Table row must have at least one cell', 'ARRAY_EMPTY');
+      } else if (row.length !== columns) {
+        this.addError(rowPath, `Table row must have ${columns} cells like the first row`, 'INVALID_VALUE');
+      }
+
+      row.forEach((cell: any, cellIndex: number) => {
+        if (typeof cell !== 'string') {
+          this.addError(`${rowPath}[${cellIndex}]`, 'Table cell must be a string', 'INVALID_TYPE');
+        } else {
+          this.checkRichText(cell, `${rowPath}[${cellIndex}]`);
+        }
+      });
+    });
+
+    if (data.alignments !== undefined) {
+      if (!Array.isArray(data.alignments)) {
+        this.addError(`${path}.data.alignments`, 'Table alignments must be an array', 'INVALID_TYPE');
+        return;
+      }
+
+      if (data.alignments.length !== columns) {
+        this.addError(`${path}.data.alignments`, `Table alignments must have one entry per column (${columns})`, 'INVALID_VALUE');
+      }
+
+      data.alignments.forEach((alignment: any, index: number) => {
+        if (!['left', 'center', 'right'].includes(alignment)) {
+          this.addError(`${path}.data.alignments[${index}]`, 'Invalid alignment. Must be "left", "center", or "right"', 'INVALID_VALUE');
+        }
+      });
+    }
+  }
+
+  /**
+   * Validate environment block. Only a proof may be nested, so a theorem can
+   * hold its proof, and a proof holds no environments.
+   */
+  private validateEnvironmentBlock(data: any, path: string): void {
+    const numbered = NUMBERED_ENVIRONMENTS.includes(data.kind);
+
+    if (!isEnvironmentKind(data.kind)) {
+      this.addError(`${path}.data.kind`, 'Invalid kind. Must be "definition", "theorem", "lemma", "example", "remark", or "proof"', 'INVALID_VALUE');
+    }
+
+    if (data.title !== undefined) {
+      if (typeof data.title !== 'string') {
+        this.addError(`${path}.data.title`, 'Environment title must be a string', 'INVALID_TYPE');
+      } else if (data.title.length > 100) {
+        this.addError(`${path}.data.title`, 'Environment title must be 100 characters or less', 'VALUE_TOO_LONG');
+      }
+    }
+
+    if (data.number !== undefined) {
+      if (!data.number || typeof data.number !== 'string') {
+        this.addError(`${path}.data.number`, 'Environment number must be a non-empty string', 'INVALID_VALUE');
+      } else if (data.number.length > 10) {
+        this.addError(`${path}.data.number`, 'Environment number must be 10 characters or less', 'VALUE_TOO_LONG');
+      } else if (!numbered) {
+        this.addError(`${path}.data.number`, 'Only definitions, theorems, lemmas and examples are numbered', 'INVALID_VALUE');
+      }
+    }
+
+    if (data.label !== undefined) {
+      if (typeof data.label !== 'string' || !ENVIRONMENT_LABEL_REGEX.test(data.label)) {
+        this.addError(`${path}.data.label`, 'Label must start with a letter and contain only letters, digits, ":", "_" and "-"', 'INVALID_VALUE');
+      } else if (!numbered) {
+        this.addError(`${path}.data.label`, 'Only definitions, theorems, lemmas and examples can be referenced', 'INVALID_VALUE');
+      } else if (this.labels.has(data.label)) {
+        this.addError(`${path}.data.label`, `Duplicate label "${data.label}"`, 'DUPLICATE_VALUE');
+      } else {
+        this.labels.add(data.label);
+      }
+    }
+
+    if (!data.blocks) {
+      this.addError(`${path}.data.blocks`, 'Environment blocks are required', 'MISSING_REQUIRED');
+      return;
+    }
+
+    if (Array.isArray(data.blocks)) {
+      data.blocks.forEach((child: any, index: number) => {
+        if (child?.type !== 'environment') return;
+
+        if (data.kind === 'proof') {
+          this.addError(`${path}.data.blocks[${index}]`, 'A proof cannot contain another environment', 'INVALID_VALUE');
+        } else if (child.data?.kind !== 'proof') {
+          this.addError(`${path}.data.blocks[${index}]`, 'Only a proof can be nested inside an environment', 'INVALID_VALUE');
+        }
+      });
+    }
+
+    this.validateBlocks(data.blocks, `${path}.data.blocks`);
+  }
+
+  /**
+   * Validate parts array
+   */
+  private validateParts(parts: any, contentType: any): void {
+    const path = 'parts';
+
+    if (!Array.isArray(parts)) {
+      this.addError(path, 'Parts must be an array', 'INVALID_TYPE');
+      return;
+    }
+
+    if (contentType === 'lesson' && parts.length > 0) {
+      this.addError(path, 'Only problems can have parts', 'INVALID_VALUE');
+    }
+
+    const labels = new Set<string>();
+    parts.forEach((part, index) => {
+      this.validatePart(part, `${path}[${index}]`);
+
+      if (part && typeof part.label === 'string') {
+        if (labels.has(part.label)) {
+          this.addError(`${path}[${index}].label`, `Duplicate part label "${part.label}"`, 'DUPLICATE_VALUE');
+        }
+        labels.add(part.label);
+      }
+    });
+  }
+
+  /**
+   * Validate single part
+   */
+  private validatePart(part: any, path: string): void {
+    if (!part || typeof part !== 'object') {
+      this.addError(path, 'Part must be an object', 'INVALID_TYPE');
+      return;
+    }
+
+    if (!part.label || typeof part.label !== 'string') {
+      this.addError(`${path}.label`, 'Part label must be a non-empty string', 'INVALID_VALUE');
+    } else if (part.label.length > 10) {
+      this.addError(`${path}.label`, 'Part label must be 10 characters or less', 'VALUE_TOO_LONG');
+    }
+
+    if (!part.statement) {
+      this.addError(`${path}.statement`, 'Part statement is required', 'MISSING_REQUIRED');
+    } else {
+      this.validateBlocks(part.statement, `${path}.statement`);
+    }
+
+    if (part.answer !== undefined) {
+      this.validateAnswer(part.answer, `${path}.answer`);
+    }
+
+    if (part.hints !== undefined) {
+      if (!Array.isArray(part.hints)) {
+        this.addError(`${path}.hints`, 'Hints must be an array', 'INVALID_TYPE');
+      } else {
+        part.hints.forEach((hint: any, index: number) => {
+          if (!hint || typeof hint !== 'string') {
+            this.addError(`${path}.hints[${index}]`, 'Hint must be a non-empty string', 'INVALID_VALUE');
+          } else {
+            this.checkRichText(hint, `${path}.hints[${index}]`);
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Validate final answer
+   */
+  private validateAnswer(answer: any, path: string): void {
+    if (!answer || typeof answer !== 'object') {
+      this.addError(path, 'Answer must be an object', 'INVALID_TYPE');
+      return;
+    }
+
+    switch (answer.type) {
+      case 'numeric':
+        if (typeof answer.value !== 'number' || !Number.isFinite(answer.value)) {
+          this.addError(`${path}.value`, 'Numeric answer must be a finite number', 'INVALID_VALUE');
+        }
+        if (answer.tolerance !== undefined && (typeof answer.tolerance !== 'number' || !(answer.tolerance >= 0))) {
+          this.addError(`${path}.tolerance`, 'Tolerance must be a non-negative number', 'INVALID_VALUE');
+        }
+        if (answer.unit !== undefined && typeof answer.unit !== 'string') {
+          this.addError(`${path}.unit`, 'Unit must be a string', 'INVALID_TYPE');
+        }
+        break;
+      case 'expression':
+      case 'choice':
+      case 'interval':
+      case 'set':
+        if (!answer.value || typeof answer.value !== 'string') {
+          this.addError(`${path}.value`, `${ANSWER_VALUE_LABELS[answer.type]} must be a non-empty string`, 'INVALID_VALUE');
+          break;
+        }
+        // Answers students are checked against must be readable by the checker
+        try {
+          readAnswerValue(answer);
+        } catch (error) {
+          if (!(error instanceof ExpressionSyntaxError)) throw error;
+          this.addError(`${path}.value`, `${ANSWER_VALUE_LABELS[answer.type]} cannot be read: ${error.message}`, 'INVALID_VALUE');
+        }
+        break;
+      default:
+        this.addError(`${path}.type`, 'Invalid answer type. Must be "numeric", "expression", "choice", "interval", or "set"', 'INVALID_VALUE');
+    }
+  }
+
   /**
    * Validate solutions array
    */
@@ -314,7 +680,7 @@ export class ContentValidator {
    * Type guard helpers
    */
   private isValidBlockType(type: any): type is BlockType {
-    return ['paragraph', 'header', 'list', 'quote', 'math', 'image'].includes(type);
+    return ['paragraph', 'header', 'list', 'quote', 'math', 'image', 'choice', 'table', 'environment'].includes(type);
   }
 
   private isValidContentType(type: any): type is ContentType {
@@ -337,6 +703,45 @@ export class ContentValidator {
     return ['small', 'medium', 'large', 'full'].includes(size);
   }
 
+  /**
+   * Check and lint the inline math in rich text and remember its \ref{label}
+   * uses, which are checked once all labels are known
+   */
+  private checkRichText(text: string, path: string): void {
+    findReferences(text).forEach(label => this.references.push({ label, path }));
+
+    if (hasMalformedInlineMath(text)) {
+      this.addError(path, 'Inline math must be <span class="inline-math">LaTeX</span> with nothing else inside', 'INVALID_VALUE');
+    }
+
+    let offset = 0;
+    text.split(MATH_SPLIT_REGEX).forEach((segment, index) => {
+      // Odd indices are the captured math spans
+      if (index % 2 === 1) {
+        const math = parseMathSegment(segment);
+        if (math.span && !math.latex.trim()) {
+          this.addError(path, 'Inline math is empty', 'INVALID_VALUE');
+        }
+        this.lintMath(math.latex, path, offset + math.offset);
+      }
+      offset += segment.length;
+    });
+  }
+
+  /**
+   * Report LaTeX lint issues, with their range in the string at path
+   */
+  private lintMath(latex: string, path: string, offset: number): void {
+    lintLatex(latex, this.options.latex).forEach(issue => {
+      this.errors.push({
+        path,
+        message: issue.message,
+        code: issue.code,
+        range: { start: offset + issue.start, end: offset + issue.end }
+      });
+    });
+  }
+
   /**
    * Add validation error
    */
@@ -358,15 +763,15 @@ export class ContentValidator {
 /**
  * Quick validation function
  */
-export function validateContent(content: any): ValidationResult {
-  const validator = new ContentValidator();
+export function validateContent(content: any, options?: ValidatorOptions): ValidationResult {
+  const validator = new ContentValidator(options);
   return validator.validate(content);
 }
 
 /**
  * Type guard with validation
  */
-export function isValidContent(content: any): content is CanonicalContent {
-  const result = validateContent(content);
+export function isValidContent(content: any, options?: ValidatorOptions): content is CanonicalContent {
+  const result = validateContent(content, options);
   return result.valid;
 }
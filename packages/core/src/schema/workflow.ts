@@ -0,0 +1,60 @@
+// packages/core/src/schema/workflow.ts
+// Review workflow: draft -> in review -> approved -> published -> archived
+
+import { WorkflowState } from './types.js';
+
+export const WORKFLOW_STATES: WorkflowState[] = ['draft', 'in_review', 'approved', 'published', 'archived'];
+
+/**
+ * Allowed moves from each state. Saving edits to approved or published
+ * content starts a new draft; the published copy stays live meanwhile.
+ */
+export const WORKFLOW_TRANSITIONS: Record<WorkflowState, WorkflowState[]> = {
+  draft: ['in_review'],
+  in_review: ['draft', 'approved'],
+  approved: ['draft', 'published'],
+  published: ['draft', 'archived'],
+  archived: ['draft']
+};
+
+export const WORKFLOW_LABELS: Record<WorkflowState, string> = {
+  draft: 'Draft',
+  in_review: 'In Review',
+  approved: 'Approved',
+  published: 'Published',
+  archived: 'Archived'
+};
+
+// States content can be saved in without moving; anything later goes back to draft
+const EDITABLE_STATES: WorkflowState[] = ['draft', 'in_review'];
+
+/**
+ * Whether content may move from one state to another, or be saved in place
+ */
+export function canTransition(from: WorkflowState, to: WorkflowState): boolean {
+  return (from === to && EDITABLE_STATES.includes(from)) || WORKFLOW_TRANSITIONS[from].includes(to);
+}
+
+/**
+ * State of content, falling back to the legacy draft flag
+ */
+export function getWorkflowState(metadata: { draft?: boolean; state?: WorkflowState }): WorkflowState {
+  return metadata.state ?? (metadata.draft ? 'draft' : 'published');
+}
+
+export function isWorkflowState(value: any): value is WorkflowState {
+  return WORKFLOW_STATES.includes(value);
+}
+
+/**
+ * A comment a reviewer attached to one block
+ */
+export interface ReviewComment {
+  id: string;
+  /** Editor.js block id the comment refers to */
+  blockId: string;
+  author: string;
+  text: string;
+  timestamp: string;
+  resolved?: boolean;
+}
@@ -0,0 +1,84 @@
+// packages/core/src/storage/drafts.ts
+// Unsaved editor work kept in the browser, one draft per content item
+
+import { ContentType } from '../schema/types.js';
+import { EditorData } from '../adapters/editor.js';
+
+/**
+ * Autosaved editor state for one content item
+ */
+export interface LocalDraft {
+  /** See draftKey */
+  key: string;
+  contentType: ContentType;
+  /** Stored content ID, or null for content that was never saved */
+  id: number | null;
+  title: string;
+  data: EditorData;
+  /** Epoch milliseconds of the last autosave */
+  updatedAt: number;
+}
+
+/**
+ * Where drafts are kept; the browser uses IndexedDB
+ */
+export interface DraftStore {
+  get(key: string): Promise<LocalDraft | null>;
+  /** Create or replace the draft with the same key */
+  put(draft: LocalDraft): Promise<void>;
+  delete(key: string): Promise<void>;
+  /** Every draft, most recently updated first */
+  list(): Promise<LocalDraft[]>;
+}
+
+/**
+ * 'problem:42' for saved content, 'local:<localId>' for content without an ID yet
+ */
+export function draftKey(contentType: ContentType, id: number | null, localId?: string): string {
+  if (id) {
+    return `${contentType}:${id}`;
+  }
+  if (!localId) {
+    throw new Error('Unsaved content needs a local ID for its draft');
+  }
+  return `local:${localId}`;
+}
+
+/**
+ * Random ID for a draft of unsaved content
+ */
+export function createLocalId(): string {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+export class MemoryDraftStore implements DraftStore {
+  private drafts = new Map<string, LocalDraft>();
+
+  async get(key: string): Promise<LocalDraft | null> {
+    const draft = this.drafts.get(key);
+    return draft ? clone(draft) : null;
+  }
+
+  async put(draft: LocalDraft): Promise<void> {
+    this.drafts.set(draft.key, clone(draft));
+  }
+
+  async delete(key: string): Promise<void> {
+    this.drafts.delete(key);
+  }
+
+  async list(): Promise<LocalDraft[]> {
+    return sortDrafts(Array.from(this.drafts.values()).map(clone));
+  }
+}
+
+/**
+ * Most recently updated first
+ */
+export function sortDrafts(drafts: LocalDraft[]): LocalDraft[] {
+  return drafts.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function clone<T>(value: T): T {
+  return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,36 @@
+// packages/core/src/storage/errors.ts
+// Errors raised by storage backends
+
+import { ContentType } from '../schema/types.js';
+
+/**
+ * Thrown when a save would overwrite a document the caller never loaded
+ */
+export class ContentConflictError extends Error {
+  readonly contentType: ContentType;
+  readonly id: number;
+
+  constructor(contentType: ContentType, id: number) {
+    super(`${contentType === 'lesson' ? 'Lesson' : 'Problem'} #${id} already exists`);
+    this.name = 'ContentConflictError';
+    Object.setPrototypeOf(this, ContentConflictError.prototype);
+    this.contentType = contentType;
+    this.id = id;
+  }
+}
+
+/**
+ * Thrown when the stored document changed since the caller loaded it
+ */
+export class ContentChangedError extends Error {
+  readonly contentType: ContentType;
+  readonly id: number;
+
+  constructor(contentType: ContentType, id: number) {
+    super(`${contentType === 'lesson' ? 'Lesson' : 'Problem'} #${id} was changed since it was loaded`);
+    this.name = 'ContentChangedError';
+    Object.setPrototypeOf(this, ContentChangedError.prototype);
+    this.contentType = contentType;
+    this.id = id;
+  }
+}
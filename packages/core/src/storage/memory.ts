@@ -0,0 +1,193 @@
+// packages/core/src/storage/memory.ts
+// In-memory backend for offline editing, tests and CI
+
+import { ContentType } from '../schema/types.js';
+import { ContentRepository, AssetStore, StoredContent, ListOptions, SaveOptions, Revision } from './types.js';
+import { ContentConflictError, ContentChangedError } from './errors.js';
+import { toISOTimestamp } from '../adapters/editor.js';
+import { getWorkflowState } from '../schema/workflow.js';
+import { DEFAULT_MACROS, MacroDefinition } from '../math/macros.js';
+
+export interface MemoryAssetStoreOptions {
+  /** Builds the URL returned for an upload; defaults to memory://<path> */
+  createUrl?: (path: string, file: Blob) => string;
+}
+
+export class MemoryContentRepository implements ContentRepository {
+  private documents: Record<ContentType, Map<number, StoredContent>> = {
+    problem: new Map(),
+    lesson: new Map()
+  };
+
+  // Live copies, as the viewer sees them
+  private published: Record<ContentType, Map<number, StoredContent>> = {
+    problem: new Map(),
+    lesson: new Map()
+  };
+
+  private revisions: Record<ContentType, Map<number, Revision[]>> = {
+    problem: new Map(),
+    lesson: new Map()
+  };
+
+  // Last allocated ID per type, so unsaved allocations are never handed out twice
+  private counters: Record<ContentType, number> = { problem: 0, lesson: 0 };
+
+  // Timestamps strictly increase so back-to-back saves are distinguishable
+  private lastSaved = 0;
+
+  private macros: MacroDefinition[] | null = null;
+
+  constructor(initial: Partial<Record<ContentType, StoredContent[]>> = {}) {
+    (Object.keys(initial) as ContentType[]).forEach(contentType => {
+      initial[contentType]!.forEach(data => {
+        this.documents[contentType].set(data.id, clone(data));
+        if (getWorkflowState(data) === 'published') {
+          this.published[contentType].set(data.id, toPublished(data));
+        }
+      });
+    });
+  }
+
+  /**
+   * Next ID is above both the highest stored and the last allocated ID;
+   * deleted documents still own their ID through their revisions
+   */
+  async allocateId(contentType: ContentType): Promise<number> {
+    const highest = Math.max(
+      0,
+      ...Array.from(this.documents[contentType].keys()),
+      ...Array.from(this.revisions[contentType].keys())
+    );
+    this.counters[contentType] = Math.max(this.counters[contentType], highest) + 1;
+    return this.counters[contentType];
+  }
+
+  async get(contentType: ContentType, id: number): Promise<StoredContent | null> {
+    const data = this.documents[contentType].get(id);
+    return data ? clone(data) : null;
+  }
+
+  async save(contentType: ContentType, data: StoredContent, options: SaveOptions = {}): Promise<string> {
+    const existing = this.documents[contentType].get(data.id);
+
+    if (existing && !options.overwrite) {
+      throw new ContentConflictError(contentType, data.id);
+    }
+    if (existing && options.expectedTimestamp !== undefined
+      && toISOTimestamp(existing.timestamp) !== options.expectedTimestamp) {
+      throw new ContentChangedError(contentType, data.id);
+    }
+
+    this.lastSaved = Math.max(Date.now(), this.lastSaved + 1);
+    const timestamp = new Date(this.lastSaved).toISOString();
+
+    const history = this.revisions[contentType].get(data.id) ?? [];
+    const lastKept = history.length > 0 ? history[history.length - 1].revision : 0;
+    const revision = Math.max(existing?.revision ?? 0, lastKept) + 1;
+    const state = getWorkflowState(data);
+    const stored: StoredContent = { ...clone(data), ...authorship(existing), state, draft: state !== 'published', timestamp, revision };
+
+    history.push({
+      revision,
+      data: clone(stored),
+      author: stored.lastEditor ?? stored.author ?? 'admin',
+      timestamp,
+      draft: stored.draft!,
+      state
+    });
+    this.revisions[contentType].set(data.id, history);
+    this.documents[contentType].set(data.id, stored);
+
+    if (state === 'published') {
+      this.published[contentType].set(data.id, toPublished(stored));
+    } else if (state === 'archived') {
+      this.published[contentType].delete(data.id);
+    }
+
+    return timestamp;
+  }
+
+  async delete(contentType: ContentType, id: number): Promise<void> {
+    this.documents[contentType].delete(id);
+    this.published[contentType].delete(id);
+  }
+
+  async list(contentType: ContentType, options: ListOptions = {}): Promise<StoredContent[]> {
+    return Array.from(this.documents[contentType].values())
+      .filter(data => options.draft === undefined || Boolean(data.draft) === options.draft)
+      .sort((a, b) => a.id - b.id)
+      .map(clone);
+  }
+
+  async getPublished(contentType: ContentType, id: number): Promise<StoredContent | null> {
+    const data = this.published[contentType].get(id);
+    return data ? clone(data) : null;
+  }
+
+  async listPublished(contentType: ContentType): Promise<StoredContent[]> {
+    return Array.from(this.published[contentType].values())
+      .sort((a, b) => a.id - b.id)
+      .map(clone);
+  }
+
+  async listRevisions(contentType: ContentType, id: number): Promise<Revision[]> {
+    return clone(this.revisions[contentType].get(id) ?? []);
+  }
+
+  async getMacros(): Promise<MacroDefinition[]> {
+    return clone(this.macros ?? DEFAULT_MACROS);
+  }
+
+  async saveMacros(macros: MacroDefinition[]): Promise<void> {
+    this.macros = clone(macros);
+  }
+}
+
+export class MemoryAssetStore implements AssetStore {
+  private files = new Map<string, Blob>();
+  private createUrl: (path: string, file: Blob) => string;
+
+  constructor(options: MemoryAssetStoreOptions = {}) {
+    this.createUrl = options.createUrl ?? (path => `memory://${path}`);
+  }
+
+  async upload(path: string, file: Blob): Promise<string> {
+    this.files.set(path, file);
+    return this.createUrl(path, file);
+  }
+
+  /**
+   * Uploaded file at path, if any
+   */
+  getFile(path: string): Blob | undefined {
+    return this.files.get(path);
+  }
+}
+
+/**
+ * Original authorship of a document being replaced, so saves can't reassign it
+ */
+function authorship(existing: StoredContent | undefined): Partial<StoredContent> {
+  if (!existing) return {};
+
+  const kept: Partial<StoredContent> = {};
+  if (existing.author !== undefined) kept.author = existing.author;
+  if (existing.authorId !== undefined) kept.authorId = existing.authorId;
+  return kept;
+}
+
+/**
+ * Live copy of a document: review comments stay with the working copy
+ */
+function toPublished(data: StoredContent): StoredContent {
+  const { comments, ...published } = clone(data);
+  return published;
+}
+
+/**
+ * Copies on the way in and out so callers can't mutate stored documents
+ */
+function clone<T>(value: T): T {
+  return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,101 @@
+// packages/core/src/storage/types.ts
+// Backend-neutral interfaces for storing content and uploaded assets
+
+import { ContentType, WorkflowState } from '../schema/types.js';
+import { EditorData } from '../adapters/editor.js';
+import { MacroDefinition } from '../math/macros.js';
+
+/**
+ * A stored content document: the editor's flat shape with a numeric ID
+ */
+export interface StoredContent extends EditorData {
+  id: number;
+  /** Number of the latest revision; stamped by the backend */
+  revision?: number;
+}
+
+/**
+ * Immutable snapshot appended on every save
+ */
+export interface Revision {
+  /** 1 for the first save, increasing by one per save */
+  revision: number;
+  /** The full document as written */
+  data: StoredContent;
+  /** Who made this save: the document's lastEditor, else its author */
+  author: string;
+  timestamp: string;
+  draft: boolean;
+  state: WorkflowState;
+}
+
+export interface SaveOptions {
+  /**
+   * Replace an existing document. Only pass true for a document the caller
+   * loaded or created itself; otherwise an existing document raises
+   * ContentConflictError instead of being overwritten.
+   */
+  overwrite?: boolean;
+  /**
+   * Timestamp the caller loaded; when the stored document's timestamp differs,
+   * ContentChangedError is raised instead of overwriting someone else's edit
+   */
+  expectedTimestamp?: string;
+}
+
+export interface ListOptions {
+  /** Only documents with this draft flag */
+  draft?: boolean;
+}
+
+/**
+ * Where problems and lessons are read from and written to
+ */
+export interface ContentRepository {
+  /** Atomically allocate an ID no other caller will receive */
+  allocateId(contentType: ContentType): Promise<number>;
+
+  /** Load one document, or null if it doesn't exist */
+  get(contentType: ContentType, id: number): Promise<StoredContent | null>;
+
+  /**
+   * Create or replace the working copy and append a revision;
+   * resolves to the ISO timestamp the backend stamped.
+   * The revision is numbered one past the higher of the document's revision
+   * and the last revision kept for its ID, so saving again after a delete
+   * continues the kept history instead of overwriting it.
+   * Saving with state 'published' also replaces the live copy; 'archived'
+   * removes it. Other states leave the live copy untouched.
+   * Replacing a document keeps its original author and authorId.
+   */
+  save(contentType: ContentType, data: StoredContent, options?: SaveOptions): Promise<string>;
+
+  /** Remove the working and live copies; revisions are kept as an audit trail */
+  delete(contentType: ContentType, id: number): Promise<void>;
+
+  /** All working copies of a type, ordered by ID */
+  list(contentType: ContentType, options?: ListOptions): Promise<StoredContent[]>;
+
+  /** The live published copy, or null if never published or archived */
+  getPublished(contentType: ContentType, id: number): Promise<StoredContent | null>;
+
+  /** All live published copies of a type, ordered by ID */
+  listPublished(contentType: ContentType): Promise<StoredContent[]>;
+
+  /** Every revision of a document, oldest first */
+  listRevisions(contentType: ContentType, id: number): Promise<Revision[]>;
+
+  /** The collection's macro library; DEFAULT_MACROS until one is saved */
+  getMacros(): Promise<MacroDefinition[]>;
+
+  /** Replace the macro library */
+  saveMacros(macros: MacroDefinition[]): Promise<void>;
+}
+
+/**
+ * Where editor images are uploaded to
+ */
+export interface AssetStore {
+  /** Store the file at path and return a URL it can be displayed from */
+  upload(path: string, file: Blob): Promise<string>;
+}
@@ -0,0 +1,159 @@
+// packages/core/src/utils/front-matter.ts
+// Minimal YAML front matter reader/writer for flat metadata objects
+
+export interface FrontMatterResult {
+  data: Record<string, any>;
+  body: string;
+}
+
+const FRONT_MATTER_REGEX = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Split a document into its front matter data and body
+ */
+export function parseFrontMatter(text: string): FrontMatterResult {
+  const match = text.match(FRONT_MATTER_REGEX);
+
+  if (!match) {
+    return { data: {}, body: text };
+  }
+
+  return {
+    data: parseYaml(match[1]),
+    body: text.slice(match[0].length)
+  };
+}
+
+/**
+ * Serialize a flat object as a front matter block
+ */
+export function stringifyFrontMatter(data: Record<string, any>): string {
+  const lines = Object.keys(data)
+    .filter(key => data[key] !== undefined)
+    .map(key => `${key}: ${stringifyValue(data[key])}`);
+
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+/**
+ * Parse the YAML subset we write: scalars, flow lists and block lists
+ */
+function parseYaml(source: string): Record<string, any> {
+  const data: Record<string, any> = {};
+  let listKey: string | null = null;
+
+  source.split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) {
+      return;
+    }
+
+    const listItem = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+    if (listItem && listKey) {
+      data[listKey].push(parseScalar(listItem[1]));
+      return;
+    }
+
+    const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (!pair) {
+      return;
+    }
+
+    const [, key, rawValue] = pair;
+    if (rawValue.trim() === '') {
+      // Start of a block list
+      data[key] = [];
+      listKey = key;
+    } else {
+      data[key] = parseValue(rawValue.trim());
+      listKey = null;
+    }
+  });
+
+  return data;
+}
+
+function parseValue(raw: string): any {
+  if (raw.startsWith('[') && raw.endsWith(']')) {
+    return splitFlowList(raw.slice(1, -1)).map(parseScalar);
+  }
+  return parseScalar(raw);
+}
+
+function parseScalar(raw: string): any {
+  const value = raw.trim();
+
+  if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+
+  if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null' || value === '~') return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+  return value;
+}
+
+/**
+ * Split "a, "b, c", d" on top-level commas, respecting quotes
+ */
+function splitFlowList(source: string): string[] {
+  const items: string[] = [];
+  let current = '';
+  let quote: string | null = null;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quote) {
+      current += char;
+      if (char === '\\' && quote === '"' && i + 1 < source.length) {
+        current += source[++i];
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) {
+    items.push(current);
+  }
+
+  return items.filter(item => item.trim() !== '');
+}
+
+function stringifyValue(value: any): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(stringifyValue).join(', ')}]`;
+  }
+
+  if (typeof value === 'string') {
+    return needsQuotes(value) ? JSON.stringify(value) : value;
+  }
+
+  return String(value);
+}
+
+function needsQuotes(value: string): boolean {
+  return value === ''
+    || value !== value.trim()
+    || /^(true|false|null|~|-?\d+(\.\d+)?)$/.test(value)
+    || /[:#\[\]{},"'&*!|>%@`]/.test(value)
+    || /^[-?]/.test(value);
+}
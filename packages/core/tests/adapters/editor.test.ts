@@ -0,0 +1,220 @@
+// packages/core/tests/adapters/editor.test.ts
+// Tests for the editor <-> canonical adapter
+
+import {
+  fromEditorData,
+  toEditorData,
+  toISOTimestamp,
+  fromEditorBlocks,
+  EditorData
+} from '../../src/adapters/editor';
+import { validateContent } from '../../src/schema/validator';
+import validProblem from '../fixtures/valid-problem.json';
+import { CanonicalContent } from '../../src/schema/types';
+
+describe('Editor adapter', () => {
+  const editorData: EditorData = {
+    contentType: 'problem',
+    id: 7,
+    title: '  Sum of Roots  ',
+    category: 'Algebra',
+    difficulty: 'Easy',
+    tags: ['vieta'],
+    statement: [
+      { id: 'a1', type: 'paragraph', data: { text: 'Find $x_1 + x_2$.' } },
+      { id: 'a2', type: 'quote', data: { text: 'Vieta', caption: '', alignment: 'left' } },
+      {
+        id: 'a3',
+        type: 'image',
+        data: { url: 'https://example.com/a.png', alt: 'Graph', caption: '', alignment: 'float-right', size: 'small' }
+      }
+    ],
+    solutions: [
+      {
+        title: 'Solution 1',
+        blocks: [{ id: 'b1', type: 'math', data: { latex: 'x_1 + x_2 = 5', display: true } }]
+      }
+    ]
+  };
+
+  describe('fromEditorData', () => {
+    test('should produce valid canonical content', () => {
+      const content = fromEditorData(editorData, { now: new Date('2025-01-15T10:00:00Z') });
+
+      expect(validateContent(content).valid).toBe(true);
+      expect(content.metadata).toEqual({
+        id: 7,
+        title: 'Sum of Roots',
+        contentType: 'problem',
+        category: 'Algebra',
+        difficulty: 'Easy',
+        tags: ['vieta'],
+        author: 'admin',
+        draft: false,
+        timestamp: '2025-01-15T10:00:00.000Z'
+      });
+    });
+
+    test('should strip editor-only fields and empty captions', () => {
+      const content = fromEditorData(editorData);
+
+      expect(content.statement[0]).toEqual({ type: 'paragraph', data: { text: 'Find $x_1 + x_2$.' } });
+      expect(content.statement[1]).toEqual({ type: 'quote', data: { text: 'Vieta' } });
+      expect(content.statement[2].data).not.toHaveProperty('caption');
+    });
+
+    test('should turn the inline math tool\'s spans into canonical markup', () => {
+      const span = '<span class="inline-math" data-latex="x &lt; 1" contenteditable="false">x&lt;1</span>';
+      const content = fromEditorData({
+        ...editorData,
+        statement: [
+          { type: 'paragraph', data: { text: `So ${span}.` } },
+          { type: 'list', data: { style: 'unordered', items: [span] } },
+          { type: 'quote', data: { text: span, caption: '' } }
+        ]
+      });
+
+      const canonical = '<span class="inline-math">x &lt; 1</span>';
+      expect(content.statement.map(block => block.data)).toEqual([
+        { text: `So ${canonical}.` },
+        { style: 'unordered', items: [canonical] },
+        { text: canonical }
+      ]);
+      expect(validateContent(content).valid).toBe(true);
+    });
+
+    test('should flatten nested @editorjs/list items', () => {
+      const content = fromEditorData({
+        ...editorData,
+        statement: [{
+          type: 'list',
+          data: {
+            style: 'ordered',
+            meta: {},
+            items: [
+              { content: 'One', meta: {}, items: [{ content: 'One.a', meta: {}, items: [] }] },
+              { content: 'Two', meta: {}, items: [] }
+            ]
+          }
+        }]
+      });
+
+      expect(content.statement[0]).toEqual({
+        type: 'list',
+        data: { style: 'ordered', items: ['One', 'One.a', 'Two'] }
+      });
+    });
+
+    test('should take contentType from options for Firestore documents', () => {
+      const { contentType, ...firestoreDoc } = editorData;
+      const content = fromEditorData(firestoreDoc, { contentType: 'lesson' });
+
+      expect(content.metadata.contentType).toBe('lesson');
+      expect(content.solutions).toBeUndefined();
+    });
+
+    test('should keep draft and author from the document', () => {
+      const content = fromEditorData({ ...editorData, draft: true, author: 'leyla' });
+
+      expect(content.metadata.draft).toBe(true);
+      expect(content.metadata.author).toBe('leyla');
+    });
+
+    test('should parse string IDs', () => {
+      expect(fromEditorData({ ...editorData, id: '42' }).metadata.id).toBe(42);
+      expect(fromEditorData({ ...editorData, id: null }).metadata.id).toBe(0);
+    });
+  });
+
+  describe('toEditorData', () => {
+    test('should round-trip canonical content', () => {
+      const content = validProblem as CanonicalContent;
+      const roundTripped = fromEditorData(toEditorData(content));
+
+      expect(roundTripped).toEqual(content);
+    });
+
+    test('should carry the workflow state and derive the draft flag from it', () => {
+      const content = fromEditorData({ ...editorData, state: 'in_review', draft: false });
+
+      expect(content.metadata.state).toBe('in_review');
+      expect(content.metadata.draft).toBe(true);
+      expect(toEditorData(content).state).toBe('in_review');
+    });
+  });
+
+  test('should normalize choice blocks', () => {
+    const [block] = fromEditorBlocks([{
+      type: 'choice',
+      data: {
+        options: [
+          { key: ' A ', text: 'Yes', correct: true, feedback: '' },
+          { key: 'B', text: 'No', feedback: 'Look again.' }
+        ]
+      }
+    }]);
+
+    expect(block).toEqual({
+      type: 'choice',
+      data: {
+        multiple: false,
+        options: [
+          { key: 'A', text: 'Yes', correct: true },
+          { key: 'B', text: 'No', correct: false, feedback: 'Look again.' }
+        ]
+      }
+    });
+  });
+
+  describe('parts', () => {
+    test('should convert part blocks and drop empty hints', () => {
+      const content = fromEditorData({
+        ...editorData,
+        parts: [{
+          label: ' a ',
+          blocks: [{ id: 'p1', type: 'paragraph', data: { text: 'Find $x$.' } }],
+          answer: { type: 'numeric', value: 3 },
+          hints: ['Factor first.', '  ']
+        }]
+      });
+
+      expect(content.parts).toEqual([{
+        label: 'a',
+        statement: [{ type: 'paragraph', data: { text: 'Find $x$.' } }],
+        answer: { type: 'numeric', value: 3 },
+        hints: ['Factor first.']
+      }]);
+      expect(fromEditorData(toEditorData(content)).parts).toEqual(content.parts);
+    });
+
+    test('should leave parts out when there are none', () => {
+      expect(fromEditorData({ ...editorData, parts: [] }).parts).toBeUndefined();
+    });
+  });
+
+  describe('toISOTimestamp', () => {
+    const fallback = new Date('2025-03-01T00:00:00Z');
+
+    test('should convert Firestore Timestamp instances', () => {
+      const timestamp = { toDate: () => new Date('2025-01-15T10:00:00Z') };
+      expect(toISOTimestamp(timestamp)).toBe('2025-01-15T10:00:00.000Z');
+    });
+
+    test('should convert serialized Timestamps', () => {
+      expect(toISOTimestamp({ seconds: 1736935200, nanoseconds: 500000000 }))
+        .toBe('2025-01-15T10:00:00.500Z');
+      expect(toISOTimestamp({ _seconds: 1736935200, _nanoseconds: 0 }))
+        .toBe('2025-01-15T10:00:00.000Z');
+    });
+
+    test('should convert epoch milliseconds from local drafts', () => {
+      expect(toISOTimestamp(1736935200000)).toBe('2025-01-15T10:00:00.000Z');
+    });
+
+    test('should fall back for pending serverTimestamp() sentinels', () => {
+      expect(toISOTimestamp({ _methodName: 'serverTimestamp' }, fallback)).toBe(fallback.toISOString());
+      expect(toISOTimestamp(undefined, fallback)).toBe(fallback.toISOString());
+      expect(toISOTimestamp('not a date', fallback)).toBe(fallback.toISOString());
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// packages/core/tests/answers/check.test.ts
+// Tests for checking submissions against final answers
+
+import { checkAnswer, parseIntervals, parseNumberSet, readAnswerValue } from '../../src/answers/check';
+import { evaluateConstant } from '../../src/answers/expression';
+
+describe('Answer checking', () => {
+  describe('numeric', () => {
+    test('accepts fractions, decimals and expressions of the same value', () => {
+      const answer = { type: 'numeric' as const, value: 0.75 };
+      expect(checkAnswer(answer, '3/4')).toEqual({ verdict: 'correct', normalized: '0.75' });
+      expect(checkAnswer(answer, '\\frac{3}{4}').verdict).toBe('correct');
+      expect(checkAnswer(answer, '0.750').verdict).toBe('correct');
+      expect(checkAnswer(answer, '0.7').verdict).toBe('incorrect');
+    });
+
+    test('applies the tolerance and strips the unit', () => {
+      const answer = { type: 'numeric' as const, value: 2.5, tolerance: 0.1, unit: 'cm' };
+      expect(checkAnswer(answer, '2.45 cm')).toEqual({ verdict: 'correct', normalized: '2.45 cm' });
+      expect(checkAnswer(answer, '2.45\\,cm').verdict).toBe('correct');
+      expect(checkAnswer(answer, '2.7').verdict).toBe('incorrect');
+      expect(checkAnswer(answer, '2.5 m').verdict).toBe('invalid');
+    });
+
+    test('matches an exact author value read like the submission', () => {
+      const exact = { type: 'numeric' as const, value: evaluateConstant('\\frac{1}{3}') };
+      expect(checkAnswer(exact, '1/3').verdict).toBe('correct');
+      expect(checkAnswer(exact, '\\frac{2}{6}').verdict).toBe('correct');
+
+      // A rounded author value misses the exact submission under the relative tolerance
+      const rounded = { type: 'numeric' as const, value: 0.3333333 };
+      expect(checkAnswer(rounded, '1/3').verdict).toBe('incorrect');
+    });
+
+    test('reports unreadable and empty submissions as invalid', () => {
+      const answer = { type: 'numeric' as const, value: 1 };
+      expect(checkAnswer(answer, '')).toEqual({ verdict: 'invalid', message: 'Enter an answer first' });
+      expect(checkAnswer(answer, '1/0').verdict).toBe('invalid');
+      expect(checkAnswer(answer, '(1').message).toBe('Missing ")"');
+    });
+  });
+
+  describe('expression', () => {
+    const answer = { type: 'expression' as const, value: '2x+2' };
+
+    test('accepts equivalent forms', () => {
+      expect(checkAnswer(answer, '2(x+1)')).toEqual({ verdict: 'correct', normalized: '2*(x + 1)' });
+      expect(checkAnswer(answer, 'x + x + 2').verdict).toBe('correct');
+      expect(checkAnswer({ type: 'expression', value: '\\sin^2 x + \\cos^2 x' }, '1').verdict).toBe('correct');
+      expect(checkAnswer({ type: 'expression', value: '\\frac{x^2-1}{x-1}' }, 'x+1').verdict).toBe('correct');
+    });
+
+    test('rejects different expressions', () => {
+      expect(checkAnswer(answer, '2x+1').verdict).toBe('incorrect');
+      expect(checkAnswer(answer, '2y+2').verdict).toBe('incorrect');
+      expect(checkAnswer({ type: 'expression', value: '|x|' }, 'x').verdict).toBe('incorrect');
+    });
+
+    test('skips points outside the domain', () => {
+      expect(checkAnswer({ type: 'expression', value: '\\ln(x^2)' }, '2\\ln|x|').verdict).toBe('correct');
+    });
+
+    test('gives the same verdict every time', () => {
+      const results = [1, 2, 3].map(() => checkAnswer(answer, '2x+2.0000001'));
+      expect(new Set(results.map(result => result.verdict)).size).toBe(1);
+    });
+  });
+
+  test('compares choice keys ignoring case and parentheses', () => {
+    const answer = { type: 'choice' as const, value: 'B' };
+    expect(checkAnswer(answer, '(b)')).toEqual({ verdict: 'correct', normalized: 'B' });
+    expect(checkAnswer(answer, 'C').verdict).toBe('incorrect');
+  });
+
+  describe('intervals', () => {
+    const answer = { type: 'interval' as const, value: '(-\\infty, 1] \\cup (2, 3)' };
+
+    test('accepts the same union in any order and notation', () => {
+      expect(checkAnswer(answer, '(2, 3) U (-inf, 1]')).toEqual({
+        verdict: 'correct',
+        normalized: '(-inf, 1] U (2, 3)'
+      });
+      expect(checkAnswer(answer, '\\left(-\\infty, \\frac{2}{2}\\right] \\cup (2,3)').verdict).toBe('correct');
+    });
+
+    test('checks open and closed ends', () => {
+      expect(checkAnswer(answer, '(-inf, 1) U (2, 3)').verdict).toBe('incorrect');
+      expect(checkAnswer(answer, '(-inf, 1]').verdict).toBe('incorrect');
+    });
+
+    test('reads infinite ends as open and rejects malformed intervals', () => {
+      expect(parseIntervals('[0, \\infty]')).toEqual([{ lower: 0, upper: Infinity, lowerClosed: true, upperClosed: false }]);
+      expect(parseIntervals('\\emptyset')).toEqual([]);
+      expect(checkAnswer(answer, '[3, 1]').verdict).toBe('invalid');
+      expect(checkAnswer(answer, '1, 2').verdict).toBe('invalid');
+    });
+  });
+
+  describe('sets', () => {
+    const answer = { type: 'set' as const, value: '\\{-2, \\frac{1}{2}\\}' };
+
+    test('ignores order and duplicates', () => {
+      expect(checkAnswer(answer, '{0.5, -2, -2}')).toEqual({ verdict: 'correct', normalized: '{-2, 0.5}' });
+      expect(checkAnswer(answer, '1/2, -2').verdict).toBe('correct');
+      expect(checkAnswer(answer, '{-2}').verdict).toBe('incorrect');
+    });
+
+    test('reads the empty set', () => {
+      expect(parseNumberSet('\\emptyset')).toEqual([]);
+      expect(parseNumberSet('\\{\\}')).toEqual([]);
+    });
+  });
+
+  test('reports author answers the checker cannot read', () => {
+    expect(() => readAnswerValue({ type: 'expression', value: '\\frac{x}' })).toThrow();
+    expect(() => readAnswerValue({ type: 'interval', value: '[0, 1' })).toThrow();
+    expect(() => readAnswerValue({ type: 'choice', value: 'B' })).not.toThrow();
+  });
+});
@@ -0,0 +1,56 @@
+// packages/core/tests/answers/expression.test.ts
+// Tests for the answer expression parser
+
+import {
+  parseExpression,
+  evaluateExpression,
+  formatExpression,
+  evaluateConstant,
+  expressionVariables,
+  ExpressionSyntaxError
+} from '../../src/answers/expression';
+
+describe('Answer expressions', () => {
+  const format = (input: string) => formatExpression(parseExpression(input));
+
+  test('reads implicit multiplication and precedence', () => {
+    expect(format('2(x+1)')).toBe('2*(x + 1)');
+    expect(format('2x^2y')).toBe('2*x^2*y');
+    expect(format('-x^2')).toBe('-x^2');
+    expect(format('(-x)^2')).toBe('(-x)^2');
+    expect(format('a-(b-c)')).toBe('a - (b - c)');
+    expect(format('x**2')).toBe('x^2');
+  });
+
+  test('reads LaTeX markup', () => {
+    expect(format('\\frac{x+1}{2}')).toBe('(x + 1)/2');
+    expect(format('\\frac12')).toBe('1/2');
+    expect(format('\\sqrt{x}')).toBe('sqrt(x)');
+    expect(format('\\sin^2 x')).toBe('sin(x)^2');
+    expect(format('2\\cdot \\pi r')).toBe('2*pi*r');
+    expect(format('e^{2x}')).toBe('e^(2*x)');
+    expect(format('\\left|x\\right|')).toBe('abs(x)');
+    expect(format('$\\theta$')).toBe('theta');
+  });
+
+  test('evaluates with a scope', () => {
+    expect(evaluateExpression(parseExpression('\\sqrt[3]{x}'), { x: 27 })).toBeCloseTo(3);
+    expect(evaluateExpression(parseExpression('|x - 5|'), { x: 2 })).toBe(3);
+    expect(evaluateExpression(parseExpression('\\ln e^2'), {})).toBeCloseTo(2);
+    expect(() => evaluateExpression(parseExpression('x'), {})).toThrow(ExpressionSyntaxError);
+  });
+
+  test('evaluates constants and lists variables', () => {
+    expect(evaluateConstant('\\frac{3}{4}')).toBe(0.75);
+    expect(evaluateConstant('1.5e3')).toBe(1500);
+    expect(() => evaluateConstant('2x')).toThrow('Expected a number');
+    expect(expressionVariables(parseExpression('y x + \\sin x'))).toEqual(['x', 'y']);
+  });
+
+  test('rejects input it cannot read', () => {
+    expect(() => parseExpression('')).toThrow('Answer is empty');
+    expect(() => parseExpression('(x+1')).toThrow('Missing ")"');
+    expect(() => parseExpression('\\foo{x}')).toThrow('Unknown command "\\foo"');
+    expect(() => parseExpression('x = 2')).toThrow(ExpressionSyntaxError);
+  });
+});
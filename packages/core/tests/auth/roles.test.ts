@@ -0,0 +1,65 @@
+// packages/core/tests/auth/roles.test.ts
+// Tests for role permissions and the in-memory auth provider
+
+import { hasPermission, permissionForTransition } from '../../src/auth/roles';
+import { MemoryAuthProvider } from '../../src/auth/memory';
+import { User } from '../../src/auth/types';
+
+describe('Roles', () => {
+  const author: User = { uid: 'u1', name: 'Ann', role: 'author' };
+  const reviewer: User = { uid: 'u2', name: 'Rui', role: 'reviewer' };
+  const admin: User = { uid: 'u3', name: 'Ada', role: 'admin' };
+
+  test('only admins publish and delete', () => {
+    expect(hasPermission(admin, 'publish')).toBe(true);
+    expect(hasPermission(admin, 'delete')).toBe(true);
+    expect(hasPermission(reviewer, 'publish')).toBe(false);
+    expect(hasPermission(author, 'delete')).toBe(false);
+  });
+
+  test('reviewers review, authors do not', () => {
+    expect(hasPermission(reviewer, 'review')).toBe(true);
+    expect(hasPermission(author, 'review')).toBe(false);
+  });
+
+  test('authors save new content and their own, not other people\'s', () => {
+    expect(hasPermission(author, 'save')).toBe(true);
+    expect(hasPermission(author, 'save', { authorId: 'u1' })).toBe(true);
+    expect(hasPermission(author, 'save', { authorId: 'u2' })).toBe(false);
+    expect(hasPermission(reviewer, 'save', { authorId: 'u1' })).toBe(true);
+  });
+
+  test('nobody may do anything signed out', () => {
+    expect(hasPermission(null, 'save')).toBe(false);
+  });
+
+  test('maps workflow moves to permissions', () => {
+    expect(permissionForTransition('draft', 'draft')).toBe('save');
+    expect(permissionForTransition('draft', 'in_review')).toBe('save');
+    expect(permissionForTransition('in_review', 'in_review')).toBe('save');
+    expect(permissionForTransition('in_review', 'approved')).toBe('review');
+    expect(permissionForTransition('approved', 'draft')).toBe('review');
+    expect(permissionForTransition('approved', 'published')).toBe('publish');
+    expect(permissionForTransition('published', 'archived')).toBe('publish');
+    expect(permissionForTransition('published', 'draft')).toBe('save');
+  });
+});
+
+describe('MemoryAuthProvider', () => {
+  test('signs in with any name and role and notifies listeners', async () => {
+    const auth = new MemoryAuthProvider();
+    const seen: Array<string | null> = [];
+    const stop = auth.onAuthChange(user => seen.push(user ? `${user.name}:${user.role}` : null));
+
+    const user = await auth.signIn({ name: 'Rui Costa', role: 'reviewer' });
+    expect(user.uid).toBe('local-rui-costa');
+    expect(auth.getCurrentUser()?.role).toBe('reviewer');
+
+    await auth.signOut();
+    stop();
+    await auth.signIn({ name: 'Ann' });
+
+    expect(seen).toEqual([null, 'Rui Costa:reviewer', null]);
+    expect(auth.getCurrentUser()?.role).toBe('author');
+  });
+});
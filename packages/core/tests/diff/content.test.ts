@@ -0,0 +1,121 @@
+// packages/core/tests/diff/content.test.ts
+// Tests for the block-level content diff
+
+import { diffContent, diffBlocks, diffText } from '../../src/diff/content';
+import { CanonicalContent, ContentBlock } from '../../src/schema/types';
+import validProblem from '../fixtures/valid-problem.json';
+
+describe('diffText', () => {
+  test('keeps LaTeX commands whole', () => {
+    expect(diffText('\\alpha + \\beta', '\\alpha + \\gamma')).toEqual([
+      { type: 'equal', text: '\\alpha + ' },
+      { type: 'delete', text: '\\beta' },
+      { type: 'insert', text: '\\gamma' }
+    ]);
+  });
+
+  test('reports identical text as one equal run', () => {
+    expect(diffText('x^2', 'x^2')).toEqual([{ type: 'equal', text: 'x^2' }]);
+  });
+});
+
+describe('diffBlocks', () => {
+  const paragraph = (text: string): ContentBlock => ({ type: 'paragraph', data: { text } });
+  const math = (latex: string): ContentBlock => ({ type: 'math', data: { latex, display: true } });
+
+  test('detects added and removed blocks', () => {
+    const changes = diffBlocks(
+      [paragraph('Intro'), paragraph('Old')],
+      [paragraph('Intro'), math('x = 1')]
+    );
+
+    expect(changes.map(change => change.type)).toEqual(['unchanged', 'removed', 'added']);
+  });
+
+  test('pairs edited blocks of the same type as changed with a text diff', () => {
+    const changes = diffBlocks(
+      [paragraph('Intro'), math('x^2 + 1'), paragraph('End')],
+      [paragraph('Intro'), math('x^2 - 1'), paragraph('End')]
+    );
+
+    expect(changes.map(change => change.type)).toEqual(['unchanged', 'changed', 'unchanged']);
+    expect(changes[1].textDiff).toEqual([
+      { type: 'equal', text: 'x^2 ' },
+      { type: 'delete', text: '+' },
+      { type: 'insert', text: '-' },
+      { type: 'equal', text: ' 1' }
+    ]);
+  });
+});
+
+describe('diffContent', () => {
+  const base = validProblem as CanonicalContent;
+
+  test('identical content has no changes', () => {
+    const copy = JSON.parse(JSON.stringify(base));
+    copy.metadata.timestamp = '2030-01-01T00:00:00.000Z';
+
+    const diff = diffContent(base, copy);
+    expect(diff.changed).toBe(false);
+    expect(diff.metadata).toEqual([]);
+  });
+
+  test('reports metadata, statement and solution changes', () => {
+    const edited: CanonicalContent = JSON.parse(JSON.stringify(base));
+    edited.metadata.title = 'Renamed';
+    edited.metadata.draft = !base.metadata.draft;
+    edited.statement.push({ type: 'paragraph', data: { text: 'New hint' } });
+    edited.solutions![0].title = 'Better title';
+
+    const diff = diffContent(base, edited);
+
+    expect(diff.changed).toBe(true);
+    expect(diff.metadata.map(change => change.field)).toEqual(['title', 'draft']);
+    expect(diff.statement[diff.statement.length - 1]).toEqual({
+      type: 'added',
+      after: { type: 'paragraph', data: { text: 'New hint' } }
+    });
+    expect(diff.solutions[0].type).toBe('changed');
+  });
+
+  test('detects added and removed solutions', () => {
+    const withoutSolutions: CanonicalContent = { ...base, solutions: [] };
+
+    expect(diffContent(withoutSolutions, base).solutions.every(s => s.type === 'added')).toBe(true);
+    expect(diffContent(base, withoutSolutions).solutions.every(s => s.type === 'removed')).toBe(true);
+  });
+
+  test('reports an edit to a part only', () => {
+    const withParts: CanonicalContent = {
+      ...base,
+      parts: [
+        {
+          label: 'a',
+          statement: [{ type: 'paragraph', data: { text: 'Find $x$.' } }],
+          answer: { type: 'numeric', value: 2 },
+          hints: ['Subtract 3.']
+        },
+        { label: 'b', statement: [{ type: 'paragraph', data: { text: 'Find $y$.' } }] }
+      ]
+    };
+    const edited: CanonicalContent = JSON.parse(JSON.stringify(withParts));
+    edited.parts![0].answer = { type: 'numeric', value: 3 };
+    edited.parts![0].hints!.push('Then divide.');
+
+    const diff = diffContent(withParts, edited);
+
+    expect(diff.changed).toBe(true);
+    expect(diff.statement.every(change => change.type === 'unchanged')).toBe(true);
+    expect(diff.parts.map(part => part.type)).toEqual(['changed', 'unchanged']);
+    expect(diff.parts[0].answer).toEqual([
+      { type: 'equal', text: 'numeric: ' },
+      { type: 'delete', text: '2' },
+      { type: 'insert', text: '3' }
+    ]);
+    expect(diff.parts[0].hints).toEqual([
+      { type: 'equal', text: 'Subtract 3.' },
+      { type: 'insert', text: '\nThen divide.' }
+    ]);
+    expect(diffContent(base, withParts).parts.every(part => part.type === 'added')).toBe(true);
+  });
+});
@@ -0,0 +1,61 @@
+// packages/core/tests/math/inline.test.ts
+// Tests for the inline math markup in rich text
+
+import {
+  MATH_SPLIT_REGEX,
+  parseMathSegment,
+  inlineMathHtml,
+  hasMalformedInlineMath,
+  normalizeInlineMath,
+  inlineMathToTex,
+  decodeEntities
+} from '../../src/math/inline';
+
+describe('Inline math', () => {
+  test('inlineMathHtml should escape the LaTeX', () => {
+    expect(inlineMathHtml('a < b & c')).toBe('<span class="inline-math">a &lt; b &amp; c</span>');
+  });
+
+  test('should split spans and dollar math alike', () => {
+    const segments = 'Let <span class="inline-math">x</span> and $y$.'.split(MATH_SPLIT_REGEX);
+
+    expect(segments).toEqual(['Let ', '<span class="inline-math">x</span>', ' and ', '$y$', '.']);
+    expect(parseMathSegment(segments[1])).toEqual({ latex: 'x', display: false, span: true, offset: 26 });
+    expect(parseMathSegment('$$y$$')).toEqual({ latex: 'y', display: true, span: false, offset: 2 });
+  });
+
+  describe('normalizeInlineMath', () => {
+    test('should take the LaTeX from data-latex and drop the typeset formula', () => {
+      const editor = 'If <span class="inline-math" data-latex="a &lt; b &amp;&amp; &quot;c&quot;" contenteditable="false">'
+        + '<span>a</span><span>&lt;b</span></span> holds';
+
+      expect(normalizeInlineMath(editor))
+        .toBe('If <span class="inline-math">a &lt; b &amp;&amp; "c"</span> holds');
+    });
+
+    test('should keep the text of spans the editor has not typeset', () => {
+      expect(normalizeInlineMath('<span contenteditable="false" class="inline-math">x<b>^2</b></span>'))
+        .toBe('<span class="inline-math">x^2</span>');
+    });
+
+    test('should leave canonical spans and other markup alone', () => {
+      const html = '<b>Bold</b> <span class="inline-math">x &lt; 1</span> <span class="other">y</span>';
+      expect(normalizeInlineMath(html)).toBe(html);
+    });
+  });
+
+  test('hasMalformedInlineMath should only accept canonical spans', () => {
+    expect(hasMalformedInlineMath('<span class="inline-math">x</span>')).toBe(false);
+    expect(hasMalformedInlineMath('<span class="inline-math" data-latex="x">x</span>')).toBe(true);
+    expect(hasMalformedInlineMath('<span class="inline-math"><b>x</b></span>')).toBe(true);
+  });
+
+  test('decodeEntities should decode each entity once', () => {
+    expect(decodeEntities('a &lt; b &amp;&amp; &#039;c&#39;&nbsp;&amp;lt;')).toBe("a < b && 'c' &lt;");
+  });
+
+  test('inlineMathToTex should add $ delimiters inside the spans', () => {
+    expect(inlineMathToTex('So <span class="inline-math">x &lt; 1</span>.'))
+      .toBe('So <span class="inline-math">$x &lt; 1$</span>.');
+  });
+});
@@ -0,0 +1,51 @@
+// packages/core/tests/math/lint.test.ts
+// Tests for the LaTeX lint
+
+import { lintLatex } from '../../src/math/lint';
+
+describe('lintLatex', () => {
+  const codes = (latex: string) => lintLatex(latex).map(issue => issue.code);
+
+  test('should accept well-formed math', () => {
+    expect(lintLatex('\\left( \\frac{a}{b} \\right)^2 + \\sqrt[3]{x}')).toEqual([]);
+    expect(lintLatex('\\begin{pmatrix} 1 & 0 \\\\ 0 & 1 \\end{pmatrix}')).toEqual([]);
+    expect(lintLatex('\\left\\{ x \\mid x > 0 \\right. \\quad \\left\\langle u, v \\right\\rangle')).toEqual([]);
+    expect(lintLatex('f(x) = 5\\$ \\text{ if $x > 0$} % cost\n+ 1')).toEqual([]);
+  });
+
+  test('should accept common MathJax commands', () => {
+    expect(lintLatex('0 \\lt x \\gt -1 \\label{eq:bound} \\quad \\text{see } \\eqref{eq:bound}')).toEqual([]);
+    expect(lintLatex('A \\sqcup B \\triangleq \\complement C \\xRightarrow{f} {\\rm D}')).toEqual([]);
+  });
+
+  test('should locate unbalanced braces', () => {
+    expect(lintLatex('\\frac{a}{b')).toEqual([
+      { code: 'LATEX_UNBALANCED', message: 'Unclosed {', start: 8, end: 9 }
+    ]);
+    expect(lintLatex('a}')).toEqual([
+      { code: 'LATEX_UNBALANCED', message: 'Unmatched }', start: 1, end: 2 }
+    ]);
+  });
+
+  test('should pair \\left with \\right and \\begin with \\end', () => {
+    expect(lintLatex('\\left( x')[0]).toMatchObject({ message: '\\left( without a matching \\right', start: 0, end: 5 });
+    expect(lintLatex('x \\right)')[0]).toMatchObject({ message: '\\right without a matching \\left', start: 2 });
+    expect(codes('{\\left( x}')).toEqual(['LATEX_UNBALANCED']);
+    expect(lintLatex('\\begin{matrix} a \\end{cases}')[0].message).toBe('\\end{cases} closes \\begin{matrix}');
+  });
+
+  test('should flag unknown commands and environments', () => {
+    expect(lintLatex('\\alpha + \\alhpa')).toEqual([
+      { code: 'LATEX_UNKNOWN_COMMAND', message: 'Unknown command \\alhpa', start: 9, end: 15 }
+    ]);
+    expect(lintLatex('\\begin{tikzpicture}\\end{tikzpicture}')[0].message).toBe('Unknown environment tikzpicture');
+    expect(lintLatex('\\R', { knownMacros: ['R'] })).toEqual([]);
+  });
+
+  test('should flag $ and disallowed commands, even in text', () => {
+    expect(codes('$x$')).toEqual(['LATEX_DOLLAR', 'LATEX_DOLLAR']);
+    expect(codes('\\href{https://example.com}{x}')).toEqual(['LATEX_DISALLOWED']);
+    expect(codes('\\text{\\require{html}}')).toEqual(['LATEX_DISALLOWED']);
+    expect(codes('\\newcommand{\\R}{\\mathbb{R}}')).toEqual(['LATEX_DISALLOWED', 'LATEX_UNKNOWN_COMMAND']);
+  });
+});
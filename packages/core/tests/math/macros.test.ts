@@ -0,0 +1,85 @@
+// packages/core/tests/math/macros.test.ts
+// Tests for the shared macro library
+
+import {
+  DEFAULT_MACROS,
+  validateMacros,
+  toMathJaxMacros,
+  toKatexMacros,
+  toNewcommands
+} from '../../src/math/macros';
+import { lintLatex } from '../../src/math/lint';
+
+describe('validateMacros', () => {
+  test('should accept the default library', () => {
+    expect(validateMacros(DEFAULT_MACROS)).toEqual([]);
+  });
+
+  test('should reject bad, built-in, disallowed and duplicate names', () => {
+    const errors = validateMacros([
+      { name: '\\R', body: 'x' },
+      { name: 'frac', body: 'x' },
+      { name: 'S', body: 'x' },
+      { name: 'href', body: 'x' },
+      { name: 'E', body: 'x' },
+      { name: 'E', body: 'y' }
+    ]);
+
+    expect(errors.map(error => [error.path, error.code])).toEqual([
+      ['macros[0].name', 'INVALID_VALUE'],
+      ['macros[1].name', 'INVALID_VALUE'],
+      ['macros[2].name', 'INVALID_VALUE'],
+      ['macros[3].name', 'INVALID_VALUE'],
+      ['macros[5].name', 'DUPLICATE_VALUE']
+    ]);
+  });
+
+  test('should check arguments and lint bodies with the library known', () => {
+    const errors = validateMacros([
+      { name: 'pair', body: '\\left(#1, #2\\right)', args: 1 },
+      { name: 'inner', body: '\\pair{#1}{\\abs{x}', args: 1 },
+      { name: 'abs', body: '|#1|', args: 10 }
+    ]);
+
+    expect(errors.map(error => error.message)).toEqual([
+      'Macro body uses #2 but takes 1 argument(s)',
+      'Macro arguments must be a whole number from 0 to 9',
+      'Unclosed {'
+    ]);
+    expect(errors[2]).toMatchObject({ path: 'macros[1].body', range: { start: 9, end: 10 } });
+  });
+
+  test('should reject macros that use themselves', () => {
+    const errors = validateMacros([
+      { name: 'A', body: '\\B + 1' },
+      { name: 'B', body: '2\\A' },
+      { name: 'D', body: '\\A' }
+    ]);
+
+    expect(errors.map(error => error.message)).toEqual(['\\A uses itself', '\\B uses itself']);
+  });
+});
+
+describe('macro library formats', () => {
+  const macros = [
+    { name: 'R', body: '\\mathbb{R}' },
+    { name: 'abs', body: '\\left|#1\\right|', args: 1 }
+  ];
+
+  test('should configure MathJax and KaTeX', () => {
+    expect(toMathJaxMacros(macros)).toEqual({ R: '\\mathbb{R}', abs: ['\\left|#1\\right|', 1] });
+    expect(toKatexMacros(macros)).toEqual({ '\\R': '\\mathbb{R}', '\\abs': '\\left|#1\\right|' });
+  });
+
+  test('should write \\newcommand lines', () => {
+    expect(toNewcommands(macros)).toEqual([
+      '\\newcommand{\\R}{\\mathbb{R}}',
+      '\\newcommand{\\abs}[1]{\\left|#1\\right|}'
+    ]);
+  });
+
+  test('should be known to the lint', () => {
+    expect(lintLatex('\\abs{x} \\in \\R')).toHaveLength(2);
+    expect(lintLatex('\\abs{x} \\in \\R', { extraMacros: ['R', 'abs'] })).toEqual([]);
+  });
+});
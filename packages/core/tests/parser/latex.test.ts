@@ -0,0 +1,234 @@
+// packages/core/tests/parser/latex.test.ts
+// Tests for the LaTeX importer
+
+import { parseLatex, parseLatexProblems, convertInline } from '../../src/parser/latex';
+import { validateContent } from '../../src/schema/validator';
+
+describe('parseLatex', () => {
+  const document = String.raw`
+\documentclass{article}
+\usepackage{wrapfig}
+\title{Quadratics \& Parabolas}
+\begin{document}
+\maketitle
+
+\section{Introduction}
+A \textbf{quadratic} is an expression of the form $ax^2 + bx + c$ % comment
+where \emph{a} is non-zero.
+
+\begin{wrapfigure}{r}{0.3\textwidth}
+  \centering
+  \includegraphics[width=0.28\textwidth]{figures/parabola.png}
+  \caption{A parabola}
+\end{wrapfigure}
+
+\begin{equation}
+  x = \frac{-b \pm \sqrt{b^2 - 4ac}}{2a} \label{eq:formula}
+\end{equation}
+
+\begin{enumerate}
+  \item Factor
+  \item Complete the square
+  \begin{itemize}
+    \item by hand
+  \end{itemize}
+  \item Use \(\Delta\)
+\end{enumerate}
+
+\begin{align*}
+  (x-2)(x-3) &= 0 \\
+  x &\in \{2, 3\}
+\end{align*}
+
+\[ y = x^2 \]
+
+\begin{solution}[By factoring]
+We get $(x-2)(x-3) = 0$.
+\end{solution}
+
+\begin{solution}
+Use the formula.
+\end{solution}
+\end{document}
+`;
+
+  const content = parseLatex(document, { metadata: { id: 5, timestamp: '2025-01-15T10:00:00Z' } });
+
+  test('should read the title and metadata defaults', () => {
+    expect(content.metadata).toMatchObject({
+      id: 5,
+      title: 'Quadratics & Parabolas',
+      contentType: 'problem',
+      draft: true
+    });
+  });
+
+  test('should map document structure to blocks', () => {
+    expect(content.statement.map(block => block.type))
+      .toEqual(['header', 'paragraph', 'image', 'math', 'list', 'math', 'math']);
+  });
+
+  test('should map \\section to a header block', () => {
+    expect(content.statement[0]).toEqual({ type: 'header', data: { text: 'Introduction', level: 2 } });
+  });
+
+  test('should convert inline markup and drop comments', () => {
+    expect(content.statement[1].data).toEqual({
+      text: 'A <b>quadratic</b> is an expression of the form $ax^2 + bx + c$ where <i>a</i> is non-zero.'
+    });
+  });
+
+  test('should map wrapfigure to a floating image', () => {
+    expect(content.statement[2].data).toEqual({
+      url: 'figures/parabola.png',
+      alt: 'A parabola',
+      caption: 'A parabola',
+      alignment: 'float-right',
+      size: 'small'
+    });
+  });
+
+  test('should map equation environments to display math without labels', () => {
+    expect(content.statement[3].data).toEqual({
+      latex: 'x = \\frac{-b \\pm \\sqrt{b^2 - 4ac}}{2a}',
+      display: true
+    });
+  });
+
+  test('should flatten nested lists', () => {
+    expect(content.statement[4].data).toEqual({
+      style: 'ordered',
+      items: ['Factor', 'Complete the square', 'by hand', 'Use $\\Delta$']
+    });
+  });
+
+  test('should wrap align in aligned', () => {
+    const latex = (content.statement[5].data as any).latex;
+    expect(latex.startsWith('\\begin{aligned}')).toBe(true);
+    expect(latex.endsWith('\\end{aligned}')).toBe(true);
+    expect(content.statement[6].data).toEqual({ latex: 'y = x^2', display: true });
+  });
+
+  test('should collect solution environments', () => {
+    expect(content.solutions).toEqual([
+      { title: 'By factoring', blocks: [{ type: 'paragraph', data: { text: 'We get $(x-2)(x-3) = 0$.' } }] },
+      { title: 'Solution 2', blocks: [{ type: 'paragraph', data: { text: 'Use the formula.' } }] }
+    ]);
+  });
+
+  test('should produce valid content when images have absolute URLs', () => {
+    const result = parseLatex(document.replace('figures/parabola.png', '/figures/parabola.png'), {
+      metadata: { id: 5 }
+    });
+    expect(validateContent(result).valid).toBe(true);
+  });
+
+  test('should map left wrapfigure and quote environments', () => {
+    const result = parseLatex(String.raw`
+\begin{wrapfigure}[8]{l}{8cm}
+\includegraphics{a.png}
+\end{wrapfigure}
+\begin{quote}Mathematics is the queen of the sciences.\end{quote}
+`);
+    expect(result.statement[0].data).toMatchObject({ alignment: 'float-left', size: 'medium', alt: 'a.png' });
+    expect(result.statement[1]).toEqual({
+      type: 'quote',
+      data: { text: 'Mathematics is the queen of the sciences.' }
+    });
+  });
+});
+
+describe('parseLatex theorems', () => {
+  test('should map amsthm environments to environment blocks', () => {
+    const result = parseLatex(String.raw`
+\begin{thm}[Pythagoras]\label{thm:pyth}
+$a^2 + b^2 = c^2$.
+\begin{proof}
+Rearrange.
+\end{proof}
+\end{thm}
+\begin{remark}
+Theorem~\ref{thm:pyth} needs a right angle.
+\end{remark}
+`);
+    expect(result.statement).toEqual([
+      {
+        type: 'environment',
+        data: {
+          kind: 'theorem',
+          title: 'Pythagoras',
+          label: 'thm:pyth',
+          blocks: [
+            { type: 'paragraph', data: { text: '$a^2 + b^2 = c^2$.' } },
+            { type: 'environment', data: { kind: 'proof', blocks: [{ type: 'paragraph', data: { text: 'Rearrange.' } }] } }
+          ]
+        }
+      },
+      {
+        type: 'environment',
+        data: { kind: 'remark', blocks: [{ type: 'paragraph', data: { text: 'Theorem \\ref{thm:pyth} needs a right angle.' } }] }
+      }
+    ]);
+  });
+});
+
+describe('parseLatexProblems', () => {
+  const problemSet = String.raw`
+\begin{document}
+\section*{Olympiad Set}
+\begin{problem}[Sum of squares]
+Find all $n$ such that $n^2 + 1$ is prime.
+\begin{solution}
+Try small cases.
+\end{solution}
+\end{problem}
+\begin{solution}[Alternative]
+Parity argument.
+\end{solution}
+
+\begin{problem}
+Prove that $\sqrt{2}$ is irrational.
+\end{problem}
+\end{document}
+`;
+
+  const problems = parseLatexProblems(problemSet, { metadata: { id: 10, category: 'Number Theory' } });
+
+  test('should split into one content per problem', () => {
+    expect(problems).toHaveLength(2);
+    expect(problems.map(p => p.metadata.id)).toEqual([10, 11]);
+    expect(problems.map(p => p.metadata.title)).toEqual(['Sum of squares', 'Problem 2']);
+    expect(problems[1].metadata.category).toBe('Number Theory');
+  });
+
+  test('should attach nested and following solutions', () => {
+    expect(problems[0].statement).toEqual([
+      { type: 'paragraph', data: { text: 'Find all $n$ such that $n^2 + 1$ is prime.' } }
+    ]);
+    expect(problems[0].solutions?.map(s => s.title)).toEqual(['Solution 1', 'Alternative']);
+    expect(problems[1].solutions).toBeUndefined();
+  });
+
+  test('should support custom environment names', () => {
+    const result = parseLatexProblems(String.raw`
+\begin{exercise}Compute $2+2$.\end{exercise}
+\begin{answer}$4$\end{answer}
+`, { problemEnvironment: 'exercise', solutionEnvironment: 'answer' });
+
+    expect(result).toHaveLength(1);
+    expect(result[0].solutions).toEqual([
+      { title: 'Solution 1', blocks: [{ type: 'paragraph', data: { text: '$4$' } }] }
+    ]);
+  });
+});
+
+describe('convertInline', () => {
+  test('should convert text-mode markup', () => {
+    expect(convertInline("\\textbf{Note:} 50\\% of ``cases'' --- see \\href{https://x.org}{here}~now\\\\ next"))
+      .toBe('<b>Note:</b> 50% of “cases” — see <a href="https://x.org">here</a> now<br> next');
+  });
+
+  test('should escape HTML outside math only', () => {
+    expect(convertInline('a < b and $a < b$')).toBe('a &lt; b and $a < b$');
+  });
+});
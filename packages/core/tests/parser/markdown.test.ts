@@ -0,0 +1,224 @@
+// packages/core/tests/parser/markdown.test.ts
+// Tests for the Markdown parser and round-tripping
+
+import { parseMarkdown } from '../../src/parser/markdown';
+import { renderToMarkdown } from '../../src/renderer/markdown';
+import { validateContent } from '../../src/schema/validator';
+import { CanonicalContent } from '../../src/schema/types';
+import { inlineMathHtml } from '../../src/math/inline';
+import validProblem from '../fixtures/valid-problem.json';
+import validLesson from '../fixtures/valid-lesson.json';
+import exampleProblem from '../../src/schema/example-problem.json';
+
+// Import writes inline $...$ in rich text as canonical inline math spans
+function withMathSpans(content: CanonicalContent): CanonicalContent {
+  return JSON.parse(JSON.stringify(content), (key, value) => {
+    if (typeof value !== 'string' || key === 'latex') return value;
+    return value.replace(/\$\$[\s\S]+?\$\$|\$((?:\\.|[^$\\])+?)\$/g, (math: string, latex?: string) => (
+      latex === undefined ? math : inlineMathHtml(latex)
+    ));
+  });
+}
+
+describe('parseMarkdown', () => {
+  describe('Round trip', () => {
+    test.each([
+      ['valid problem', validProblem],
+      ['valid lesson', validLesson],
+      ['example problem', exampleProblem]
+    ])('should round-trip the %s', (_, fixture) => {
+      const content = fixture as CanonicalContent;
+      expect(parseMarkdown(renderToMarkdown(content))).toEqual(withMathSpans(content));
+    });
+
+    test('should round-trip inline formatting and escapes', () => {
+      const content: CanonicalContent = {
+        ...(validProblem as CanonicalContent),
+        statement: [
+          { type: 'paragraph', data: { text: '<b>Bold</b>, <i>italic</i>, 2 * 3 and $a*b*c$' } },
+          { type: 'paragraph', data: { text: '- not a list item' } },
+          { type: 'list', data: { style: 'ordered', items: ['<b>First</b>', 'Second $x_1$'] } },
+          { type: 'math', data: { latex: 'e^{i\\pi}', display: false } },
+          {
+            type: 'image',
+            data: { url: 'https://example.com/a.png', alt: 'A [1]', alignment: 'float-left', size: 'large' }
+          }
+        ]
+      };
+
+      expect(parseMarkdown(renderToMarkdown(content))).toEqual(withMathSpans(content));
+    });
+
+    test('should round-trip tables', () => {
+      const content: CanonicalContent = {
+        ...(validProblem as CanonicalContent),
+        statement: [
+          {
+            type: 'table',
+            data: {
+              withHeadings: true,
+              content: [['$x$', '$|x|$'], ['<b>-1</b>', 'a | b']],
+              alignments: ['left', 'center']
+            }
+          },
+          { type: 'table', data: { withHeadings: false, content: [['T', 'F'], ['F', 'T']] } },
+          { type: 'paragraph', data: { text: '| not a table' } }
+        ]
+      };
+
+      expect(parseMarkdown(renderToMarkdown(content))).toEqual(withMathSpans(content));
+    });
+
+    test('should round-trip environments and references', () => {
+      const content: CanonicalContent = {
+        ...(validLesson as CanonicalContent),
+        statement: [
+          {
+            type: 'environment',
+            data: {
+              kind: 'theorem',
+              title: 'The "big" one',
+              label: 'thm:big',
+              blocks: [
+                { type: 'math', data: { latex: 'a^2 + b^2 = c^2', display: true } },
+                { type: 'environment', data: { kind: 'proof', blocks: [{ type: 'paragraph', data: { text: 'Draw <b>squares</b>.' } }] } }
+              ]
+            }
+          },
+          { type: 'environment', data: { kind: 'example', number: '2a', blocks: [{ type: 'paragraph', data: { text: 'By Theorem \\ref{thm:big}, $c = 5$.' } }] } },
+          { type: 'paragraph', data: { text: '::: not a fence' } }
+        ]
+      };
+
+      const markdown = renderToMarkdown(content);
+      expect(markdown).toContain(':::: {.theorem #thm:big title="The \\"big\\" one"}');
+      expect(markdown).toContain('By Theorem \\ref{thm:big}, $c = 5$.');
+      expect(parseMarkdown(markdown)).toEqual(withMathSpans(content));
+    });
+
+    test('should round-trip choice blocks', () => {
+      const content: CanonicalContent = {
+        ...(validProblem as CanonicalContent),
+        statement: [
+          {
+            type: 'choice',
+            data: {
+              multiple: true,
+              options: [
+                { key: 'A', text: '$x = 2$', correct: true, feedback: '<b>Yes</b>, substitute back.' },
+                { key: 'B', text: '$x = 3$', correct: false }
+              ]
+            }
+          },
+          {
+            type: 'choice',
+            data: {
+              multiple: false,
+              options: [
+                { key: 'T', text: 'True', correct: false },
+                { key: 'F', text: 'False', correct: true }
+              ]
+            }
+          }
+        ]
+      };
+
+      expect(parseMarkdown(renderToMarkdown(content))).toEqual(withMathSpans(content));
+    });
+
+    test('should round-trip inline math spans', () => {
+      const content = withMathSpans({
+        ...(validProblem as CanonicalContent),
+        statement: [
+          { type: 'paragraph', data: { text: 'If <span class="inline-math">a &lt; b</span> and <span class="inline-math">b &gt; 0</span>' } },
+          { type: 'list', data: { style: 'unordered', items: ['<span class="inline-math">x &amp; y</span>'] } }
+        ]
+      });
+
+      const markdown = renderToMarkdown(content);
+      expect(markdown).toContain('If $a < b$ and $b > 0$');
+      expect(markdown).toContain('- $x & y$');
+      expect(parseMarkdown(markdown)).toEqual(content);
+    });
+  });
+
+  describe('Authoring', () => {
+    const markdown = [
+      '---',
+      'id: 12',
+      'title: "Sum: a classic"',
+      'contentType: problem',
+      'category: Number Theory',
+      'tags:',
+      '  - sums',
+      '  - induction',
+      '---',
+      '',
+      '# Statement',
+      'Prove that',
+      'the sum is $\\frac{n(n+1)}{2}$.',
+      '$$',
+      '\\sum_{k=1}^{n} k = \\frac{n(n+1)}{2}',
+      '$$',
+      '* one',
+      '* two',
+      '',
+      '> Gauss did it',
+      '> — Folklore',
+      '',
+      '![Triangle](/images/tri.png){alignment=float-right size=small}',
+      '',
+      '## Induction {.solution}',
+      '',
+      'Base case $n = 1$.',
+      '',
+      '## Pairing {.solution}',
+      '',
+      '$$ 2S = n(n+1) $$'
+    ].join('\n');
+
+    const content = parseMarkdown(markdown, { metadata: { author: 'importer', timestamp: '2025-02-01T00:00:00Z' } });
+
+    test('should read metadata from front matter and options', () => {
+      expect(content.metadata).toEqual({
+        id: 12,
+        title: 'Sum: a classic',
+        contentType: 'problem',
+        category: 'Number Theory',
+        difficulty: 'Medium',
+        tags: ['sums', 'induction'],
+        author: 'importer',
+        draft: false,
+        timestamp: '2025-02-01T00:00:00Z'
+      });
+    });
+
+    test('should parse statement blocks', () => {
+      expect(content.statement.map(block => block.type))
+        .toEqual(['header', 'paragraph', 'math', 'list', 'quote', 'image']);
+      expect(content.statement[1].data).toEqual({ text: 'Prove that the sum is <span class="inline-math">\\frac{n(n+1)}{2}</span>.' });
+      expect(content.statement[3].data).toEqual({ style: 'unordered', items: ['one', 'two'] });
+      expect(content.statement[4].data).toEqual({ text: 'Gauss did it', caption: 'Folklore' });
+      expect(content.statement[5].data).toMatchObject({ alignment: 'float-right', size: 'small' });
+    });
+
+    test('should split solutions at {.solution} headings', () => {
+      expect(content.solutions).toEqual([
+        { title: 'Induction', blocks: [{ type: 'paragraph', data: { text: 'Base case <span class="inline-math">n = 1</span>.' } }] },
+        { title: 'Pairing', blocks: [{ type: 'math', data: { latex: '2S = n(n+1)', display: true } }] }
+      ]);
+    });
+
+    test('should produce valid content', () => {
+      expect(validateContent(content).valid).toBe(true);
+    });
+  });
+
+  test('should apply defaults without front matter', () => {
+    const content = parseMarkdown('Just text.');
+
+    expect(content.metadata.contentType).toBe('problem');
+    expect(content.statement).toEqual([{ type: 'paragraph', data: { text: 'Just text.' } }]);
+    expect(content.solutions).toBeUndefined();
+  });
+});
@@ -0,0 +1,251 @@
+// packages/core/tests/renderer/html.test.ts
+// Tests for the HTML renderer
+
+import katex from 'katex';
+import { HTMLRenderer } from '../../src/renderer/html';
+import { createKatexEngine, MathEngine } from '../../src/renderer/math-engines';
+import { CanonicalContent, ContentBlock } from '../../src/schema/types';
+import validProblem from '../fixtures/valid-problem.json';
+
+describe('HTMLRenderer', () => {
+  const problem = (): CanonicalContent => ({
+    ...(validProblem as CanonicalContent),
+    parts: [
+      {
+        label: 'a',
+        statement: [{ type: 'paragraph', data: { text: 'Find $x$.' } }],
+        answer: { type: 'numeric', value: 2.5, tolerance: 0.1, unit: 'cm' },
+        hints: ['Draw it.', 'Use $\\sin$.']
+      },
+      {
+        label: 'b',
+        statement: [{ type: 'paragraph', data: { text: 'Simplify.' } }],
+        answer: { type: 'expression', value: 'x<1' }
+      }
+    ]
+  });
+
+  test('should render parts after the statement with their labels', () => {
+    const html = new HTMLRenderer({ includeMetadata: false }).render(problem());
+
+    expect(html.indexOf('statement-block')).toBeLessThan(html.indexOf('problem-parts'));
+    expect(html).toContain('<span class="part-label">(a)</span>');
+    expect(html).toContain('<span class="part-label">(b)</span>');
+  });
+
+  test('should nest each hint inside the previous one', () => {
+    const html = new HTMLRenderer({ includeMetadata: false }).render(problem());
+    const first = html.indexOf('Hint 1');
+    const second = html.indexOf('Hint 2');
+
+    expect(first).toBeGreaterThan(-1);
+    expect(second).toBeGreaterThan(first);
+    // Hint 2 sits before hint 1's closing tag
+    expect(second).toBeLessThan(html.indexOf('</details>', first));
+  });
+
+  test('should escape markup in hints but keep their math', () => {
+    const content = problem();
+    content.parts![0].hints = ['If a<b then $a<b$', '<img src=x onerror=alert(1)>'];
+
+    const html = new HTMLRenderer({ includeMetadata: false }).render(content);
+    expect(html).toContain('<p>If a&lt;b then $a&lt;b$</p>');
+    expect(html).toContain('<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+    expect(html).not.toContain('<img');
+
+    const rendered = new HTMLRenderer({ includeMetadata: false, mathEngine: createKatexEngine(katex) }).render(content);
+    expect(rendered).toContain('<annotation encoding="application/x-tex">a&lt;b</annotation>');
+  });
+
+  test('should format and escape final answers', () => {
+    const html = new HTMLRenderer({ includeMetadata: false }).render(problem());
+
+    expect(html).toContain('<span class="final-answer">2.5 ± 0.1 cm</span>');
+    expect(html).toContain('<span class="final-answer">$x&lt;1$</span>');
+  });
+
+  describe('Table blocks', () => {
+    test('should render the header row and aligned cells', () => {
+      const html = new HTMLRenderer().renderBlocks([{
+        type: 'table',
+        data: {
+          withHeadings: true,
+          content: [['$x$', '$x^2$'], ['<b>2</b>', '4']],
+          alignments: ['left', 'right']
+        }
+      }]);
+
+      expect(html).toBe(
+        '<div class="content-block table-block"><table class="content-table">' +
+        '<thead><tr><th scope="col">$x$</th><th scope="col" class="align-right">$x^2$</th></tr></thead>' +
+        '<tbody><tr><td><b>2</b></td><td class="align-right">4</td></tr></tbody>' +
+        '</table></div>'
+      );
+    });
+
+    test('should put every row in the body without headings', () => {
+      const html = new HTMLRenderer().renderBlocks([{
+        type: 'table',
+        data: { withHeadings: false, content: [['T', 'F']] }
+      }]);
+
+      expect(html).not.toContain('<thead>');
+      expect(html).toContain('<tbody><tr><td>T</td><td>F</td></tr></tbody>');
+    });
+  });
+
+  describe('Environment blocks', () => {
+    const blocks: ContentBlock[] = [
+      { type: 'environment', data: { kind: 'definition', blocks: [{ type: 'paragraph', data: { text: 'A <i>right</i> triangle...' } }] } },
+      {
+        type: 'environment',
+        data: {
+          kind: 'theorem',
+          title: 'Pythagoras',
+          label: 'thm:pythagoras',
+          blocks: [
+            { type: 'math', data: { latex: 'a^2 + b^2 = c^2', display: true } },
+            { type: 'environment', data: { kind: 'proof', blocks: [{ type: 'paragraph', data: { text: 'Rearrange.' } }] } }
+          ]
+        }
+      },
+      { type: 'environment', data: { kind: 'remark', blocks: [{ type: 'paragraph', data: { text: 'See Theorem \\ref{thm:pythagoras}; $\\ref{x}$ is math.' } }] } }
+    ];
+
+    test('should number definitions and theorems and end proofs with ∎', () => {
+      const html = new HTMLRenderer().renderBlocks(blocks);
+
+      expect(html).toContain('<section class="content-block environment environment-definition clearfix">');
+      expect(html).toContain('<span class="environment-name">Definition 1</span>.');
+      expect(html).toContain('environment-theorem clearfix" id="thm:pythagoras"');
+      expect(html).toContain('<span class="environment-name">Theorem 2</span> <span class="environment-title">(Pythagoras)</span>.');
+      expect(html).toContain('<span class="environment-name">Proof</span>.');
+      expect(html).toContain('<span class="environment-qed" aria-label="End of proof">∎</span>');
+      expect(html).toContain('<span class="environment-name">Remark</span>.');
+    });
+
+    test('should link references and leave math alone', () => {
+      const html = new HTMLRenderer().renderBlocks(blocks);
+
+      expect(html).toContain('See Theorem <a class="environment-ref" href="#thm:pythagoras" title="Theorem 2">2</a>; $\\ref{x}$ is math.');
+    });
+
+    test('should number across statement, parts and solutions', () => {
+      const theorem = (number?: string): ContentBlock => ({
+        type: 'environment',
+        data: { kind: 'theorem', ...(number ? { number } : {}), blocks: [{ type: 'paragraph', data: { text: 'T' } }] }
+      });
+      const html = new HTMLRenderer({ includeMetadata: false }).render({
+        ...problem(),
+        statement: [theorem(), theorem('A')],
+        solutions: [{ title: 'Solution 1', blocks: [theorem()] }]
+      });
+
+      expect(html.match(/Theorem [^<]+/g)).toEqual(['Theorem 1', 'Theorem A', 'Theorem 2']);
+    });
+  });
+
+  describe('Choice blocks', () => {
+    const block = {
+      type: 'choice' as const,
+      data: {
+        multiple: true,
+        options: [
+          { key: 'A', text: '$x = 2$', correct: true, feedback: 'Check by <b>substituting</b>.' },
+          { key: 'B', text: '$x = 3$', correct: false },
+          { key: 'C', text: '$x = -2$', correct: true }
+        ]
+      }
+    };
+
+    test('should list options with their keys', () => {
+      const html = new HTMLRenderer().renderBlocks([block]);
+
+      expect(html).toContain('choice-block choice-multiple');
+      expect(html).toContain('Select all that apply.');
+      expect(html).toContain('<span class="choice-key">(B)</span>');
+      expect(html).toContain('<span class="choice-text">$x = 3$</span>');
+    });
+
+    test('should keep the key and feedback behind the answer toggle', () => {
+      const html = new HTMLRenderer().renderBlocks([block]);
+      const toggle = html.indexOf('<details class="choice-answer">');
+
+      expect(toggle).toBeGreaterThan(html.indexOf('</ol>'));
+      expect(html).toContain('<span class="final-answer">(A), (C)</span>');
+      expect(html).toContain('<dt>(A)</dt><dd>Check by <b>substituting</b>.</dd>');
+    });
+
+    test('should leave out the key when answers are hidden', () => {
+      const html = new HTMLRenderer({ revealAnswers: false }).renderBlocks([block]);
+
+      expect(html).not.toContain('choice-answer');
+      expect(html).not.toContain('substituting');
+    });
+  });
+
+  test('should put inline math spans between $ for the typesetter', () => {
+    const html = new HTMLRenderer().renderBlocks([
+      { type: 'paragraph', data: { text: 'So <span class="inline-math">x &lt; 1</span>.' } }
+    ]);
+
+    expect(html).toContain('<p>So <span class="inline-math">$x &lt; 1$</span>.</p>');
+  });
+
+  describe('Pre-rendered math', () => {
+    const renderer = () => new HTMLRenderer({ includeMetadata: false, mathEngine: createKatexEngine(katex) });
+
+    test('should leave no $ delimiters for a client script', () => {
+      const html = renderer().render({
+        ...problem(),
+        statement: [
+          { type: 'paragraph', data: { text: 'Solve $x &lt; 1$ and $$y^2$$' } },
+          { type: 'list', data: { style: 'unordered', items: ['$a$'] } },
+          { type: 'quote', data: { text: 'Note $b$ and <span class="inline-math">c</span>', caption: '' } },
+          { type: 'math', data: { latex: '\\int_0^1 x\\,dx', display: true } }
+        ]
+      });
+
+      expect(html).not.toMatch(/\$/);
+      expect(html).toContain('<annotation encoding="application/x-tex">x &lt; 1</annotation>');
+      expect(html).toContain('<div class="content-block math-display"><span class="katex"><math');
+      expect(html).toContain('<span class="inline-math"><span class="katex"><math');
+      expect(html.match(/<math /g)!.length).toBeGreaterThanOrEqual(8);
+    });
+
+    test('should show invalid LaTeX as written with the error', () => {
+      const failing: MathEngine = {
+        render: () => { throw new Error('Undefined control sequence'); }
+      };
+      const html = new HTMLRenderer({ mathEngine: failing })
+        .renderBlocks([{ type: 'paragraph', data: { text: 'See $\\foo&lt;$' } }]);
+
+      expect(html).toContain('<code class="math-error" title="Undefined control sequence">\\foo&lt;</code>');
+    });
+
+    test('should keep cross-references working', () => {
+      const html = renderer().renderBlocks([
+        { type: 'environment', data: { kind: 'lemma', label: 'key', blocks: [] } },
+        { type: 'paragraph', data: { text: 'By Lemma \\ref{key}, $x=1$.' } }
+      ]);
+
+      expect(html).toContain('<a class="environment-ref" href="#key" title="Lemma 1">1</a>');
+      expect(html).toContain('<math');
+    });
+  });
+
+  test('should omit answers when revealAnswers is false', () => {
+    const html = new HTMLRenderer({ includeMetadata: false, revealAnswers: false }).render(problem());
+
+    expect(html).not.toContain('final-answer');
+    expect(html).toContain('Hint 1');
+  });
+
+  test('should render a single answer on request', () => {
+    const renderer = new HTMLRenderer({ revealAnswers: false });
+
+    expect(renderer.renderAnswer({ type: 'numeric', value: 9.8, tolerance: 0.1, unit: 'm/s<sup>2</sup>' }))
+      .toBe('9.8 ± 0.1 m/s&lt;sup&gt;2&lt;/sup&gt;');
+    expect(renderer.renderAnswer({ type: 'expression', value: 'x < 1' })).toBe('$x &lt; 1$');
+  });
+});
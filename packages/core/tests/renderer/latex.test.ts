@@ -0,0 +1,222 @@
+// packages/core/tests/renderer/latex.test.ts
+// Tests for the LaTeX exporter
+
+import { LatexRenderer, renderToLatex, htmlToLatex, escapeLatex } from '../../src/renderer/latex';
+import { parseLatex } from '../../src/parser/latex';
+import { CanonicalContent } from '../../src/schema/types';
+import validProblem from '../fixtures/valid-problem.json';
+import validLesson from '../fixtures/valid-lesson.json';
+
+describe('LatexRenderer', () => {
+  const problem = validProblem as CanonicalContent;
+  const lesson = validLesson as CanonicalContent;
+
+  describe('Document', () => {
+    test('should emit a standalone document', () => {
+      const latex = renderToLatex(problem);
+
+      expect(latex.startsWith('\\documentclass[11pt,a4paper]{article}\n')).toBe(true);
+      expect(latex).toContain('\\usepackage{wrapfig}');
+      expect(latex).toContain('\\begin{document}');
+      expect(latex.trimEnd().endsWith('\\end{document}')).toBe(true);
+      expect(latex).toContain('\\section*{Simple Quadratic Equation}');
+    });
+
+    test('should use the chosen document class and title', () => {
+      const latex = renderToLatex(problem, { documentClass: 'exam', classOptions: [], title: 'Worksheet 3' });
+
+      expect(latex.startsWith('\\documentclass{exam}\n')).toBe(true);
+      expect(latex).toContain('\\title{Worksheet 3}');
+      expect(latex).toContain('\\maketitle');
+    });
+
+    test('should render only the body when not standalone', () => {
+      const latex = renderToLatex(problem, { standalone: false });
+
+      expect(latex).not.toContain('\\documentclass');
+      expect(latex.startsWith('\\section*{Simple Quadratic Equation}')).toBe(true);
+    });
+
+    test('should define the macro library in the preamble', () => {
+      const latex = renderToLatex(problem, {
+        macros: [
+          { name: 'R', body: '\\mathbb{R}' },
+          { name: 'abs', body: '\\left|#1\\right|', args: 1 }
+        ]
+      });
+
+      expect(latex).toContain('\\usepackage{hyperref}\n\\newcommand{\\R}{\\mathbb{R}}\n\\newcommand{\\abs}[1]{\\left|#1\\right|}\n');
+      expect(latex.indexOf('\\newcommand')).toBeLessThan(latex.indexOf('\\begin{document}'));
+    });
+
+    test('should number items of a problem set', () => {
+      const latex = renderToLatex([problem, lesson], { standalone: false });
+
+      expect(latex).toContain('\\section*{1. Simple Quadratic Equation}');
+      expect(latex).toContain('\\section*{2. Introduction to Quadratic Equations}');
+    });
+  });
+
+  describe('Parts', () => {
+    test('should list parts with their labels after the statement', () => {
+      const latex = renderToLatex({
+        ...problem,
+        parts: [
+          { label: 'a', statement: [{ type: 'paragraph', data: { text: 'Find $x$.' } }], hints: ['Secret'] },
+          { label: 'b', statement: [{ type: 'paragraph', data: { text: 'Prove it.' } }] }
+        ]
+      }, { standalone: false, solutions: 'none' });
+
+      expect(latex).toContain('\\begin{itemize}\n  \\item[(a)] Find $x$.\n  \\item[(b)] Prove it.\n\\end{itemize}');
+      expect(latex).not.toContain('Secret');
+    });
+  });
+
+  describe('Solutions', () => {
+    test('should place solutions after the problem by default', () => {
+      const latex = renderToLatex(problem, { standalone: false });
+      expect(latex).toContain('\\subsection*{Solution by Factoring}');
+      expect(latex).not.toContain('Answer Key');
+    });
+
+    test('should omit solutions', () => {
+      const latex = renderToLatex(problem, { solutions: 'none' });
+      expect(latex).not.toContain('Solution by Factoring');
+    });
+
+    test('should collect solutions in an answer key', () => {
+      const latex = renderToLatex([problem, lesson], { solutions: 'end', standalone: false });
+      const keyIndex = latex.indexOf('\\section*{Answer Key}');
+
+      expect(keyIndex).toBeGreaterThan(latex.indexOf('2. Introduction to Quadratic Equations'));
+      expect(latex.slice(keyIndex)).toContain('\\subsection*{1. Simple Quadratic Equation}');
+      expect(latex.slice(keyIndex)).toContain('\\subsubsection*{Solution by Factoring}');
+      expect(latex.slice(keyIndex)).not.toContain('Introduction to Quadratic Equations');
+    });
+  });
+
+  describe('Blocks', () => {
+    const renderer = new LatexRenderer();
+
+    test('should render lists, quotes and math', () => {
+      expect(renderer.renderBlocks([
+        { type: 'list', data: { style: 'ordered', items: ['One', '$x$'] } },
+        { type: 'quote', data: { text: 'Q', caption: 'Euler' } },
+        { type: 'math', data: { latex: 'x^2', display: true } },
+        { type: 'math', data: { latex: 'y', display: false } }
+      ])).toBe([
+        '\\begin{enumerate}\n  \\item One\n  \\item $x$\n\\end{enumerate}',
+        '\\begin{quote}\n  Q \\\\\n  \\hfill--- Euler\n\\end{quote}',
+        '\\[\nx^2\n\\]',
+        '$y$'
+      ].join('\n\n'));
+    });
+
+    test('should keep math and formatting in headers', () => {
+      expect(renderer.renderBlocks([
+        { type: 'header', data: { text: 'Case $n=1$', level: 2 } },
+        { type: 'header', data: { text: '<i>When</i> <span class="inline-math">a &lt; b</span> &amp; more', level: 3 } }
+      ])).toBe('\\subsection*{Case $n=1$}\n\n\\subsubsection*{\\emph{When} $a < b$ \\& more}');
+    });
+
+    test('should render tables as tabular with column alignment', () => {
+      expect(renderer.renderBlocks([{
+        type: 'table',
+        data: { withHeadings: true, content: [['$x$', 'Sign'], ['1', '<b>+</b>']], alignments: ['center', 'right'] }
+      }])).toBe([
+        '\\begin{center}',
+        '\\begin{tabular}{cr}',
+        '  $x$ & Sign \\\\',
+        '  \\hline',
+        '  1 & \\textbf{+} \\\\',
+        '\\end{tabular}',
+        '\\end{center}'
+      ].join('\n'));
+    });
+
+    test('should render environments with numbers, proofs and linked references', () => {
+      expect(renderer.renderBlocks([
+        {
+          type: 'environment',
+          data: { kind: 'lemma', title: 'Key step', label: 'lem:key', blocks: [{ type: 'paragraph', data: { text: '$x > 0$' } }] }
+        },
+        {
+          type: 'environment',
+          data: { kind: 'proof', blocks: [{ type: 'paragraph', data: { text: 'By Lemma \\ref{lem:key}.' } }] }
+        }
+      ])).toBe([
+        '\\hypertarget{lem:key}{}\\paragraph*{Lemma 1 (Key step).}\n$x > 0$',
+        '\\begin{proof}\nBy Lemma \\href{\\#lem:key}{1}.\n\\end{proof}'
+      ].join('\n\n'));
+    });
+
+    test('should render choice options with their keys and without the answer', () => {
+      expect(renderer.renderBlocks([{
+        type: 'choice',
+        data: {
+          multiple: true,
+          options: [
+            { key: 'A', text: '$x$', correct: true, feedback: 'Yes' },
+            { key: 'B', text: 'None', correct: false }
+          ]
+        }
+      }])).toBe('\\emph{Select all that apply.}\n\\begin{itemize}\n  \\item[(A)] $x$\n  \\item[(B)] None\n\\end{itemize}');
+    });
+
+    test('should render floating images as wrapfigure with the size map width', () => {
+      const latex = renderer.renderBlocks([{
+        type: 'image',
+        data: { url: 'fig.png', alt: 'Fig', caption: 'A 50% scale', alignment: 'float-left', size: 'small' }
+      }]);
+
+      expect(latex).toBe([
+        '\\begin{wrapfigure}{l}{0.3\\textwidth}',
+        '  \\centering',
+        '  \\includegraphics[width=\\linewidth]{fig.png}',
+        '  \\caption{A 50\\% scale}',
+        '\\end{wrapfigure}'
+      ].join('\n'));
+    });
+
+    test('should render centered images as figures', () => {
+      const latex = renderer.renderBlocks([{
+        type: 'image',
+        data: { url: 'fig.png', alt: 'Fig', alignment: 'center', size: 'large' }
+      }]);
+
+      expect(latex).toContain('\\begin{figure}[h]');
+      expect(latex).toContain('\\includegraphics[width=0.7\\textwidth]{fig.png}');
+    });
+
+    test('should re-import as the same block structure', () => {
+      const imported = parseLatex(renderToLatex(lesson, { solutions: 'none' }));
+
+      expect(imported.statement.map(block => block.type))
+        .toEqual(['header', 'header', 'paragraph', 'math', 'header', 'list', 'image', 'quote']);
+    });
+  });
+
+  describe('htmlToLatex', () => {
+    test('should convert inline tags', () => {
+      expect(htmlToLatex('<b>Bold</b>, <i>it</i> and <a href="https://x.org/a#b">link</a>'))
+        .toBe('\\textbf{Bold}, \\emph{it} and \\href{https://x.org/a\\#b}{link}');
+    });
+
+    test('should escape text but not math', () => {
+      expect(htmlToLatex('50% of x_1 &amp; $x_1 &lt; 10\\%$'))
+        .toBe('50\\% of x\\_1 \\& $x_1 < 10\\%$');
+    });
+
+    test('should write inline math spans as $...$', () => {
+      expect(htmlToLatex('So <span class="inline-math">x &lt; 1</span>.')).toBe('So $x < 1$.');
+    });
+
+    test('should drop unknown tags and convert line breaks', () => {
+      expect(htmlToLatex('<span class="x">a</span><br>b&nbsp;c')).toBe('a \\\\\nb c');
+    });
+  });
+
+  test('escapeLatex should escape every special character', () => {
+    expect(escapeLatex('\\{}#%&_^~$')).toBe('\\textbackslash{}\\{\\}\\#\\%\\&\\_\\^{}\\~{}\\$');
+  });
+});
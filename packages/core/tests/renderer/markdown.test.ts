@@ -0,0 +1,76 @@
+// packages/core/tests/renderer/markdown.test.ts
+// Tests for the Markdown serializer
+
+import { renderToMarkdown, MarkdownRenderer } from '../../src/renderer/markdown';
+import { CanonicalContent } from '../../src/schema/types';
+import validProblem from '../fixtures/valid-problem.json';
+
+describe('MarkdownRenderer', () => {
+  const problem = validProblem as CanonicalContent;
+
+  test('should write metadata as YAML front matter', () => {
+    const markdown = renderToMarkdown(problem);
+
+    expect(markdown.startsWith('---\nid: 1\n')).toBe(true);
+    expect(markdown).toContain('title: Simple Quadratic Equation');
+    expect(markdown).toContain('tags: [quadratic, factoring]');
+    expect(markdown).toContain('timestamp: "2025-01-15T10:00:00Z"');
+  });
+
+  test('should write solutions as {.solution} headings', () => {
+    const markdown = renderToMarkdown(problem);
+    expect(markdown).toContain('## Solution by Factoring {.solution}');
+  });
+
+  test('should omit front matter and solutions when asked', () => {
+    const markdown = renderToMarkdown(problem, { includeFrontMatter: false, includeSolutions: false });
+
+    expect(markdown).toBe('Solve the equation $x^2 - 5x + 6 = 0$.\n');
+  });
+
+  test('should convert inline HTML but leave math untouched', () => {
+    const renderer = new MarkdownRenderer();
+    const markdown = renderer.renderBlocks([
+      { type: 'paragraph', data: { text: '<b>Note</b>: <i>a</i> * b and $a * b$' } }
+    ]);
+
+    expect(markdown).toBe('**Note**: *a* \\* b and $a * b$\n');
+  });
+
+  test('should write inline math spans as $...$', () => {
+    const markdown = new MarkdownRenderer().renderBlocks([
+      { type: 'paragraph', data: { text: 'So <span class="inline-math">a * b</span>.' } }
+    ]);
+
+    expect(markdown).toBe('So $a * b$.\n');
+  });
+
+  test('should keep image alignment and size in attributes', () => {
+    const renderer = new MarkdownRenderer();
+    const markdown = renderer.renderBlocks([{
+      type: 'image',
+      data: { url: 'fig.png', alt: 'Figure', caption: 'A "big" figure', alignment: 'float-right', size: 'small' }
+    }]);
+
+    expect(markdown).toBe('![Figure](fig.png "A \\"big\\" figure"){.float-right .small}\n');
+  });
+
+  test('should fence display math and mark inline math blocks', () => {
+    const renderer = new MarkdownRenderer();
+    const markdown = renderer.renderBlocks([
+      { type: 'math', data: { latex: 'x^2', display: true } },
+      { type: 'math', data: { latex: 'y', display: false } }
+    ]);
+
+    expect(markdown).toBe('$$\nx^2\n$$\n\n$y$ {.math}\n');
+  });
+
+  test('should escape paragraphs that look like other blocks', () => {
+    const renderer = new MarkdownRenderer();
+    const markdown = renderer.renderBlocks([
+      { type: 'paragraph', data: { text: '1. is not a list' } }
+    ]);
+
+    expect(markdown).toBe('\\1. is not a list\n');
+  });
+});
@@ -0,0 +1,60 @@
+// packages/core/tests/renderer/math-engines.test.ts
+// Tests for the KaTeX and MathJax pre-rendering backends
+
+/// <reference path="../types/mathjax.d.ts" />
+import katex from 'katex';
+import mathjax from 'mathjax';
+import { createKatexEngine, createMathJaxEngine, MathJaxLike } from '../../src/renderer/math-engines';
+
+describe('createKatexEngine', () => {
+  test('should render MathML with the source as annotation', () => {
+    const markup = createKatexEngine(katex).render('x<1', false);
+
+    expect(markup).toContain('<math');
+    expect(markup).toContain('<annotation encoding="application/x-tex">x&lt;1</annotation>');
+    expect(markup).not.toContain('katex-html');
+  });
+
+  test('should mark display math as a block', () => {
+    expect(createKatexEngine(katex).render('x', true)).toContain('display="block"');
+  });
+
+  test('should throw on invalid LaTeX', () => {
+    expect(() => createKatexEngine(katex).render('\\frac{a', false)).toThrow();
+  });
+
+  test('should expand the macro library', () => {
+    const engine = createKatexEngine(katex, { macros: [{ name: 'abs', body: '\\left|#1\\right|', args: 1 }] });
+
+    expect(engine.render('\\abs{x}', false)).toContain('<mrow><mo fence="true">∣</mo><mi>x</mi>');
+    // Each render starts from the library again
+    expect(engine.render('\\abs{y}', false)).toContain('<mi>y</mi>');
+  });
+});
+
+describe('createMathJaxEngine', () => {
+  let MathJax: MathJaxLike;
+
+  beforeAll(async () => {
+    MathJax = await mathjax.init({ loader: { load: ['input/tex', 'output/svg'] } });
+  });
+
+  test('should render SVG hidden from screen readers, with a MathML copy', () => {
+    const markup = createMathJaxEngine(MathJax).render('\\frac{a}{b}', false);
+
+    expect(markup).toMatch(/^<mjx-container[^>]*><svg aria-hidden="true" /);
+    expect(markup).toContain('<mjx-assistive-mml unselectable="on" display="inline"><math');
+    expect(markup).toContain('<mfrac>');
+  });
+
+  test('should render MathML only', () => {
+    const markup = createMathJaxEngine(MathJax, { output: 'mathml' }).render('x^2', true);
+
+    expect(markup).toMatch(/^<math [^>]*display="block"/);
+    expect(markup).not.toContain('<svg');
+  });
+
+  test('should throw on TeX errors instead of rendering them', () => {
+    expect(() => createMathJaxEngine(MathJax).render('\\frac{a', false)).toThrow('Missing close brace');
+  });
+});
@@ -0,0 +1,37 @@
+// packages/core/tests/schema/environments.test.ts
+// Tests for environment numbering and cross-references
+
+import { findReferences, numberEnvironments, resolveReferences } from '../../src/schema/environments';
+import { ContentBlock, EnvironmentBlock } from '../../src/schema/types';
+
+describe('Environments', () => {
+  const environment = (kind: EnvironmentBlock['data']['kind'], extra: Partial<EnvironmentBlock['data']> = {}): EnvironmentBlock => ({
+    type: 'environment',
+    data: { kind, blocks: [{ type: 'paragraph', data: { text: 'Text' } }], ...extra }
+  });
+
+  test('numbers definitions, theorems, lemmas and examples on one counter', () => {
+    const blocks: ContentBlock[] = [
+      environment('definition'),
+      environment('remark'),
+      environment('theorem', { label: 'main', blocks: [environment('proof')] }),
+      environment('lemma', { number: '2.5' }),
+      environment('example', { label: 'ex' })
+    ];
+    const numbering = numberEnvironments(blocks);
+
+    expect(blocks.map(block => numbering.numbers.get(block as EnvironmentBlock))).toEqual(['1', undefined, '2', '2.5', '3']);
+    expect(numbering.labels.get('main')).toEqual({ kind: 'theorem', number: '2' });
+    expect(numbering.labels.get('ex')).toEqual({ kind: 'example', number: '3' });
+  });
+
+  test('finds and links references outside math only', () => {
+    const numbering = numberEnvironments([environment('theorem', { label: 'thm:a' })]);
+    const text = 'By \\ref{thm:a} and \\ref{nope}, $\\ref{thm:a}$ holds.';
+
+    expect(findReferences(text)).toEqual(['thm:a', 'nope']);
+    expect(resolveReferences(text, numbering)).toBe(
+      'By <a class="environment-ref" href="#thm:a" title="Theorem 1">1</a> and \\ref{nope}, $\\ref{thm:a}$ holds.'
+    );
+  });
+});
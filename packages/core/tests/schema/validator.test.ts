@@ -225,6 +225,44 @@ describe('ContentValidator', () => {
         })
       );
     });
+
+    test('should accept a workflow state matching the draft flag', () => {
+      const content = {
+        metadata: { ...validProblem.metadata, state: "in_review", draft: true },
+        statement: validProblem.statement
+      };
+      expect(validator.validate(content).valid).toBe(true);
+    });
+
+    test('should reject an unknown workflow state', () => {
+      const content = {
+        metadata: { ...validProblem.metadata, state: "pending" },
+        statement: validProblem.statement
+      };
+      const result = validator.validate(content);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContainEqual(
+        expect.objectContaining({
+          path: 'metadata.state',
+          code: 'INVALID_VALUE'
+        })
+      );
+    });
+
+    test('should reject a draft flag contradicting the state', () => {
+      const content = {
+        metadata: { ...validProblem.metadata, state: "approved", draft: false },
+        statement: validProblem.statement
+      };
+      const result = validator.validate(content);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContainEqual(
+        expect.objectContaining({
+          path: 'metadata.draft',
+          code: 'INVALID_VALUE'
+        })
+      );
+    });
   });
 
   describe('Invalid Statement', () => {
@@ -399,6 +437,227 @@ describe('ContentValidator', () => {
       const result = validator.validate(content);
       expect(result.valid).toBe(false);
     });
+
+    const choice = (data: Record<string, any>) => ({
+      metadata: validProblem.metadata,
+      statement: [{ type: 'choice', data }]
+    });
+
+    test('should accept single and multiple choice blocks', () => {
+      const single = choice({
+        multiple: false,
+        options: [
+          { key: 'A', text: '$x = 2$', correct: true, feedback: 'Yes.' },
+          { key: 'B', text: '$x = -2$', correct: false }
+        ]
+      });
+      const multiple = choice({
+        multiple: true,
+        options: [
+          { key: 'A', text: 'True', correct: true },
+          { key: 'B', text: 'Also true', correct: true },
+          { key: 'C', text: 'False', correct: false }
+        ]
+      });
+
+      expect(validator.validate(single).errors).toEqual([]);
+      expect(validator.validate(multiple).errors).toEqual([]);
+    });
+
+    test('should reject choice blocks without a clear key', () => {
+      const result = validator.validate(choice({
+        multiple: false,
+        options: [
+          { key: 'A', text: 'One', correct: true },
+          { key: 'A', text: '', correct: true }
+        ]
+      }));
+
+      expect(result.errors.map(e => [e.path, e.code])).toEqual([
+        ['statement[0].data.options[1].key', 'DUPLICATE_VALUE'],
+        ['statement[0].data.options[1].text', 'INVALID_VALUE'],
+        ['statement[0].data.options', 'INVALID_VALUE']
+      ]);
+    });
+
+    test('should reject choice blocks with too few or no correct options', () => {
+      expect(validator.validate(choice({
+        multiple: false,
+        options: [{ key: 'A', text: 'Only', correct: true }]
+      })).errors[0].code).toBe('ARRAY_EMPTY');
+
+      expect(validator.validate(choice({
+        options: [
+          { key: 'A', text: 'One', correct: false },
+          { key: 'B', text: 'Two', correct: 'yes' }
+        ]
+      })).errors.map(e => e.path)).toEqual([
+        'statement[0].data.multiple',
+        'statement[0].data.options[1].correct',
+        'statement[0].data.options'
+      ]);
+    });
+  });
+
+  describe('Tables', () => {
+    const table = (data: Record<string, any>) => ({
+      metadata: validProblem.metadata,
+      statement: [{ type: 'table', data }]
+    });
+
+    test('should accept a table with headings and alignments', () => {
+      const result = validator.validate(table({
+        withHeadings: true,
+        content: [['$x$', '$f(x)$'], ['0', '$1$']],
+        alignments: ['center', 'right']
+      }));
+      expect(result.errors).toEqual([]);
+    });
+
+    test('should reject ragged rows and bad cells', () => {
+      const result = validator.validate(table({
+        withHeadings: false,
+        content: [['a', 'b'], ['c'], ['d', 4]]
+      }));
+      expect(result.errors.map(e => [e.path, e.code])).toEqual([
+        ['statement[0].data.content[1]', 'INVALID_VALUE'],
+        ['statement[0].data.content[2][1]', 'INVALID_TYPE']
+      ]);
+    });
+
+    test('should reject empty tables and mismatched alignments', () => {
+      expect(validator.validate(table({ withHeadings: true, content: [] })).errors[0].code).toBe('ARRAY_EMPTY');
+
+      const result = validator.validate(table({
+        withHeadings: true,
+        content: [['a', 'b']],
+        alignments: ['middle']
+      }));
+      expect(result.errors.map(e => e.path)).toEqual([
+        'statement[0].data.alignments',
+        'statement[0].data.alignments[0]'
+      ]);
+    });
+  });
+
+  describe('Environments', () => {
+    const lesson = (statement: any[]) => ({
+      metadata: validLesson.metadata,
+      statement
+    });
+    const paragraph = (text: string) => ({ type: 'paragraph', data: { text } });
+
+    test('should accept a theorem holding its proof, referenced before and after', () => {
+      const result = validator.validate(lesson([
+        paragraph('We prove Theorem \\ref{thm:pythagoras} below.'),
+        {
+          type: 'environment',
+          data: {
+            kind: 'theorem',
+            title: 'Pythagoras',
+            label: 'thm:pythagoras',
+            blocks: [
+              { type: 'math', data: { latex: 'a^2 + b^2 = c^2', display: true } },
+              { type: 'environment', data: { kind: 'proof', blocks: [paragraph('Rearrange the squares.')] } }
+            ]
+          }
+        },
+        paragraph('By Theorem \\ref{thm:pythagoras}, $c = 5$.')
+      ]));
+      expect(result.errors).toEqual([]);
+    });
+
+    test('should reject bad kinds, labels and numbers', () => {
+      const result = validator.validate(lesson([
+        { type: 'environment', data: { kind: 'corollary', blocks: [paragraph('a')] } },
+        { type: 'environment', data: { kind: 'remark', label: 'rem-1', number: '3', blocks: [paragraph('b')] } },
+        { type: 'environment', data: { kind: 'lemma', label: '1st lemma', blocks: [paragraph('c')] } },
+        { type: 'environment', data: { kind: 'lemma', label: 'lem', blocks: [] } },
+        { type: 'environment', data: { kind: 'definition', label: 'lem', blocks: [paragraph('See \\ref{missing}.')] } }
+      ]));
+      expect(result.errors.map(e => [e.path, e.code])).toEqual([
+        ['statement[0].data.kind', 'INVALID_VALUE'],
+        ['statement[1].data.number', 'INVALID_VALUE'],
+        ['statement[1].data.label', 'INVALID_VALUE'],
+        ['statement[2].data.label', 'INVALID_VALUE'],
+        ['statement[3].data.blocks', 'ARRAY_EMPTY'],
+        ['statement[4].data.label', 'DUPLICATE_VALUE'],
+        ['statement[4].data.blocks[0].data.text', 'INVALID_VALUE']
+      ]);
+    });
+
+    test('should only allow a proof one level deep', () => {
+      const proof = (blocks: any[]) => ({ type: 'environment', data: { kind: 'proof', blocks } });
+      const result = validator.validate(lesson([
+        {
+          type: 'environment',
+          data: {
+            kind: 'theorem',
+            blocks: [
+              { type: 'environment', data: { kind: 'lemma', blocks: [paragraph('a')] } },
+              proof([proof([paragraph('b')])])
+            ]
+          }
+        }
+      ]));
+      expect(result.errors.map(e => e.path)).toEqual([
+        'statement[0].data.blocks[0]',
+        'statement[0].data.blocks[1].data.blocks[0]'
+      ]);
+    });
+  });
+
+  describe('LaTeX lint', () => {
+    const lesson = (statement: any[]) => ({
+      metadata: validLesson.metadata,
+      statement
+    });
+
+    test('should report math block issues with their range', () => {
+      const result = validator.validate(lesson([
+        { type: 'math', data: { latex: '\\frac{a}{b', display: true } }
+      ]));
+
+      expect(result.errors).toEqual([{
+        path: 'statement[0].data.latex',
+        message: 'Unclosed {',
+        code: 'LATEX_UNBALANCED',
+        range: { start: 8, end: 9 }
+      }]);
+    });
+
+    test('should place inline math issues within the rich text', () => {
+      const text = 'Let $x = \\foo$ and $\\href{a}{b}$.';
+      const result = validator.validate(lesson([{ type: 'paragraph', data: { text } }]));
+
+      expect(result.errors.map(error => error.code)).toEqual(['LATEX_UNKNOWN_COMMAND', 'LATEX_DISALLOWED']);
+      const [unknown, disallowed] = result.errors.map(error => error.range!);
+      expect(text.slice(unknown.start, unknown.end)).toBe('\\foo');
+      expect(text.slice(disallowed.start, disallowed.end)).toBe('\\href');
+    });
+
+    test('should accept macros added to the whitelist', () => {
+      const content = lesson([{ type: 'math', data: { latex: '\\R^n', display: false } }]);
+
+      expect(validateContent(content).valid).toBe(false);
+      expect(validateContent(content, { latex: { knownMacros: ['R'] } }).valid).toBe(true);
+    });
+
+    test('should lint inline math spans and reject empty or malformed ones', () => {
+      const text = 'Let <span class="inline-math">\\foo</span>, <span class="inline-math"> </span>';
+      const result = validator.validate(lesson([
+        { type: 'paragraph', data: { text } },
+        { type: 'list', data: { style: 'unordered', items: ['<span class="inline-math"><b>x</b></span>'] } }
+      ]));
+
+      expect(result.errors.map(error => [error.path, error.message])).toEqual([
+        ['statement[0].data.text', 'Unknown command \\foo'],
+        ['statement[0].data.text', 'Inline math is empty'],
+        ['statement[1].data.items[0]', 'Inline math must be <span class="inline-math">LaTeX</span> with nothing else inside']
+      ]);
+      const { start, end } = result.errors[0].range!;
+      expect(text.slice(start, end)).toBe('\\foo');
+    });
   });
 
   describe('Invalid Solutions', () => {
@@ -448,6 +707,82 @@ describe('ContentValidator', () => {
     });
   });
 
+  describe('Parts', () => {
+    const part = (overrides: Record<string, any> = {}) => ({
+      label: 'a',
+      statement: [{ type: 'paragraph', data: { text: 'Find $x$.' } }],
+      ...overrides
+    });
+
+    test('should accept parts with answers and hints', () => {
+      const content = {
+        ...validProblem,
+        parts: [
+          part({ answer: { type: 'numeric', value: 2.5, tolerance: 0.01, unit: 'cm' }, hints: ['Try $x = 1$.'] }),
+          part({ label: 'b', answer: { type: 'expression', value: '\\frac{1}{2}' } }),
+          part({ label: 'c', answer: { type: 'choice', value: 'B' } })
+        ]
+      };
+      const result = validator.validate(content);
+      expect(result.errors).toEqual([]);
+    });
+
+    test('should reject answers the checker cannot read', () => {
+      const content = {
+        ...validProblem,
+        parts: [
+          part({ answer: { type: 'interval', value: '[0, 1) \\cup (2, \\infty)' } }),
+          part({ label: 'b', answer: { type: 'expression', value: '\\frac{x}' } }),
+          part({ label: 'c', answer: { type: 'set', value: '{1, x}' } })
+        ]
+      };
+      const result = validator.validate(content);
+      expect(result.errors.map(e => [e.path, e.code])).toEqual([
+        ['parts[1].answer.value', 'INVALID_VALUE'],
+        ['parts[2].answer.value', 'INVALID_VALUE']
+      ]);
+      expect(result.errors[1].message).toBe('Set cannot be read: Expected a number, found variable "x"');
+    });
+
+    test('should reject duplicate labels and empty statements', () => {
+      const content = {
+        ...validProblem,
+        parts: [part(), part({ statement: [] })]
+      };
+      const result = validator.validate(content);
+      expect(result.errors.map(e => [e.path, e.code])).toEqual([
+        ['parts[1].statement', 'ARRAY_EMPTY'],
+        ['parts[1].label', 'DUPLICATE_VALUE']
+      ]);
+    });
+
+    test('should reject malformed answers', () => {
+      const content = {
+        ...validProblem,
+        parts: [
+          part({ answer: { type: 'numeric', value: '2', tolerance: -1 } }),
+          part({ label: 'b', answer: { type: 'choice', value: '' } }),
+          part({ label: 'c', answer: { type: 'guess', value: 'x' } })
+        ]
+      };
+      const result = validator.validate(content);
+      expect(result.errors.map(e => e.path)).toEqual([
+        'parts[0].answer.value',
+        'parts[0].answer.tolerance',
+        'parts[1].answer.value',
+        'parts[2].answer.type'
+      ]);
+    });
+
+    test('should reject empty hints and parts on lessons', () => {
+      const problem = validator.validate({ ...validProblem, parts: [part({ hints: ['ok', ''] })] });
+      expect(problem.errors.map(e => e.path)).toEqual(['parts[0].hints[1]']);
+
+      const lesson = validator.validate({ ...validLesson, parts: [part()] });
+      expect(lesson.errors.map(e => e.path)).toEqual(['parts']);
+    });
+  });
+
   describe('Helper Functions', () => {
     test('validateContent should work', () => {
       const result = validateContent(validProblem);
@@ -0,0 +1,48 @@
+// packages/core/tests/schema/workflow.test.ts
+// Tests for the review workflow states
+
+import { canTransition, getWorkflowState, isWorkflowState } from '../../src/schema/workflow';
+
+describe('Workflow', () => {
+  test('follows draft -> in review -> approved -> published -> archived', () => {
+    expect(canTransition('draft', 'in_review')).toBe(true);
+    expect(canTransition('in_review', 'approved')).toBe(true);
+    expect(canTransition('approved', 'published')).toBe(true);
+    expect(canTransition('published', 'archived')).toBe(true);
+  });
+
+  test('does not skip review', () => {
+    expect(canTransition('draft', 'published')).toBe(false);
+    expect(canTransition('draft', 'approved')).toBe(false);
+    expect(canTransition('in_review', 'published')).toBe(false);
+  });
+
+  test('sends content back to draft for changes or a new version', () => {
+    expect(canTransition('in_review', 'draft')).toBe(true);
+    expect(canTransition('approved', 'draft')).toBe(true);
+    expect(canTransition('published', 'draft')).toBe(true);
+    expect(canTransition('archived', 'draft')).toBe(true);
+  });
+
+  test('allows saving drafts and reviews in place', () => {
+    expect(canTransition('draft', 'draft')).toBe(true);
+    expect(canTransition('in_review', 'in_review')).toBe(true);
+  });
+
+  test('does not save approved, published or archived content in place', () => {
+    expect(canTransition('approved', 'approved')).toBe(false);
+    expect(canTransition('published', 'published')).toBe(false);
+    expect(canTransition('archived', 'archived')).toBe(false);
+  });
+
+  test('falls back to the legacy draft flag', () => {
+    expect(getWorkflowState({ draft: true })).toBe('draft');
+    expect(getWorkflowState({ draft: false })).toBe('published');
+    expect(getWorkflowState({ draft: true, state: 'in_review' })).toBe('in_review');
+  });
+
+  test('recognizes workflow states', () => {
+    expect(isWorkflowState('approved')).toBe(true);
+    expect(isWorkflowState('pending')).toBe(false);
+  });
+});
@@ -0,0 +1,49 @@
+// packages/core/tests/storage/drafts.test.ts
+// Tests for per-content local drafts
+
+import { MemoryDraftStore, draftKey, createLocalId, LocalDraft } from '../../src/storage/drafts';
+
+describe('Local drafts', () => {
+  const draft = (key: string, updatedAt: number, title = key): LocalDraft => ({
+    key,
+    contentType: 'problem',
+    id: null,
+    title,
+    data: { id: null, title, statement: [] },
+    updatedAt
+  });
+
+  test('keys saved content by type and ID, new content by local ID', () => {
+    expect(draftKey('problem', 42)).toBe('problem:42');
+    expect(draftKey('lesson', 42)).toBe('lesson:42');
+    expect(draftKey('problem', null, 'abc')).toBe('local:abc');
+    expect(() => draftKey('problem', null)).toThrow();
+  });
+
+  test('generates distinct local IDs', () => {
+    expect(createLocalId()).not.toBe(createLocalId());
+  });
+
+  test('keeps one draft per key, listed newest first', async () => {
+    const store = new MemoryDraftStore();
+    await store.put(draft('problem:1', 100));
+    await store.put(draft('local:a', 300));
+    await store.put(draft('problem:1', 200, 'Updated'));
+
+    const drafts = await store.list();
+    expect(drafts.map(d => [d.key, d.title])).toEqual([['local:a', 'local:a'], ['problem:1', 'Updated']]);
+
+    await store.delete('local:a');
+    expect(await store.get('local:a')).toBeNull();
+    expect((await store.get('problem:1'))?.updatedAt).toBe(200);
+  });
+
+  test('stored drafts are isolated from caller mutations', async () => {
+    const store = new MemoryDraftStore();
+    const original = draft('local:a', 1);
+    await store.put(original);
+    original.title = 'Changed';
+
+    expect((await store.get('local:a'))?.title).toBe('local:a');
+  });
+});
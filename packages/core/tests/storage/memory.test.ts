@@ -0,0 +1,195 @@
+// packages/core/tests/storage/memory.test.ts
+// Tests for the in-memory storage backend
+
+import { MemoryContentRepository, MemoryAssetStore } from '../../src/storage/memory';
+import { StoredContent } from '../../src/storage/types';
+import { ContentConflictError, ContentChangedError } from '../../src/storage/errors';
+import { DEFAULT_MACROS } from '../../src/math/macros';
+
+describe('MemoryContentRepository', () => {
+  const problem = (id: number, draft = false): StoredContent => ({
+    id,
+    title: `Problem ${id}`,
+    statement: [{ type: 'paragraph', data: { text: 'Solve $x^2 = 4$.' } }],
+    solutions: [],
+    draft
+  });
+
+  test('allocates IDs above the highest stored ID per content type', async () => {
+    const repository = new MemoryContentRepository({ problem: [problem(3), problem(8)] });
+
+    expect(await repository.allocateId('problem')).toBe(9);
+    expect(await repository.allocateId('lesson')).toBe(1);
+  });
+
+  test('never hands out the same ID twice, even before it is saved', async () => {
+    const repository = new MemoryContentRepository({ problem: [problem(3)] });
+
+    const ids = await Promise.all([repository.allocateId('problem'), repository.allocateId('problem')]);
+    expect(ids).toEqual([4, 5]);
+
+    await repository.save('problem', problem(ids[1]));
+    expect(await repository.allocateId('problem')).toBe(6);
+  });
+
+  test('refuses to overwrite an existing document unless asked to', async () => {
+    const repository = new MemoryContentRepository({ problem: [problem(1)] });
+    const replacement = { ...problem(1), title: 'Replacement' };
+
+    await expect(repository.save('problem', replacement)).rejects.toThrow(ContentConflictError);
+    expect((await repository.get('problem', 1))?.title).toBe('Problem 1');
+
+    await repository.save('problem', replacement, { overwrite: true });
+    expect((await repository.get('problem', 1))?.title).toBe('Replacement');
+  });
+
+  test('refuses to overwrite a document changed since it was loaded', async () => {
+    const repository = new MemoryContentRepository();
+    const loadedAt = await repository.save('problem', problem(1));
+
+    // Someone else saves in between
+    const theirs = await repository.save('problem', { ...problem(1), title: 'Theirs' }, { overwrite: true });
+    expect(theirs).not.toBe(loadedAt);
+
+    const mine = { ...problem(1), title: 'Mine' };
+    await expect(repository.save('problem', mine, { overwrite: true, expectedTimestamp: loadedAt }))
+      .rejects.toThrow(ContentChangedError);
+    expect((await repository.get('problem', 1))?.title).toBe('Theirs');
+
+    const saved = await repository.save('problem', mine, { overwrite: true, expectedTimestamp: theirs });
+    expect((await repository.get('problem', 1))?.timestamp).toBe(saved);
+  });
+
+  test('appends a revision on every save', async () => {
+    const repository = new MemoryContentRepository();
+    await repository.save('problem', { ...problem(1, true), author: 'ann' });
+    await repository.save('problem', { ...problem(1, false), title: 'Final', lastEditor: 'bob' }, { overwrite: true });
+
+    const revisions = await repository.listRevisions('problem', 1);
+    expect(revisions.map(r => [r.revision, r.author, r.draft, r.data.title])).toEqual([
+      [1, 'ann', true, 'Problem 1'],
+      [2, 'bob', false, 'Final']
+    ]);
+    expect((await repository.get('problem', 1))?.revision).toBe(2);
+    expect(await repository.listRevisions('problem', 2)).toEqual([]);
+  });
+
+  test('keeps the published copy live while a new draft is edited', async () => {
+    const repository = new MemoryContentRepository();
+    await repository.save('problem', { ...problem(1), state: 'published' });
+    await repository.save('problem', { ...problem(1), title: 'Rewrite', state: 'draft', draft: true }, { overwrite: true });
+
+    expect((await repository.get('problem', 1))?.title).toBe('Rewrite');
+    expect((await repository.getPublished('problem', 1))?.title).toBe('Problem 1');
+    expect((await repository.listPublished('problem')).map(data => data.id)).toEqual([1]);
+
+    await repository.save('problem', { ...problem(1), state: 'archived' }, { overwrite: true });
+    expect(await repository.getPublished('problem', 1)).toBeNull();
+  });
+
+  test('derives the draft flag from the state and leaves comments off the live copy', async () => {
+    const repository = new MemoryContentRepository();
+    const comment = { id: 'c1', blockId: 'b1', author: 'rev', text: 'Typo', timestamp: '2025-01-01T00:00:00Z' };
+    await repository.save('problem', { ...problem(1), state: 'approved', comments: [comment] });
+    await repository.save('problem', { ...problem(1), state: 'published', comments: [comment] }, { overwrite: true });
+
+    const revisions = await repository.listRevisions('problem', 1);
+    expect(revisions.map(r => [r.state, r.draft])).toEqual([['approved', true], ['published', false]]);
+    expect((await repository.get('problem', 1))?.comments).toHaveLength(1);
+    expect((await repository.getPublished('problem', 1))?.comments).toBeUndefined();
+  });
+
+  test('keeps the original author when another user saves', async () => {
+    const repository = new MemoryContentRepository();
+    await repository.save('problem', { ...problem(1), author: 'Ann', authorId: 'u1', lastEditor: 'Ann', lastEditorId: 'u1' });
+    await repository.save('problem', { ...problem(1), author: 'Bob', authorId: 'u2', lastEditor: 'Bob', lastEditorId: 'u2' }, { overwrite: true });
+
+    const saved = await repository.get('problem', 1);
+    expect([saved?.author, saved?.authorId, saved?.lastEditor, saved?.lastEditorId]).toEqual(['Ann', 'u1', 'Bob', 'u2']);
+  });
+
+  test('deletes the working and live copies but keeps revisions', async () => {
+    const repository = new MemoryContentRepository({ problem: [problem(1)] });
+    await repository.save('problem', problem(1), { overwrite: true });
+
+    await repository.delete('problem', 1);
+    expect(await repository.get('problem', 1)).toBeNull();
+    expect(await repository.getPublished('problem', 1)).toBeNull();
+    expect(await repository.listRevisions('problem', 1)).toHaveLength(1);
+    expect(await repository.allocateId('problem')).toBe(2);
+  });
+
+  test('continues the kept revisions when a deleted ID is saved again', async () => {
+    const repository = new MemoryContentRepository();
+    await repository.save('problem', problem(1));
+    await repository.save('problem', problem(1), { overwrite: true });
+    await repository.delete('problem', 1);
+
+    await repository.save('problem', { ...problem(1), title: 'Again' });
+    expect((await repository.get('problem', 1))?.revision).toBe(3);
+    expect((await repository.listRevisions('problem', 1)).map(r => [r.revision, r.data.title])).toEqual([
+      [1, 'Problem 1'],
+      [2, 'Problem 1'],
+      [3, 'Again']
+    ]);
+  });
+
+  test('saves and loads documents with a timestamp', async () => {
+    const repository = new MemoryContentRepository();
+    await repository.save('problem', problem(1, true));
+
+    const loaded = await repository.get('problem', 1);
+    expect(loaded?.title).toBe('Problem 1');
+    expect(typeof loaded?.timestamp).toBe('string');
+    expect(await repository.get('lesson', 1)).toBeNull();
+  });
+
+  test('stored documents are isolated from caller mutations', async () => {
+    const repository = new MemoryContentRepository();
+    const data = problem(1);
+    await repository.save('problem', data);
+
+    data.title = 'Changed';
+    const loaded = await repository.get('problem', 1);
+    loaded!.statement.push({ type: 'paragraph', data: { text: 'Extra' } });
+
+    const reloaded = await repository.get('problem', 1);
+    expect(reloaded?.title).toBe('Problem 1');
+    expect(reloaded?.statement).toHaveLength(1);
+  });
+
+  test('lists documents ordered by ID, optionally by draft flag', async () => {
+    const repository = new MemoryContentRepository({ problem: [problem(5), problem(2, true), problem(4)] });
+
+    expect((await repository.list('problem')).map(data => data.id)).toEqual([2, 4, 5]);
+    expect((await repository.list('problem', { draft: false })).map(data => data.id)).toEqual([4, 5]);
+    expect((await repository.list('problem', { draft: true })).map(data => data.id)).toEqual([2]);
+  });
+
+  test('keeps the macro library, starting from the defaults', async () => {
+    const repository = new MemoryContentRepository();
+    expect(await repository.getMacros()).toEqual(DEFAULT_MACROS);
+
+    const macros = [{ name: 'E', body: '\\mathbb{E}', description: 'Expectation' }];
+    await repository.saveMacros(macros);
+    macros[0].body = 'changed';
+
+    expect(await repository.getMacros()).toEqual([{ name: 'E', body: '\\mathbb{E}', description: 'Expectation' }]);
+  });
+});
+
+describe('MemoryAssetStore', () => {
+  test('keeps uploaded files and returns memory URLs by default', async () => {
+    const store = new MemoryAssetStore();
+    const file = new Blob(['png']);
+
+    expect(await store.upload('editor_images/a.png', file)).toBe('memory://editor_images/a.png');
+    expect(store.getFile('editor_images/a.png')).toBe(file);
+  });
+
+  test('uses a custom URL factory', async () => {
+    const store = new MemoryAssetStore({ createUrl: path => `blob:${path}` });
+
+    expect(await store.upload('b.png', new Blob([]))).toBe('blob:b.png');
+  });
+});
@@ -0,0 +1,9 @@
+// packages/core/tests/types/mathjax.d.ts
+// The mathjax package ships without type declarations
+
+declare module 'mathjax' {
+  const mathjax: {
+    init(config: object): Promise<any>;
+  };
+  export default mathjax;
+}
@@ -0,0 +1,4 @@
+// shared/js/core.js
+// Browser entry for @azmath/core (run `npm run build` in packages/core first)
+
+export * from '../../packages/core/dist/index.js';
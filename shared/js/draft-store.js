@@ -0,0 +1,94 @@
+// shared/js/draft-store.js
+// IndexedDB implementation of the core DraftStore interface
+//
+// Drafts used to live in one localStorage key, 'az-math-draft'; that draft
+// is moved in here the first time the store is opened.
+
+import { createLocalId, draftKey, sortDrafts } from './core.js';
+
+const DB_NAME = 'az-math';
+const DB_VERSION = 1;
+const STORE_NAME = 'drafts';
+const LEGACY_DRAFT_KEY = 'az-math-draft';
+
+let storePromise = null;
+
+/**
+ * The browser's draft store; opened once per page
+ */
+export function getDraftStore() {
+  if (!storePromise) {
+    storePromise = IndexedDBDraftStore.open().then(async (store) => {
+      await migrateLegacyDraft(store);
+      return store;
+    });
+  }
+  return storePromise;
+}
+
+export class IndexedDBDraftStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  static open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(new IndexedDBDraftStore(request.result));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async get(key) {
+    return (await this.request('readonly', store => store.get(key))) ?? null;
+  }
+
+  async put(draft) {
+    await this.request('readwrite', store => store.put(draft));
+  }
+
+  async delete(key) {
+    await this.request('readwrite', store => store.delete(key));
+  }
+
+  async list() {
+    return sortDrafts(await this.request('readonly', store => store.getAll()));
+  }
+
+  // Run one request in its own transaction; resolves once the transaction commits
+  request(mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+async function migrateLegacyDraft(store) {
+  const legacy = localStorage.getItem(LEGACY_DRAFT_KEY);
+  if (!legacy) return;
+
+  try {
+    const data = JSON.parse(legacy);
+    const contentType = data.contentType === 'lesson' ? 'lesson' : 'problem';
+    const id = Number.isInteger(data.id) ? data.id : null;
+
+    await store.put({
+      key: draftKey(contentType, id, createLocalId()),
+      contentType,
+      id,
+      title: data.title || '',
+      data,
+      updatedAt: data.timestamp || Date.now()
+    });
+    localStorage.removeItem(LEGACY_DRAFT_KEY);
+  } catch (error) {
+    console.warn('Failed to migrate old draft:', error);
+  }
+}
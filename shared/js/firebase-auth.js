@@ -0,0 +1,67 @@
+// shared/js/firebase-auth.js
+// Firebase Authentication implementation of the core AuthProvider interface
+//
+// Roles live in users/{uid} as { role: 'author' | 'reviewer' | 'admin' } and
+// are assigned by an admin in the Firebase console; users without a document
+// are authors. Firestore rules must enforce the same roles (see README).
+
+import { auth, db } from './firebase-config.js';
+import {
+  GoogleAuthProvider,
+  onAuthStateChanged,
+  signInWithPopup,
+  signOut
+} from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js';
+import { doc, getDoc } from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js';
+import { isRole } from './core.js';
+
+const USERS_COLLECTION = 'users';
+
+async function toUser(firebaseUser) {
+  const profile = await getDoc(doc(db, USERS_COLLECTION, firebaseUser.uid));
+  const role = profile.exists() ? profile.data().role : undefined;
+
+  return {
+    uid: firebaseUser.uid,
+    name: firebaseUser.displayName || firebaseUser.email || 'Anonymous',
+    email: firebaseUser.email || undefined,
+    role: isRole(role) ? role : 'author'
+  };
+}
+
+export class FirebaseAuthProvider {
+  constructor() {
+    this.user = null;
+    this.listeners = new Set();
+    this.ready = false;
+
+    // Listeners hear nothing until Firebase has restored any previous session
+    onAuthStateChanged(auth, async (firebaseUser) => {
+      this.user = firebaseUser ? await toUser(firebaseUser) : null;
+      this.ready = true;
+      this.listeners.forEach(listener => listener(this.getCurrentUser()));
+    });
+  }
+
+  getCurrentUser() {
+    return this.user ? { ...this.user } : null;
+  }
+
+  onAuthChange(listener) {
+    this.listeners.add(listener);
+    if (this.ready) {
+      listener(this.getCurrentUser());
+    }
+    return () => this.listeners.delete(listener);
+  }
+
+  async signIn() {
+    const credential = await signInWithPopup(auth, new GoogleAuthProvider());
+    this.user = await toUser(credential.user);
+    return this.getCurrentUser();
+  }
+
+  async signOut() {
+    await signOut(auth);
+  }
+}
@@ -0,0 +1,248 @@
+// shared/js/firebase-storage.js
+// Firestore / Firebase Storage implementation of the core storage interfaces
+
+import { db, storage } from './firebase-config.js';
+import {
+  doc,
+  getDoc,
+  setDoc,
+  serverTimestamp,
+  collection,
+  query,
+  where,
+  orderBy,
+  limit,
+  getDocs,
+  runTransaction,
+  writeBatch
+} from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js';
+import { ref, uploadBytes, getDownloadURL } from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-storage.js';
+import {
+  ContentConflictError,
+  ContentChangedError,
+  toISOTimestamp,
+  getWorkflowState,
+  DEFAULT_MACROS
+} from './core.js';
+
+// counters/problems and counters/lessons hold { next: <next free ID> };
+// counters/problems-42-revisions holds { last: <last revision of problem 42> }
+// and, unlike the document, survives a delete
+const COUNTERS_COLLECTION = 'counters';
+
+// problems/{id}/revisions/{n}: one document per save, never updated
+const REVISIONS_COLLECTION = 'revisions';
+
+// settings/macros holds { macros: [...], updatedAt } for the whole collection
+const SETTINGS_COLLECTION = 'settings';
+const MACROS_DOCUMENT = 'macros';
+
+function collectionFor(contentType) {
+  return contentType === 'lesson' ? 'lessons' : 'problems';
+}
+
+// Live copies the viewer reads: published_problems/{id}, published_lessons/{id}
+export function publishedCollectionFor(contentType) {
+  return `published_${collectionFor(contentType)}`;
+}
+
+function revisionCounterFor(contentType, id) {
+  return doc(db, COUNTERS_COLLECTION, `${collectionFor(contentType)}-${id}-revisions`);
+}
+
+async function highestRevision(contentType, id) {
+  const snapshot = await getDocs(query(
+    collection(db, collectionFor(contentType), String(id), REVISIONS_COLLECTION),
+    orderBy('revision', 'desc'),
+    limit(1)
+  ));
+  return snapshot.empty ? 0 : snapshot.docs[0].data().revision;
+}
+
+async function highestId(collectionName) {
+  const snapshot = await getDocs(query(
+    collection(db, collectionName),
+    orderBy('id', 'desc'),
+    limit(1)
+  ));
+  return snapshot.empty ? 0 : snapshot.docs[0].data().id;
+}
+
+// A replaced document keeps whoever created it
+function authorship(existing) {
+  if (!existing.exists()) return {};
+
+  const { author, authorId } = existing.data();
+  return {
+    ...(author !== undefined ? { author } : {}),
+    ...(authorId !== undefined ? { authorId } : {})
+  };
+}
+
+export class FirebaseContentRepository {
+  // The counter is read and bumped in one transaction, so concurrent
+  // editors always receive different IDs. Errors propagate: guessing an ID
+  // here is how documents got overwritten.
+  async allocateId(contentType) {
+    const collectionName = collectionFor(contentType);
+    const counterRef = doc(db, COUNTERS_COLLECTION, collectionName);
+
+    // A missing counter is seeded from existing documents (first use only)
+    const current = await getDoc(counterRef);
+    const seed = current.exists() ? 1 : await highestId(collectionName) + 1;
+
+    return runTransaction(db, async (transaction) => {
+      const counter = await transaction.get(counterRef);
+      const id = counter.exists() ? counter.data().next : seed;
+
+      transaction.set(counterRef, { next: id + 1 });
+      return id;
+    });
+  }
+
+  async get(contentType, id) {
+    const snapshot = await getDoc(doc(db, collectionFor(contentType), String(id)));
+    return snapshot.exists() ? snapshot.data() : null;
+  }
+
+  async save(contentType, data, options = {}) {
+    const docRef = doc(db, collectionFor(contentType), String(data.id));
+    const counterRef = revisionCounterFor(contentType, data.id);
+
+    // A missing revision counter is seeded from the kept revisions, which a
+    // transaction cannot query
+    const current = await getDoc(counterRef);
+    const seed = current.exists() ? 0 : await highestRevision(contentType, data.id);
+
+    // Check and write in one transaction so nobody slips in between
+    await runTransaction(db, async (transaction) => {
+      const existing = await transaction.get(docRef);
+      const counter = await transaction.get(counterRef);
+
+      if (existing.exists() && !options.overwrite) {
+        // Create only: fail instead of replacing someone else's document
+        throw new ContentConflictError(contentType, data.id);
+      }
+      if (existing.exists() && options.expectedTimestamp !== undefined
+        && toISOTimestamp(existing.data().timestamp) !== options.expectedTimestamp) {
+        throw new ContentChangedError(contentType, data.id);
+      }
+
+      // The document, its immutable revision and the live copy are written
+      // together; numbering continues past revisions kept after a delete
+      const lastKept = counter.exists() ? counter.data().last : seed;
+      const revision = Math.max(existing.exists() ? existing.data().revision ?? 0 : 0, lastKept) + 1;
+      const state = getWorkflowState(data);
+      const docData = {
+        ...data,
+        ...authorship(existing),
+        state,
+        draft: state !== 'published',
+        revision,
+        timestamp: serverTimestamp()
+      };
+
+      transaction.set(docRef, docData);
+      transaction.set(counterRef, { last: revision });
+      transaction.set(doc(docRef, REVISIONS_COLLECTION, String(revision)), {
+        revision,
+        data: docData,
+        author: docData.lastEditor ?? docData.author ?? 'admin',
+        timestamp: serverTimestamp(),
+        draft: docData.draft,
+        state
+      });
+
+      const publishedRef = doc(db, publishedCollectionFor(contentType), String(data.id));
+      if (state === 'published') {
+        const { comments, ...published } = docData;
+        transaction.set(publishedRef, published);
+      } else if (state === 'archived') {
+        transaction.delete(publishedRef);
+      }
+    });
+
+    // Read back the server-assigned timestamp
+    const saved = await getDoc(docRef);
+    return toISOTimestamp(saved.data().timestamp);
+  }
+
+  // Revisions stay behind as an audit trail
+  async delete(contentType, id) {
+    const batch = writeBatch(db);
+    batch.delete(doc(db, collectionFor(contentType), String(id)));
+    batch.delete(doc(db, publishedCollectionFor(contentType), String(id)));
+    await batch.commit();
+  }
+
+  async list(contentType, options = {}) {
+    const constraints = [];
+    if (options.draft !== undefined) {
+      constraints.push(where('draft', '==', options.draft));
+    }
+    constraints.push(orderBy('id'));
+
+    const snapshot = await getDocs(query(collection(db, collectionFor(contentType)), ...constraints));
+    return snapshot.docs.map(docSnapshot => docSnapshot.data());
+  }
+
+  async getPublished(contentType, id) {
+    const snapshot = await getDoc(doc(db, publishedCollectionFor(contentType), String(id)));
+    return snapshot.exists() ? snapshot.data() : null;
+  }
+
+  async listPublished(contentType) {
+    const snapshot = await getDocs(query(collection(db, publishedCollectionFor(contentType)), orderBy('id')));
+    return snapshot.docs.map(docSnapshot => docSnapshot.data());
+  }
+
+  // Content published before live copies existed is only marked draft: false
+  // in problems/lessons; give each such document its published_ copy.
+  // Returns how many were copied.
+  async copyLegacyPublished(contentType) {
+    const snapshot = await getDocs(query(collection(db, collectionFor(contentType)), where('draft', '==', false)));
+    let copied = 0;
+
+    for (const docSnapshot of snapshot.docs) {
+      const data = docSnapshot.data();
+      if (getWorkflowState(data) !== 'published') continue;
+
+      const publishedRef = doc(db, publishedCollectionFor(contentType), docSnapshot.id);
+      if ((await getDoc(publishedRef)).exists()) continue;
+
+      const { comments, ...published } = data;
+      await setDoc(publishedRef, { ...published, state: 'published' });
+      copied++;
+    }
+
+    return copied;
+  }
+
+  async listRevisions(contentType, id) {
+    const revisionsRef = collection(db, collectionFor(contentType), String(id), REVISIONS_COLLECTION);
+    const snapshot = await getDocs(query(revisionsRef, orderBy('revision')));
+
+    return snapshot.docs.map(docSnapshot => {
+      const revision = docSnapshot.data();
+      const timestamp = toISOTimestamp(revision.timestamp);
+      return { ...revision, timestamp, data: { ...revision.data, timestamp } };
+    });
+  }
+
+  async getMacros() {
+    const snapshot = await getDoc(doc(db, SETTINGS_COLLECTION, MACROS_DOCUMENT));
+    return snapshot.exists() ? snapshot.data().macros : DEFAULT_MACROS;
+  }
+
+  async saveMacros(macros) {
+    await setDoc(doc(db, SETTINGS_COLLECTION, MACROS_DOCUMENT), { macros, updatedAt: serverTimestamp() });
+  }
+}
+
+export class FirebaseAssetStore {
+  async upload(path, file) {
+    const storageRef = ref(storage, path);
+    await uploadBytes(storageRef, file);
+    return getDownloadURL(storageRef);
+  }
+}
@@ -0,0 +1,53 @@
+// shared/js/macros.js
+// The collection's macro library, read once per page, and MathJax configured with it
+
+import { getBackend } from './storage.js';
+import { macroNames, toMathJaxMacros } from './core.js';
+
+const MATHJAX_URL = 'https://cdn.jsdelivr.net/npm/mathjax@3/es5/tex-svg.js';
+
+let macrosPromise = null;
+let mathJaxPromise = null;
+
+/**
+ * Resolve the macro library; math still renders without it when it can't be read
+ */
+export function getMacros() {
+  if (!macrosPromise) {
+    macrosPromise = getBackend()
+      .then(({ repository }) => repository.getMacros())
+      .catch(error => {
+        console.error('Failed to load the macro library:', error);
+        return [];
+      });
+  }
+  return macrosPromise;
+}
+
+/**
+ * Options for lintLatex and validateContent that make the library's macros known
+ */
+export async function getLatexOptions() {
+  return { extraMacros: macroNames(await getMacros()) };
+}
+
+/**
+ * Load MathJax with the library as TeX macros; the rest of its configuration
+ * is the page's window.MathJax. Resolves once MathJax is ready.
+ */
+export function loadMathJax() {
+  if (!mathJaxPromise) {
+    mathJaxPromise = getMacros().then(macros => new Promise((resolve, reject) => {
+      window.MathJax = window.MathJax || {};
+      window.MathJax.tex = { ...window.MathJax.tex, macros: toMathJaxMacros(macros) };
+
+      const script = document.createElement('script');
+      script.src = MATHJAX_URL;
+      script.async = true;
+      script.onload = () => resolve(window.MathJax.startup.promise);
+      script.onerror = () => reject(new Error('MathJax failed to load'));
+      document.head.appendChild(script);
+    }));
+  }
+  return mathJaxPromise;
+}
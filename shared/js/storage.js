@@ -0,0 +1,50 @@
+// shared/js/storage.js
+// Picks the storage backend: Firebase by default, in-memory with ?backend=local
+//
+// The local backend never loads Firebase, so the editor can be exercised
+// offline or in CI without writing into the live az-math project.
+// Set localStorage 'az-math-backend' to 'local' to make the choice stick.
+
+const BACKEND_KEY = 'az-math-backend';
+
+let backendPromise = null;
+
+export function getBackendName() {
+  const requested = new URLSearchParams(window.location.search).get('backend')
+    || localStorage.getItem(BACKEND_KEY);
+  return requested === 'local' ? 'local' : 'firebase';
+}
+
+/**
+ * Resolve { name, repository, assets, auth } for the current page; created once
+ */
+export function getBackend() {
+  if (!backendPromise) {
+    backendPromise = createBackend(getBackendName());
+  }
+  return backendPromise;
+}
+
+async function createBackend(name) {
+  if (name === 'local') {
+    const { MemoryContentRepository, MemoryAssetStore, MemoryAuthProvider } = await import('./core.js');
+    return {
+      name,
+      repository: new MemoryContentRepository(),
+      assets: new MemoryAssetStore({ createUrl: (path, file) => URL.createObjectURL(file) }),
+      // Sign in as any name and role, to try out permissions offline
+      auth: new MemoryAuthProvider()
+    };
+  }
+
+  const [
+    { FirebaseContentRepository, FirebaseAssetStore },
+    { FirebaseAuthProvider }
+  ] = await Promise.all([import('./firebase-storage.js'), import('./firebase-auth.js')]);
+  return {
+    name,
+    repository: new FirebaseContentRepository(),
+    assets: new FirebaseAssetStore(),
+    auth: new FirebaseAuthProvider()
+  };
+}
@@ -0,0 +1,151 @@
+// uploader/js/uploader.js
+// Thin UI over the core LaTeX importer
+
+import {
+  parseLatex,
+  parseLatexProblems,
+  validateContent,
+  toEditorData,
+  HTMLRenderer,
+  draftKey,
+  createLocalId
+} from '../../shared/js/core.js';
+import { getDraftStore } from '../../shared/js/draft-store.js';
+import { getLatexOptions } from '../../shared/js/macros.js';
+
+const renderer = new HTMLRenderer({ includeMetadata: false });
+let importedContents = [];
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('parse-btn').addEventListener('click', importSources);
+});
+
+// Read every selected file plus the pasted source
+async function readSources() {
+  const sources = [];
+  const files = document.getElementById('latex-files').files;
+
+  for (const file of files) {
+    sources.push({ name: file.name, text: await file.text() });
+  }
+
+  const pasted = document.getElementById('latex-source').value;
+  if (pasted.trim()) {
+    sources.push({ name: 'Pasted LaTeX', text: pasted });
+  }
+
+  return sources;
+}
+
+async function importSources() {
+  const sources = await readSources();
+
+  if (sources.length === 0) {
+    alert('Choose a .tex file or paste LaTeX first');
+    return;
+  }
+
+  const mode = document.getElementById('import-mode').value;
+  const metadata = {
+    contentType: document.getElementById('import-content-type').value,
+    category: document.getElementById('import-category').value
+  };
+
+  importedContents = [];
+
+  sources.forEach(source => {
+    try {
+      if (mode === 'split') {
+        const problems = parseLatexProblems(source.text, { metadata });
+        if (problems.length === 0) {
+          alert(`${source.name}: no \\begin{problem} environments found`);
+        }
+        importedContents.push(...problems.map(content => ({ source: source.name, content })));
+      } else {
+        const content = parseLatex(source.text, { metadata });
+        if (!content.metadata.title) {
+          content.metadata.title = source.name.replace(/\.tex$/, '');
+        }
+        importedContents.push({ source: source.name, content });
+      }
+    } catch (error) {
+      console.error(`Failed to import ${source.name}:`, error);
+      alert(`Failed to import ${source.name}: ${error.message}`);
+    }
+  });
+
+  renderResults(await getLatexOptions());
+}
+
+// latexOptions: what the LaTeX lint knows besides the built-in macros
+function renderResults(latexOptions) {
+  const container = document.getElementById('import-results');
+  container.innerHTML = '';
+
+  importedContents.forEach(({ source, content }, index) => {
+    // IDs are assigned when the content is saved from the editor
+    const errors = validateContent(content, { latex: latexOptions }).errors.filter(error => error.path !== 'metadata.id');
+
+    const card = document.createElement('div');
+    card.className = 'card import-result';
+    card.innerHTML = `
+      <div class="import-result-header">
+        <div>
+          <h3>${escapeHtml(content.metadata.title || 'Untitled')}</h3>
+          <span class="text-sm text-gray">${escapeHtml(source)} · ${content.statement.length} block(s) · ${(content.solutions || []).length} solution(s)</span>
+        </div>
+        <div class="flex gap-md items-center">
+          <span class="badge ${errors.length ? 'badge-warning' : 'badge-success'}">
+            ${errors.length ? `⚠️ ${errors.length} issue(s)` : '✓ Valid'}
+          </span>
+          <button class="btn btn-sm btn-secondary preview-btn">👁️ Preview</button>
+          <button class="btn btn-sm btn-primary open-btn">✍️ Open in Editor</button>
+        </div>
+      </div>
+      ${errors.length ? `
+        <ul class="import-errors">
+          ${errors.map(error => `<li><code>${escapeHtml(error.path)}</code> ${escapeHtml(error.message)}</li>`).join('')}
+        </ul>
+      ` : ''}
+      <div class="import-preview hidden"></div>
+    `;
+
+    const preview = card.querySelector('.import-preview');
+    card.querySelector('.preview-btn').onclick = () => {
+      const opening = preview.classList.contains('hidden');
+      preview.classList.toggle('hidden');
+      if (opening) {
+        renderer.renderToElement(content, preview);
+      }
+    };
+
+    card.querySelector('.open-btn').onclick = () => openInEditor(index);
+
+    container.appendChild(card);
+  });
+}
+
+// Hand the content to the editor as a new local draft
+async function openInEditor(index) {
+  const { content } = importedContents[index];
+  const data = { ...toEditorData(content), id: null };
+  const key = draftKey(content.metadata.contentType, null, createLocalId());
+
+  const store = await getDraftStore();
+  await store.put({
+    key,
+    contentType: content.metadata.contentType,
+    id: null,
+    title: data.title,
+    data,
+    updatedAt: Date.now()
+  });
+
+  window.location.href = `../editor/index.html?draft=${encodeURIComponent(key)}`;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
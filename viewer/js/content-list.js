@@ -0,0 +1,157 @@
+// viewer/js/content-list.js
+// Paginated, filterable list of published problems or lessons
+//
+// Filtering on category/difficulty/tag together with orderBy('id') needs
+// composite Firestore indexes; the console links them from the first failed query.
+
+import { db } from '../../shared/js/firebase-config.js';
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  getDocs
+} from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+import { publishedCollectionFor } from '../../shared/js/firebase-storage.js';
+
+const PAGE_SIZE = 20;
+
+const contentType = document.body.dataset.contentType;
+const collectionName = publishedCollectionFor(contentType);
+
+// Last document of every page shown so far; pageCursors[n] starts page n + 1
+let pageCursors = [];
+let page = 0;
+
+document.addEventListener('DOMContentLoaded', () => {
+  readFiltersFromUrl();
+
+  document.getElementById('filter-category').addEventListener('change', applyFilters);
+  document.getElementById('filter-difficulty').addEventListener('change', applyFilters);
+  document.getElementById('filter-tag').addEventListener('change', applyFilters);
+
+  document.getElementById('prev-page').addEventListener('click', () => loadPage(page - 1));
+  document.getElementById('next-page').addEventListener('click', () => loadPage(page + 1));
+
+  loadPage(0);
+});
+
+function getFilters() {
+  return {
+    category: document.getElementById('filter-category').value,
+    difficulty: document.getElementById('filter-difficulty').value,
+    tag: document.getElementById('filter-tag').value.trim()
+  };
+}
+
+function readFiltersFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  document.getElementById('filter-category').value = params.get('category') || '';
+  document.getElementById('filter-difficulty').value = params.get('difficulty') || '';
+  document.getElementById('filter-tag').value = params.get('tag') || '';
+}
+
+// Keep filters in the URL so a filtered list can be shared
+function applyFilters() {
+  const params = new URLSearchParams();
+  Object.entries(getFilters()).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+
+  const search = params.toString();
+  history.replaceState(null, '', search ? `?${search}` : window.location.pathname);
+
+  pageCursors = [];
+  loadPage(0);
+}
+
+function buildQuery(pageIndex) {
+  const { category, difficulty, tag } = getFilters();
+  const constraints = [];
+
+  if (category) constraints.push(where('category', '==', category));
+  if (difficulty) constraints.push(where('difficulty', '==', difficulty));
+  if (tag) constraints.push(where('tags', 'array-contains', tag));
+
+  constraints.push(orderBy('id'));
+  if (pageIndex > 0) constraints.push(startAfter(pageCursors[pageIndex - 1]));
+
+  // One extra document tells whether a next page exists
+  constraints.push(limit(PAGE_SIZE + 1));
+
+  return query(collection(db, collectionName), ...constraints);
+}
+
+async function loadPage(pageIndex) {
+  const list = document.getElementById('content-list');
+  list.innerHTML = '<div class="viewer-loading"><div class="spinner"></div></div>';
+
+  try {
+    const snapshot = await getDocs(buildQuery(pageIndex));
+    const docs = snapshot.docs.slice(0, PAGE_SIZE);
+    const hasNext = snapshot.docs.length > PAGE_SIZE;
+
+    page = pageIndex;
+    if (docs.length > 0) {
+      pageCursors[pageIndex] = docs[docs.length - 1];
+    }
+
+    renderList(docs.map(docSnapshot => docSnapshot.data()));
+    updatePagination(docs.length, hasNext);
+  } catch (error) {
+    console.error('Failed to load list:', error);
+    list.innerHTML = '';
+    list.appendChild(emptyMessage(`Failed to load ${contentType}s: ${error.message}`));
+    updatePagination(0, false);
+  }
+}
+
+function renderList(items) {
+  const list = document.getElementById('content-list');
+  list.innerHTML = '';
+
+  if (items.length === 0) {
+    list.appendChild(emptyMessage(`No published ${contentType}s match these filters.`));
+    return;
+  }
+
+  items.forEach(item => {
+    const card = document.createElement('a');
+    card.className = 'card content-card';
+    card.href = `${contentType}.html?id=${encodeURIComponent(item.id)}`;
+    card.innerHTML = `
+      <h3>${escapeHtml(item.title || 'Untitled')}</h3>
+      <div class="content-card-meta">
+        <span class="badge badge-primary">${escapeHtml(item.category || 'General')}</span>
+        <span class="badge badge-warning">${escapeHtml(item.difficulty || 'Medium')}</span>
+        ${(item.tags || []).map(tag => `<span class="badge">#${escapeHtml(tag)}</span>`).join('')}
+      </div>
+    `;
+    list.appendChild(card);
+  });
+}
+
+function updatePagination(count, hasNext) {
+  document.getElementById('prev-page').disabled = page === 0;
+  document.getElementById('next-page').disabled = !hasNext;
+
+  const first = page * PAGE_SIZE + 1;
+  document.getElementById('page-info').textContent = count > 0
+    ? `${first}–${first + count - 1}`
+    : '';
+}
+
+function emptyMessage(message) {
+  const paragraph = document.createElement('p');
+  paragraph.className = 'viewer-empty';
+  paragraph.textContent = message;
+  return paragraph;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
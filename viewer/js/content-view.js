@@ -0,0 +1,211 @@
+// viewer/js/content-view.js
+// Renders one published problem or lesson: problem.html?id=42, lesson.html?id=7
+
+import { db } from '../../shared/js/firebase-config.js';
+import { doc, getDoc } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js";
+import { fromEditorData, HTMLRenderer, checkAnswer } from '../../shared/js/core.js';
+import { publishedCollectionFor } from '../../shared/js/firebase-storage.js';
+import { loadMathJax } from '../../shared/js/macros.js';
+
+const contentType = document.body.dataset.contentType;
+const collectionName = publishedCollectionFor(contentType);
+// Answers stay out of the page until a reader checks one correctly or asks for it
+const renderer = new HTMLRenderer({ includeMetadata: true, revealAnswers: false });
+const answerRenderer = new HTMLRenderer({ includeMetadata: false });
+
+const ANSWER_PLACEHOLDERS = {
+  numeric: 'A number, e.g. 3/4 or 0.75',
+  expression: 'An expression, e.g. 2(x+1)',
+  choice: 'An option, e.g. B',
+  interval: 'An interval, e.g. [0, 1) U (2, inf)',
+  set: 'A set, e.g. {1, -2}'
+};
+
+const VERDICT_LABELS = {
+  correct: '✓ Correct',
+  incorrect: '✗ Not quite, try again',
+  invalid: '⚠️ Could not read your answer'
+};
+
+document.addEventListener('DOMContentLoaded', loadContent);
+
+async function loadContent() {
+  const container = document.getElementById('content-view');
+  const id = new URLSearchParams(window.location.search).get('id');
+
+  if (!id) {
+    showMessage(container, `No ${contentType} selected.`);
+    return;
+  }
+
+  try {
+    const snapshot = await getDoc(doc(db, collectionName, id));
+
+    // Only the live copy is read; drafts and reviews stay in the editor
+    if (!snapshot.exists()) {
+      showMessage(container, `This ${contentType} does not exist or has not been published.`);
+      return;
+    }
+
+    const content = fromEditorData(snapshot.data(), { contentType });
+    document.title = `${content.metadata.title} - Az-Math`;
+
+    // renderToElement needs MathJax's typesetPromise; without MathJax the LaTeX shows as written
+    await loadMathJax().catch(error => console.error(error));
+    renderer.renderToElement(content, container);
+    addAnswerChecks(container, content.parts ?? []);
+    addChoiceAnswers(container, content);
+    collapseSolutions(container);
+
+    const editLink = document.getElementById('edit-link');
+    editLink.href = `../editor/index.html?type=${contentType}&id=${encodeURIComponent(id)}`;
+    editLink.classList.remove('hidden');
+  } catch (error) {
+    console.error('Failed to load content:', error);
+    showMessage(container, `Failed to load ${contentType}: ${error.message}`);
+  }
+}
+
+// A "Check answer" box under the statement of each part with a final answer;
+// checking runs in the browser, nothing is sent anywhere
+function addAnswerChecks(container, parts) {
+  const partItems = container.querySelectorAll('.problem-part');
+
+  parts.forEach((part, index) => {
+    if (!part.answer || !partItems[index]) return;
+
+    const form = document.createElement('form');
+    form.className = 'answer-check';
+    form.innerHTML = `
+      <label class="input-label">Check answer</label>
+      <div class="flex gap-md items-center">
+        <input type="text" class="answer-check-input" autocomplete="off">
+        <button type="submit" class="btn btn-sm btn-primary">Check</button>
+        <button type="button" class="btn btn-sm btn-secondary answer-show">Show answer</button>
+      </div>
+      <p class="answer-check-result hidden" aria-live="polite"></p>
+    `;
+
+    const input = form.querySelector('.answer-check-input');
+    const result = form.querySelector('.answer-check-result');
+    const showButton = form.querySelector('.answer-show');
+    const body = partItems[index].querySelector('.part-body');
+    input.placeholder = ANSWER_PLACEHOLDERS[part.answer.type] ?? '';
+
+    const showAnswer = () => {
+      const answer = document.createElement('details');
+      answer.className = 'part-answer';
+      answer.open = true;
+      answer.innerHTML = `<summary>Answer</summary><span class="final-answer">${renderer.renderAnswer(part.answer)}</span>`;
+      body.appendChild(answer);
+      showButton.remove();
+      typeset(answer);
+    };
+    showButton.onclick = showAnswer;
+
+    form.onsubmit = (event) => {
+      event.preventDefault();
+      const check = checkAnswer(part.answer, input.value);
+
+      result.className = `answer-check-result answer-check-${check.verdict}`;
+      result.textContent = check.verdict === 'invalid' && check.message
+        ? `${VERDICT_LABELS.invalid}: ${check.message}`
+        : VERDICT_LABELS[check.verdict];
+
+      if (check.normalized) {
+        const readAs = document.createElement('span');
+        readAs.className = 'answer-check-normalized';
+        readAs.textContent = `Read as ${check.normalized}`;
+        result.appendChild(readAs);
+      }
+
+      if (check.verdict === 'correct' && showButton.isConnected) {
+        showAnswer();
+      }
+    };
+
+    // Above the hints
+    body.insertBefore(form, body.querySelector('.part-hint'));
+  });
+}
+
+// A "Show answer" button under each choice block, in place of its keys and feedback
+function addChoiceAnswers(container, content) {
+  const blocks = choiceBlocks(content);
+
+  container.querySelectorAll('.choice-block').forEach((element, index) => {
+    const block = blocks[index];
+    if (!block) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-sm btn-secondary choice-show';
+    button.textContent = 'Show answer';
+    button.onclick = () => {
+      const template = document.createElement('template');
+      template.innerHTML = answerRenderer.renderBlocks([block]);
+
+      const answer = template.content.querySelector('.choice-answer');
+      answer.open = true;
+      button.replaceWith(answer);
+      typeset(answer);
+    };
+
+    element.appendChild(button);
+  });
+}
+
+// Choice blocks in the order the renderer writes them
+function choiceBlocks(content) {
+  const found = [];
+  const collect = (blocks) => blocks.forEach(block => {
+    if (block.type === 'choice') found.push(block);
+    if (block.type === 'environment') collect(block.data.blocks);
+  });
+
+  collect(content.statement);
+  (content.parts ?? []).forEach(part => collect(part.statement));
+  (content.solutions ?? []).forEach(solution => collect(solution.blocks));
+  return found;
+}
+
+function typeset(element) {
+  if (window.MathJax?.typesetPromise) {
+    window.MathJax.typesetPromise([element]).catch(err => console.error('MathJax error:', err));
+  }
+}
+
+// Hide each solution behind a "Show solution" toggle
+function collapseSolutions(container) {
+  container.querySelectorAll('.solution-block').forEach(solution => {
+    const body = document.createElement('div');
+    body.className = 'solution-body hidden';
+
+    const title = solution.querySelector('.solution-title');
+    let node = title ? title.nextSibling : solution.firstChild;
+    while (node) {
+      const next = node.nextSibling;
+      body.appendChild(node);
+      node = next;
+    }
+
+    const toggle = document.createElement('button');
+    toggle.className = 'btn btn-sm btn-secondary solution-toggle';
+    toggle.textContent = 'Show solution';
+    toggle.onclick = () => {
+      const hidden = body.classList.toggle('hidden');
+      toggle.textContent = hidden ? 'Show solution' : 'Hide solution';
+    };
+
+    solution.appendChild(toggle);
+    solution.appendChild(body);
+  });
+}
+
+function showMessage(container, message) {
+  container.innerHTML = '';
+  const paragraph = document.createElement('p');
+  paragraph.className = 'viewer-empty';
+  paragraph.textContent = message;
+  container.appendChild(paragraph);
+}